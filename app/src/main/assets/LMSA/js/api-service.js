@@ -1,6 +1,9 @@
 // API Service for handling server communication
-import { serverIpInput, serverPortInput, loadedModelDisplay } from './dom-elements.js';
+import { serverIpInput, serverPortInput, serverSchemeSelect, serverBasePathInput, serverApiKeyInput, loadedModelDisplay } from './dom-elements.js';
 import { getLightThemeEnabled } from './settings-manager.js';
+import { getBackendAdapter, getBackendType, setBackendType } from './backend-adapters.js';
+import { request, HttpError, NetworkError, TimeoutError } from './http-client.js';
+import { getModelLoadOptions } from './model-load-options.js';
 
 let API_URL = '';
 let availableModels = [];
@@ -21,8 +24,12 @@ let modelInfoCache = {
 let fetchModelsDebounceTimer = null;
 let lastFetchPromise = null;
 
+// Model metadata (type, state, context length, quantization, architecture) from the REST model API
+let modelMetadata = new Map();
+
 /**
  * Updates the server URL based on IP and port inputs
+ * @returns {Promise<Array>|undefined} - The model fetch it starts, or undefined if the address is incomplete
  */
 export function updateServerUrl() {
     const ip = serverIpInput.value.trim();
@@ -38,10 +45,17 @@ export function updateServerUrl() {
     }
 
     if (ip && port) {
-        API_URL = `http://${ip}:${port}/v1/chat/completions`;
+        API_URL = `${getServerBaseUrl()}${getBackendAdapter().endpoints.chat}`;
         localStorage.setItem('serverIp', ip);
         localStorage.setItem('serverPort', port);
-        fetchAvailableModels();
+        saveConnectionOptions();
+        updateBackendHints();
+        const modelsFetch = fetchAvailableModels();
+
+        document.dispatchEvent(new CustomEvent('serverUrlChanged', {
+            detail: { url: getServerBaseUrl() }
+        }));
+        return modelsFetch;
     }
 }
 
@@ -126,41 +140,63 @@ export async function fetchAvailableModels() {
 
         // Create the fetch promise
         lastFetchPromise = (async () => {
-            // Add a timeout to the fetch request to prevent long waits
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
+            const backend = getBackendAdapter();
+            const baseUrl = getServerBaseUrl();
 
             try {
-                const modelsResponse = await fetch(`http://${ip}:${port}/v1/models`, {
-                    signal: controller.signal
-                });
+                // Prefer the REST model API, which reports load state and metadata directly
+                // Only fall back to the OpenAI-compatible list and the heuristics below without it
+                let modelsList = await fetchRestModels(backend, baseUrl);
+                const hasRestModels = !!modelsList;
+
+                if (!hasRestModels) {
+                    const modelsResponse = await request(`${baseUrl}${backend.endpoints.models}`, {
+                        headers: getAuthHeaders(),
+                        timeoutMs: 5000,
+                        throwHttpErrors: false
+                    });
+
+                    if (!modelsResponse.ok) {
+                        console.error('Failed to fetch models, server returned:', modelsResponse.status, modelsResponse.statusText);
+                        availableModels = []; // Ensure availableModels is empty
+                        if (loadedModelDisplay) {
+                            loadedModelDisplay.classList.add('hidden');
+                        }
+                        return [];
+                    }
 
-                clearTimeout(timeoutId);
+                    const data = await modelsResponse.json();
+                    modelsList = backend.parseModels(data);
 
-            if (!modelsResponse.ok) {
-                console.error('Failed to fetch models, server returned:', modelsResponse.status, modelsResponse.statusText);
-                availableModels = []; // Ensure availableModels is empty
-                if (loadedModelDisplay) {
-                    loadedModelDisplay.classList.add('hidden');
+                    if (!modelsList) {
+                        console.error('Invalid response format from server:', data);
+                        availableModels = []; // Ensure availableModels is empty
+                        if (loadedModelDisplay) {
+                            loadedModelDisplay.classList.add('hidden');
+                        }
+                        return [];
+                    }
                 }
-                return [];
-            }
 
-            const data = await modelsResponse.json();
+            // Try to determine which model is loaded through multiple methods
 
-            if (!data || !data.data || !Array.isArray(data.data)) {
-                console.error('Invalid response format from server:', data);
-                availableModels = []; // Ensure availableModels is empty
-                if (loadedModelDisplay) {
-                    loadedModelDisplay.classList.add('hidden');
+            // Backends with a separate running-models endpoint (Ollama) report loaded models there
+            if (backend.endpoints.running && !hasRestModels) {
+                try {
+                    const runningResponse = await request(`${baseUrl}${backend.endpoints.running}`, {
+                        headers: getAuthHeaders(),
+                        timeoutMs: 2000
+                    });
+
+                    const runningIds = backend.parseRunningModels(await runningResponse.json());
+                    modelsList.forEach(model => {
+                        model.loaded = runningIds.includes(model.id);
+                    });
+                } catch (runningError) {
+                    console.log('Could not check running models:', runningError.message || 'Unknown error');
                 }
-                return [];
             }
 
-            const modelsList = data.data;
-
-            // Try to determine which model is loaded through multiple methods
-
             // Method 1: Look for status flags in the API response directly - add more possible attributes to check
             let loadedModelInfo = modelsList.find(model =>
                 model.ready === true ||
@@ -175,32 +211,25 @@ export async function fetchAvailableModels() {
                 model.state === 'active'
             );
 
+            // The REST model API is authoritative, so the heuristics below only run without it
+
             // Method 2: If no model is marked as loaded, check if we can get info via a different endpoint
-            if (!loadedModelInfo) {
+            if (!loadedModelInfo && !hasRestModels) {
                 try {
-                    // Try different endpoints that LM Studio might use
-                    // Reduced from 4 to 2 endpoints to minimize log noise
-                    // Keep /v1/internal/model/info as it generates the intentional 400 error that prevents auto-loading
-                    const endpoints = [
-                        '/v1/internal/model/info',
-                        '/v1/model/info'
-                    ];
+                    // Try the model info endpoints the backend might have (LM Studio only)
+                    const endpoints = backend.endpoints.modelInfo;
 
                     for (const endpoint of endpoints) {
                         try {
-                            const controller = new AbortController();
-                            const timeoutId = setTimeout(() => controller.abort(), 2000); // shorter timeout for info endpoints
-
-                            const modelInfoResponse = await fetch(`http://${ip}:${port}${endpoint}`, {
-                                method: 'GET',
-                                signal: controller.signal
+                            const modelInfoResponse = await request(`${baseUrl}${endpoint}`, {
+                                headers: getAuthHeaders(),
+                                timeoutMs: 2000, // shorter timeout for info endpoints
+                                throwHttpErrors: false
                             }).catch(() => {
                                 // Silently catch network errors
                                 return { ok: false };
                             });
 
-                            clearTimeout(timeoutId);
-
                             if (modelInfoResponse.ok) {
                                 const modelInfo = await modelInfoResponse.json();
 
@@ -228,17 +257,13 @@ export async function fetchAvailableModels() {
             // try making a simple completion request
             // IMPORTANT: Skip this method if we already found a model to reduce API calls
             // This will help detect if a model is actually loaded even if the API doesn't report it
-            if (!loadedModelInfo && modelsList.length > 0 && !window.currentLoadedModel) {
+            // Only backends that answer without a model field can be probed this way
+            if (!loadedModelInfo && !hasRestModels && modelsList.length > 0 && !window.currentLoadedModel && backend.supportsModellessCompletion) {
                 try {
-                    const controller = new AbortController();
-                    const timeoutId = setTimeout(() => controller.abort(), 3000);
-
-                    const chatResponse = await fetch(`http://${ip}:${port}/v1/chat/completions`, {
+                    const chatResponse = await request(`${baseUrl}${backend.endpoints.chat}`, {
                         method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json',
-                        },
-                        body: JSON.stringify({
+                        headers: getRequestHeaders(),
+                        body: backend.buildChatBody({
                             messages: [
                                 { role: 'system', content: 'You are a helpful assistant.' },
                                 { role: 'user', content: 'test' }
@@ -246,15 +271,14 @@ export async function fetchAvailableModels() {
                             max_tokens: 1,
                             stream: false
                         }),
-                        signal: controller.signal
+                        timeoutMs: 3000,
+                        throwHttpErrors: false
                     }).catch(() => {
                         return { ok: false };
                     });
 
-                    clearTimeout(timeoutId);
-
                     if (chatResponse.ok) {
-                        const result = await chatResponse.json();
+                        const result = backend.parseCompletion(await chatResponse.json());
 
                         if (result && result.model) {
                             // Find this model in our list
@@ -274,7 +298,7 @@ export async function fetchAvailableModels() {
             }
 
             // Method 4: Use the previously stored model if it's in the list
-            if (!loadedModelInfo && window.currentLoadedModel) {
+            if (!loadedModelInfo && !hasRestModels && window.currentLoadedModel) {
                 const matchingModel = modelsList.find(model => model.id === window.currentLoadedModel);
                 if (matchingModel) {
                     console.log('Using previously stored loaded model:', window.currentLoadedModel);
@@ -282,6 +306,13 @@ export async function fetchAvailableModels() {
                 }
             }
 
+            // Method 5: Backends that cannot load or unload models serve every listed model,
+            // so the first one is usable as-is
+            if (!loadedModelInfo && modelsList.length > 0 && !backend.capabilities.loadUnload) {
+                console.log(`${backend.name} serves its models directly, using the first one`);
+                loadedModelInfo = modelsList[0];
+            }
+
             if (loadedModelInfo) {
                 // We found a loaded model
                 availableModels = [loadedModelInfo.id];
@@ -353,14 +384,8 @@ export async function fetchAvailableModels() {
 
             return modelsList;
         } catch (fetchError) {
-            clearTimeout(timeoutId);
-            // Suppress console errors for unsafe ports and common fetch failures
-            const errorMessage = fetchError.message || fetchError.toString();
-            const isUnsafePortError = errorMessage.includes('ERR_UNSAFE_PORT') || 
-                                    errorMessage.includes('Failed to fetch') ||
-                                    errorMessage.includes('net::ERR_');
-            
-            if (!isUnsafePortError) {
+            // Suppress console errors for unreachable servers, timeouts and unsafe ports
+            if (!(fetchError instanceof NetworkError) && !(fetchError instanceof TimeoutError)) {
                 console.error('Error fetching models:', fetchError);
             }
             availableModels = []; // Ensure availableModels is empty
@@ -394,6 +419,51 @@ export async function fetchAvailableModels() {
     }
 }
 
+/**
+ * Fetches the model list from the backend's REST model API if it has one
+ * Stores each model's metadata and leaves out embedding models, which cannot chat
+ * @param {Object} backend - The active backend adapter
+ * @param {string} baseUrl - The server base URL
+ * @returns {Promise<Array|null>} - Array of chat model objects, or null if the endpoint is unavailable
+ */
+async function fetchRestModels(backend, baseUrl) {
+    if (!backend.endpoints.restModels) {
+        return null;
+    }
+
+    try {
+        const response = await request(`${baseUrl}${backend.endpoints.restModels}`, {
+            headers: getAuthHeaders(),
+            timeoutMs: 3000
+        });
+
+        const models = backend.parseRestModels(await response.json());
+        if (!models) {
+            return null;
+        }
+
+        modelMetadata = new Map(models.map(model => [model.id, model.metadata]));
+
+        return models.filter(model => model.metadata.type !== 'embeddings');
+    } catch (error) {
+        if (error instanceof HttpError) {
+            console.log(`REST model API not available (HTTP ${error.status}), using fallback detection`);
+        } else {
+            console.log('REST model API not reachable, using fallback detection:', error.message || 'Unknown error');
+        }
+        return null;
+    }
+}
+
+/**
+ * Gets the metadata reported by the REST model API for a model
+ * @param {string} modelId - The model ID
+ * @returns {Object|null} - {type, state, maxContextLength, loadedContextLength, quantization, architecture, publisher, format}, or null if unknown
+ */
+export function getModelMetadata(modelId) {
+    return modelMetadata.get(modelId) || null;
+}
+
 /**
  * Updates the loaded model display
  * @param {string} modelName - The name of the loaded model
@@ -405,7 +475,15 @@ export function updateLoadedModelDisplay(modelName, forceShow = false) {
         window.currentLoadedModel = modelName;
 
         // Update the text content (even though it's hidden)
-        loadedModelDisplay.textContent = `Loaded Model: ${modelName}`;
+        // Include the quantization and context length when the REST model API reports them
+        const metadata = getModelMetadata(modelName);
+        const details = metadata ? [
+            metadata.quantization,
+            metadata.loadedContextLength || metadata.maxContextLength ? `${(metadata.loadedContextLength || metadata.maxContextLength).toLocaleString()} ctx` : null
+        ].filter(Boolean) : [];
+        loadedModelDisplay.textContent = details.length > 0
+            ? `Loaded Model: ${modelName} (${details.join(', ')})`
+            : `Loaded Model: ${modelName}`;
 
         // Set data attribute to indicate a model is loaded
         loadedModelDisplay.dataset.hasLoadedModel = 'true';
@@ -471,24 +549,14 @@ export async function isServerRunning() {
             return false;
         }
 
-        // Add a timeout to the fetch request to prevent long waits
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-
         try {
-            const response = await fetch(`http://${ip}:${port}/v1/models`, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                signal: controller.signal
+            await request(`${getServerBaseUrl()}${getBackendAdapter().endpoints.models}`, {
+                headers: getRequestHeaders(),
+                timeoutMs: 5000
             });
-
-            clearTimeout(timeoutId);
-            return response.ok;
-        } catch (fetchError) {
-            clearTimeout(timeoutId);
-            console.error('Error checking server status:', fetchError);
+            return true;
+        } catch (requestError) {
+            console.error('Error checking server status:', requestError.message);
             return false;
         }
     } catch (error) {
@@ -498,43 +566,35 @@ export async function isServerRunning() {
 }
 
 /**
- * Try different known LM Studio API endpoints for an operation
- * @param {string} ip - Server IP
- * @param {string} port - Server port
+ * Try different known backend API endpoints for an operation
  * @param {string} operation - Operation name for logging
  * @param {Array} endpoints - Array of endpoint objects with path and method
  * @param {Object} requestData - Request data to send
  * @returns {Promise<boolean>} - True if any endpoint succeeds
  */
-async function tryEndpoints(ip, port, operation, endpoints, requestData = null) {
+async function tryEndpoints(operation, endpoints, requestData = null) {
     for (const endpoint of endpoints) {
         try {
             console.log(`Trying ${operation} with endpoint: ${endpoint.path}`);
 
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-
             const options = {
                 method: endpoint.method,
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                signal: controller.signal
+                headers: getRequestHeaders(),
+                timeoutMs: 5000,
+                throwHttpErrors: false
             };
 
             // Always include a body for POST/PUT methods, even if it's an empty object
             if (endpoint.method === 'POST' || endpoint.method === 'PUT') {
-                options.body = JSON.stringify(requestData || {});
+                options.body = requestData || {};
             }
 
-            const response = await fetch(`http://${ip}:${port}${endpoint.path}`, options)
+            const response = await request(`${getServerBaseUrl()}${endpoint.path}`, options)
                 .catch(err => {
-                    console.log(`Network error with ${endpoint.path}: ${err.name === 'AbortError' ? 'timeout' : 'connection failed'}`);
+                    console.log(`Network error with ${endpoint.path}: ${err.message}`);
                     return { ok: false };
                 });
 
-            clearTimeout(timeoutId);
-
             if (response.ok) {
                 console.log(`${operation} successful with endpoint: ${endpoint.path}`);
                 return true;
@@ -553,24 +613,23 @@ async function tryEndpoints(ip, port, operation, endpoints, requestData = null)
 
 /**
  * Wait for a model to be loaded (with timeout)
- * @param {string} ip - Server IP
- * @param {string} port - Server port
  * @param {string} modelId - Model ID to check
  * @param {number} maxAttempts - Maximum number of attempts
+ * @param {Object} [loadOptions] - Load options the model was loaded with
  * @returns {Promise<boolean>} - True if model is loaded
  */
-async function waitForModelLoad(ip, port, modelId, maxAttempts = 10) {
+async function waitForModelLoad(modelId, maxAttempts = 10, loadOptions = {}) {
+    const backend = getBackendAdapter();
+
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
         try {
             console.log(`Checking if model is loaded (attempt ${attempt + 1}/${maxAttempts})...`);
 
             // Make a simple test completion to see if the model responds
-            const testResponse = await fetch(`http://${ip}:${port}/v1/chat/completions`, {
+            const testResponse = await request(`${getServerBaseUrl()}${backend.endpoints.chat}`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
+                headers: getRequestHeaders(),
+                body: backend.buildChatBody({
                     model: modelId,
                     messages: [
                         { role: 'system', content: 'You are a helpful assistant.' },
@@ -578,12 +637,11 @@ async function waitForModelLoad(ip, port, modelId, maxAttempts = 10) {
                     ],
                     max_tokens: 1,
                     stream: false
-                }),
-                timeout: 2000
+                }, loadOptions),
+                timeoutMs: 2000
             });
 
-            if (testResponse.ok) {
-                            // Read the completed text - this confirms the model is actually loaded
+            // Read the completed text - this confirms the model is actually loaded
             const response = await testResponse.json();
             console.log(`Model ${modelId} is now loaded and responding:`, response);
 
@@ -591,9 +649,8 @@ async function waitForModelLoad(ip, port, modelId, maxAttempts = 10) {
             window.currentLoadedModel = modelId;
 
             return true;
-            }
         } catch (error) {
-            console.log(`Model not loaded yet, waiting...`, error);
+            console.log(`Model not loaded yet, waiting...`, error.message);
         }
 
         // Wait before next attempt
@@ -605,25 +662,24 @@ async function waitForModelLoad(ip, port, modelId, maxAttempts = 10) {
 }
 
 /**
- * Force load a model in LM Studio
+ * Force load a model on the server
  * This bypasses the API endpoints and uses the completion API itself
- * @param {string} ip - Server IP
- * @param {string} port - Server port
  * @param {string} modelId - Model ID to load
+ * @param {Object} [loadOptions] - Load options to apply if the request loads the model
  * @returns {Promise<boolean>} - True if successful
  */
-async function forceLoadModel(ip, port, modelId) {
+async function forceLoadModel(modelId, loadOptions = {}) {
     try {
         console.log(`Force loading model ${modelId} via completion API...`);
 
+        const backend = getBackendAdapter();
+
         // Make a special completion request that forces model loading
         // The long prompt forces LM Studio to fully load the model
-        const response = await fetch(`http://${ip}:${port}/v1/chat/completions`, {
+        const response = await request(`${getServerBaseUrl()}${backend.endpoints.chat}`, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
+            headers: getRequestHeaders(),
+            body: backend.buildChatBody({
                 model: modelId,
                 messages: [
                     {
@@ -638,20 +694,15 @@ async function forceLoadModel(ip, port, modelId) {
                 temperature: 0.1,
                 max_tokens: 10,
                 stream: false
-            }),
-            timeout: 60000 // Long timeout to give the model time to load
+            }, loadOptions),
+            timeoutMs: 60000 // Long timeout to give the model time to load
         });
 
-        if (response.ok) {
-            const result = await response.json();
-            console.log(`Force load response:`, result);
-            return true;
-        } else {
-            console.error(`Force load failed with status ${response.status}`);
-            return false;
-        }
+        const result = await response.json();
+        console.log(`Force load response:`, result);
+        return true;
     } catch (error) {
-        console.error(`Error during force load:`, error);
+        console.error(`Error during force load:`, error.message);
         return false;
     }
 }
@@ -659,9 +710,10 @@ async function forceLoadModel(ip, port, modelId) {
 /**
  * Loads a model in LM Studio
  * @param {string} modelId - The ID of the model to load
+ * @param {Object} [loadOptions] - {contextLength, gpuOffload, ttl, draftModel}, defaults to the options remembered for the model
  * @returns {Promise<boolean>} - True if successful, false otherwise
  */
-export async function loadModel(modelId) {
+export async function loadModel(modelId, loadOptions = getModelLoadOptions(modelId)) {
     try {
         if (!serverIpInput || !serverPortInput) {
             console.error('Server IP or port input elements not found');
@@ -678,22 +730,24 @@ export async function loadModel(modelId) {
 
         console.log(`Attempting to load model: ${modelId}`);
 
-        // Try the direct model loading approach first
-        // Some LM Studio versions have direct APIs
-        const loadEndpoints = [
-            { path: '/v1/internal/model/load', method: 'POST' },
-            { path: '/v1/model/load', method: 'POST' },
-            { path: '/v1/models/load', method: 'POST' },
-            { path: `/v1/models/${modelId}/load`, method: 'POST' }
-        ];
+        const backend = getBackendAdapter();
 
-        const requestData = { model_id: modelId };
-        const directSuccess = await tryEndpoints(ip, port, 'Load model', loadEndpoints, requestData);
+        // Backends that cannot load models serve all listed models, so loading just selects one
+        if (!backend.capabilities.loadUnload) {
+            console.log(`${backend.name} cannot load models, selecting ${modelId} for requests`);
+            availableModels = [modelId];
+            window.currentLoadedModel = modelId;
+            return true;
+        }
+
+        // Try the direct model loading approach first
+        const loadRequest = backend.getLoadRequest(modelId, loadOptions);
+        const directSuccess = await tryEndpoints('Load model', loadRequest.endpoints, loadRequest.body);
 
         // If the endpoint call succeeds, verify the model is actually loaded by making a test request
         if (directSuccess) {
             console.log(`API endpoint reported success, verifying model is actually loaded...`);
-            const verified = await waitForModelLoad(ip, port, modelId, 5);
+            const verified = await waitForModelLoad(modelId, 5, loadOptions);
 
             if (verified) {
                 console.log(`Successfully verified ${modelId} is loaded via endpoint method`);
@@ -706,7 +760,7 @@ export async function loadModel(modelId) {
 
         // If direct loading failed or verification failed, use the force load method
         // This is the most reliable method to make LM Studio actually switch models
-        const forceSuccess = await forceLoadModel(ip, port, modelId);
+        const forceSuccess = await forceLoadModel(modelId, loadOptions);
 
         if (forceSuccess) {
             console.log(`Successfully loaded ${modelId} via force load method`);
@@ -723,7 +777,7 @@ export async function loadModel(modelId) {
 }
 
 /**
- * Ejects (unloads) the current model from LM Studio
+ * Ejects (unloads) the current model from the server
  * @returns {Promise<boolean>} - True if successful, false otherwise
  */
 export async function ejectModel() {
@@ -743,15 +797,15 @@ export async function ejectModel() {
 
         console.log('Attempting to eject model');
 
-        // Try all known eject model endpoints
-        const ejectEndpoints = [
-            { path: '/v1/internal/model/unload', method: 'POST' },
-            { path: '/v1/model/unload', method: 'POST' },
-            { path: '/v1/models/unload', method: 'POST' }
-        ];
+        const backend = getBackendAdapter();
+        if (!backend.capabilities.loadUnload) {
+            console.log(`${backend.name} cannot unload models`);
+            return false;
+        }
 
-        // Try the endpoints with an empty request body
-        let success = await tryEndpoints(ip, port, 'Eject model', ejectEndpoints, {});
+        // Try all known eject model endpoints
+        const unloadRequest = backend.getUnloadRequest(window.currentLoadedModel);
+        let success = await tryEndpoints('Eject model', unloadRequest.endpoints, unloadRequest.body);
 
         // If direct API methods fail, try to determine the currently loaded model ID
         // and use a different approach
@@ -760,22 +814,20 @@ export async function ejectModel() {
 
             try {
                 // Get the current models list to find which one is loaded
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 3000);
-
-                const modelsResponse = await fetch(`http://${ip}:${port}/v1/models`, {
-                    signal: controller.signal
+                const modelsResponse = await request(`${getServerBaseUrl()}${backend.endpoints.models}`, {
+                    headers: getAuthHeaders(),
+                    timeoutMs: 3000,
+                    throwHttpErrors: false
                 }).catch(() => {
                     return { ok: false };
                 });
 
-                clearTimeout(timeoutId);
-
                 if (modelsResponse.ok) {
                     const data = await modelsResponse.json();
-                    if (data && data.data && Array.isArray(data.data) && data.data.length > 0) {
+                    const modelsList = backend.parseModels(data);
+                    if (modelsList && modelsList.length > 0) {
                         // Try to find which model is loaded
-                        const loadedModel = data.data.find(model =>
+                        const loadedModel = modelsList.find(model =>
                             model.ready === true ||
                             model.loaded === true ||
                             model.status === 'loaded' ||
@@ -788,11 +840,9 @@ export async function ejectModel() {
                             console.log(`Found loaded model: ${loadedModel.id}, trying model-specific eject...`);
 
                             // Try model-specific unload endpoints
-                            const modelSpecificEndpoints = [
-                                { path: `/v1/models/${loadedModel.id}/unload`, method: 'POST' }
-                            ];
+                            const modelUnloadRequest = backend.getUnloadRequest(loadedModel.id);
 
-                            success = await tryEndpoints(ip, port, 'Model-specific eject', modelSpecificEndpoints, {});
+                            success = await tryEndpoints('Model-specific eject', modelUnloadRequest.endpoints, modelUnloadRequest.body);
                         } else {
                             console.log('No loaded model found in models list');
                         }
@@ -853,19 +903,113 @@ export async function ejectModel() {
  * @returns {string} - The current API URL
  */
 export function getApiUrl() {
-    if (!API_URL && serverIpInput && serverPortInput) {
-        const ip = serverIpInput.value.trim();
-        const port = serverPortInput.value.trim();
-
-        if (ip && port) {
-            API_URL = `http://${ip}:${port}/v1/chat/completions`;
-            console.log('API URL was not set, creating from inputs:', API_URL);
-        }
+    // Rebuild from the inputs so a backend change takes effect immediately
+    const baseUrl = getServerBaseUrl();
+    if (baseUrl) {
+        API_URL = `${baseUrl}${getBackendAdapter().endpoints.chat}`;
     }
 
     return API_URL;
 }
 
+/**
+ * Gets the base URL of the server from the IP and port inputs
+ * @returns {string} - The base URL (e.g. http://192.168.1.100:1234), or an empty string if not configured
+ */
+export function getServerBaseUrl() {
+    if (!serverIpInput || !serverPortInput) {
+        return '';
+    }
+
+    const ip = serverIpInput.value.trim();
+    const port = serverPortInput.value.trim();
+
+    if (!ip || !port) {
+        return '';
+    }
+
+    return `${getServerScheme()}://${ip}:${port}${getServerBasePath()}`;
+}
+
+/**
+ * Gets the selected URL scheme
+ * @returns {string} - 'http' or 'https'
+ */
+export function getServerScheme() {
+    const scheme = serverSchemeSelect ? serverSchemeSelect.value : localStorage.getItem('serverScheme');
+    return scheme === 'https' ? 'https' : 'http';
+}
+
+/**
+ * Gets the URL path prefix for a server behind a reverse proxy
+ * @returns {string} - The path with a leading slash and no trailing slash, or an empty string
+ */
+export function getServerBasePath() {
+    const rawPath = serverBasePathInput ? serverBasePathInput.value : localStorage.getItem('serverBasePath');
+    const path = (rawPath || '').trim().replace(/^\/+|\/+$/g, '');
+    return path ? `/${path}` : '';
+}
+
+/**
+ * Gets the API key sent as a bearer token
+ * @returns {string} - The API key, or an empty string if none is set
+ */
+export function getServerApiKey() {
+    const apiKey = serverApiKeyInput ? serverApiKeyInput.value : localStorage.getItem('serverApiKey');
+    return (apiKey || '').trim();
+}
+
+/**
+ * Gets the authentication headers for a request to the server
+ * @returns {Object} - Headers with the Authorization bearer token if an API key is set
+ */
+export function getAuthHeaders() {
+    const apiKey = getServerApiKey();
+    return apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+}
+
+/**
+ * Gets the headers for a JSON request to the server
+ * @returns {Object} - Headers with the JSON content type and authentication
+ */
+export function getRequestHeaders() {
+    return {
+        'Content-Type': 'application/json',
+        ...getAuthHeaders()
+    };
+}
+
+/**
+ * Saves the scheme, base path and API key to localStorage
+ */
+function saveConnectionOptions() {
+    const options = {
+        serverScheme: getServerScheme(),
+        serverBasePath: getServerBasePath(),
+        serverApiKey: getServerApiKey()
+    };
+
+    Object.entries(options).forEach(([key, value]) => {
+        if (value) {
+            localStorage.setItem(key, value);
+        } else {
+            localStorage.removeItem(key);
+        }
+    });
+}
+
+/**
+ * Clears cached model information so the next fetch hits the server
+ * Used when switching to a different server
+ */
+export function invalidateModelInfoCache() {
+    modelInfoCache.data = null;
+    modelInfoCache.timestamp = 0;
+    lastFetchPromise = null;
+    availableModels = [];
+    modelMetadata = new Map();
+}
+
 /**
  * Gets the available models
  * @returns {Array} - Array of available model IDs
@@ -885,9 +1029,13 @@ export function loadServerSettings() {
     if (serverIpInput && serverPortInput) {
         if (savedIp) serverIpInput.value = savedIp;
         if (savedPort) serverPortInput.value = savedPort;
+        if (serverSchemeSelect) serverSchemeSelect.value = localStorage.getItem('serverScheme') || 'http';
+        if (serverBasePathInput) serverBasePathInput.value = localStorage.getItem('serverBasePath') || '';
+        if (serverApiKeyInput) serverApiKeyInput.value = localStorage.getItem('serverApiKey') || '';
+        updateBackendHints();
 
         if (savedIp && savedPort) {
-            API_URL = `http://${savedIp}:${savedPort}/v1/chat/completions`;
+            API_URL = `${getServerBaseUrl()}${getBackendAdapter().endpoints.chat}`;
             // Fetch models after setting the API URL, but set a flag to indicate this is the initial load
             window.isInitialStartup = true;
             setTimeout(() => fetchAvailableModels(), 500);
@@ -914,6 +1062,20 @@ export function loadServerSettings() {
         serverIpInput.addEventListener('change', updateServerUrl);
         serverPortInput.addEventListener('change', updateServerUrl);
 
+        // The scheme, base path and API key change how the same server is reached,
+        // so drop cached model info before reconnecting
+        [serverSchemeSelect, serverBasePathInput, serverApiKeyInput].forEach(input => {
+            if (input) {
+                input.addEventListener('change', () => {
+                    invalidateModelInfoCache();
+                    updateBackendHints();
+                    updateServerUrl();
+                });
+            }
+        });
+
+        initializeBackendTypeSelect();
+
         // Apply to both input fields
         [serverIpInput, serverPortInput].forEach(input => {
             // Remove any inline styles to allow CSS variables to work
@@ -925,3 +1087,57 @@ export function loadServerSettings() {
         });
     }
 }
+
+/**
+ * Updates the connection hints to match the selected backend
+ */
+function updateBackendHints() {
+    const backend = getBackendAdapter();
+
+    const chatPathHint = document.getElementById('backend-chat-path');
+    if (chatPathHint) {
+        chatPathHint.textContent = backend.endpoints.chat;
+    }
+
+    const schemeHint = document.getElementById('server-url-scheme');
+    if (schemeHint) {
+        schemeHint.textContent = getServerScheme();
+    }
+
+    const basePathHint = document.getElementById('server-url-base-path');
+    if (basePathHint) {
+        basePathHint.textContent = getServerBasePath();
+    }
+
+    if (serverPortInput) {
+        serverPortInput.placeholder = backend.defaultPort;
+    }
+}
+
+/**
+ * Initializes the server type select in the connection settings
+ */
+function initializeBackendTypeSelect() {
+    const backendTypeSelect = document.getElementById('backend-type');
+    if (!backendTypeSelect) {
+        return;
+    }
+
+    backendTypeSelect.value = getBackendType();
+    updateBackendHints();
+
+    backendTypeSelect.addEventListener('change', () => {
+        setBackendType(backendTypeSelect.value);
+    });
+
+    // Keep the select in sync when the backend changes elsewhere (e.g. a server profile switch)
+    document.addEventListener('backendTypeChanged', () => {
+        backendTypeSelect.value = getBackendType();
+        updateBackendHints();
+
+        // Anything we know about the previous backend's models no longer applies
+        invalidateModelInfoCache();
+        window.currentLoadedModel = null;
+        updateServerUrl();
+    });
+}
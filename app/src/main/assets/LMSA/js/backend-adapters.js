@@ -0,0 +1,515 @@
+// Backend Adapters for the local LLM servers LMSA can connect to
+// Each adapter describes the endpoints, request/response formats and capabilities of one server type
+import { debugLog } from './utils.js';
+
+// Local storage key for the selected backend type
+const BACKEND_TYPE_KEY = 'backendType';
+const DEFAULT_BACKEND_TYPE = 'lmstudio';
+
+/**
+ * Reads the text of an OpenAI-style message content (string or content parts array)
+ * @param {string|Array} content - The message content
+ * @returns {string} - The text parts joined together
+ */
+function getMessageText(content) {
+    if (Array.isArray(content)) {
+        return content
+            .filter(part => part.type === 'text')
+            .map(part => part.text)
+            .join('\n');
+    }
+    return content || '';
+}
+
+/**
+ * Reads the token counts of an OpenAI-compatible usage object
+ * @param {Object} usage - The usage object of a response
+ * @returns {Object|null} - {promptTokens, completionTokens} or null if there is no usage
+ */
+function parseOpenAIUsage(usage) {
+    if (!usage || typeof usage !== 'object') return null;
+    return {
+        promptTokens: typeof usage.prompt_tokens === 'number' ? usage.prompt_tokens : null,
+        completionTokens: typeof usage.completion_tokens === 'number' ? usage.completion_tokens : null
+    };
+}
+
+/**
+ * Converts tool call arguments to the JSON string OpenAI-compatible servers use
+ * @param {string|Object} args - Arguments as sent by the server
+ * @returns {string} - JSON arguments, or a fragment of them while streaming
+ */
+function stringifyToolArguments(args) {
+    if (args === undefined || args === null) return '';
+    return typeof args === 'string' ? args : JSON.stringify(args);
+}
+
+/**
+ * Reads tool call arguments into an object, as Ollama expects them
+ * @param {string|Object} args - JSON arguments
+ * @returns {Object} - The arguments, empty if they can't be parsed
+ */
+function parseToolArguments(args) {
+    if (args && typeof args === 'object') return args;
+    try {
+        const parsed = JSON.parse(args || '{}');
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Reads the tool call fragments of an OpenAI-compatible delta
+ * @param {Array} toolCalls - The delta's tool_calls
+ * @returns {Array|null} - Fragments {index, id, name, arguments}, see ToolCallCollector
+ */
+function parseOpenAIToolCalls(toolCalls) {
+    if (!Array.isArray(toolCalls) || toolCalls.length === 0) return null;
+    return toolCalls.map(call => ({
+        index: typeof call.index === 'number' ? call.index : null,
+        id: call.id || null,
+        name: call.function ? call.function.name || '' : '',
+        arguments: call.function ? stringifyToolArguments(call.function.arguments) : ''
+    }));
+}
+
+/**
+ * Parses the data of one OpenAI-compatible Server-Sent Event
+ * @param {string} data - The event data
+ * @returns {Object|null} - Normalized delta {content, reasoning, toolCalls, finishReason, usage, done} or null if the event has no delta
+ */
+function parseOpenAIStreamData(data) {
+    const payload = data.trim();
+    if (!payload) return null;
+    if (payload === '[DONE]') return { content: '', reasoning: '', toolCalls: null, finishReason: null, usage: null, done: true };
+
+    const parsed = JSON.parse(payload);
+    const choice = parsed.choices && parsed.choices[0];
+    // With stream_options.include_usage the token counts arrive in a last event without choices
+    const usage = parseOpenAIUsage(parsed.usage);
+    if (!choice && !usage) return null;
+
+    const delta = (choice && choice.delta) || {};
+    return {
+        content: delta.content || '',
+        // Reasoning models stream their thinking in a separate field (reasoning_content, or reasoning on some servers)
+        reasoning: delta.reasoning_content || delta.reasoning || '',
+        toolCalls: parseOpenAIToolCalls(delta.tool_calls),
+        finishReason: (choice && choice.finish_reason) || null,
+        usage,
+        done: false
+    };
+}
+
+/**
+ * Reads the reply of a non-streaming OpenAI-compatible chat completion
+ * @param {Object} data - The parsed JSON response
+ * @returns {Object} - {content, reasoning, model}
+ */
+function parseOpenAICompletion(data) {
+    const choice = data && data.choices && data.choices[0];
+    const message = choice && choice.message;
+    return {
+        content: message ? message.content || '' : '',
+        reasoning: message ? message.reasoning_content || message.reasoning || '' : '',
+        model: data ? data.model || null : null
+    };
+}
+
+/**
+ * Reads the model list of an OpenAI-compatible /v1/models response
+ * @param {Object} data - The parsed JSON response
+ * @returns {Array|null} - Array of model objects with an id, or null if the format is unknown
+ */
+function parseOpenAIModels(data) {
+    return data && Array.isArray(data.data) ? data.data : null;
+}
+
+/**
+ * LM Studio adapter
+ * Uses the OpenAI-compatible API plus LM Studio's model load/unload endpoints
+ */
+const lmStudioAdapter = {
+    id: 'lmstudio',
+    name: 'LM Studio',
+    defaultPort: '1234',
+    capabilities: {
+        loadUnload: true,
+        vision: true,
+        embeddings: true
+    },
+    endpoints: {
+        chat: '/v1/chat/completions',
+        models: '/v1/models',
+        embeddings: '/v1/embeddings',
+        // Keep /v1/internal/model/info as it generates the intentional 400 error that prevents auto-loading
+        modelInfo: ['/v1/internal/model/info', '/v1/model/info'],
+        running: null,
+        // REST API (LM Studio 0.3.6+) with load state and metadata for every model
+        restModels: '/api/v0/models'
+    },
+    // LM Studio answers a completion without a model field using the loaded model
+    supportsModellessCompletion: true,
+
+    buildChatBody(body, loadOptions = {}) {
+        // LM Studio applies these when a request loads the model just in time
+        const extra = {};
+        if (loadOptions.ttl) extra.ttl = loadOptions.ttl;
+        if (loadOptions.draftModel) extra.draft_model = loadOptions.draftModel;
+        return Object.keys(extra).length > 0 ? { ...body, ...extra } : body;
+    },
+
+    parseModels: parseOpenAIModels,
+
+    parseRestModels(data) {
+        if (!data || !Array.isArray(data.data)) return null;
+        return data.data.map(model => ({
+            ...model,
+            loaded: model.state === 'loaded',
+            metadata: {
+                type: model.type || null,
+                state: model.state || null,
+                maxContextLength: model.max_context_length || null,
+                loadedContextLength: model.loaded_context_length || null,
+                quantization: model.quantization || null,
+                architecture: model.arch || null,
+                publisher: model.publisher || null,
+                format: model.compatibility_type || null
+            }
+        }));
+    },
+    parseCompletion: parseOpenAICompletion,
+    // Server-Sent Events, see stream-parser.js
+    streamFormat: 'sse',
+    parseStreamData: parseOpenAIStreamData,
+
+    getLoadRequest(modelId, loadOptions = {}) {
+        const body = { model_id: modelId };
+        if (loadOptions.contextLength) body.context_length = loadOptions.contextLength;
+        if (loadOptions.gpuOffload !== null && loadOptions.gpuOffload !== undefined) body.gpu_offload_ratio = loadOptions.gpuOffload;
+        if (loadOptions.ttl) body.ttl = loadOptions.ttl;
+        if (loadOptions.draftModel) body.draft_model = loadOptions.draftModel;
+
+        // Some LM Studio versions have direct APIs
+        return {
+            endpoints: [
+                { path: '/v1/internal/model/load', method: 'POST' },
+                { path: '/v1/model/load', method: 'POST' },
+                { path: '/v1/models/load', method: 'POST' },
+                { path: `/v1/models/${encodeURIComponent(modelId)}/load`, method: 'POST' }
+            ],
+            body
+        };
+    },
+
+    getUnloadRequest(modelId) {
+        const endpoints = [
+            { path: '/v1/internal/model/unload', method: 'POST' },
+            { path: '/v1/model/unload', method: 'POST' },
+            { path: '/v1/models/unload', method: 'POST' }
+        ];
+        if (modelId) {
+            endpoints.push({ path: `/v1/models/${encodeURIComponent(modelId)}/unload`, method: 'POST' });
+        }
+        return { endpoints, body: {} };
+    }
+};
+
+// Sampling parameters Ollama takes in its options object under the OpenAI request names
+const OLLAMA_SAMPLING_OPTIONS = ['top_p', 'top_k', 'min_p', 'repeat_penalty', 'presence_penalty', 'frequency_penalty', 'seed', 'stop'];
+
+/**
+ * Ollama adapter
+ * Uses Ollama's native /api/chat (newline-delimited JSON stream) and /api/tags endpoints
+ */
+const ollamaAdapter = {
+    id: 'ollama',
+    name: 'Ollama',
+    defaultPort: '11434',
+    capabilities: {
+        loadUnload: true,
+        vision: true,
+        embeddings: true
+    },
+    endpoints: {
+        chat: '/api/chat',
+        models: '/api/tags',
+        embeddings: '/api/embed',
+        modelInfo: [],
+        running: '/api/ps',
+        restModels: null
+    },
+    supportsModellessCompletion: false,
+
+    buildChatBody(body, loadOptions = {}) {
+        const ollamaBody = {
+            model: body.model,
+            stream: !!body.stream,
+            messages: (body.messages || []).map(message => {
+                const converted = { role: message.role, content: getMessageText(message.content) };
+
+                // Ollama expects images as raw base64 strings next to the text
+                if (Array.isArray(message.content)) {
+                    const images = message.content
+                        .filter(part => part.type === 'image_url' && part.image_url && part.image_url.url)
+                        .map(part => part.image_url.url.replace(/^data:[^,]*,/, ''));
+                    if (images.length > 0) {
+                        converted.images = images;
+                    }
+                }
+                // Tool calls carry their arguments as an object, and results name their tool
+                if (Array.isArray(message.tool_calls)) {
+                    converted.tool_calls = message.tool_calls.map(call => ({
+                        function: { name: call.function.name, arguments: parseToolArguments(call.function.arguments) }
+                    }));
+                }
+                if (message.role === 'tool' && message.name) {
+                    converted.tool_name = message.name;
+                }
+                return converted;
+            })
+        };
+        if (Array.isArray(body.tools) && body.tools.length > 0) {
+            ollamaBody.tools = body.tools;
+        }
+        // Ollama takes the JSON Schema itself as the format
+        if (body.response_format && body.response_format.json_schema) {
+            ollamaBody.format = body.response_format.json_schema.schema;
+        }
+
+        // Sampling parameters go into the options object
+        const options = {};
+        if (body.temperature !== undefined) options.temperature = body.temperature;
+        if (body.max_tokens !== undefined) options.num_predict = body.max_tokens;
+        OLLAMA_SAMPLING_OPTIONS.forEach(field => {
+            if (body[field] !== undefined) options[field] = body[field];
+        });
+        // Ollama reloads the model when num_ctx differs from the loaded one, so every request repeats it
+        if (loadOptions.contextLength) options.num_ctx = loadOptions.contextLength;
+        if (Object.keys(options).length > 0) {
+            ollamaBody.options = options;
+        }
+        if (loadOptions.ttl) {
+            ollamaBody.keep_alive = `${loadOptions.ttl}s`;
+        }
+
+        return ollamaBody;
+    },
+
+    parseModels(data) {
+        if (!data || !Array.isArray(data.models)) return null;
+        return data.models.map(model => ({
+            ...model,
+            id: model.model || model.name
+        }));
+    },
+
+    parseRunningModels(data) {
+        if (!data || !Array.isArray(data.models)) return [];
+        return data.models.map(model => model.model || model.name);
+    },
+
+    parseCompletion(data) {
+        return {
+            content: data && data.message ? data.message.content || '' : '',
+            reasoning: data && data.message ? data.message.thinking || '' : '',
+            model: data ? data.model || null : null
+        };
+    },
+
+    // Newline-delimited JSON, see stream-parser.js
+    streamFormat: 'jsonl',
+
+    parseStreamData(line) {
+        if (!line.startsWith('{')) return null;
+
+        const data = JSON.parse(line);
+        if (data.error) {
+            throw new Error(data.error);
+        }
+
+        return {
+            content: data.message ? data.message.content || '' : '',
+            reasoning: data.message ? data.message.thinking || '' : '',
+            // Ollama sends each tool call complete, so they have no index
+            toolCalls: data.message && Array.isArray(data.message.tool_calls) && data.message.tool_calls.length > 0
+                ? data.message.tool_calls.map(call => ({
+                    index: null,
+                    id: call.id || null,
+                    name: call.function ? call.function.name || '' : '',
+                    arguments: call.function ? stringifyToolArguments(call.function.arguments || {}) : '{}'
+                }))
+                : null,
+            finishReason: data.done ? (data.done_reason || 'stop') : null,
+            // The last line carries the token counts
+            usage: data.done ? {
+                promptTokens: typeof data.prompt_eval_count === 'number' ? data.prompt_eval_count : null,
+                completionTokens: typeof data.eval_count === 'number' ? data.eval_count : null
+            } : null,
+            done: !!data.done
+        };
+    },
+
+    getLoadRequest(modelId, loadOptions = {}) {
+        const body = { model: modelId };
+        if (loadOptions.ttl) body.keep_alive = `${loadOptions.ttl}s`;
+        // Ollama sets GPU offload as a layer count (num_gpu), which a ratio can't be converted to
+        // without the model's layer count, so only the context length is passed on
+        if (loadOptions.contextLength) body.options = { num_ctx: loadOptions.contextLength };
+
+        // A generate request without a prompt loads the model into memory
+        return {
+            endpoints: [{ path: '/api/generate', method: 'POST' }],
+            body
+        };
+    },
+
+    getUnloadRequest(modelId) {
+        return {
+            endpoints: modelId ? [{ path: '/api/generate', method: 'POST' }] : [],
+            body: { model: modelId, keep_alive: 0 }
+        };
+    }
+};
+
+/**
+ * llama.cpp server adapter
+ * The server runs a single model chosen at startup, so it cannot load or unload models
+ */
+const llamaCppAdapter = {
+    id: 'llamacpp',
+    name: 'llama.cpp server',
+    defaultPort: '8080',
+    capabilities: {
+        loadUnload: false,
+        vision: true,
+        embeddings: true
+    },
+    endpoints: {
+        chat: '/v1/chat/completions',
+        models: '/v1/models',
+        embeddings: '/v1/embeddings',
+        modelInfo: [],
+        running: null,
+        restModels: null
+    },
+    supportsModellessCompletion: true,
+
+    buildChatBody(body) {
+        return body;
+    },
+
+    parseModels: parseOpenAIModels,
+    parseCompletion: parseOpenAICompletion,
+    // Server-Sent Events, see stream-parser.js
+    streamFormat: 'sse',
+    parseStreamData: parseOpenAIStreamData,
+
+    getLoadRequest() {
+        return { endpoints: [], body: null };
+    },
+
+    getUnloadRequest() {
+        return { endpoints: [], body: null };
+    }
+};
+
+/**
+ * Generic OpenAI-compatible adapter
+ * For servers like vLLM, LocalAI or text-generation-webui that only implement the OpenAI API
+ */
+const openAICompatibleAdapter = {
+    id: 'openai',
+    name: 'OpenAI-compatible',
+    defaultPort: '8000',
+    capabilities: {
+        loadUnload: false,
+        vision: true,
+        embeddings: true
+    },
+    endpoints: {
+        chat: '/v1/chat/completions',
+        models: '/v1/models',
+        embeddings: '/v1/embeddings',
+        modelInfo: [],
+        running: null,
+        restModels: null
+    },
+    supportsModellessCompletion: false,
+
+    buildChatBody(body) {
+        return body;
+    },
+
+    parseModels: parseOpenAIModels,
+    parseCompletion: parseOpenAICompletion,
+    // Server-Sent Events, see stream-parser.js
+    streamFormat: 'sse',
+    parseStreamData: parseOpenAIStreamData,
+
+    getLoadRequest() {
+        return { endpoints: [], body: null };
+    },
+
+    getUnloadRequest() {
+        return { endpoints: [], body: null };
+    }
+};
+
+const backendAdapters = {
+    [lmStudioAdapter.id]: lmStudioAdapter,
+    [ollamaAdapter.id]: ollamaAdapter,
+    [llamaCppAdapter.id]: llamaCppAdapter,
+    [openAICompatibleAdapter.id]: openAICompatibleAdapter
+};
+
+/**
+ * Gets all registered backend adapters
+ * @returns {Array} - Array of adapter objects
+ */
+export function getBackendAdapters() {
+    return Object.values(backendAdapters);
+}
+
+/**
+ * Gets the selected backend type
+ * @returns {string} - The backend type ID
+ */
+export function getBackendType() {
+    const saved = localStorage.getItem(BACKEND_TYPE_KEY);
+    return saved && backendAdapters[saved] ? saved : DEFAULT_BACKEND_TYPE;
+}
+
+/**
+ * Sets the selected backend type
+ * @param {string} type - The backend type ID
+ */
+export function setBackendType(type) {
+    const newType = backendAdapters[type] ? type : DEFAULT_BACKEND_TYPE;
+    if (newType === getBackendType()) return;
+
+    localStorage.setItem(BACKEND_TYPE_KEY, newType);
+    debugLog('Backend type set to:', newType);
+
+    document.dispatchEvent(new CustomEvent('backendTypeChanged', {
+        detail: { type: newType }
+    }));
+}
+
+/**
+ * Gets the adapter for the selected backend
+ * @returns {Object} - The active backend adapter
+ */
+export function getBackendAdapter() {
+    return backendAdapters[getBackendType()];
+}
+
+/**
+ * Checks a capability of the selected backend
+ * @param {string} capability - One of 'loadUnload', 'vision', 'embeddings'
+ * @returns {boolean} - True if the backend supports it
+ */
+export function backendSupports(capability) {
+    return !!getBackendAdapter().capabilities[capability];
+}
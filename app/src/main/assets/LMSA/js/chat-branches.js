@@ -0,0 +1,152 @@
+// Chat Branches
+// Keeps regenerated replies and edited messages as alternative branches of a chat
+// instead of overwriting what came before
+//
+// chatData.messages always holds the active path. The first message of a fork carries
+// branches: { active, tails }, where tails[i] is the list of messages of branch i from
+// that position on. The active branch's entry is null, since it lives in chatData.messages.
+// Forks further down an inactive tail keep their own branches object.
+
+/**
+ * Starts a new branch at a position of the active path
+ * The messages from that position on are kept as an alternative branch
+ * @param {Array} messages - The active path, modified in place
+ * @param {number} index - Position where the branches differ
+ * @param {Array} newTail - Messages of the new branch, at least one
+ */
+export function forkAt(messages, index, newTail) {
+    const oldTail = messages.slice(index);
+
+    // Nothing to keep, e.g. a reply that failed before any text arrived
+    if (oldTail.length === 0) {
+        messages.push(...newTail);
+        return;
+    }
+
+    const branches = oldTail[0].branches || { active: 0, tails: [null] };
+    delete oldTail[0].branches;
+    branches.tails[branches.active] = oldTail;
+    branches.tails.push(null);
+    branches.active = branches.tails.length - 1;
+
+    messages.splice(index, oldTail.length, ...newTail);
+    messages[index].branches = branches;
+}
+
+/**
+ * Makes another branch of a fork the active path
+ * @param {Array} messages - The active path, modified in place
+ * @param {number} index - Position of the fork
+ * @param {number} target - Index of the branch to show
+ * @returns {boolean} - True if the active path changed
+ */
+export function switchBranch(messages, index, target) {
+    const branches = messages[index] && messages[index].branches;
+    if (!branches || target === branches.active || !Array.isArray(branches.tails[target])) {
+        return false;
+    }
+
+    const currentTail = messages.splice(index);
+    delete currentTail[0].branches;
+    branches.tails[branches.active] = currentTail;
+
+    const nextTail = branches.tails[target];
+    branches.tails[target] = null;
+    branches.active = target;
+
+    messages.push(...nextTail);
+    messages[index].branches = branches;
+    return true;
+}
+
+/**
+ * Gets the position of a message among its alternatives
+ * @param {Object} message - A message of the active path
+ * @returns {Object|null} - {current, count} with current starting at 1, or null if it has no alternatives
+ */
+export function getBranchInfo(message) {
+    if (!message || !message.branches || !Array.isArray(message.branches.tails)) return null;
+    return { current: message.branches.active + 1, count: message.branches.tails.length };
+}
+
+/**
+ * Calls a function for every message of a chat, including those of inactive branches
+ * @param {Array} messages - The active path
+ * @param {Function} callback - Called with each message
+ */
+export function forEachMessage(messages, callback) {
+    if (!Array.isArray(messages)) return;
+
+    messages.forEach(message => {
+        callback(message);
+        if (message && message.branches && Array.isArray(message.branches.tails)) {
+            message.branches.tails.forEach(tail => forEachMessage(tail, callback));
+        }
+    });
+}
+
+/**
+ * Checks that every fork of a chat is well formed, e.g. before importing it
+ * @param {Array} messages - The active path
+ * @returns {boolean} - True if all branches can be navigated
+ */
+export function hasValidBranches(messages) {
+    return messages.every(message => {
+        if (!message || message.branches === undefined) return true;
+
+        const { active, tails } = message.branches || {};
+        if (!Array.isArray(tails) || !Number.isInteger(active) || tails[active] !== null) {
+            return false;
+        }
+
+        return tails.every((tail, i) => i === active ||
+            (Array.isArray(tail) && tail.length > 0 && hasValidBranches(tail)));
+    });
+}
+
+/**
+ * Adds "< 2/3 >" navigation to a message that has alternatives
+ * @param {HTMLElement} messageElement - The message element
+ * @param {Object} message - The history message shown by the element
+ * @param {Function} onSelect - Called with the index of the branch to show
+ */
+export function renderBranchNav(messageElement, message, onSelect) {
+    if (!messageElement) return;
+
+    const existingNav = messageElement.querySelector('.branch-nav');
+    if (existingNav) {
+        existingNav.remove();
+    }
+
+    const info = getBranchInfo(message);
+    if (!info) return;
+
+    const nav = document.createElement('div');
+    nav.classList.add('branch-nav');
+    nav.innerHTML = `
+        <button class="branch-nav-prev" title="Previous version" aria-label="Previous version" ${info.current === 1 ? 'disabled' : ''}>
+            <i class="fas fa-chevron-left"></i>
+        </button>
+        <span class="branch-nav-position">${info.current}/${info.count}</span>
+        <button class="branch-nav-next" title="Next version" aria-label="Next version" ${info.current === info.count ? 'disabled' : ''}>
+            <i class="fas fa-chevron-right"></i>
+        </button>
+    `;
+
+    nav.querySelector('.branch-nav-prev').addEventListener('click', (e) => {
+        e.stopPropagation();
+        onSelect(info.current - 2);
+    });
+    nav.querySelector('.branch-nav-next').addEventListener('click', (e) => {
+        e.stopPropagation();
+        onSelect(info.current);
+    });
+
+    // Show the navigation at the start of the message controls
+    const controls = messageElement.querySelector('.message-controls');
+    if (controls) {
+        controls.insertBefore(nav, controls.firstChild);
+    } else {
+        messageElement.appendChild(nav);
+    }
+}
@@ -1,10 +1,27 @@
 // Chat Service for handling chat functionality
 import { messagesContainer, userInput, loadedModelDisplay } from './dom-elements.js';
 import { appendMessage, showLoadingIndicator, hideLoadingIndicator, toggleSendStopButton, hideWelcomeMessage, showWelcomeMessage, toggleSidebar, showConfirmationModal, hideConfirmationModal, updateChatHistoryScroll } from './ui-manager.js';
-import { getApiUrl, getAvailableModels, isServerRunning, fetchAvailableModels } from './api-service.js';
-import { getSystemPrompt, getTemperature, isSystemPromptSet, getAutoGenerateTitles, isUserCreatedPrompt, getHideThinking, getReasoningTimeout, getAutoScrollEnabled } from './settings-manager.js';
-import { sanitizeInput, basicSanitizeInput, initializeCodeMirror, scrollToBottom, handleScroll, debugLog, debugError, filterToEnglishCharacters, processCodeBlocks, decodeHtmlEntities, refreshAllCodeBlocks, containsCodeBlocks, containsCodeBlocksOutsideThinkTags, saveCurrentChatBeforeRefresh, removeThinkTags, hideScrollToBottomButton } from './utils.js';
+import { getApiUrl, getAvailableModels, fetchAvailableModels, getRequestHeaders, getModelMetadata, loadModel, invalidateModelInfoCache } from './api-service.js';
+import { ensureServerReachable, reportConnectionSuccess, requestConnectionCheck } from './connection-monitor.js';
+import { getBackendAdapter } from './backend-adapters.js';
+import { getModelLoadOptions } from './model-load-options.js';
+import { request, cancelGroup, NetworkError, TimeoutError } from './http-client.js';
+import { StreamDecoder, ReasoningMerger, ToolCallCollector } from './stream-parser.js';
+import { ResponseStats, renderStatsFooter } from './response-stats.js';
+import { fitMessagesToContext, getAttachmentCharBudget, showContextUsage, refreshContextUsage, getCarryTopicSummary, summarizeEarlierTopics, addSummaryToHead, summarizeMessages, needsCompaction, getAutoCompactThreshold } from './context-manager.js';
+import { createTopicBoundary, splitAtLastTopic, moveTopicBoundary, removeTopicBoundary, createTopicBoundaryElement, renderTopicOutline } from './topic-boundaries.js';
+import { createCompactionSummary, splitAtLastCompaction, removeCompactionSummary, getCompactionPoints, createCompactionElement, KEEP_RECENT_TURNS } from './compaction.js';
+import { forkAt, switchBranch, forEachMessage, renderBranchNav } from './chat-branches.js';
+import { createResponseCheckpoint, takeResponseCheckpoint } from './response-checkpoint.js';
+import { getSamplingParams } from './sampling-params.js';
+import { getLocalToolsEnabled, getToolDefinitions, runToolCalls, buildToolMessages, renderToolCards, MAX_TOOL_ROUNDS } from './local-tools.js';
+import { isCompareModeActive, getCompareModels, createCompareView, setCompareColumnStatus, showCompareChoice } from './model-compare.js';
+import { getStructuredOutput, buildResponseFormat, checkStructuredResponse, renderStructuredOutput } from './structured-output.js';
+import { getSystemPrompt, getTemperature, isSystemPromptSet, getAutoGenerateTitles, isUserCreatedPrompt, getHideThinking, getReasoningTimeout, getAutoScrollEnabled, getSendReasoningToModel } from './settings-manager.js';
+import { sanitizeInput, basicSanitizeInput, initializeCodeMirror, scrollToBottom, handleScroll, debugLog, debugError, filterToEnglishCharacters, processCodeBlocks, decodeHtmlEntities, refreshAllCodeBlocks, containsCodeBlocks, containsCodeBlocksOutsideThinkTags, saveCurrentChatBeforeRefresh, removeThinkTags, splitReasoning, joinReasoning, hideScrollToBottomButton } from './utils.js';
 import { setActionToPerform } from './shared-state.js';
+import { getActiveServerProfileId, getServerProfile, setPendingServerProfileSwitch } from './server-profiles.js';
+import { setPendingModelSwitch } from './model-switcher.js';
 
 let currentChatId = Date.now();
 let chatHistoryData = {};
@@ -15,6 +32,9 @@ let isGenerating = false;
 let isNewTopic = false;
 let isGeneratingTitle = false;
 
+// How long a streamed reply may go without data before it is stopped (reasoning models may pause during thinking)
+const CHUNK_TIMEOUT_MS = 120000;
+
 // Export state variables only
 export {
     chatHistoryData,
@@ -23,6 +43,24 @@ export {
     isFirstMessage // Export as a value, not a function
 };
 
+/**
+ * Gets the cancellation group for a chat's requests
+ * @param {number|string} chatId - The chat ID (defaults to the current chat)
+ * @returns {string} - The group name
+ */
+function getChatRequestGroup(chatId = currentChatId) {
+    return `chat:${chatId}`;
+}
+
+/**
+ * Cancels every request in flight for a chat (response, regeneration and title generation)
+ * @param {number|string} chatId - The chat ID (defaults to the current chat)
+ * @returns {number} - Number of requests cancelled
+ */
+export function cancelChatRequests(chatId = currentChatId) {
+    return cancelGroup(getChatRequestGroup(chatId));
+}
+
 // Function to set isFirstMessage
 export function setIsFirstMessage(value) {
     isFirstMessage = value;
@@ -49,6 +87,466 @@ function getSelectedModel() {
     return availableModels.length > 0 ? availableModels[0] : 'unknown_model';
 }
 
+/**
+ * Creates an assistant message for the chat history, recording the model that wrote it
+ * Reasoning is stored in its own field rather than inline in the content
+ * @param {string} text - The response text, possibly with <think> blocks
+ * @param {string} [model] - The model the response was requested from
+ * @param {Object} [stats] - Token usage and speed from ResponseStats
+ * @param {Object} [extras] - {toolCalls, structured, incomplete}: tools the model called while answering, the
+ *                            result of checking a structured reply against the chat's schema, and why the
+ *                            reply ended early ('stopped') if it did
+ * @returns {Object} - The history message
+ */
+function createAssistantMessage(text, model, stats, extras = {}) {
+    const { content, reasoning } = splitReasoning(text);
+    const message = { role: 'assistant', content };
+    if (reasoning) {
+        message.reasoning = reasoning;
+    }
+    if (model && model !== 'unknown_model') {
+        message.model = model;
+    }
+    if (stats) {
+        message.stats = stats;
+    }
+    if (extras.toolCalls && extras.toolCalls.length > 0) {
+        message.toolCalls = extras.toolCalls;
+    }
+    if (extras.structured) {
+        message.structured = extras.structured;
+    }
+    if (extras.incomplete) {
+        message.incomplete = extras.incomplete;
+    }
+    return message;
+}
+
+/**
+ * Checks whether a reply ended before the model finished it, so it can be continued
+ * @param {Object} message - A history message
+ * @returns {boolean} - True if the reply hit the token limit or was stopped
+ */
+function canContinueResponse(message) {
+    if (!message || message.role !== 'assistant' || !(message.content || message.reasoning)) return false;
+    return Boolean(message.incomplete) || Boolean(message.stats && message.stats.finishReason === 'length');
+}
+
+/**
+ * Adds a Continue button to the last reply of the chat if it was cut short
+ * Only the last reply can be continued, so the button is removed from any other message
+ * A reply the app was closed during is also marked as interrupted
+ * @param {HTMLElement} messageElement - The element of the last reply
+ */
+export function showContinueAction(messageElement) {
+    messagesContainer.querySelectorAll('.continue-btn, .interrupted-notice').forEach(element => element.remove());
+    messagesContainer.querySelectorAll('.continue-available').forEach(element => element.classList.remove('continue-available'));
+
+    const chatData = chatHistoryData[currentChatId];
+    const messages = chatData ? (Array.isArray(chatData) ? chatData : chatData.messages) : null;
+    const lastMessage = messages && messages.length > 0 ? messages[messages.length - 1] : null;
+    const controls = messageElement ? messageElement.querySelector('.message-controls') : null;
+    if (!controls || !canContinueResponse(lastMessage)) return;
+
+    const continueButton = document.createElement('button');
+    continueButton.classList.add(
+        'continue-btn',
+        'flex',
+        'items-center',
+        'hover:text-blue-400',
+        'transition-colors',
+        'duration-300'
+    );
+    continueButton.innerHTML = '<i class="fas fa-forward"></i><span>Continue</span>';
+    continueButton.title = 'Continue this response';
+    continueButton.setAttribute('aria-label', 'Continue response');
+    continueButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        continueLastResponse();
+    });
+    controls.appendChild(continueButton);
+    // Keep the controls visible, a cut-off reply needs the button to be noticed
+    messageElement.classList.add('continue-available');
+
+    if (lastMessage.incomplete === 'interrupted') {
+        const notice = document.createElement('div');
+        notice.classList.add('interrupted-notice');
+        notice.innerHTML = '<i class="fas fa-exclamation-triangle"></i><span>Interrupted: the app was closed before this reply finished. Continue it or regenerate it.</span>';
+        controls.parentNode.insertBefore(notice, controls);
+    }
+}
+
+/**
+ * Shows reply text while it streams, honoring the hide-thinking setting
+ * @param {HTMLElement} contentContainer - The message content element
+ * @param {string} text - The reply text so far
+ */
+function renderStreamingText(contentContainer, text) {
+    const hasThinkTags = text.includes('<think>') || text.includes('</think>');
+    if (!hasThinkTags) {
+        contentContainer.innerHTML = basicSanitizeInput(text);
+    } else if (getHideThinking()) {
+        contentContainer.innerHTML = basicSanitizeInput(text.replace(/<think>[\s\S]*?(?:<\/think>|$)/g, ''));
+    } else {
+        contentContainer.innerHTML = sanitizeInput(text);
+    }
+}
+
+/**
+ * Combines the statistics of a reply with those of its continuation
+ * @param {Object|null} previous - Statistics of the reply so far
+ * @param {Object|null} next - Statistics of the continuation
+ * @returns {Object|null} - The statistics of the whole reply
+ */
+function mergeResponseStats(previous, next) {
+    if (!previous || !next) return next || previous;
+    return {
+        ...next,
+        completionTokens: previous.completionTokens + next.completionTokens,
+        estimated: previous.estimated || next.estimated,
+        timeToFirstToken: previous.timeToFirstToken
+    };
+}
+
+/**
+ * Runs the tool calls a streamed reply ended with and adds them to the request, so it can be sent again
+ * @param {Object} requestBody - The request, whose messages get the calls and their results
+ * @param {Array} calls - Calls from ToolCallCollector
+ * @param {string} roundText - Text the model wrote before calling the tools
+ * @param {Array} toolCalls - Calls of the whole reply, the new ones are added
+ * @param {HTMLElement} aiMessageElement - The AI message element that shows them
+ */
+async function answerToolCalls(requestBody, calls, roundText, toolCalls, aiMessageElement) {
+    debugLog(`Model called ${calls.length} tool(s):`, calls.map(call => call.name).join(', '));
+    const executed = await runToolCalls(calls);
+    toolCalls.push(...executed);
+    renderToolCards(aiMessageElement, toolCalls);
+
+    // Earlier reasoning is not sent back, like in the chat history
+    requestBody.messages.push(...buildToolMessages(splitReasoning(roundText).content, executed));
+}
+
+/**
+ * Builds a streamed chat request with the user's settings and the chat's tools and schema,
+ * leaving out older history that doesn't fit the model's context window
+ * @param {Object} chatData - The chat, for its sampling overrides, schema and summaries
+ * @param {Array} messages - Messages to send, from buildRequestMessages
+ * @param {string} modelId - The model the request goes to
+ * @param {Object} [options] - {tools}: whether the model may call the built-in tools (default true)
+ * @returns {Promise<Object>} - {requestBody, structuredOutput, context}, context being the result of fitMessagesToContext
+ */
+async function buildChatRequest(chatData, messages, modelId, { tools = true } = {}) {
+    const requestBody = {
+        model: modelId,
+        messages,
+        temperature: getTemperature(),
+        stream: true,
+        // Ask for token counts in the last streamed event
+        stream_options: { include_usage: true },
+    };
+
+    // Add max_tokens only if it's set to a valid value
+    const maxTokens = getMaxTokens();
+    if (maxTokens > 0) {
+        requestBody.max_tokens = maxTokens;
+    }
+
+    // Add the sampling parameters the user changed from the server defaults
+    Object.assign(requestBody, getSamplingParams(chatData));
+
+    // Let the model call the built-in tools
+    if (tools && getLocalToolsEnabled()) {
+        requestBody.tools = getToolDefinitions();
+    }
+
+    // Ask for JSON that follows the chat's schema
+    const structuredOutput = getStructuredOutput(chatData, currentChatId);
+    if (structuredOutput) {
+        requestBody.response_format = buildResponseFormat(structuredOutput);
+    }
+
+    const context = await fitMessagesToContext(requestBody.messages, {
+        modelId,
+        maxTokens,
+        chatData,
+        requestGroup: getChatRequestGroup()
+    });
+    requestBody.messages = context.messages;
+
+    return { requestBody, structuredOutput, context };
+}
+
+/**
+ * Streams a reply, answering the tools the model calls and sending the request again with their results
+ * The reply stops with an AbortError when the signal is aborted or no data arrives for CHUNK_TIMEOUT_MS
+ * @param {Object} requestBody - The request from buildChatRequest, tool rounds add their messages to it
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Stops the reply
+ * @param {ResponseStats} options.responseStats - Records token usage and speed
+ * @param {string} options.timeoutMessage - Error message when the server doesn't start answering in time
+ * @param {Function} options.onText - Called with (deltaText, text) as the reply arrives, text being the reply so far
+ * @param {Function} [options.onToolCalls] - Called with (calls, roundText) to answer tool calls, which are ignored without it
+ * @returns {Promise<string>} - The text of the reply
+ */
+async function streamChatResponse(requestBody, { signal, responseStats, timeoutMessage, onText, onToolCalls = null }) {
+    const backend = getBackendAdapter();
+
+    // Stopped by the caller or by the chunk timeout
+    const streamController = new AbortController();
+    const abortStream = () => streamController.abort();
+    if (signal.aborted) {
+        abortStream();
+    } else {
+        signal.addEventListener('abort', abortStream, { once: true });
+    }
+
+    let chunkTimeoutId = null;
+    const resetChunkTimeout = () => {
+        clearTimeout(chunkTimeoutId);
+        chunkTimeoutId = setTimeout(() => {
+            debugLog(`No data received for ${CHUNK_TIMEOUT_MS / 1000} seconds, aborting stream`);
+            abortStream();
+        }, CHUNK_TIMEOUT_MS);
+    };
+
+    const sendChatRequest = async () => {
+        let response;
+        try {
+            response = await request(getApiUrl(), {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: backend.buildChatBody(requestBody, getModelLoadOptions(requestBody.model)),
+                // Configurable, reasoning models can take long to start answering
+                timeoutMs: getReasoningTimeout() * 1000,
+                signal: streamController.signal,
+                group: getChatRequestGroup()
+            });
+        } catch (requestError) {
+            if (requestError instanceof TimeoutError) {
+                throw new Error(timeoutMessage);
+            }
+            throw requestError;
+        }
+        reportConnectionSuccess();
+        resetChunkTimeout();
+        return response.body.getReader();
+    };
+
+    let text = '';
+    let toolRounds = 0;
+    // Where the text of the current round starts
+    let roundStart = 0;
+
+    try {
+        while (true) {
+            const reader = await sendChatRequest();
+            // Parses the backend's stream format (Server-Sent Events or JSON lines) across network reads
+            const streamDecoder = new StreamDecoder(backend);
+            // Reasoning sent in its own field is shown as a <think> block, like inline reasoning
+            const reasoningMerger = new ReasoningMerger();
+            // Tool calls arrive in fragments, they are run once the stream ends
+            const toolCallCollector = new ToolCallCollector();
+
+            while (true) {
+                const { done, value } = await reader.read();
+                if (!done) {
+                    resetChunkTimeout();
+                }
+
+                // Parse the complete events in this read - partial lines and characters wait for the next one
+                // When the stream ends, take whatever is still buffered
+                const deltas = done ? streamDecoder.flush() : streamDecoder.push(value);
+                for (const delta of deltas) {
+                    responseStats.record(delta);
+                    toolCallCollector.push(delta);
+                    const deltaText = reasoningMerger.push(delta);
+                    if (deltaText) {
+                        text += deltaText;
+                        onText(deltaText, text);
+                    }
+                }
+
+                if (done) {
+                    break;
+                }
+            }
+
+            // The model asked for tools: run them and continue the reply with their results
+            const calls = toolCallCollector.getCalls();
+            if (!onToolCalls || calls.length === 0 || toolRounds >= MAX_TOOL_ROUNDS) {
+                return text;
+            }
+            toolRounds++;
+            // The server isn't sending anything while the tools run
+            clearTimeout(chunkTimeoutId);
+            await onToolCalls(calls, text.slice(roundStart));
+            roundStart = text.length;
+        }
+    } finally {
+        clearTimeout(chunkTimeoutId);
+        signal.removeEventListener('abort', abortStream);
+    }
+}
+
+/**
+ * Prepares a history message for the API request
+ * Reasoning from earlier replies is left out unless the user chose to send it,
+ * and alternative branches are never sent
+ * @param {Object} msg - The history message
+ * @returns {Object} - The message to send
+ */
+function toApiMessage(msg) {
+    if (msg.role !== 'assistant') {
+        if (!msg.branches) return msg;
+        const { branches, ...message } = msg;
+        return message;
+    }
+
+    // Older chats kept reasoning inline in the content
+    const { content, reasoning } = splitReasoning(msg.content);
+    const allReasoning = [msg.reasoning, reasoning].filter(Boolean).join('\n\n');
+
+    return {
+        role: 'assistant',
+        content: getSendReasoningToModel() ? joinReasoning(content, allReasoning) : content
+    };
+}
+
+/**
+ * Starts the messages of a request with the system prompt and the history of the current topic
+ * Messages before the last topic boundary are not sent, unless the user chose to carry a summary of them,
+ * and compacted messages are replaced by their summary
+ * @param {Object} chatData - The chat, where the summary of earlier topics is cached
+ * @param {Array} history - History messages to send, oldest first
+ * @param {string} modelId - The model the request goes to
+ * @returns {Promise<Array>} - Messages for the request
+ */
+async function buildRequestMessages(chatData, history, modelId) {
+    const { earlier, current } = splitAtLastTopic(history);
+    const { summary: compaction, after } = splitAtLastCompaction(current);
+
+    // Add the system prompt only if one is explicitly set by the user
+    // Note: No default system prompt is added to allow reasoning models to behave naturally
+    let head = [];
+    const systemPrompt = getSystemPrompt();
+    if (systemPrompt && systemPrompt.trim() !== '') {
+        head.push({ role: 'system', content: systemPrompt });
+    }
+
+    if (earlier.length > 0 && getCarryTopicSummary()) {
+        try {
+            const topicMessages = earlier.filter(msg => !msg.isCompactionSummary);
+            const summary = await summarizeEarlierTopics(topicMessages.map(toApiMessage), chatData, modelId, getChatRequestGroup());
+            head = addSummaryToHead(head, summary, 'Summary of earlier topics in this chat');
+        } catch (error) {
+            // Without a summary the earlier topics are simply left out
+            debugError('Error summarizing earlier topics, leaving them out:', error);
+        }
+    }
+
+    if (compaction) {
+        head = addSummaryToHead(head, compaction.content, 'Summary of the conversation so far');
+    }
+
+    return [...head, ...after.map(toApiMessage)];
+}
+
+/**
+ * Summarizes the messages of the current topic before a point and pins the summary there
+ * Messages already covered by an earlier summary are summarized again through it
+ * @param {Array} messages - The chat's messages, modified in place
+ * @param {number} index - Position of the user message the summary goes before, from getCompactionPoints
+ * @param {string} modelId - The model that writes the summary
+ */
+async function compactMessages(messages, index, modelId) {
+    if (!getCompactionPoints(messages).includes(index)) {
+        throw new Error('There is nothing to compact before this message');
+    }
+
+    const { summary: previous, after } = splitAtLastCompaction(splitAtLastTopic(messages.slice(0, index)).current);
+    const summary = await summarizeMessages(after.map(toApiMessage), previous ? previous.content : '', modelId, getChatRequestGroup());
+    const compactedCount = after.length + (previous ? previous.compactedCount || 0 : 0);
+
+    messages.splice(index, 0, createCompactionSummary(summary, compactedCount, modelId));
+    saveChatHistory();
+    debugLog(`Compacted ${compactedCount} messages before position ${index}`);
+}
+
+/**
+ * Compacts the current chat up to a point, see compactMessages
+ * @param {number} index - Position of the user message the summary goes before
+ * @returns {Promise<boolean>} - True if the chat was compacted
+ */
+export async function compactCurrentChat(index) {
+    if (isGenerating) {
+        debugLog('Not compacting while a response is being generated');
+        return false;
+    }
+
+    const chatData = chatHistoryData[currentChatId];
+    if (!chatData) return false;
+    const messages = Array.isArray(chatData) ? chatData : chatData.messages;
+
+    // Keeps new messages from being sent while the summary is written
+    isGenerating = true;
+    showLoadingIndicator();
+    try {
+        await compactMessages(messages, index, getSelectedModel());
+        lazyLoadMessages(messages, 0, 50);
+        refreshContextUsage(messages.map(toApiMessage), getSelectedModel());
+        return true;
+    } catch (error) {
+        debugError('Error compacting the chat:', error);
+        if (error instanceof NetworkError) {
+            requestConnectionCheck();
+        }
+        appendMessage('error', 'The conversation could not be compacted: ' + error.message);
+        return false;
+    } finally {
+        isGenerating = false;
+        hideLoadingIndicator();
+    }
+}
+
+/**
+ * Compacts the current chat before a request if it fills more of the context than the user allows
+ * The most recent turns, including the new message, are kept
+ * @param {Object} chatData - The chat
+ * @param {Array} messages - The chat's messages, ending with the new user message
+ * @param {string} modelId - The model the request goes to
+ */
+async function compactIfNeeded(chatData, messages, modelId) {
+    if (getAutoCompactThreshold() === null) return;
+    if (!needsCompaction(await buildRequestMessages(chatData, messages, modelId), modelId)) return;
+
+    const points = getCompactionPoints(messages);
+    if (points.length < KEEP_RECENT_TURNS) return;
+
+    try {
+        await compactMessages(messages, points[points.length - KEEP_RECENT_TURNS], modelId);
+        lazyLoadMessages(messages, 0, 50);
+    } catch (error) {
+        // The request is still sent, the context strategy trims what doesn't fit
+        debugError('Error compacting the chat automatically:', error);
+    }
+}
+
+/**
+ * Gets the model a chat was last answered by
+ * @param {string} [chatId] - The chat ID, defaults to the current chat
+ * @returns {string|null} - The model ID, or null if no response recorded one
+ */
+export function getChatModel(chatId = currentChatId) {
+    const chatData = chatHistoryData ? chatHistoryData[chatId] : null;
+    const messages = chatData && Array.isArray(chatData.messages) ? chatData.messages : [];
+    for (let i = messages.length - 1; i >= 0; i--) {
+        if (messages[i].role === 'assistant' && messages[i].model) {
+            return messages[i].model;
+        }
+    }
+    return null;
+}
+
 /**
  * Gets the maximum tokens value from settings
  * @returns {number} - The maximum tokens value or 0 if not set
@@ -107,6 +605,10 @@ async function generateAIResponseWithRetry(userMessage, fileContents = [], retry
  * @param {Array} fileContents - Optional array of file contents
  */
 export async function generateAIResponse(userMessage, fileContents = []) {
+    // In compare mode every selected model answers instead of the loaded one
+    if (isCompareModeActive()) {
+        return await generateComparison(userMessage, fileContents, getCompareModels());
+    }
     return await generateAIResponseWithRetry(userMessage, fileContents);
 }
 
@@ -118,6 +620,8 @@ export async function generateAIResponse(userMessage, fileContents = []) {
 async function generateAIResponseInternal(userMessage, fileContents = []) {
     showLoadingIndicator();
     ensureFirstMessageInitialized();
+    // Only the newest reply can be continued
+    showContinueAction(null);
 
     // Reset the flags
     isGenerating = true;
@@ -132,13 +636,13 @@ async function generateAIResponseInternal(userMessage, fileContents = []) {
 
     let aiMessage = '';
     let hasCodeBlock = false; // Track if we detected a code block
-
-    // Declare timeout variables outside try block to ensure they're accessible in finally block
-    let streamingTimeoutId;
-    let chunkTimeoutId;
+    // Keeps the text that arrived when the reply is stopped, set once the request is sent
+    let savePartialResponse = null;
+    // Keeps the reply in storage while it streams, in case the app is closed before it ends
+    let checkpoint = null;
 
     try {
-        if (!(await isServerRunning())) {
+        if (!(await ensureServerReachable())) {
             throw new Error('LM Studio server is not running');
         }
 
@@ -160,29 +664,13 @@ async function generateAIResponseInternal(userMessage, fileContents = []) {
         // Get the selected model
         const selectedModel = getSelectedModel();
 
-        // Create the messages array
-        const messages = [];
-
-        // Add the system prompt only if one is explicitly set by the user
-        const systemPrompt = getSystemPrompt();
-        if (systemPrompt && systemPrompt.trim() !== '') {
-            messages.push({ role: 'system', content: systemPrompt });
-        }
-        // Note: No default system prompt is added to allow reasoning models to behave naturally
-
-
-        // Add chat history from previous messages
-        if (chatHistoryData[currentChatId]) {
-            // Get the messages from the chat history
-            const chatMessages = Array.isArray(chatHistoryData[currentChatId])
-                ? chatHistoryData[currentChatId]
-                : chatHistoryData[currentChatId].messages;
-
-            // Add each message to the messages array
-            for (const msg of chatMessages) {
-                messages.push(msg);
-            }
-        }
+        // Create the messages array from the system prompt and the current topic of the chat history
+        const chatMessages = !chatHistoryData[currentChatId] ? [] : (Array.isArray(chatHistoryData[currentChatId])
+            ? chatHistoryData[currentChatId]
+            : chatHistoryData[currentChatId].messages);
+        // Summarize older messages first if the chat grew past the auto compact threshold
+        await compactIfNeeded(chatHistoryData[currentChatId], chatMessages, selectedModel);
+        const messages = await buildRequestMessages(chatHistoryData[currentChatId], chatMessages, selectedModel);
 
         // If files are attached, enhance the last user message in the messages array
         // (which was already added to chat history and included above)
@@ -289,7 +777,13 @@ async function generateAIResponseInternal(userMessage, fileContents = []) {
                 if (nonImageFiles.length > 0) {
                     try {
                         const { prepareFilesForLLM } = await import('./file-upload.js');
-                        const formattedFileContent = await prepareFilesForLLM(nonImageFiles);
+                        // The images are already in the content, so the budget accounts for them
+                        const attachmentBudget = getAttachmentCharBudget(
+                            [...messages.slice(0, lastUserMessageIndex), { role: 'user', content }],
+                            getSelectedModel(),
+                            getMaxTokens()
+                        );
+                        const formattedFileContent = await prepareFilesForLLM(nonImageFiles, attachmentBudget);
                         
                         if (formattedFileContent.trim()) {
                             content[0].text += `\n\n${formattedFileContent}`;
@@ -306,11 +800,13 @@ async function generateAIResponseInternal(userMessage, fileContents = []) {
             } else {
                 // For non-vision models, embed all file contents as text
                 const lastUserMessageIndex = messages.length - 1;
+                // Fit the files into the room the context window leaves
+                const attachmentBudget = getAttachmentCharBudget(messages, getSelectedModel(), getMaxTokens());
                 
                 // Import the prepareFilesForLLM function to format files properly
                 try {
                     const { prepareFilesForLLM } = await import('./file-upload.js');
-                    const formattedFileContent = await prepareFilesForLLM(fileContents);
+                    const formattedFileContent = await prepareFilesForLLM(fileContents, attachmentBudget);
                     
                     // Log the formatted content length for debugging
                     console.log(`Formatted file content length: ${formattedFileContent.length} characters`);
@@ -324,8 +820,8 @@ async function generateAIResponseInternal(userMessage, fileContents = []) {
                     let fileContent = '';
                     
                     for (const file of fileContents) {
-                        // Conservative length limit for safety
-                        const maxLength = file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf') ? 25000 : 40000;
+                        // Each file gets an even share of the context budget
+                        const maxLength = Math.floor(attachmentBudget / fileContents.length);
                         
                         let content = file.content;
                         if (content.length > maxLength) {
@@ -341,383 +837,221 @@ async function generateAIResponseInternal(userMessage, fileContents = []) {
             }
         }
 
-        // Create request body
-        const requestBody = {
-            model: getSelectedModel(),
-            messages: messages,
-            temperature: getTemperature(),
-            stream: true,
-        };
-
-        // Add max_tokens only if it's set to a valid value
-        const maxTokens = getMaxTokens();
-        if (maxTokens > 0) {
-            requestBody.max_tokens = maxTokens;
-        }
+        const { requestBody, structuredOutput, context } = await buildChatRequest(chatHistoryData[currentChatId], messages, selectedModel);
+        showContextUsage(context.usedTokens, context.contextLength, context.droppedCount);
 
         console.log('Preparing to send API request...');
         console.log('Request body messages count:', requestBody.messages.length);
         console.log('Last message structure:', JSON.stringify(requestBody.messages[requestBody.messages.length - 1], null, 2).substring(0, 500));
         debugLog('Sending API request with body:', requestBody);
 
-        // Create decoder for handling streamed UTF-8 data
-        const decoder = new TextDecoder('utf-8');
-        let incompleteChunk = new Uint8Array();
-
-        // Determine the API URL based on server type
-        const apiUrl = getApiUrl();
-
         // Monaco Editor removed - no need to track initialization
         // to avoid unnecessary repeated initializations during streaming
         let hasInitializedCodeBlocks = false;
 
-        // Create a timeout for the streaming response (configurable for reasoning models)
-        const streamingTimeoutMs = getReasoningTimeout() * 1000; // Convert seconds to milliseconds
-
-        // Create a promise that rejects after the timeout
-        const timeoutPromise = new Promise((_, reject) => {
-            streamingTimeoutId = setTimeout(() => {
-                if (abortController) {
-                    abortController.abort();
-                }
-                reject(new Error('Streaming response timed out. This may happen with reasoning models during long thinking processes. Please try again.'));
-            }, streamingTimeoutMs);
-        });
-
-        // Send the request to the API with timeout protection
-        console.log('Sending fetch request to:', apiUrl);
-        const fetchPromise = fetch(apiUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(requestBody),
-            signal: signal
-        });
-
-        // Race between fetch and timeout
-        console.log('Waiting for API response...');
-        const response = await Promise.race([fetchPromise, timeoutPromise]);
-        console.log('Received response, status:', response.status, response.statusText);
-
-        if (!response.ok) {
-            console.error('API request failed with status:', response.status, response.statusText);
-            let errorText;
-            try {
-                const errorData = await response.json();
-                console.error('Error data from API:', errorData);
-                errorText = errorData.error || errorData.message || `HTTP Error: ${response.status} ${response.statusText}`;
-            } catch (jsonError) {
-                console.error('Failed to parse error response:', jsonError);
-                errorText = `HTTP Error: ${response.status} ${response.statusText}`;
-            }
-
-            console.error('Throwing error:', errorText);
-            throw new Error(errorText);
-        }
-
-        const reader = response.body.getReader();
-
-        // Clear the initial timeout since we got a response
-        if (streamingTimeoutId) {
-            clearTimeout(streamingTimeoutId);
-        }
+        // Measures token usage and speed, starting before the request so waiting for the server counts
+        const responseStats = new ResponseStats();
+        const toolCalls = [];
+
+        const generationChatId = currentChatId;
+        checkpoint = createResponseCheckpoint({ chatId: generationChatId, index: chatMessages.length, mode: 'reply', model: requestBody.model });
+        savePartialResponse = async () => {
+            // Switching chats also stops the reply, but it belongs to the chat it was asked in
+            if (currentChatId !== generationChatId || !aiMessage.trim()) return;
+            await updateChatHistory(userMessage, aiMessage, fileContents, requestBody.model, responseStats.finish(), { toolCalls, incomplete: 'stopped' });
+            showContinueAction(aiMessageElement);
+        };
 
         // Track streaming progress for reasoning models
-        let lastChunkTime = Date.now();
         let isInThinkingProcess = false;
         let thinkingStartTime = null;
-        
-        // Streaming progress tracking for reasoning models
 
-        // Create a new timeout for the streaming process (reset on each chunk)
-        const resetChunkTimeout = () => {
-            if (chunkTimeoutId) {
-                clearTimeout(chunkTimeoutId);
+        // Create the AI message bubble on first content arrival
+        const ensureMessageElement = () => {
+            if (aiMessageElement) return;
+            aiMessageElement = appendMessage('ai', '');
+            contentContainer = aiMessageElement.querySelector('.message-content');
+            if (!contentContainer) {
+                throw new Error('Could not find message content container for AI message');
             }
-            // 2 minutes timeout between chunks (reasoning models may pause during thinking)
-            chunkTimeoutId = setTimeout(() => {
-                debugLog('No data received for 2 minutes, aborting stream');
-                if (abortController) {
-                    abortController.abort();
-                }
-            }, 120000); // 2 minutes
         };
 
-        resetChunkTimeout();
-
-        while (true) {
-            const { done, value } = await reader.read();
+        aiMessage = await streamChatResponse(requestBody, {
+            signal,
+            responseStats,
+            timeoutMessage: 'Streaming response timed out. This may happen with reasoning models during long thinking processes. Please try again.',
+            onText: (deltaText, text) => {
+                ensureMessageElement();
+                aiMessage = text;
+                checkpoint.save(aiMessage);
+
+                // Track thinking process for progress indication
+                const hasThinkTags = aiMessage.includes('<think>') || aiMessage.includes('</think>');
+                const currentlyInThinking = hasThinkTags && aiMessage.lastIndexOf('</think>') < aiMessage.lastIndexOf('<think>');
+
+                // Detect start of thinking process
+                if (!isInThinkingProcess && currentlyInThinking) {
+                    isInThinkingProcess = true;
+                    thinkingStartTime = Date.now();
+                    debugLog('Reasoning model started thinking process');
+                }
 
-            if (done) {
-                // Clear chunk timeout when stream is complete
-                if (chunkTimeoutId) {
-                    clearTimeout(chunkTimeoutId);
+                // Detect end of thinking process
+                if (isInThinkingProcess && !currentlyInThinking && aiMessage.includes('</think>')) {
+                    isInThinkingProcess = false;
+                    const thinkingDuration = Date.now() - thinkingStartTime;
+                    debugLog(`Reasoning model completed thinking process in ${thinkingDuration}ms`);
                 }
-                
-                // Immediately terminate the connection when done is true
-                if (abortController) {
-                    debugLog('Terminating connection as stream is complete');
-                    try {
-                        // Store reference and clear global reference immediately
-                        const controller = abortController;
-                        abortController = null;
-                        
-                        // Abort the controller to ensure connection is closed
-                        controller.abort();
-                        
-                        // Force UI state reset immediately
-                        hideLoadingIndicator();
-                        const stopButton = document.getElementById('stop-button');
-                        if (stopButton && !stopButton.classList.contains('hidden')) {
-                            toggleSendStopButton();
+
+                // Check if this is a code block outside of think tags
+                if (!hasCodeBlock &&
+                    (deltaText.includes('```') ||
+                     aiMessage.includes('```'))) {
+
+                    // Only trigger reload for code blocks outside think tags
+                    if (containsCodeBlocksOutsideThinkTags(aiMessage)) {
+                        hasCodeBlock = true;
+
+                        // Special handling for first message - detect code blocks early
+                        if (isFirstMessage) {
+                            // Check if we have a complete code block already (outside think tags)
+                            const contentWithoutThinkTags = aiMessage.replace(/<think>[\s\S]*?<\/think>/g, '');
+                            const codeBlockStart = contentWithoutThinkTags.indexOf('```');
+                            const codeBlockEnd = contentWithoutThinkTags.indexOf('```', codeBlockStart + 3);
+
+                            // If we have a complete code block in first message (outside think tags),
+                            // prepare for faster reload by setting up flag
+                            if (codeBlockStart !== -1 && codeBlockEnd !== -1) {
+                                debugLog('Complete code block detected outside think tags in first message, preparing for fast reload');
+                                hasInitializedCodeBlocks = true; // Mark as detected for reload
+
+                                // Code block detected - no longer triggering reload
+                            }
                         }
-                    } catch (abortError) {
-                        debugLog('Error when closing connection:', abortError);
                     }
                 }
-                
-                break;
-            }
 
-            // Reset timeout since we received data
-            lastChunkTime = Date.now();
-            resetChunkTimeout();
+                // Apply the appropriate sanitization based on hide-thinking setting
+                const hideThinking = getHideThinking();
+                // hasThinkTags already declared above, reuse it
 
-            // If we have an incomplete chunk from a previous iteration, combine it with the new value
-            let processedChunk;
-            if (incompleteChunk.length > 0) {
-                // Combine the incomplete chunk with the new chunk
-                processedChunk = new Uint8Array(incompleteChunk.length + value.length);
-                processedChunk.set(incompleteChunk);
-                processedChunk.set(value, incompleteChunk.length);
-                // Reset the incomplete chunk
-                incompleteChunk = new Uint8Array();
-            } else {
-                processedChunk = value;
-            }
+                // Check if we're in a thinking section (between <think> and </think>)
+                const inThinkingSection = hasThinkTags && aiMessage.lastIndexOf('</think>') < aiMessage.lastIndexOf('<think>');
 
-            // Try to decode the chunk as UTF-8
-            let chunkText;
-            try {
-                // Decode the chunk, keeping incomplete sequences in the buffer
-                chunkText = decoder.decode(processedChunk, { stream: true });
-            } catch (e) {
-                // If decoding fails, store the chunk for the next iteration
-                incompleteChunk = processedChunk;
-                debugLog('UTF-8 decoding error, storing chunk for next iteration:', e);
-                continue;
-            }
-
-            // Handle the data stream based on format (OpenAI, Anthropic, etc.)
-            if (chunkText.startsWith('data: ')) {
-                // This is an OpenAI/LM Studio-style event stream (Server-Sent Events)
-                const lines = chunkText.split('\n');
-
-                for (const line of lines) {
-                    // Skip empty lines and initial keep-alive messages
-                    if (!line.trim() || line === 'data: [DONE]' || line === 'data: ') {
-                        continue;
+                // Check if content after </think> exists
+                let contentAfterThink = "";
+                if (hasThinkTags && aiMessage.includes('</think>')) {
+                    const afterThinkMatch = aiMessage.match(/<\/think>([\s\S]*)$/);
+                    if (afterThinkMatch && afterThinkMatch[1]) {
+                        contentAfterThink = afterThinkMatch[1].trim();
                     }
+                }
 
-                    // Only process lines that start with 'data: '
-                    if (line.startsWith('data: ')) {
-                        try {
-                            // Extract the data portion
-                            const jsonData = line.substring(6);
-                            const data = JSON.parse(jsonData);
-
-                            // Check if this is a valid chunk with content
-                            if (data.choices && data.choices[0] && data.choices[0].delta) {
-                                const delta = data.choices[0].delta;
-
-                                // Add content if it exists in this chunk
-                                if (delta.content) {
-                                    // Create the AI message bubble on first content arrival
-                                    if (!aiMessageElement) {
-                                        aiMessageElement = appendMessage('ai', '');
-                                        contentContainer = aiMessageElement.querySelector('.message-content');
-                                        
-                                        // If we couldn't find a container, log error and stop
-                                        if (!contentContainer) {
-                                            debugError('Could not find message content container for AI message');
-                                            isGenerating = false;
-                                            return;
-                                        }
-                                    }
-                                    
-                                    aiMessage += delta.content;
-
-                                    // Track thinking process for progress indication
-                                    const hasThinkTags = aiMessage.includes('<think>') || aiMessage.includes('</think>');
-                                    const currentlyInThinking = hasThinkTags && aiMessage.lastIndexOf('</think>') < aiMessage.lastIndexOf('<think>');
-
-                                    // Detect start of thinking process
-                                    if (!isInThinkingProcess && currentlyInThinking) {
-                                        isInThinkingProcess = true;
-                                        thinkingStartTime = Date.now();
-                                        debugLog('Reasoning model started thinking process');
-                                    }
-
-                                    // Detect end of thinking process
-                                    if (isInThinkingProcess && !currentlyInThinking && aiMessage.includes('</think>')) {
-                                        isInThinkingProcess = false;
-                                        const thinkingDuration = Date.now() - thinkingStartTime;
-                                        debugLog(`Reasoning model completed thinking process in ${thinkingDuration}ms`);
-                                    }
-
-                                    // Check if this is a code block outside of think tags
-                                    if (!hasCodeBlock &&
-                                        (delta.content.includes('```') ||
-                                         aiMessage.includes('```'))) {
-
-                                        // Only trigger reload for code blocks outside think tags
-                                        if (containsCodeBlocksOutsideThinkTags(aiMessage)) {
-                                            hasCodeBlock = true;
-
-                                            // Special handling for first message - detect code blocks early
-                                            if (isFirstMessage) {
-                                                // Check if we have a complete code block already (outside think tags)
-                                                const contentWithoutThinkTags = aiMessage.replace(/<think>[\s\S]*?<\/think>/g, '');
-                                                const codeBlockStart = contentWithoutThinkTags.indexOf('```');
-                                                const codeBlockEnd = contentWithoutThinkTags.indexOf('```', codeBlockStart + 3);
-
-                                                // If we have a complete code block in first message (outside think tags),
-                                                // prepare for faster reload by setting up flag
-                                                if (codeBlockStart !== -1 && codeBlockEnd !== -1) {
-                                                    debugLog('Complete code block detected outside think tags in first message, preparing for fast reload');
-                                                    hasInitializedCodeBlocks = true; // Mark as detected for reload
-
-                                                    // Code block detected - no longer triggering reload
-                                                }
-                                            }
-                                        }
-                                    }
-
-                                    // Apply the appropriate sanitization based on hide-thinking setting
-                                    const hideThinking = getHideThinking();
-                                    // hasThinkTags already declared above, reuse it
-
-                                    // Check if we're in a thinking section (between <think> and </think>)
-                                    const inThinkingSection = hasThinkTags && aiMessage.lastIndexOf('</think>') < aiMessage.lastIndexOf('<think>');
-
-                                    // Check if content after </think> exists
-                                    let contentAfterThink = "";
-                                    if (hasThinkTags && aiMessage.includes('</think>')) {
-                                        const afterThinkMatch = aiMessage.match(/<\/think>([\s\S]*)$/);
-                                        if (afterThinkMatch && afterThinkMatch[1]) {
-                                            contentAfterThink = afterThinkMatch[1].trim();
-                                        }
-                                    }
-
-                                    // Apply the appropriate sanitization based on message type and hide thinking setting (only if container exists)
-                                    if (hasThinkTags && contentContainer) {
-                                        if (hideThinking) {
-                                            // When hide thinking is enabled, always hide thinking tags and content
-                                            if (contentAfterThink !== "") {
-                                                // We have content after </think>, show ONLY that content (streaming)
-                                                const processedContent = aiMessage.replace(/<think>[\s\S]*?<\/think>/g, '');
-                                                contentContainer.innerHTML = basicSanitizeInput(processedContent);
-
-                                                // Remove any thinking indicator that might exist
-                                                const thinkingIndicator = contentContainer.querySelector('.thinking-indicator');
-                                                if (thinkingIndicator) {
-                                                    thinkingIndicator.remove();
-                                                }
-                                            } else if (inThinkingSection) {
-                                                // We're in thinking section and hide thinking is enabled, show indicator
-                                                let thinkingIndicator = contentContainer.querySelector('.thinking-indicator');
-
-                                                // Create thinking indicator if it doesn't exist
-                                                if (!thinkingIndicator) {
-                                                    thinkingIndicator = document.createElement('div');
-                                                    thinkingIndicator.className = 'thinking-indicator';
-
-                                                    // Enhanced thinking indicator with progress
-                                                    const thinkingDuration = thinkingStartTime ? Date.now() - thinkingStartTime : 0;
-                                                    const durationText = thinkingDuration > 1000 ? ` (${Math.round(thinkingDuration / 1000)}s)` : '';
-
-                                                    thinkingIndicator.innerHTML = `<i class="fas fa-brain"></i>${durationText}`;
-                                                    thinkingIndicator.setAttribute('data-thinking-content', '');
-
-                                                    // Clear the container and add the indicator
-                                                    contentContainer.innerHTML = '';
-                                                    contentContainer.appendChild(thinkingIndicator);
-                                                } else {
-                                                    // Update existing indicator with duration (throttled to avoid too frequent updates)
-                                                    const now = Date.now();
-                                                    if (!window._lastThinkingUpdateTime || now - window._lastThinkingUpdateTime > 100) {
-                                                        window._lastThinkingUpdateTime = now;
-                                                        const thinkingDuration = thinkingStartTime ? Date.now() - thinkingStartTime : 0;
-                                                        const durationText = thinkingDuration > 1000 ? ` (${Math.round(thinkingDuration / 1000)}s)` : '';
-                                                        thinkingIndicator.innerHTML = `<i class="fas fa-brain"></i>${durationText}`;
-                                                    }
-                                                }
-
-                                                // Update the data attribute with current thinking content
-                                                const thinkingContent = aiMessage.match(/<think>([\s\S]*?)(?:<\/think>|$)/);
-                                                if (thinkingContent && thinkingContent[1]) {
-                                                    thinkingIndicator.setAttribute('data-thinking-content', thinkingContent[1]);
-                                                }
-                                            } else {
-                                                // Hide thinking is enabled but we're not in thinking section and no content after think
-                                                // This means thinking tags are complete but no content after them yet
-                                                const processedContent = aiMessage.replace(/<think>[\s\S]*?<\/think>/g, '');
-                                                contentContainer.innerHTML = basicSanitizeInput(processedContent);
-                                            }
-                                        } else {
-                                            // Hide thinking is disabled, show everything including thinking tags (streaming)
-                                            contentContainer.innerHTML = sanitizeInput(aiMessage);
-                                        }
-
-                                        // Mark this message as having thinking
-                                        aiMessageElement.dataset.hasThinking = 'true';
-                                    } else if (contentContainer) {
-                                        // For non-reasoning models, apply basic sanitization
-                                        contentContainer.innerHTML = basicSanitizeInput(aiMessage);
-                                        // Mark this message as a non-reasoning model response
-                                        aiMessageElement.dataset.hasThinking = 'false';
-                                    }
-
-                                    // Initialize code blocks once we detect a completed code block
-                                    // and only if we haven't already initialized them
-                                    if (hasCodeBlock && aiMessage.includes('```') && aiMessage.lastIndexOf('```') > aiMessage.indexOf('```') + 3 && !hasInitializedCodeBlocks) {
-                                        // Just mark that we've detected code blocks but don't initialize yet
-                                        // Monaco Editor removed - code initialization no longer needed
-                                        hasInitializedCodeBlocks = true;
-                                    }
-                                    
-                                    // Scroll to bottom during streaming if auto-scroll is enabled
-                                    if (getAutoScrollEnabled()) {
-                                        scrollToBottom(messagesContainer, false);
-                                    }
+                // Apply the appropriate sanitization based on message type and hide thinking setting (only if container exists)
+                if (hasThinkTags && contentContainer) {
+                    if (hideThinking) {
+                        // When hide thinking is enabled, always hide thinking tags and content
+                        if (contentAfterThink !== "") {
+                            // We have content after </think>, show ONLY that content (streaming)
+                            const processedContent = aiMessage.replace(/<think>[\s\S]*?<\/think>/g, '');
+                            contentContainer.innerHTML = basicSanitizeInput(processedContent);
+
+                            // Remove any thinking indicator that might exist
+                            const thinkingIndicator = contentContainer.querySelector('.thinking-indicator');
+                            if (thinkingIndicator) {
+                                thinkingIndicator.remove();
+                            }
+                        } else if (inThinkingSection) {
+                            // We're in thinking section and hide thinking is enabled, show indicator
+                            let thinkingIndicator = contentContainer.querySelector('.thinking-indicator');
+
+                            // Create thinking indicator if it doesn't exist
+                            if (!thinkingIndicator) {
+                                thinkingIndicator = document.createElement('div');
+                                thinkingIndicator.className = 'thinking-indicator';
+
+                                // Enhanced thinking indicator with progress
+                                const thinkingDuration = thinkingStartTime ? Date.now() - thinkingStartTime : 0;
+                                const durationText = thinkingDuration > 1000 ? ` (${Math.round(thinkingDuration / 1000)}s)` : '';
+
+                                thinkingIndicator.innerHTML = `<i class="fas fa-brain"></i>${durationText}`;
+                                thinkingIndicator.setAttribute('data-thinking-content', '');
+
+                                // Clear the container and add the indicator
+                                contentContainer.innerHTML = '';
+                                contentContainer.appendChild(thinkingIndicator);
+                            } else {
+                                // Update existing indicator with duration (throttled to avoid too frequent updates)
+                                const now = Date.now();
+                                if (!window._lastThinkingUpdateTime || now - window._lastThinkingUpdateTime > 100) {
+                                    window._lastThinkingUpdateTime = now;
+                                    const thinkingDuration = thinkingStartTime ? Date.now() - thinkingStartTime : 0;
+                                    const durationText = thinkingDuration > 1000 ? ` (${Math.round(thinkingDuration / 1000)}s)` : '';
+                                    thinkingIndicator.innerHTML = `<i class="fas fa-brain"></i>${durationText}`;
                                 }
                             }
-                        } catch (error) {
-                            debugLog('Error parsing JSON:', error);
+
+                            // Update the data attribute with current thinking content
+                            const thinkingContent = aiMessage.match(/<think>([\s\S]*?)(?:<\/think>|$)/);
+                            if (thinkingContent && thinkingContent[1]) {
+                                thinkingIndicator.setAttribute('data-thinking-content', thinkingContent[1]);
+                            }
+                        } else {
+                            // Hide thinking is enabled but we're not in thinking section and no content after think
+                            // This means thinking tags are complete but no content after them yet
+                            const processedContent = aiMessage.replace(/<think>[\s\S]*?<\/think>/g, '');
+                            contentContainer.innerHTML = basicSanitizeInput(processedContent);
                         }
+                    } else {
+                        // Hide thinking is disabled, show everything including thinking tags (streaming)
+                        contentContainer.innerHTML = sanitizeInput(aiMessage);
                     }
+
+                    // Mark this message as having thinking
+                    aiMessageElement.dataset.hasThinking = 'true';
+                } else if (contentContainer) {
+                    // For non-reasoning models, apply basic sanitization
+                    contentContainer.innerHTML = basicSanitizeInput(aiMessage);
+                    // Mark this message as a non-reasoning model response
+                    aiMessageElement.dataset.hasThinking = 'false';
                 }
-            }
-        }
 
-        // Final decoding to ensure all UTF-8 sequences are properly handled
-        try {
-            // Flush the decoder to handle any remaining bytes
-            if (incompleteChunk.length > 0) {
-                const finalChunk = decoder.decode(incompleteChunk);
-                aiMessage += finalChunk;
+                // Initialize code blocks once we detect a completed code block
+                // and only if we haven't already initialized them
+                if (hasCodeBlock && aiMessage.includes('```') && aiMessage.lastIndexOf('```') > aiMessage.indexOf('```') + 3 && !hasInitializedCodeBlocks) {
+                    // Just mark that we've detected code blocks but don't initialize yet
+                    // Monaco Editor removed - code initialization no longer needed
+                    hasInitializedCodeBlocks = true;
+                }
+
+                // Scroll to bottom during streaming if auto-scroll is enabled
+                if (getAutoScrollEnabled()) {
+                    scrollToBottom(messagesContainer, false);
+                }
+            },
+            onToolCalls: async (calls, roundText) => {
+                ensureMessageElement();
+                await answerToolCalls(requestBody, calls, roundText, toolCalls, aiMessageElement);
             }
-        } catch (e) {
-            debugLog('Final UTF-8 decoding error:', e);
-        }
+        });
 
-        // Immediately terminate the connection to ensure proper cleanup
+        // Immediately terminate the connection when the stream is complete
         if (abortController) {
-            debugLog('Terminating connection after streaming completion');
+            debugLog('Terminating connection as stream is complete');
             try {
-                abortController.abort();
+                // Store reference and clear global reference immediately
+                const controller = abortController;
                 abortController = null;
+
+                // Abort the controller to ensure connection is closed
+                controller.abort();
+
+                // Force UI state reset immediately
+                hideLoadingIndicator();
+                const stopButton = document.getElementById('stop-button');
+                if (stopButton && !stopButton.classList.contains('hidden')) {
+                    toggleSendStopButton();
+                }
             } catch (abortError) {
                 debugLog('Error when closing connection:', abortError);
             }
@@ -752,15 +1086,28 @@ async function generateAIResponseInternal(userMessage, fileContents = []) {
             contentContainer.innerHTML = basicSanitizeInput(aiMessage);
         }
 
+        // Show token usage and speed under the reply
+        const stats = responseStats.finish();
+        renderStatsFooter(aiMessageElement, stats);
+
+        // Check the reply against the chat's schema and show it as JSON
+        const structured = structuredOutput ? checkStructuredResponse(aiMessage, structuredOutput) : null;
+        renderStructuredOutput(aiMessageElement, aiMessage, structured);
+        // The server's token counts are more accurate than the estimate
+        if (stats && stats.promptTokens !== null) {
+            showContextUsage(stats.promptTokens + stats.completionTokens, context.contextLength, context.droppedCount);
+        }
+
         // Update chat history first but don't wait for UI updates if we're going to reload
         // This makes the reload happen faster
         if (containsCodeBlocksOutsideThinkTags(aiMessage)) {
             // Fast path for code blocks outside think tags - minimal chat update without UI refresh
-            await fastUpdateChatHistoryBeforeReload(userMessage, aiMessage, fileContents);
+            await fastUpdateChatHistoryBeforeReload(userMessage, aiMessage, fileContents, requestBody.model, stats, { toolCalls, structured });
         } else {
             // Normal path for non-code blocks or code blocks only in think tags - full history update with UI refresh
-            await updateChatHistory(userMessage, aiMessage, fileContents);
+            await updateChatHistory(userMessage, aiMessage, fileContents, requestBody.model, stats, { toolCalls, structured });
         }
+        showContinueAction(aiMessageElement);
 
         // Set isFirstMessage to false after first successful message
         if (isFirstMessage) {
@@ -796,19 +1143,19 @@ async function generateAIResponseInternal(userMessage, fileContents = []) {
             scrollToBottom(messagesContainer, true);
         }
     } catch (error) {
-        // Clean up timeouts on error
-        if (streamingTimeoutId) {
-            clearTimeout(streamingTimeoutId);
-        }
-        if (chunkTimeoutId) {
-            clearTimeout(chunkTimeoutId);
-        }
-
         if (error.name === 'AbortError') {
             debugLog('Fetch aborted');
+            // Keep what the model wrote before it was stopped, so it can be continued
+            if (savePartialResponse) {
+                await savePartialResponse();
+            }
         } else {
             debugError('Error:', error);
 
+            if (error instanceof NetworkError) {
+                requestConnectionCheck();
+            }
+
             // Special handling for "No models available" error
             if (error.message === 'No models available') {
                 // Don't show any error message during initial startup
@@ -831,12 +1178,9 @@ async function generateAIResponseInternal(userMessage, fileContents = []) {
     } finally {
         debugLog('Finalizing text generation...');
 
-        // Clean up all timeouts
-        if (streamingTimeoutId) {
-            clearTimeout(streamingTimeoutId);
-        }
-        if (chunkTimeoutId) {
-            clearTimeout(chunkTimeoutId);
+        // The reply is in the chat history by now, or was never sent
+        if (checkpoint) {
+            checkpoint.clear();
         }
 
         // Reset the generation status flag
@@ -894,19 +1238,240 @@ async function generateAIResponseInternal(userMessage, fileContents = []) {
             if (stopButton && !stopButton.classList.contains('hidden')) {
                 toggleSendStopButton();
             }
-        }
+        }
+
+        // Final check to ensure hide thinking is applied correctly
+        if (getHideThinking()) {
+            // Apply the thinking visibility setting to all messages
+            import('./ui-manager.js').then(module => {
+                module.applyThinkingVisibility();
+            });
+
+            // Also ensure any thinking indicators are properly handled
+            import('./settings-manager.js').then(module => {
+                module.removeVisibleThinkTags();
+            });
+        }
+    }
+}
+
+/**
+ * Checks whether the server has a model loaded, so it can answer without waiting for a load
+ * @param {string} modelId - The model ID
+ * @returns {boolean} - True if the model is loaded
+ */
+function isModelLoaded(modelId) {
+    const metadata = getModelMetadata(modelId);
+    return metadata ? metadata.state === 'loaded' : modelId === window.currentLoadedModel;
+}
+
+/**
+ * Builds the messages of a comparison request for one model
+ * Attached files are sent as text, so every model is asked the same question
+ * @param {Object} chatData - The chat, ending with the user's message
+ * @param {Array} fileContents - Files attached to the message
+ * @param {string} modelId - The model the request is for
+ * @returns {Promise<Array>} - The messages to send
+ */
+async function buildComparisonMessages(chatData, fileContents, modelId) {
+    const messages = await buildRequestMessages(chatData, chatData.messages, modelId);
+
+    const lastIndex = messages.length - 1;
+    if (fileContents && fileContents.length > 0 && messages[lastIndex].role === 'user') {
+        // Copy the message, the one in the history keeps its text
+        const { files, ...lastMessage } = messages[lastIndex];
+        try {
+            const { prepareFilesForLLM } = await import('./file-upload.js');
+            const attachmentBudget = getAttachmentCharBudget(messages, modelId, getMaxTokens());
+            const formattedFileContent = await prepareFilesForLLM(fileContents, attachmentBudget);
+            if (formattedFileContent.trim()) {
+                lastMessage.content += `\n\n${formattedFileContent}`;
+            }
+        } catch (error) {
+            debugError('Could not add the attached files to the comparison:', error);
+        }
+        messages[lastIndex] = lastMessage;
+    }
+    return messages;
+}
+
+/**
+ * Streams one model's answer into its comparison column
+ * Tools are not offered, since every model would run them again
+ * @param {Object} column - The column from createCompareView
+ * @param {Object} chatData - The chat, ending with the user's message
+ * @param {Array} fileContents - Files attached to the message
+ * @param {AbortSignal} signal - Stops the answer
+ * @returns {Promise<Object>} - {modelId, text, stats, structured, incomplete, error}
+ */
+async function streamComparisonColumn(column, chatData, fileContents, signal) {
+    const result = { modelId: column.modelId, text: '', stats: null, structured: null, incomplete: null, error: null };
+    const responseStats = new ResponseStats();
+    setCompareColumnStatus(column, 'Waiting for the server…');
+
+    try {
+        const messages = await buildComparisonMessages(chatData, fileContents, column.modelId);
+        const { requestBody, structuredOutput } = await buildChatRequest(chatData, messages, column.modelId, { tools: false });
+        debugLog(`Sending comparison request to ${column.modelId}:`, requestBody);
+
+        result.text = await streamChatResponse(requestBody, {
+            signal,
+            responseStats,
+            timeoutMessage: 'The model took too long to answer.',
+            onText: (deltaText, text) => {
+                if (!result.text) {
+                    setCompareColumnStatus(column, 'Answering…');
+                }
+                result.text = text;
+                renderStreamingText(column.contentContainer, text);
+            }
+        });
+
+        result.stats = responseStats.finish();
+        if (structuredOutput) {
+            result.structured = checkStructuredResponse(result.text, structuredOutput);
+            renderStructuredOutput(column.element, result.text, result.structured);
+        }
+        setCompareColumnStatus(column, '');
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            result.stats = result.text ? responseStats.finish() : null;
+            result.incomplete = 'stopped';
+            setCompareColumnStatus(column, 'Stopped');
+        } else {
+            debugError(`Comparison request to ${column.modelId} failed:`, error);
+            if (error instanceof NetworkError) {
+                requestConnectionCheck();
+            }
+            result.error = error.message;
+            setCompareColumnStatus(column, error.message, true);
+        }
+    }
+
+    renderStatsFooter(column.element, result.stats);
+    return result;
+}
+
+/**
+ * Sends the user's message to several models and shows their answers side by side
+ * Models the server has loaded answer at once; otherwise each model is loaded in turn.
+ * Every answer is kept as a version of the reply, the first one being shown until the user picks another.
+ * @param {string} userMessage - The user's message
+ * @param {Array} fileContents - Optional array of file contents
+ * @param {Array} modelIds - The models to compare
+ */
+async function generateComparison(userMessage, fileContents, modelIds) {
+    showLoadingIndicator();
+    ensureFirstMessageInitialized();
+    showContinueAction(null);
+
+    isGenerating = true;
+    abortController = new AbortController();
+    const signal = abortController.signal;
+    const generationChatId = currentChatId;
+    const chatData = chatHistoryData[currentChatId];
+
+    try {
+        if (!(await ensureServerReachable())) {
+            throw new Error('LM Studio server is not running');
+        }
+        // Which models are loaded decides how they answer, so ask the server again
+        invalidateModelInfoCache();
+        await fetchAvailableModels();
+
+        // Servers that can't load models serve every listed model, so they can always answer at once
+        const canLoadModels = getBackendAdapter().capabilities.loadUnload;
+        const concurrent = !canLoadModels || modelIds.every(isModelLoaded);
+
+        const view = createCompareView(modelIds, concurrent);
+        messagesContainer.appendChild(view.element);
+        if (getAutoScrollEnabled()) {
+            scrollToBottom(messagesContainer, false);
+        }
+
+        let results;
+        if (concurrent) {
+            results = await Promise.all(view.columns.map(column => streamComparisonColumn(column, chatData, fileContents, signal)));
+        } else {
+            results = [];
+            for (const column of view.columns) {
+                if (signal.aborted) {
+                    setCompareColumnStatus(column, 'Stopped');
+                    results.push({ modelId: column.modelId, text: '', error: 'Stopped' });
+                    continue;
+                }
+                if (!isModelLoaded(column.modelId)) {
+                    setCompareColumnStatus(column, 'Loading model…');
+                    if (!(await loadModel(column.modelId))) {
+                        setCompareColumnStatus(column, 'Could not load the model', true);
+                        results.push({ modelId: column.modelId, text: '', error: 'Could not load the model' });
+                        continue;
+                    }
+                }
+                results.push(await streamComparisonColumn(column, chatData, fileContents, signal));
+            }
+        }
+
+        // Switching chats stops the answers, but they belong to the chat they were asked in
+        if (currentChatId !== generationChatId) return;
+
+        const answered = results
+            .map((result, columnIndex) => ({ result, column: view.columns[columnIndex] }))
+            .filter(({ result }) => !result.error && result.text.trim());
+        if (answered.length === 0) {
+            appendMessage('error', 'None of the compared models answered.');
+            return;
+        }
+
+        // Keep every answer as a version of the reply, in column order
+        const messages = chatData.messages;
+        const index = messages.length;
+        answered.forEach(({ result }, version) => {
+            const reply = createAssistantMessage(result.text, result.modelId, result.stats, {
+                structured: result.structured,
+                incomplete: result.incomplete
+            });
+            if (version === 0) {
+                messages.push(reply);
+            } else {
+                forkAt(messages, index, [reply]);
+            }
+        });
+        switchBranch(messages, index, 0);
+        saveChatHistory();
+        updateChatHistoryUI();
 
-        // Final check to ensure hide thinking is applied correctly
-        if (getHideThinking()) {
-            // Apply the thinking visibility setting to all messages
-            import('./ui-manager.js').then(module => {
-                module.applyThinkingVisibility();
+        answered.forEach(({ column }, version) => {
+            showCompareChoice(column, () => {
+                const branches = messages[index] && messages[index].branches;
+                if (branches && branches.active !== version) {
+                    switchChatBranch(index, version);
+                } else if (!isGenerating) {
+                    // Already the reply in the history, only the comparison has to be replaced by it
+                    lazyLoadMessages(messages, 0, 50);
+                }
             });
+        });
+        debugLog(`Compared ${answered.length} of ${modelIds.length} models`);
+    } catch (error) {
+        debugError('Error comparing models:', error);
+        if (error instanceof NetworkError) {
+            requestConnectionCheck();
+        }
+        appendMessage('error', 'An error occurred while comparing models: ' + error.message);
+    } finally {
+        isGenerating = false;
 
-            // Also ensure any thinking indicators are properly handled
-            import('./settings-manager.js').then(module => {
-                module.removeVisibleThinkTags();
-            });
+        const controller = abortController;
+        abortController = null;
+        if (controller) {
+            controller.abort();
+        }
+
+        hideLoadingIndicator();
+        const stopButton = document.getElementById('stop-button');
+        if (stopButton && !stopButton.classList.contains('hidden')) {
+            toggleSendStopButton();
         }
     }
 }
@@ -917,8 +1482,11 @@ async function generateAIResponseInternal(userMessage, fileContents = []) {
  * @param {string} userMessage - The user's message (for validation)
  * @param {string} aiMessage - The AI's response
  * @param {Array} fileContents - Optional array of file contents (for validation)
+ * @param {string} [model] - The model that wrote the response
+ * @param {Object} [stats] - Token usage and speed of the response
+ * @param {Object} [extras] - Tool calls and structured output check of the response, see createAssistantMessage
  */
-export async function updateChatHistory(userMessage, aiMessage, fileContents = []) {
+export async function updateChatHistory(userMessage, aiMessage, fileContents = [], model = getSelectedModel(), stats = null, extras = {}) {
     // Ensure chatHistoryData is initialized
     if (!chatHistoryData) {
         chatHistoryData = {};
@@ -1006,7 +1574,7 @@ export async function updateChatHistory(userMessage, aiMessage, fileContents = [
     }
 
     // Add the AI response
-    messages.push({ role: 'assistant', content: aiMessage });
+    messages.push(createAssistantMessage(aiMessage, model, stats, extras));
 
     // Log the current chat history for debugging
     debugLog('Updated chat history:',
@@ -1052,17 +1620,11 @@ export function addTopicBoundary() {
     }
 
     // Create a topic boundary marker in the UI
-    const boundaryElement = document.createElement('div');
-    boundaryElement.classList.add('topic-boundary');
-    boundaryElement.innerHTML = '<span class="topic-boundary-text"><i class="fas fa-exchange-alt mr-2"></i>New Topic</span>';
-    messagesContainer.appendChild(boundaryElement);
+    const messages = chatHistoryData[currentChatId].messages;
+    messagesContainer.appendChild(renderTopicBoundary(messages.length));
 
     // Add a topic boundary marker to the chat history
-    chatHistoryData[currentChatId].messages.push({
-        role: 'system',
-        content: '--- New Topic ---',
-        isTopicBoundary: true
-    });
+    messages.push(createTopicBoundary());
 
     // Set the new topic flag to true
     isNewTopic = true;
@@ -1070,10 +1632,71 @@ export function addTopicBoundary() {
     // Save the updated chat history
     saveChatHistory();
 
+    // Show the new topic in the sidebar outline and the context it leaves
+    updateChatHistoryUI();
+    refreshContextUsage(messages.map(toApiMessage), getSelectedModel());
+
     // Scroll to the bottom to show the new topic marker
     scrollToBottom(messagesContainer);
 }
 
+/**
+ * Creates the divider of a topic boundary in the current chat, with its move and remove actions
+ * @param {number} index - Position of the boundary in the chat
+ * @returns {HTMLElement} - The divider
+ */
+function renderTopicBoundary(index) {
+    return createTopicBoundaryElement(index, {
+        onMove: direction => editChatMarker(index, messages => moveTopicBoundary(messages, index, direction)),
+        onRemove: () => editChatMarker(index, messages => removeTopicBoundary(messages, index))
+    });
+}
+
+/**
+ * Moves or removes a topic boundary or compaction summary of the current chat and shows the result
+ * @param {number} index - Position of the marker in the chat
+ * @param {Function} edit - Changes the messages in place, returns true if they changed
+ */
+function editChatMarker(index, edit) {
+    // The reply being generated was asked with the current topics
+    if (isGenerating) {
+        debugLog('Not changing topics while a response is being generated');
+        return;
+    }
+
+    const chatData = chatHistoryData[currentChatId];
+    if (!chatData) return;
+
+    const messages = Array.isArray(chatData) ? chatData : chatData.messages;
+    if (!edit(messages)) {
+        debugLog(`Marker at ${index} can't be changed that way`);
+        return;
+    }
+
+    saveChatHistory();
+    lazyLoadMessages(messages, 0, 50);
+    updateChatHistoryUI();
+    refreshContextUsage(messages.map(toApiMessage), getSelectedModel());
+}
+
+/**
+ * Scrolls the open chat to the start of a topic
+ * @param {Object} topic - A topic from the sidebar outline
+ */
+function scrollToTopic(topic) {
+    const target = topic.boundaryIndex === -1
+        ? messagesContainer.firstElementChild
+        : messagesContainer.querySelector(`.topic-boundary[data-message-index="${topic.boundaryIndex}"]`);
+    if (target) {
+        target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    const sidebar = document.getElementById('sidebar');
+    if (window.innerWidth <= 768 && sidebar && sidebar.classList.contains('active')) {
+        toggleSidebar();
+    }
+}
+
 /**
  * Updates the chat history UI
  */
@@ -1285,6 +1908,14 @@ export function updateChatHistoryUI() {
 
                 button.addEventListener('click', () => loadChat(id));
                 chatHistory.appendChild(button);
+
+                // Outline the topics of the open chat
+                if (String(id) === String(currentChatId)) {
+                    const outline = renderTopicOutline(messages, scrollToTopic);
+                    if (outline) {
+                        chatHistory.appendChild(outline);
+                    }
+                }
             } catch (chatError) {
                 debugError(`Error processing chat ${id}:`, chatError);
                 // Continue with the next chat
@@ -1340,6 +1971,7 @@ export function showDeleteConfirmation(id) {
  * @param {string} id - The ID of the chat to delete
  */
 export function deleteChatHistory(id) {
+    cancelChatRequests(id);
     delete chatHistoryData[id];
     updateChatHistoryUI(); // This will also call updateChatHistoryScroll()
     saveChatHistory();
@@ -1426,6 +2058,9 @@ export function loadChat(id, isFirstMessageReload = false) {
     // Get messages
     const messages = chatHistoryData[id].messages;
 
+    // Show how much of the context window the chat fills
+    refreshContextUsage(messages.map(toApiMessage), getSelectedModel());
+
     // First hide the welcome message completely, then load the chat
     // This prevents the welcome screen from showing through during the transition
     hideWelcomeMessage();
@@ -1546,9 +2181,48 @@ export function loadChat(id, isFirstMessageReload = false) {
 
         // Scroll messages container to bottom after code blocks are refreshed
         scrollToBottom(messagesContainer, true);
+
+        // Offer to reconnect if the chat was started on another server,
+        // otherwise offer to switch back to the model the chat was using
+        if (!offerServerProfileSwitch(chatHistoryData[id])) {
+            offerChatModelSwitch(id);
+        }
     }, 350); // Wait slightly longer than the welcome message transition (300ms)
 }
 
+/**
+ * Asks the user whether to switch back to the server profile a chat was started on
+ * @param {Object} chatData - The chat being opened
+ * @returns {boolean} - True if the switch was offered
+ */
+function offerServerProfileSwitch(chatData) {
+    if (!chatData || !chatData.serverProfileId) return false;
+
+    const profile = getServerProfile(chatData.serverProfileId);
+    if (!profile || profile.id === getActiveServerProfileId()) return false;
+
+    setPendingServerProfileSwitch(profile.id);
+    setActionToPerform('switchServerProfile');
+    showConfirmationModal(`This chat was started on "${profile.name}" (${profile.ip}:${profile.port}). Switch to that server?`);
+    return true;
+}
+
+/**
+ * Asks the user whether to switch back to the model a chat was last answered by
+ * @param {string} chatId - The chat being opened
+ * @returns {boolean} - True if the switch was offered
+ */
+function offerChatModelSwitch(chatId) {
+    const chatModel = getChatModel(chatId);
+    if (!chatModel || chatModel === window.currentLoadedModel) return false;
+
+    setPendingModelSwitch(chatModel);
+    setActionToPerform('switchChatModel');
+    const currentModelText = window.currentLoadedModel ? ` Currently loaded: ${window.currentLoadedModel}.` : '';
+    showConfirmationModal(`This chat was using "${chatModel}".${currentModelText} Switch back to that model?`);
+    return true;
+}
+
 /**
  * Lazy loads messages
  * @param {Array} messages - Array of messages to load
@@ -1584,14 +2258,19 @@ export function lazyLoadMessages(messages, startIndex, chunkSize = 10) {
         // Check if this is a topic boundary marker
         if (message.isTopicBoundary) {
             // Create a topic boundary marker in the UI
-            const boundaryElement = document.createElement('div');
-            boundaryElement.classList.add('topic-boundary');
-            boundaryElement.innerHTML = '<span class="topic-boundary-text"><i class="fas fa-exchange-alt mr-2"></i>New Topic</span>';
-            messagesContainer.appendChild(boundaryElement);
+            messagesContainer.appendChild(renderTopicBoundary(i));
             continue; // Skip to the next message
         }
 
-        let contentDisplay = message.content;
+        // Show the summary that stands in for the messages above it
+        if (message.isCompactionSummary) {
+            messagesContainer.appendChild(createCompactionElement(message, () => {
+                editChatMarker(i, messages => removeCompactionSummary(messages, i));
+            }));
+            continue;
+        }
+
+        let contentDisplay = joinReasoning(message.content, message.reasoning);
 
         // Add file attachment indicator if present
         if (message.has_files) {
@@ -1599,7 +2278,27 @@ export function lazyLoadMessages(messages, startIndex, chunkSize = 10) {
         }
 
         // Use appendMessage to ensure proper message formatting and controls
-        appendMessage(message.role === 'user' ? 'user' : 'ai', contentDisplay);
+        const messageElement = appendMessage(message.role === 'user' ? 'user' : 'ai', contentDisplay, null, false, message.stats || null);
+
+        // Show the tools the model called for this reply
+        if (message.toolCalls) {
+            renderToolCards(messageElement, message.toolCalls);
+        }
+
+        // Show structured replies as JSON
+        if (message.structured) {
+            renderStructuredOutput(messageElement, message.content, message.structured);
+        }
+
+        // Offer to continue the last reply if it was cut short
+        if (i === messages.length - 1) {
+            showContinueAction(messageElement);
+        }
+
+        // Let the user page through earlier versions of this message
+        if (message.branches) {
+            renderBranchNav(messageElement, message, target => switchChatBranch(i, target));
+        }
     }
 
     // If there are more messages to load, schedule the next chunk
@@ -1614,6 +2313,45 @@ export function lazyLoadMessages(messages, startIndex, chunkSize = 10) {
     }
 }
 
+/**
+ * Shows another version of a message in the current chat, together with the messages that followed it
+ * @param {number} index - Position of the message in the chat
+ * @param {number} target - Index of the version to show
+ */
+export function switchChatBranch(index, target) {
+    // The reply being generated belongs to the current version
+    if (isGenerating) {
+        debugLog('Not switching versions while a response is being generated');
+        return;
+    }
+
+    const chatData = chatHistoryData[currentChatId];
+    if (!chatData) return;
+
+    const messages = Array.isArray(chatData) ? chatData : chatData.messages;
+    if (!switchBranch(messages, index, target)) return;
+
+    saveChatHistory();
+    lazyLoadMessages(messages, 0, 50);
+    refreshContextUsage(messages.map(toApiMessage), getSelectedModel());
+    setTimeout(() => {
+        refreshAllCodeBlocks();
+    }, 50);
+}
+
+/**
+ * Adds version navigation to a message element of the current chat
+ * @param {HTMLElement} messageElement - The message element
+ * @param {number} index - Position of the message in the chat
+ */
+export function showBranchNavigation(messageElement, index) {
+    const chatData = chatHistoryData[currentChatId];
+    if (!chatData) return;
+
+    const messages = Array.isArray(chatData) ? chatData : chatData.messages;
+    renderBranchNav(messageElement, messages[index], target => switchChatBranch(index, target));
+}
+
 /**
  * Clears all chats
  */
@@ -1687,6 +2425,9 @@ export function createNewChat() {
         title: null, // Explicitly set to null to avoid any issues with <think> tags
     };
 
+    // A new chat starts with an empty context
+    showContextUsage(0, 0);
+
     // Update the current chat ID
     setCurrentChatId(newChatId);
 
@@ -1828,7 +2569,7 @@ export function saveChatHistory() {
 
             // Process each message to ensure code blocks are properly encoded
             if (Array.isArray(chatData.messages)) {
-                chatData.messages.forEach(message => {
+                forEachMessage(chatData.messages, message => {
                     if (message.content && typeof message.content === 'string') {
                         // For messages with code blocks, use a simple but effective preservation method
                         if (message.content.includes('```')) {
@@ -1908,6 +2649,44 @@ export function saveChatHistory() {
     }
 }
 
+/**
+ * Puts the reply that was streaming when the app was closed back into its chat, marked as interrupted
+ */
+function recoverInterruptedResponse() {
+    // A checkpoint written during this session belongs to the reply still streaming
+    if (isGenerating) return;
+
+    const checkpoint = takeResponseCheckpoint();
+    const chatData = checkpoint ? chatHistoryData[checkpoint.chatId] : null;
+    if (!chatData || Array.isArray(chatData)) return;
+
+    const messages = chatData.messages;
+    const { index, text } = checkpoint;
+    if (checkpoint.mode === 'continue') {
+        // The checkpoint holds the whole reply, with the text it was continued from
+        const message = messages[index];
+        if (index !== messages.length - 1 || message.role !== 'assistant') return;
+
+        const updated = createAssistantMessage(text, message.model, message.stats || null, {
+            toolCalls: message.toolCalls,
+            incomplete: 'interrupted'
+        });
+        Object.assign(message, updated);
+        if (!updated.reasoning) {
+            delete message.reasoning;
+        }
+    } else {
+        // The reply either follows its user message or was a new version of the reply there
+        const previous = messages[index - 1];
+        if (index > messages.length || !previous || previous.role !== 'user') return;
+
+        forkAt(messages, index, [createAssistantMessage(text, checkpoint.model, null, { incomplete: 'interrupted' })]);
+    }
+
+    debugLog(`Recovered an interrupted reply in chat ${checkpoint.chatId}`);
+    saveChatHistory();
+}
+
 /**
  * Loads the chat history from localStorage
  */
@@ -1971,6 +2750,7 @@ export function loadChatHistory() {
                     }
 
                     chatHistoryData[chatId] = {
+                        ...chatData, // Keep chat metadata such as the server profile
                         messages: Array.isArray(chatData.messages) ? [...chatData.messages] : [],
                         title: cleanTitle,
                             };
@@ -1980,7 +2760,7 @@ export function loadChatHistory() {
                 const messages = chatHistoryData[chatId].messages;
 
                 // Process each message for backward compatibility and code block handling
-                messages.forEach(msg => {
+                forEachMessage(messages, msg => {
                     // If this is a system message with the topic boundary marker text
                     // but doesn't have the isTopicBoundary flag, add it
                     if (msg.role === 'system' &&
@@ -2018,6 +2798,8 @@ export function loadChatHistory() {
                 }
             });
 
+            recoverInterruptedResponse();
+
             debugLog('Chat history loaded successfully');
             updateChatHistoryUI();
         } catch (error) {
@@ -2055,7 +2837,8 @@ function cleanupIncompleteAIResponse() {
         const contentContainer = lastAIMessage.querySelector('.message-content');
         
         // If the AI message is empty or only contains whitespace, remove it
-        if (contentContainer && (!contentContainer.textContent.trim() || contentContainer.textContent.trim() === '')) {
+        // A reply that is still thinking with hidden reasoning shows no text, but is kept
+        if (contentContainer && !contentContainer.textContent.trim() && !contentContainer.querySelector('.thinking-indicator')) {
             debugLog('Removing empty AI message after cancellation');
             lastAIMessage.remove();
         }
@@ -2203,7 +2986,7 @@ export async function generateChatTitle(userMessage) {
     isGeneratingTitle = true;
 
     try {
-        if (!(await isServerRunning())) {
+        if (!(await ensureServerReachable())) {
             throw new Error('LM Studio server is not running');
         }
 
@@ -2240,21 +3023,20 @@ export async function generateChatTitle(userMessage) {
 
         debugLog('Sending API request to generate chat title');
 
-        const response = await fetch(getApiUrl(), {
+        const backend = getBackendAdapter();
+        const response = await request(getApiUrl(), {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(requestBody),
+            headers: getRequestHeaders(),
+            body: backend.buildChatBody(requestBody, getModelLoadOptions(requestBody.model)),
+            // Reasoning models think before answering, even for a title
+            timeoutMs: getReasoningTimeout() * 1000,
+            retry: 1,
+            group: getChatRequestGroup()
         });
 
-        if (!response.ok) {
-            throw new Error('API request failed');
-        }
-
-        const data = await response.json();
+        const data = backend.parseCompletion(await response.json());
         // Get the title and filter out any non-English characters
-        let title = filterToEnglishCharacters(data.choices[0].message.content.trim());
+        let title = filterToEnglishCharacters(data.content.trim());
 
         // Log the raw title for debugging
         debugLog('Raw title before cleaning:', title);
@@ -2458,6 +3240,7 @@ export async function regenerateLastResponse(isRetry = false) {
         // Show loading indicator and toggle to stop button
         showLoadingIndicator();
         toggleSendStopButton();
+        showContinueAction(null);
 
         // Prepare variables for the AI message (will be created when first content arrives)
         let aiMessageElement = null;
@@ -2465,14 +3248,14 @@ export async function regenerateLastResponse(isRetry = false) {
 
         let aiMessage = '';
         let hasCodeBlock = false; // Track if we detected a code block
-
-        // Declare timeout variables outside try block to ensure they're accessible in finally block
-        let streamingTimeoutId;
-        let chunkTimeoutId;
+        // Keeps the text that arrived when the reply is stopped, set once the request is sent
+        let savePartialResponse = null;
+        // Keeps the reply in storage while it streams, in case the app is closed before it ends
+        let checkpoint = null;
 
         try {
             // Check if the server is running
-            if (!(await isServerRunning())) {
+            if (!(await ensureServerReachable())) {
                 throw new Error('LM Studio server is not running');
             }
 
@@ -2482,342 +3265,205 @@ export async function regenerateLastResponse(isRetry = false) {
                 throw new Error('No models available');
             }
 
-            // Get the system prompt
-            const systemPrompt = getSystemPrompt();
+            // Create messages array for the API request, with the messages of the current topic
+            // up to and including the last user message
+            const apiMessages = await buildRequestMessages(chatHistoryData[currentChatId], filteredMessages, getSelectedModel());
 
-            // Create messages array for the API request
-            const apiMessages = [];
+            const { requestBody, structuredOutput, context } = await buildChatRequest(chatHistoryData[currentChatId], apiMessages, getSelectedModel());
+            showContextUsage(context.usedTokens, context.contextLength, context.droppedCount);
 
-            // Add system prompt only if one is explicitly set by the user
-            if (systemPrompt && systemPrompt.trim() !== '') {
-                apiMessages.push({ role: 'system', content: systemPrompt });
-            }
-            // Note: No default system prompt is added to allow reasoning models to behave naturally
+            debugLog('Regenerating with request:', requestBody);
 
+            // Track whether we've already initialized code blocks
+            let hasInitializedCodeBlocks = false;
 
-            // Add all messages up to and including the last user message
-            for (const msg of filteredMessages) {
-                apiMessages.push(msg);
-            }
+            const responseStats = new ResponseStats();
+            const toolCalls = [];
 
-            // Create request body
-        const requestBody = {
-                model: getSelectedModel(),
-                messages: apiMessages,
-            temperature: getTemperature(),
-                stream: true,
+            const generationChatId = currentChatId;
+            checkpoint = createResponseCheckpoint({ chatId: generationChatId, index: lastUserMessageIndex + 1, mode: 'reply', model: requestBody.model });
+            savePartialResponse = () => {
+                const chatData = chatHistoryData[currentChatId];
+                if (currentChatId !== generationChatId || !aiMessage.trim() || !chatData || Array.isArray(chatData)) return;
+                forkAt(chatData.messages, lastUserMessageIndex + 1, [createAssistantMessage(aiMessage, requestBody.model, responseStats.finish(), { toolCalls, incomplete: 'stopped' })]);
+                saveChatHistory();
+                showBranchNavigation(aiMessageElement, lastUserMessageIndex + 1);
+                showContinueAction(aiMessageElement);
             };
 
-            // Add max_tokens if set
-            const maxTokens = getMaxTokens();
-            if (maxTokens > 0) {
-                requestBody.max_tokens = maxTokens;
-            }
-
-            debugLog('Regenerating with request:', requestBody);
-
-            // Create decoder for handling streamed data
-            const decoder = new TextDecoder('utf-8');
-            let incompleteChunk = new Uint8Array();
-
-            // Track whether we've already initialized code blocks
-            let hasInitializedCodeBlocks = false;
+            // Track streaming progress for reasoning models (same as initial generation)
+            let isInThinkingProcess = false;
+            let thinkingStartTime = null;
 
-            // Create a timeout for the streaming response (configurable for reasoning models)
-            const streamingTimeoutMs = getReasoningTimeout() * 1000; // Convert seconds to milliseconds
+            // Create the AI message bubble on first content arrival
+            const ensureMessageElement = () => {
+                if (aiMessageElement) return;
+                aiMessageElement = appendMessage('ai', '');
+                contentContainer = aiMessageElement.querySelector('.message-content');
+                if (!contentContainer) {
+                    throw new Error('Could not find message content container for regenerated AI message');
+                }
+            };
 
-            // Create a promise that rejects after the timeout
-            const timeoutPromise = new Promise((_, reject) => {
-                streamingTimeoutId = setTimeout(() => {
-                    if (abortController) {
-                        abortController.abort();
+            aiMessage = await streamChatResponse(requestBody, {
+                signal,
+                responseStats,
+                timeoutMessage: 'Streaming response timed out during regeneration. This may happen with reasoning models during long thinking processes. Please try again.',
+                onText: (deltaText, text) => {
+                    ensureMessageElement();
+                    aiMessage = text;
+                    checkpoint.save(aiMessage);
+
+                    // Track thinking process for progress indication (same as initial generation)
+                    const hasThinkTagsNow = aiMessage.includes('<think>') || aiMessage.includes('</think>');
+                    const currentlyInThinking = hasThinkTagsNow && aiMessage.lastIndexOf('</think>') < aiMessage.lastIndexOf('<think>');
+
+                    // Detect start of thinking process
+                    if (!isInThinkingProcess && currentlyInThinking) {
+                        isInThinkingProcess = true;
+                        thinkingStartTime = Date.now();
+                        debugLog('Reasoning model started thinking process during regeneration');
                     }
-                    reject(new Error('Streaming response timed out during regeneration. This may happen with reasoning models during long thinking processes. Please try again.'));
-                }, streamingTimeoutMs);
-            });
 
-            // Send request to API with timeout protection
-            const fetchPromise = fetch(getApiUrl(), {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(requestBody),
-                signal: signal
-            });
+                    // Detect end of thinking process
+                    if (isInThinkingProcess && !currentlyInThinking && aiMessage.includes('</think>')) {
+                        isInThinkingProcess = false;
+                        const thinkingDuration = Date.now() - thinkingStartTime;
+                        debugLog(`Reasoning model completed thinking process in ${thinkingDuration}ms during regeneration`);
+                    }
 
-            // Race between fetch and timeout
-            const response = await Promise.race([fetchPromise, timeoutPromise]);
+                    // Track thinking tags (recalculate each time like in regular function)
+                    const hasThinkTags = aiMessage.includes('<think>') || aiMessage.includes('</think>');
 
-            // Clear the initial timeout since we got a response
-            if (streamingTimeoutId) {
-                clearTimeout(streamingTimeoutId);
-            }
+                    // Check if this is a code block outside of think tags
+                    if (!hasCodeBlock &&
+                        (deltaText.includes('```') ||
+                         aiMessage.includes('```'))) {
 
-            if (!response.ok) {
-                let errorText;
-                try {
-                    const errorData = await response.json();
-                    errorText = errorData.error || errorData.message || `HTTP Error: ${response.status} ${response.statusText}`;
-                } catch (jsonError) {
-                    errorText = `HTTP Error: ${response.status} ${response.statusText}`;
-                }
+                        // Only trigger reload for code blocks outside think tags
+                        if (containsCodeBlocksOutsideThinkTags(aiMessage)) {
+                            hasCodeBlock = true;
 
-                throw new Error(errorText);
-            }
+                            // Special handling for first message - detect code blocks early
+                            if (isFirstMessage) {
+                                // Check if we have a complete code block already (outside think tags)
+                                const contentWithoutThinkTags = aiMessage.replace(/<think>[\s\S]*?<\/think>/g, '');
+                                const codeBlockStart = contentWithoutThinkTags.indexOf('```');
+                                const codeBlockEnd = contentWithoutThinkTags.indexOf('```', codeBlockStart + 3);
 
-            const reader = response.body.getReader();
+                                // If we have a complete code block in first message (outside think tags),
+                                // prepare for faster reload by setting up flag
+                                if (codeBlockStart !== -1 && codeBlockEnd !== -1) {
+                                    debugLog('Complete code block detected outside think tags in first message, preparing for fast reload');
+                                    hasInitializedCodeBlocks = true; // Mark as detected for reload
 
-            // Create a new timeout for the streaming process (reset on each chunk)
-            const resetChunkTimeout = () => {
-                if (chunkTimeoutId) {
-                    clearTimeout(chunkTimeoutId);
-                }
-                // 2 minutes timeout between chunks (reasoning models may pause during thinking)
-                chunkTimeoutId = setTimeout(() => {
-                    debugLog('No data received for 2 minutes during regeneration, aborting stream');
-                    if (abortController) {
-                        abortController.abort();
+                                    // Code block detected - no longer triggering reload
+                                }
+                            }
+                        }
                     }
-                }, 120000); // 2 minutes
-            };
-
-            resetChunkTimeout();
 
-            // Track streaming progress for reasoning models (same as initial generation)
-            let lastChunkTime = Date.now();
-            let isInThinkingProcess = false;
-            let thinkingStartTime = null;
-
-            // Process the streaming response
-            while (true) {
-                const { done, value } = await reader.read();
+                    // Apply appropriate sanitization - check if we have content after </think> tags first
+                    const hideThinking = getHideThinking();
+                    const inThinkingSection = hasThinkTags && aiMessage.lastIndexOf('</think>') < aiMessage.lastIndexOf('<think>');
 
-                if (done) {
-                    // Clear chunk timeout when stream is complete
-                    if (chunkTimeoutId) {
-                        clearTimeout(chunkTimeoutId);
+                    // Check if content after </think> exists
+                    let contentAfterThink = "";
+                    if (hasThinkTags && aiMessage.includes('</think>')) {
+                        const afterThinkMatch = aiMessage.match(/<\/think>([\s\S]*)$/);
+                        if (afterThinkMatch && afterThinkMatch[1]) {
+                            contentAfterThink = afterThinkMatch[1].trim();
+                        }
                     }
-                    break;
-                }
 
-                // Reset timeout since we received data
-                resetChunkTimeout();
-
-                // Handle partial UTF-8 sequences
-                let processedChunk;
-                if (incompleteChunk.length > 0) {
-                    processedChunk = new Uint8Array(incompleteChunk.length + value.length);
-                    processedChunk.set(incompleteChunk);
-                    processedChunk.set(value, incompleteChunk.length);
-                    incompleteChunk = new Uint8Array();
-                } else {
-                    processedChunk = value;
-                }
+                    if (hasThinkTags && contentContainer) {
+                        if (hideThinking) {
+                            // When hide thinking is enabled, always hide thinking tags and content
+                            if (contentAfterThink !== "") {
+                                // We have content after </think>, show ONLY that content (streaming)
+                                const processedContent = aiMessage.replace(/<think>[\s\S]*?<\/think>/g, '');
+                                contentContainer.innerHTML = basicSanitizeInput(processedContent);
+
+                                // Remove any thinking indicator that might exist
+                                const thinkingIndicator = contentContainer.querySelector('.thinking-indicator');
+                                if (thinkingIndicator) {
+                                    thinkingIndicator.remove();
+                                }
+                            } else if (inThinkingSection) {
+                                // We're in thinking section and hide thinking is enabled, show indicator
+                                let thinkingIndicator = contentContainer.querySelector('.thinking-indicator');
 
-                // Decode the chunk
-                let chunkText;
-                try {
-                    chunkText = decoder.decode(processedChunk, { stream: true });
-                } catch (e) {
-                    incompleteChunk = processedChunk;
-                    debugLog('UTF-8 decoding error, storing chunk for next iteration:', e);
-                    continue;
-                }
+                                // Create thinking indicator if it doesn't exist
+                                if (!thinkingIndicator) {
+                                    thinkingIndicator = document.createElement('div');
+                                    thinkingIndicator.className = 'thinking-indicator';
 
-                // Process the chunk line by line (SSE format)
-                if (chunkText.startsWith('data: ')) {
-                    const lines = chunkText.split('\n');
+                                    // Enhanced thinking indicator with progress (same as initial generation)
+                                    const thinkingDuration = thinkingStartTime ? Date.now() - thinkingStartTime : 0;
+                                    const durationText = thinkingDuration > 1000 ? ` (${Math.round(thinkingDuration / 1000)}s)` : '';
 
-                    for (const line of lines) {
-                        if (!line.trim() || line === 'data: [DONE]' || line === 'data: ') {
-                            continue;
-                        }
+                                    thinkingIndicator.innerHTML = `<i class="fas fa-brain"></i>${durationText}`;
+                                    thinkingIndicator.setAttribute('data-thinking-content', '');
 
-                        if (line.startsWith('data: ')) {
-                            try {
-                                const jsonData = line.substring(6);
-                                const data = JSON.parse(jsonData);
-
-                                if (data.choices && data.choices[0] && data.choices[0].delta) {
-                                    const delta = data.choices[0].delta;
-
-                                    if (delta.content) {
-                                        // Create the AI message bubble on first content arrival
-                                        if (!aiMessageElement) {
-                                            aiMessageElement = appendMessage('ai', '');
-                                            contentContainer = aiMessageElement.querySelector('.message-content');
-                                            
-                                            // If we couldn't find a container, log error and stop
-                                            if (!contentContainer) {
-                                                debugError('Could not find message content container for regenerated AI message');
-                                                isGenerating = false;
-                                                hideLoadingIndicator();
-                                                return;
-                                            }
-                                        }
-                                        
-                                        aiMessage += delta.content;
-
-                                        // Track thinking process for progress indication (same as initial generation)
-                                        const hasThinkTagsNow = aiMessage.includes('<think>') || aiMessage.includes('</think>');
-                                        const currentlyInThinking = hasThinkTagsNow && aiMessage.lastIndexOf('</think>') < aiMessage.lastIndexOf('<think>');
-
-                                        // Detect start of thinking process
-                                        if (!isInThinkingProcess && currentlyInThinking) {
-                                            isInThinkingProcess = true;
-                                            thinkingStartTime = Date.now();
-                                            debugLog('Reasoning model started thinking process during regeneration');
-                                        }
-
-                                        // Detect end of thinking process
-                                        if (isInThinkingProcess && !currentlyInThinking && aiMessage.includes('</think>')) {
-                                            isInThinkingProcess = false;
-                                            const thinkingDuration = Date.now() - thinkingStartTime;
-                                            debugLog(`Reasoning model completed thinking process in ${thinkingDuration}ms during regeneration`);
-                                        }
-
-                                        // Track thinking tags (recalculate each time like in regular function)
-                                        const hasThinkTags = aiMessage.includes('<think>') || aiMessage.includes('</think>');
-
-                                        // Check if this is a code block outside of think tags
-                                        if (!hasCodeBlock &&
-                                            (delta.content.includes('```') ||
-                                             aiMessage.includes('```'))) {
-
-                                            // Only trigger reload for code blocks outside think tags
-                                            if (containsCodeBlocksOutsideThinkTags(aiMessage)) {
-                                                hasCodeBlock = true;
-
-                                                // Special handling for first message - detect code blocks early
-                                                if (isFirstMessage) {
-                                                    // Check if we have a complete code block already (outside think tags)
-                                                    const contentWithoutThinkTags = aiMessage.replace(/<think>[\s\S]*?<\/think>/g, '');
-                                                    const codeBlockStart = contentWithoutThinkTags.indexOf('```');
-                                                    const codeBlockEnd = contentWithoutThinkTags.indexOf('```', codeBlockStart + 3);
-
-                                                    // If we have a complete code block in first message (outside think tags),
-                                                    // prepare for faster reload by setting up flag
-                                                    if (codeBlockStart !== -1 && codeBlockEnd !== -1) {
-                                                        debugLog('Complete code block detected outside think tags in first message, preparing for fast reload');
-                                                        hasInitializedCodeBlocks = true; // Mark as detected for reload
-
-                                                        // Code block detected - no longer triggering reload
-                                                    }
-                                                }
-                                            }
-                                        }
-
-                                        // Apply appropriate sanitization - check if we have content after </think> tags first
-                                        const hideThinking = getHideThinking();
-                                        const inThinkingSection = hasThinkTags && aiMessage.lastIndexOf('</think>') < aiMessage.lastIndexOf('<think>');
-
-                                        // Check if content after </think> exists
-                                        let contentAfterThink = "";
-                                        if (hasThinkTags && aiMessage.includes('</think>')) {
-                                            const afterThinkMatch = aiMessage.match(/<\/think>([\s\S]*)$/);
-                                            if (afterThinkMatch && afterThinkMatch[1]) {
-                                                contentAfterThink = afterThinkMatch[1].trim();
-                                            }
-                                        }
-
-                                        if (hasThinkTags && contentContainer) {
-                                            if (hideThinking) {
-                                                // When hide thinking is enabled, always hide thinking tags and content
-                                                if (contentAfterThink !== "") {
-                                                    // We have content after </think>, show ONLY that content (streaming)
-                                                    const processedContent = aiMessage.replace(/<think>[\s\S]*?<\/think>/g, '');
-                                                    contentContainer.innerHTML = basicSanitizeInput(processedContent);
-
-                                                    // Remove any thinking indicator that might exist
-                                                    const thinkingIndicator = contentContainer.querySelector('.thinking-indicator');
-                                                    if (thinkingIndicator) {
-                                                        thinkingIndicator.remove();
-                                                    }
-                                                } else if (inThinkingSection) {
-                                                    // We're in thinking section and hide thinking is enabled, show indicator
-                                                    let thinkingIndicator = contentContainer.querySelector('.thinking-indicator');
-
-                                                    // Create thinking indicator if it doesn't exist
-                                                    if (!thinkingIndicator) {
-                                                        thinkingIndicator = document.createElement('div');
-                                                        thinkingIndicator.className = 'thinking-indicator';
-
-                                                        // Enhanced thinking indicator with progress (same as initial generation)
-                                                        const thinkingDuration = thinkingStartTime ? Date.now() - thinkingStartTime : 0;
-                                                        const durationText = thinkingDuration > 1000 ? ` (${Math.round(thinkingDuration / 1000)}s)` : '';
-
-                                                        thinkingIndicator.innerHTML = `<i class="fas fa-brain"></i>${durationText}`;
-                                                        thinkingIndicator.setAttribute('data-thinking-content', '');
-
-                                                        // Clear the container and add the indicator
-                                                        contentContainer.innerHTML = '';
-                                                        contentContainer.appendChild(thinkingIndicator);
-                                                    } else {
-                                                        // Update existing indicator with duration (throttled to avoid too frequent updates)
-                                                        const now = Date.now();
-                                                        if (!window._lastThinkingUpdateTime || now - window._lastThinkingUpdateTime > 100) {
-                                                            window._lastThinkingUpdateTime = now;
-                                                            const thinkingDuration = thinkingStartTime ? Date.now() - thinkingStartTime : 0;
-                                                            const durationText = thinkingDuration > 1000 ? ` (${Math.round(thinkingDuration / 1000)}s)` : '';
-                                                            thinkingIndicator.innerHTML = `<i class="fas fa-brain"></i>${durationText}`;
-                                                        }
-                                                    }
-
-                                                    // Update the data attribute with current thinking content
-                                                    const thinkingContent = aiMessage.match(/<think>([\s\S]*?)(?:<\/think>|$)/);
-                                                    if (thinkingContent && thinkingContent[1]) {
-                                                        thinkingIndicator.setAttribute('data-thinking-content', thinkingContent[1]);
-                                                    }
-                                                } else {
-                                                    // Hide thinking is enabled but we're not in thinking section and no content after think
-                                                    // This means thinking tags are complete but no content after them yet
-                                                    const processedContent = aiMessage.replace(/<think>[\s\S]*?<\/think>/g, '');
-                                                    contentContainer.innerHTML = basicSanitizeInput(processedContent);
-                                                }
-                                            } else {
-                                                // Hide thinking is disabled, show everything including thinking tags (streaming)
-                                                contentContainer.innerHTML = sanitizeInput(aiMessage);
-                                            }
-
-                                            // Mark this message as having thinking
-                                            aiMessageElement.dataset.hasThinking = 'true';
-                                        } else if (contentContainer) {
-                                            // For non-reasoning models, apply basic sanitization
-                                            contentContainer.innerHTML = basicSanitizeInput(aiMessage);
-                                            // Mark this message as a non-reasoning model response
-                                            aiMessageElement.dataset.hasThinking = 'false';
-                                        }
-
-                                        // Only mark code blocks as detected once we see a completed code block
-                                        // But don't initialize them yet - defer initialization until after connection is closed
-                                        if (hasCodeBlock && aiMessage.includes('```') &&
-                                            aiMessage.lastIndexOf('```') > aiMessage.indexOf('```') + 3 &&
-                                            !hasInitializedCodeBlocks) {
-
-                                            // Just mark that we've detected code blocks
-                                            hasInitializedCodeBlocks = true;
-                                        }
-
-                                        // Scroll to bottom during streaming if auto-scroll is enabled
-                                        if (getAutoScrollEnabled()) {
-                                            scrollToBottom(messagesContainer, true);
-                                        }
+                                    // Clear the container and add the indicator
+                                    contentContainer.innerHTML = '';
+                                    contentContainer.appendChild(thinkingIndicator);
+                                } else {
+                                    // Update existing indicator with duration (throttled to avoid too frequent updates)
+                                    const now = Date.now();
+                                    if (!window._lastThinkingUpdateTime || now - window._lastThinkingUpdateTime > 100) {
+                                        window._lastThinkingUpdateTime = now;
+                                        const thinkingDuration = thinkingStartTime ? Date.now() - thinkingStartTime : 0;
+                                        const durationText = thinkingDuration > 1000 ? ` (${Math.round(thinkingDuration / 1000)}s)` : '';
+                                        thinkingIndicator.innerHTML = `<i class="fas fa-brain"></i>${durationText}`;
                                     }
                                 }
-                            } catch (error) {
-                                debugLog('Error parsing JSON:', error);
+
+                                // Update the data attribute with current thinking content
+                                const thinkingContent = aiMessage.match(/<think>([\s\S]*?)(?:<\/think>|$)/);
+                                if (thinkingContent && thinkingContent[1]) {
+                                    thinkingIndicator.setAttribute('data-thinking-content', thinkingContent[1]);
+                                }
+                            } else {
+                                // Hide thinking is enabled but we're not in thinking section and no content after think
+                                // This means thinking tags are complete but no content after them yet
+                                const processedContent = aiMessage.replace(/<think>[\s\S]*?<\/think>/g, '');
+                                contentContainer.innerHTML = basicSanitizeInput(processedContent);
                             }
+                        } else {
+                            // Hide thinking is disabled, show everything including thinking tags (streaming)
+                            contentContainer.innerHTML = sanitizeInput(aiMessage);
                         }
+
+                        // Mark this message as having thinking
+                        aiMessageElement.dataset.hasThinking = 'true';
+                    } else if (contentContainer) {
+                        // For non-reasoning models, apply basic sanitization
+                        contentContainer.innerHTML = basicSanitizeInput(aiMessage);
+                        // Mark this message as a non-reasoning model response
+                        aiMessageElement.dataset.hasThinking = 'false';
                     }
-                }
-            }
 
-            // Handle any remaining UTF-8 data
-            if (incompleteChunk.length > 0) {
-                const finalChunk = decoder.decode(incompleteChunk);
-                aiMessage += finalChunk;
-            }
+                    // Only mark code blocks as detected once we see a completed code block
+                    // But don't initialize them yet - defer initialization until after connection is closed
+                    if (hasCodeBlock && aiMessage.includes('```') &&
+                        aiMessage.lastIndexOf('```') > aiMessage.indexOf('```') + 3 &&
+                        !hasInitializedCodeBlocks) {
+
+                        // Just mark that we've detected code blocks
+                        hasInitializedCodeBlocks = true;
+                    }
+
+                    // Scroll to bottom during streaming if auto-scroll is enabled
+                    if (getAutoScrollEnabled()) {
+                        scrollToBottom(messagesContainer, true);
+                    }
+                },
+                onToolCalls: async (calls, roundText) => {
+                    ensureMessageElement();
+                    await answerToolCalls(requestBody, calls, roundText, toolCalls, aiMessageElement);
+                }
+            });
 
             // Immediately terminate the connection to ensure proper cleanup
             if (abortController) {
@@ -2859,6 +3505,17 @@ export async function regenerateLastResponse(isRetry = false) {
                 contentContainer.innerHTML = basicSanitizeInput(aiMessage);
             }
 
+            // Show token usage and speed under the reply
+            const stats = responseStats.finish();
+            renderStatsFooter(aiMessageElement, stats);
+
+            // Check the reply against the chat's schema and show it as JSON
+            const structured = structuredOutput ? checkStructuredResponse(aiMessage, structuredOutput) : null;
+            renderStructuredOutput(aiMessageElement, aiMessage, structured);
+            if (stats && stats.promptTokens !== null) {
+                showContextUsage(stats.promptTokens + stats.completionTokens, context.contextLength, context.droppedCount);
+            }
+
             // Only initialize code blocks if they exist outside think tags and we haven't initialized them already
             // Schedule code block initialization after connection is closed
             if (containsCodeBlocksOutsideThinkTags(aiMessage)) {
@@ -2869,19 +3526,19 @@ export async function regenerateLastResponse(isRetry = false) {
 
             scrollToBottom(messagesContainer, true);
 
-        // Update chat history: remove messages after the last user message and add new AI response
+        // Update chat history: keep the previous response as an alternative of the new one
         if (Array.isArray(chatHistoryData[currentChatId])) {
             // Convert to new format if needed
             chatHistoryData[currentChatId] = {
-                messages: chatHistoryData[currentChatId].slice(0, lastUserMessageIndex + 1),
+                messages: chatHistoryData[currentChatId],
                 title: chatHistoryData[currentChatId].title || null,
                 };
-        } else {
-            chatHistoryData[currentChatId].messages = chatHistoryData[currentChatId].messages.slice(0, lastUserMessageIndex + 1);
         }
 
         // Add the new AI response
-        chatHistoryData[currentChatId].messages.push({ role: 'assistant', content: aiMessage });
+        forkAt(chatHistoryData[currentChatId].messages, lastUserMessageIndex + 1, [createAssistantMessage(aiMessage, requestBody.model, stats, { toolCalls, structured })]);
+        showBranchNavigation(aiMessageElement, lastUserMessageIndex + 1);
+        showContinueAction(aiMessageElement);
 
         // Make sure to save to localStorage before any other operations
         // This ensures the chat is saved even if there's an issue with subsequent operations
@@ -2917,29 +3574,25 @@ export async function regenerateLastResponse(isRetry = false) {
 
         debugLog('Regeneration completed successfully');
     } catch (error) {
-        // Clean up timeouts on error
-        if (streamingTimeoutId) {
-            clearTimeout(streamingTimeoutId);
-        }
-        if (chunkTimeoutId) {
-            clearTimeout(chunkTimeoutId);
-        }
-
         if (error.name === 'AbortError') {
             debugLog('Fetch aborted');
+            // Keep what the model wrote before it was stopped, so it can be continued
+            if (savePartialResponse) {
+                savePartialResponse();
+            }
         } else {
             debugError('Error during regeneration:', error);
+            if (error instanceof NetworkError) {
+                requestConnectionCheck();
+            }
             appendMessage('error', 'An error occurred while regenerating the response: ' + error.message);
         }
     } finally {
         debugLog('Finalizing regeneration...');
 
-        // Clean up all timeouts
-        if (streamingTimeoutId) {
-            clearTimeout(streamingTimeoutId);
-        }
-        if (chunkTimeoutId) {
-            clearTimeout(chunkTimeoutId);
+        // The reply is in the chat history by now, or was never sent
+        if (checkpoint) {
+            checkpoint.clear();
         }
 
         isGenerating = false;
@@ -3022,14 +3675,164 @@ export async function regenerateLastResponse(isRetry = false) {
     }
 }
 
+/**
+ * Continues the last reply of the chat where it was cut off, by the token limit or the stop button
+ * The reply so far is sent as a prefilled assistant turn, and the new text is added to the same
+ * message bubble and history entry
+ */
+export async function continueLastResponse() {
+    if (isGenerating) {
+        debugLog('Not continuing while a response is being generated');
+        return;
+    }
+
+    const chatData = chatHistoryData[currentChatId];
+    const messages = chatData && !Array.isArray(chatData) ? chatData.messages : null;
+    const message = messages && messages.length > 0 ? messages[messages.length - 1] : null;
+    const aiMessages = messagesContainer.querySelectorAll('.ai');
+    const messageElement = aiMessages.length > 0 ? aiMessages[aiMessages.length - 1] : null;
+    const contentContainer = messageElement ? messageElement.querySelector('.message-content') : null;
+    if (!canContinueResponse(message) || !contentContainer) {
+        debugLog('The last reply can not be continued');
+        return;
+    }
+
+    isGenerating = true;
+    abortController = new AbortController();
+    const signal = abortController.signal;
+    messagesContainer.querySelectorAll('.continue-btn').forEach(button => button.remove());
+    messageElement.classList.remove('continue-available');
+    showLoadingIndicator();
+    toggleSendStopButton();
+
+    // A reply cut off while thinking continues inside its open <think> block
+    const isThinking = !message.content;
+    const previousText = isThinking ? `<think>${message.reasoning}` : joinReasoning(message.content, message.reasoning);
+    const previousStats = message.stats || null;
+    let continuation = '';
+    const getFullText = () => previousText + (isThinking ? continuation.replace(/^<think>/, '') : continuation);
+
+    const generationChatId = currentChatId;
+    const responseStats = new ResponseStats();
+    const checkpoint = createResponseCheckpoint({ chatId: generationChatId, index: messages.length - 1, mode: 'continue', model: message.model });
+    // Tools called while continuing are added to those the reply already used
+    const toolCalls = [...(message.toolCalls || [])];
+
+    // Stores the reply with its continuation in the same history entry
+    const updateMessage = (stats, incomplete, structured = null) => {
+        const updated = createAssistantMessage(getFullText(), message.model, mergeResponseStats(previousStats, stats), {
+            toolCalls,
+            structured,
+            incomplete
+        });
+        delete message.incomplete;
+        delete message.structured;
+        Object.assign(message, updated);
+        if (!updated.reasoning) {
+            delete message.reasoning;
+        }
+        saveChatHistory();
+    };
+
+    try {
+        if (!(await ensureServerReachable())) {
+            throw new Error('LM Studio server is not running');
+        }
+
+        const apiMessages = await buildRequestMessages(chatData, messages.slice(0, -1), message.model || getSelectedModel());
+        // The reply so far, for the model to carry on from
+        apiMessages.push({ role: 'assistant', content: isThinking ? previousText : message.content });
+
+        const { requestBody, structuredOutput, context } = await buildChatRequest(chatData, apiMessages, message.model || getSelectedModel());
+        showContextUsage(context.usedTokens, context.contextLength, context.droppedCount);
+        debugLog('Continuing the last reply with request:', requestBody);
+
+        await streamChatResponse(requestBody, {
+            signal,
+            responseStats,
+            timeoutMessage: 'Streaming response timed out while continuing. Please try again.',
+            onText: (deltaText, text) => {
+                continuation = text;
+                checkpoint.save(getFullText());
+                renderStreamingText(contentContainer, getFullText());
+                if (getAutoScrollEnabled()) {
+                    scrollToBottom(messagesContainer, false);
+                }
+            },
+            onToolCalls: async (calls, roundText) => {
+                // The first calls end the reply so far, which is sent back as one assistant turn with them
+                const lastMessage = requestBody.messages[requestBody.messages.length - 1];
+                if (lastMessage.role === 'assistant' && !lastMessage.tool_calls) {
+                    requestBody.messages.pop();
+                    roundText = getFullText();
+                }
+                await answerToolCalls(requestBody, calls, roundText, toolCalls, messageElement);
+            }
+        });
+
+        const stats = responseStats.finish();
+        // Check the whole reply against the chat's schema again
+        const structured = structuredOutput ? checkStructuredResponse(getFullText(), structuredOutput) : null;
+        updateMessage(stats, null, structured);
+
+        contentContainer.innerHTML = '';
+        renderStreamingText(contentContainer, getFullText());
+        renderStatsFooter(messageElement, message.stats || null);
+        renderStructuredOutput(messageElement, getFullText(), structured);
+        if (stats && stats.promptTokens !== null) {
+            showContextUsage(stats.promptTokens + stats.completionTokens, context.contextLength, context.droppedCount);
+        }
+
+        if (containsCodeBlocksOutsideThinkTags(getFullText())) {
+            initializeCodeMirror(messageElement);
+        }
+        showContinueAction(messageElement);
+        debugLog('Continued the last reply');
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            debugLog('Continuation aborted');
+            // Keep the text that arrived, it can be continued again
+            if (continuation && currentChatId === generationChatId) {
+                updateMessage(responseStats.finish(), 'stopped');
+            }
+            showContinueAction(messageElement);
+        } else {
+            debugError('Error while continuing the reply:', error);
+            if (error instanceof NetworkError) {
+                requestConnectionCheck();
+            }
+            appendMessage('error', 'An error occurred while continuing the response: ' + error.message);
+            showContinueAction(messageElement);
+        }
+    } finally {
+        checkpoint.clear();
+        isGenerating = false;
+
+        const controller = abortController;
+        abortController = null;
+        if (controller) {
+            controller.abort();
+        }
+
+        hideLoadingIndicator();
+        const stopButton = document.getElementById('stop-button');
+        if (stopButton && !stopButton.classList.contains('hidden')) {
+            toggleSendStopButton();
+        }
+    }
+}
+
 // Add this new function for faster chat history updates before reload
 /**
  * Updates the chat history without UI updates for faster reloads
  * @param {string} userMessage - The user's message
  * @param {string} aiMessage - The AI's response
  * @param {Array} fileContents - Optional array of file contents
+ * @param {string} [model] - The model that wrote the response
+ * @param {Object} [stats] - Token usage and speed of the response
+ * @param {Object} [extras] - Tool calls and structured output check of the response, see createAssistantMessage
  */
-async function fastUpdateChatHistoryBeforeReload(userMessage, aiMessage, fileContents = []) {
+async function fastUpdateChatHistoryBeforeReload(userMessage, aiMessage, fileContents = [], model = getSelectedModel(), stats = null, extras = {}) {
     debugLog('Fast update of chat history before reload');
 
     // Ensure chatHistoryData is initialized
@@ -3086,7 +3889,7 @@ async function fastUpdateChatHistoryBeforeReload(userMessage, aiMessage, fileCon
     }
 
     // Add the AI response
-    messages.push({ role: 'assistant', content: aiMessage });
+    messages.push(createAssistantMessage(aiMessage, model, stats, extras));
 
     // Just save to localStorage quickly without UI updates
     try {
@@ -3136,6 +3939,14 @@ export async function addUserMessageToHistory(userMessage, fileContents = []) {
         chatHistoryData[currentChatId].messages = [];
     }
 
+    // Remember which server profile this chat was started on
+    if (!chatHistoryData[currentChatId].serverProfileId) {
+        const activeProfileId = getActiveServerProfileId();
+        if (activeProfileId) {
+            chatHistoryData[currentChatId].serverProfileId = activeProfileId;
+        }
+    }
+
     // Get a reference to the messages array
     const messages = chatHistoryData[currentChatId].messages;
 
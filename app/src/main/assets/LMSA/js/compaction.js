@@ -0,0 +1,231 @@
+// Conversation Compaction
+// Replaces the older messages of a chat with a summary written by the model in what is sent,
+// while the original messages stay in the chat to read and export
+
+import { registerSlashCommand } from './slash-commands.js';
+import { debugLog, debugError, escapeHtml, sanitizeInput } from './utils.js';
+
+// Turns kept after the summary when a chat is compacted automatically
+export const KEEP_RECENT_TURNS = 2;
+
+// Longest preview of a turn in the compact dialog
+const TURN_PREVIEW_LENGTH = 60;
+
+// Compact dialog elements
+let compactModal = null;
+let compactPointSelect = null;
+
+/**
+ * Creates the history entry that stands in for the messages before it
+ * @param {string} summary - Summary of the compacted messages
+ * @param {number} compactedCount - How many messages the summary covers
+ * @param {string} [model] - The model that wrote the summary
+ * @returns {Object} - The summary message
+ */
+export function createCompactionSummary(summary, compactedCount, model) {
+    const message = {
+        role: 'system',
+        content: summary,
+        isCompactionSummary: true,
+        compactedCount
+    };
+    if (model) {
+        message.model = model;
+    }
+    return message;
+}
+
+/**
+ * Splits messages at the last compaction summary
+ * @param {Array} messages - Messages of a topic, oldest first
+ * @returns {Object} - {summary, after}: the last summary message (or null) and the messages after it, which are sent in full
+ */
+export function splitAtLastCompaction(messages) {
+    let lastSummary = -1;
+    messages.forEach((message, index) => {
+        if (message.isCompactionSummary) {
+            lastSummary = index;
+        }
+    });
+
+    return {
+        summary: lastSummary === -1 ? null : messages[lastSummary],
+        after: messages.slice(lastSummary + 1)
+    };
+}
+
+/**
+ * Removes a compaction summary, so the messages it covers are sent again
+ * @param {Array} messages - Chat messages, modified in place
+ * @param {number} index - Position of the summary
+ * @returns {boolean} - True if the summary was removed
+ */
+export function removeCompactionSummary(messages, index) {
+    const summary = messages[index];
+    if (!summary || !summary.isCompactionSummary || summary.branches) return false;
+
+    messages.splice(index, 1);
+    return true;
+}
+
+/**
+ * Lists the places a chat can be compacted up to: the start of every turn after the last
+ * topic boundary or summary, except the first, since something has to be summarized
+ * @param {Array} messages - Chat messages, oldest first
+ * @returns {Array} - Indexes of the user messages that start those turns
+ */
+export function getCompactionPoints(messages) {
+    let start = 0;
+    messages.forEach((message, index) => {
+        if (message.isTopicBoundary || message.isCompactionSummary) {
+            start = index + 1;
+        }
+    });
+
+    const points = [];
+    for (let i = start + 1; i < messages.length; i++) {
+        if (messages[i].role === 'user') {
+            points.push(i);
+        }
+    }
+    return points;
+}
+
+/**
+ * Creates the pinned summary shown in place of a compaction point
+ * @param {Object} message - The summary message
+ * @param {Function} onUndo - Called when the user removes the summary
+ * @returns {HTMLElement} - The summary element
+ */
+export function createCompactionElement(message, onUndo) {
+    const count = message.compactedCount || 0;
+    const element = document.createElement('div');
+    element.classList.add('compaction-summary');
+    element.innerHTML = `
+        <div class="compaction-summary-header">
+            <button class="compaction-summary-toggle" aria-expanded="false" title="Show the summary">
+                <i class="fas fa-compress-alt"></i>
+                <span>Compacted: ${count} earlier ${count === 1 ? 'message is' : 'messages are'} sent as a summary</span>
+                <i class="fas fa-chevron-down compaction-summary-chevron"></i>
+            </button>
+            <button class="compaction-summary-undo" title="Send the original messages again" aria-label="Undo compaction">
+                <i class="fas fa-undo"></i>
+            </button>
+        </div>
+        <div class="compaction-summary-text hidden"></div>
+    `;
+
+    const text = element.querySelector('.compaction-summary-text');
+    text.innerHTML = sanitizeInput(message.content);
+    if (message.model) {
+        text.insertAdjacentHTML('beforeend', `<div class="compaction-summary-model">Summarized by ${escapeHtml(message.model)}</div>`);
+    }
+
+    const toggle = element.querySelector('.compaction-summary-toggle');
+    toggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const expanded = text.classList.toggle('hidden') === false;
+        toggle.setAttribute('aria-expanded', String(expanded));
+        element.classList.toggle('expanded', expanded);
+    });
+
+    element.querySelector('.compaction-summary-undo').addEventListener('click', (e) => {
+        e.stopPropagation();
+        onUndo();
+    });
+
+    return element;
+}
+
+/**
+ * Shows the dialog that picks how much of the current chat to compact
+ */
+export async function showCompactDialog() {
+    if (!compactModal) return;
+
+    const { getChatHistoryData, getCurrentChatId } = await import('./chat-service.js');
+    const chatData = getChatHistoryData()[getCurrentChatId()];
+    const messages = chatData ? (Array.isArray(chatData) ? chatData : chatData.messages) : [];
+    const points = getCompactionPoints(messages);
+
+    const confirmButton = document.getElementById('compact-confirm');
+    const hint = document.getElementById('compact-hint');
+    if (points.length === 0) {
+        compactPointSelect.innerHTML = '';
+        compactPointSelect.disabled = true;
+        confirmButton.disabled = true;
+        hint.textContent = 'There is nothing to compact yet. Compacting needs at least two turns after the last summary or new topic.';
+    } else {
+        // Offer to keep the most recent turns by default
+        const defaultPoint = points[Math.max(0, points.length - KEEP_RECENT_TURNS)];
+        compactPointSelect.innerHTML = points.map(index => {
+            const text = String(messages[index].content || '').trim().replace(/\s+/g, ' ');
+            const preview = text.length > TURN_PREVIEW_LENGTH ? `${text.substring(0, TURN_PREVIEW_LENGTH)}…` : text;
+            return `<option value="${index}" ${index === defaultPoint ? 'selected' : ''}>Before “${escapeHtml(preview)}”</option>`;
+        }).join('');
+        compactPointSelect.disabled = false;
+        confirmButton.disabled = false;
+        hint.textContent = 'Everything before this message is summarized by the loaded model. The original messages stay in the chat.';
+    }
+
+    compactModal.classList.remove('hidden');
+}
+
+/**
+ * Hides the compact dialog
+ */
+function hideCompactDialog() {
+    if (compactModal) {
+        compactModal.classList.add('hidden');
+    }
+}
+
+/**
+ * Initializes the compact dialog and its menu entry
+ */
+export function initializeCompaction() {
+    compactModal = document.getElementById('compact-modal');
+    compactPointSelect = document.getElementById('compact-point');
+    const menuButton = document.getElementById('compact-menu-button');
+    const confirmButton = document.getElementById('compact-confirm');
+    const cancelButton = document.getElementById('compact-cancel');
+    const hint = document.getElementById('compact-hint');
+
+    if (!compactModal || !compactPointSelect || !menuButton || !confirmButton || !cancelButton || !hint) {
+        debugError('Compaction elements not found');
+        compactModal = null;
+        return;
+    }
+
+    menuButton.addEventListener('click', () => {
+        const sendContextMenu = document.getElementById('send-context-menu');
+        if (sendContextMenu) {
+            sendContextMenu.style.display = 'none';
+        }
+        showCompactDialog();
+    });
+
+    confirmButton.addEventListener('click', async () => {
+        const index = parseInt(compactPointSelect.value, 10);
+        hideCompactDialog();
+        if (!Number.isInteger(index)) return;
+
+        const { compactCurrentChat } = await import('./chat-service.js');
+        await compactCurrentChat(index);
+    });
+
+    cancelButton.addEventListener('click', hideCompactDialog);
+    compactModal.addEventListener('click', (e) => {
+        if (e.target === compactModal) {
+            hideCompactDialog();
+        }
+    });
+
+    registerSlashCommand({
+        name: 'compact',
+        description: 'Summarize the older messages of this chat',
+        run: showCompactDialog
+    });
+
+    debugLog('Compaction initialized');
+}
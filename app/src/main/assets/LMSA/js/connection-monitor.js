@@ -0,0 +1,306 @@
+// Connection Monitor for the LM Studio server
+// Checks the server in the background so the UI always knows whether it is reachable
+// and requests don't have to probe the server before they are sent
+
+import { serverIpInput, serverPortInput } from './dom-elements.js';
+import { getServerBaseUrl, getRequestHeaders } from './api-service.js';
+import { getBackendAdapter } from './backend-adapters.js';
+import { request, cancelGroup, HttpError, CancelledError } from './http-client.js';
+import { debugLog } from './utils.js';
+
+// Connection states
+export const CONNECTION_STATES = {
+    UNKNOWN: 'unknown',
+    ONLINE: 'online',
+    DEGRADED: 'degraded',
+    OFFLINE: 'offline'
+};
+
+// Heartbeat timing
+const HEARTBEAT_INTERVAL_MS = 15000;
+const RETRY_BASE_DELAY_MS = 2000;
+const RETRY_MAX_DELAY_MS = 60000;
+const PROBE_TIMEOUT_MS = 5000;
+
+// A response slower than this marks the connection as degraded
+const DEGRADED_LATENCY_MS = 2000;
+
+// Number of failed checks in a row before an online server is reported offline
+const OFFLINE_AFTER_FAILURES = 2;
+
+// Cancellation group for heartbeat requests
+const CONNECTION_MONITOR_GROUP = 'connection-monitor';
+
+let connectionState = CONNECTION_STATES.UNKNOWN;
+let lastLatency = null;
+let lastCheckedAt = null;
+let lastError = null;
+let consecutiveFailures = 0;
+
+let heartbeatTimeoutId = null;
+let currentCheck = null;
+let isRunning = false;
+
+// Status dot in the header
+let statusDot = null;
+
+/**
+ * Gets the cached connection state
+ * @returns {string} - One of CONNECTION_STATES
+ */
+export function getConnectionState() {
+    return connectionState;
+}
+
+/**
+ * Gets details about the last connection check
+ * @returns {Object} - {state, latency, lastCheckedAt, error, consecutiveFailures}
+ */
+export function getConnectionInfo() {
+    return {
+        state: connectionState,
+        latency: lastLatency,
+        lastCheckedAt,
+        error: lastError,
+        consecutiveFailures
+    };
+}
+
+/**
+ * Checks whether requests can be sent to the server, using the cached state when possible
+ * Only probes the server when it is offline or hasn't been checked yet
+ * @returns {Promise<boolean>} - True if the server is online or degraded
+ */
+export async function ensureServerReachable() {
+    if (connectionState === CONNECTION_STATES.ONLINE || connectionState === CONNECTION_STATES.DEGRADED) {
+        return true;
+    }
+
+    const state = await checkConnectionNow();
+    return state === CONNECTION_STATES.ONLINE || state === CONNECTION_STATES.DEGRADED;
+}
+
+/**
+ * Records that a request reached the server, so the next heartbeat can wait
+ */
+export function reportConnectionSuccess() {
+    consecutiveFailures = 0;
+    lastError = null;
+    lastCheckedAt = Date.now();
+
+    if (connectionState !== CONNECTION_STATES.ONLINE && connectionState !== CONNECTION_STATES.DEGRADED) {
+        setConnectionState(CONNECTION_STATES.ONLINE);
+    }
+    scheduleHeartbeat(HEARTBEAT_INTERVAL_MS);
+}
+
+/**
+ * Asks for an immediate check after a request failed in a way that may mean the server is gone
+ */
+export function requestConnectionCheck() {
+    checkConnectionNow();
+}
+
+/**
+ * Probes the server right away and updates the connection state
+ * Concurrent callers share the same probe
+ * @returns {Promise<string>} - The new connection state
+ */
+export function checkConnectionNow() {
+    if (!currentCheck) {
+        const check = runCheck().finally(() => {
+            if (currentCheck === check) currentCheck = null;
+        });
+        currentCheck = check;
+    }
+    return currentCheck;
+}
+
+/**
+ * Runs one heartbeat check and schedules the next one
+ * @returns {Promise<string>} - The new connection state
+ */
+async function runCheck() {
+    clearTimeout(heartbeatTimeoutId);
+    heartbeatTimeoutId = null;
+
+    const ip = serverIpInput ? serverIpInput.value.trim() : '';
+    const port = serverPortInput ? serverPortInput.value.trim() : '';
+
+    // Nothing to check until the server address is set
+    if (!ip || !port) {
+        consecutiveFailures = 0;
+        lastError = null;
+        setConnectionState(CONNECTION_STATES.UNKNOWN);
+        return connectionState;
+    }
+
+    const result = await probeServer();
+
+    // A cancelled probe says nothing about the server
+    if (result.cancelled) return connectionState;
+
+    lastCheckedAt = Date.now();
+
+    if (result.ok) {
+        consecutiveFailures = 0;
+        lastLatency = result.latency;
+        lastError = null;
+        setConnectionState(result.latency > DEGRADED_LATENCY_MS ? CONNECTION_STATES.DEGRADED : CONNECTION_STATES.ONLINE);
+        scheduleHeartbeat(HEARTBEAT_INTERVAL_MS);
+    } else {
+        consecutiveFailures++;
+        lastLatency = null;
+        lastError = result.error;
+
+        // A single missed heartbeat from a working server is reported as degraded first
+        const wasReachable = connectionState === CONNECTION_STATES.ONLINE || connectionState === CONNECTION_STATES.DEGRADED;
+        setConnectionState(wasReachable && consecutiveFailures < OFFLINE_AFTER_FAILURES
+            ? CONNECTION_STATES.DEGRADED
+            : CONNECTION_STATES.OFFLINE);
+
+        // Back off exponentially while the server is unreachable
+        scheduleHeartbeat(Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, consecutiveFailures - 1), RETRY_MAX_DELAY_MS));
+    }
+
+    return connectionState;
+}
+
+/**
+ * Sends a lightweight request to the models endpoint
+ * @returns {Promise<Object>} - {ok, latency, error, cancelled}
+ */
+async function probeServer() {
+    const startTime = performance.now();
+
+    try {
+        await request(`${getServerBaseUrl()}${getBackendAdapter().endpoints.models}`, {
+            headers: getRequestHeaders(),
+            timeoutMs: PROBE_TIMEOUT_MS,
+            group: CONNECTION_MONITOR_GROUP
+        });
+        return { ok: true, latency: Math.round(performance.now() - startTime), error: null };
+    } catch (error) {
+        return {
+            ok: false,
+            latency: null,
+            error: error instanceof HttpError ? `HTTP ${error.status}` : error.message,
+            cancelled: error instanceof CancelledError
+        };
+    }
+}
+
+/**
+ * Schedules the next heartbeat
+ * @param {number} delay - Delay in milliseconds
+ */
+function scheduleHeartbeat(delay) {
+    clearTimeout(heartbeatTimeoutId);
+    heartbeatTimeoutId = null;
+
+    // Don't poll while stopped or while the app is in the background
+    if (!isRunning || document.hidden) return;
+
+    heartbeatTimeoutId = setTimeout(checkConnectionNow, delay);
+}
+
+/**
+ * Updates the connection state and notifies listeners when it changes
+ * @param {string} newState - One of CONNECTION_STATES
+ */
+function setConnectionState(newState) {
+    const previousState = connectionState;
+    connectionState = newState;
+    updateStatusDot();
+
+    if (previousState === newState) return;
+
+    debugLog(`Connection state: ${previousState} -> ${newState}`);
+    document.dispatchEvent(new CustomEvent('connectionStateChanged', {
+        detail: { state: newState, previousState, ...getConnectionInfo() }
+    }));
+}
+
+/**
+ * Updates the header status dot to match the connection state
+ */
+function updateStatusDot() {
+    if (!statusDot) return;
+
+    const labels = {
+        [CONNECTION_STATES.UNKNOWN]: 'Server not checked yet',
+        [CONNECTION_STATES.ONLINE]: 'Server online',
+        [CONNECTION_STATES.DEGRADED]: 'Server slow or not responding',
+        [CONNECTION_STATES.OFFLINE]: 'Server offline'
+    };
+
+    let label = labels[connectionState];
+    if (lastLatency !== null && connectionState !== CONNECTION_STATES.OFFLINE) {
+        label += ` (${lastLatency} ms)`;
+    } else if (lastError && connectionState === CONNECTION_STATES.OFFLINE) {
+        label += ` (${lastError})`;
+    }
+
+    statusDot.dataset.state = connectionState;
+    statusDot.title = `${label} - tap to check again`;
+    statusDot.setAttribute('aria-label', label);
+}
+
+/**
+ * Starts the background heartbeat
+ */
+export function startConnectionMonitor() {
+    isRunning = true;
+    checkConnectionNow();
+}
+
+/**
+ * Stops the background heartbeat
+ */
+export function stopConnectionMonitor() {
+    isRunning = false;
+    clearTimeout(heartbeatTimeoutId);
+    heartbeatTimeoutId = null;
+    cancelGroup(CONNECTION_MONITOR_GROUP);
+}
+
+/**
+ * Initializes the connection monitor and the header status dot
+ */
+export function initializeConnectionMonitor() {
+    statusDot = document.getElementById('connection-status-dot');
+    if (statusDot) {
+        statusDot.addEventListener('click', () => checkConnectionNow());
+    }
+    updateStatusDot();
+
+    // A different server or backend means the cached state no longer applies
+    const restartMonitor = () => {
+        cancelGroup(CONNECTION_MONITOR_GROUP);
+        currentCheck = null;
+        consecutiveFailures = 0;
+        lastLatency = null;
+        lastError = null;
+        setConnectionState(CONNECTION_STATES.UNKNOWN);
+        checkConnectionNow();
+    };
+    document.addEventListener('serverUrlChanged', restartMonitor);
+    document.addEventListener('backendTypeChanged', restartMonitor);
+
+    // Pause the heartbeat in the background and check as soon as the app is visible again
+    document.addEventListener('visibilitychange', () => {
+        if (!isRunning) return;
+        if (document.hidden) {
+            clearTimeout(heartbeatTimeoutId);
+            heartbeatTimeoutId = null;
+        } else {
+            checkConnectionNow();
+        }
+    });
+
+    window.addEventListener('online', () => checkConnectionNow());
+    window.addEventListener('offline', () => checkConnectionNow());
+
+    startConnectionMonitor();
+    debugLog('Connection monitor initialized');
+}
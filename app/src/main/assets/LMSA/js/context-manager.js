@@ -0,0 +1,602 @@
+// Context Manager
+// Keeps requests within the model's context window: estimates tokens, trims older history
+// with the selected strategy before each request and shows how full the context is
+
+import { getApiUrl, getRequestHeaders, getModelMetadata } from './api-service.js';
+import { getBackendAdapter } from './backend-adapters.js';
+import { getModelLoadOptions } from './model-load-options.js';
+import { request } from './http-client.js';
+import { getReasoningTimeout } from './settings-manager.js';
+import { debugLog, debugError, splitReasoning } from './utils.js';
+import { splitAtLastTopic } from './topic-boundaries.js';
+import { splitAtLastCompaction } from './compaction.js';
+
+// Local storage keys for the context settings
+const CONTEXT_STRATEGY_KEY = 'contextStrategy';
+const CONTEXT_KEEP_FIRST_KEY = 'contextKeepFirst';
+const CONTEXT_KEEP_LAST_KEY = 'contextKeepLast';
+const TOPIC_SUMMARY_KEY = 'carryTopicSummary';
+const AUTO_COMPACT_KEY = 'autoCompact';
+const AUTO_COMPACT_THRESHOLD_KEY = 'autoCompactThreshold';
+
+// How older messages are handled when a chat no longer fits
+export const CONTEXT_STRATEGIES = ['drop-oldest', 'keep-first-last', 'summarize', 'off'];
+const DEFAULT_STRATEGY = 'drop-oldest';
+const DEFAULT_KEEP_FIRST = 2;
+const DEFAULT_KEEP_LAST = 10;
+// Share of the context window, in percent, a chat may fill before it is compacted automatically
+const DEFAULT_AUTO_COMPACT_THRESHOLD = 80;
+
+// Used when the server doesn't report the model's context length
+const DEFAULT_CONTEXT_LENGTH = 4096;
+
+// Rough token estimates - about 4 characters per token for English text
+const CHARS_PER_TOKEN = 4;
+const TOKENS_PER_MESSAGE = 4; // Role and chat template overhead
+const TOKENS_PER_IMAGE = 768;
+
+// Longest summary of older turns, kept free in the budget when summarizing
+const SUMMARY_MAX_TOKENS = 400;
+
+// Attachments may use this share of the room left by the system prompt and the new message
+const ATTACHMENT_SHARE = 0.75;
+const MIN_ATTACHMENT_CHARS = 2000;
+
+const SUMMARY_PROMPT = 'Summarize the conversation below so it can replace the original messages as context for continuing the chat. Keep names, facts, decisions, code identifiers and open questions. Write plain text in at most 200 words, without any introduction.';
+
+/**
+ * Reads a stored whole number setting
+ * @param {string} key - Local storage key
+ * @param {number} defaultValue - Value when unset or invalid
+ * @returns {number} - The setting value
+ */
+function readCount(key, defaultValue) {
+    const value = parseInt(localStorage.getItem(key), 10);
+    return Number.isInteger(value) && value >= 0 ? value : defaultValue;
+}
+
+/**
+ * Gets the selected context strategy
+ * @returns {string} - One of CONTEXT_STRATEGIES
+ */
+export function getContextStrategy() {
+    const strategy = localStorage.getItem(CONTEXT_STRATEGY_KEY);
+    return CONTEXT_STRATEGIES.includes(strategy) ? strategy : DEFAULT_STRATEGY;
+}
+
+/**
+ * Gets how many messages the keep-first-last strategy keeps from the start and the end of a chat
+ * @returns {Object} - {first, last}
+ */
+export function getKeepCounts() {
+    return {
+        first: readCount(CONTEXT_KEEP_FIRST_KEY, DEFAULT_KEEP_FIRST),
+        last: readCount(CONTEXT_KEEP_LAST_KEY, DEFAULT_KEEP_LAST)
+    };
+}
+
+/**
+ * Checks whether a summary of earlier topics is sent along with the current topic
+ * @returns {boolean} - True if earlier topics are summarized, false if they are left out
+ */
+export function getCarryTopicSummary() {
+    return localStorage.getItem(TOPIC_SUMMARY_KEY) === 'true';
+}
+
+/**
+ * Gets how full the context may get before a chat is compacted automatically
+ * @returns {number|null} - Percent of the context window, or null if chats are only compacted on request
+ */
+export function getAutoCompactThreshold() {
+    if (localStorage.getItem(AUTO_COMPACT_KEY) !== 'true') return null;
+
+    const threshold = readCount(AUTO_COMPACT_THRESHOLD_KEY, DEFAULT_AUTO_COMPACT_THRESHOLD);
+    return threshold >= 10 && threshold <= 100 ? threshold : DEFAULT_AUTO_COMPACT_THRESHOLD;
+}
+
+/**
+ * Estimates the number of tokens in a text
+ * @param {string} text - The text
+ * @returns {number} - Estimated tokens
+ */
+export function estimateTokens(text) {
+    return text ? Math.ceil(String(text).length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Estimates the tokens a message takes in the prompt
+ * @param {Object} message - Chat message, content may be a string or an array of parts
+ * @returns {number} - Estimated tokens
+ */
+export function estimateMessageTokens(message) {
+    if (!message) return 0;
+
+    let tokens = TOKENS_PER_MESSAGE;
+    if (Array.isArray(message.content)) {
+        for (const part of message.content) {
+            tokens += part.type === 'image_url' ? TOKENS_PER_IMAGE : estimateTokens(part.text);
+        }
+    } else {
+        tokens += estimateTokens(message.content);
+    }
+    return tokens;
+}
+
+/**
+ * Estimates the tokens of several messages
+ * @param {Array} messages - Chat messages
+ * @returns {number} - Estimated tokens
+ */
+export function estimateMessagesTokens(messages) {
+    return messages.reduce((total, message) => total + estimateMessageTokens(message), 0);
+}
+
+/**
+ * Gets the context length a model runs with
+ * @param {string} modelId - The model ID
+ * @returns {number} - Context length in tokens
+ */
+export function getContextLength(modelId) {
+    const metadata = getModelMetadata(modelId);
+    if (metadata && metadata.loadedContextLength) {
+        return metadata.loadedContextLength;
+    }
+
+    // The model will be loaded with the remembered options
+    const loadOptions = getModelLoadOptions(modelId);
+    if (loadOptions.contextLength) {
+        return loadOptions.contextLength;
+    }
+
+    return metadata && metadata.maxContextLength ? metadata.maxContextLength : DEFAULT_CONTEXT_LENGTH;
+}
+
+/**
+ * Gets the tokens kept free for the reply
+ * @param {number} contextLength - The model's context length
+ * @param {number} maxTokens - max_tokens of the request, 0 if unset
+ * @returns {number} - Reserved tokens
+ */
+function getReplyReserve(contextLength, maxTokens) {
+    const halfContext = Math.floor(contextLength / 2);
+    return maxTokens > 0 ? Math.min(maxTokens, halfContext) : Math.min(1024, Math.floor(contextLength / 4));
+}
+
+/**
+ * Splits request messages into the leading system prompt, the history and the new message
+ * @param {Array} messages - Messages for the request
+ * @returns {Object} - {head, history, last}
+ */
+function splitRequestMessages(messages) {
+    let historyStart = 0;
+    while (historyStart < messages.length - 1 &&
+           messages[historyStart].role === 'system' &&
+           !messages[historyStart].isTopicBoundary) {
+        historyStart++;
+    }
+    return {
+        head: messages.slice(0, historyStart),
+        history: messages.slice(historyStart, -1),
+        last: messages[messages.length - 1]
+    };
+}
+
+/**
+ * Drops messages from the start of the history until it fits
+ * @param {Array} history - History messages, oldest first
+ * @param {number} budget - Tokens available for the history
+ * @returns {Array} - The kept messages
+ */
+function dropOldest(history, budget) {
+    const kept = history.slice();
+    let tokens = estimateMessagesTokens(kept);
+    while (kept.length > 0 && tokens > budget) {
+        tokens -= estimateMessageTokens(kept.shift());
+    }
+
+    // Don't start with a reply whose question was dropped
+    while (kept.length > 0 && kept.length < history.length && kept[0].role !== 'user') {
+        kept.shift();
+    }
+    return kept;
+}
+
+/**
+ * Keeps the first and last messages of the history, dropping the middle
+ * If that still doesn't fit, the oldest of the last messages go next, then the first ones
+ * @param {Array} history - History messages, oldest first
+ * @param {number} budget - Tokens available for the history
+ * @param {Object} counts - {first, last}
+ * @returns {Array} - The kept messages
+ */
+function keepFirstAndLast(history, budget, counts) {
+    if (estimateMessagesTokens(history) <= budget) return history;
+
+    const firstPart = history.slice(0, counts.first);
+    const lastPart = counts.last > 0 ? history.slice(Math.max(counts.first, history.length - counts.last)) : [];
+
+    let tokens = estimateMessagesTokens(firstPart) + estimateMessagesTokens(lastPart);
+    while (tokens > budget && lastPart.length > 0) {
+        tokens -= estimateMessageTokens(lastPart.shift());
+    }
+    while (tokens > budget && firstPart.length > 0) {
+        tokens -= estimateMessageTokens(firstPart.pop());
+    }
+    return [...firstPart, ...lastPart];
+}
+
+/**
+ * Computes a short fingerprint of messages, to tell whether a cached summary still matches them
+ * @param {Array} messages - Chat messages
+ * @returns {string} - The fingerprint
+ */
+function fingerprintMessages(messages) {
+    let hash = 0;
+    for (const message of messages) {
+        const text = `${message.role}:${typeof message.content === 'string' ? message.content : JSON.stringify(message.content)}`;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+        }
+    }
+    return `${messages.length}:${hash}`;
+}
+
+/**
+ * Turns messages into a plain transcript for summarizing
+ * @param {Array} messages - Chat messages
+ * @returns {string} - The transcript
+ */
+function toTranscript(messages) {
+    return messages
+        .filter(message => !message.isTopicBoundary)
+        .map(message => {
+            const text = Array.isArray(message.content)
+                ? message.content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+                : message.content;
+            return `${message.role === 'user' ? 'User' : 'Assistant'}: ${text}`;
+        })
+        .join('\n\n');
+}
+
+/**
+ * Asks the model to summarize older turns
+ * @param {Array} messages - The turns to summarize
+ * @param {string} previousSummary - Summary of even older turns, if any
+ * @param {string} modelId - The model to ask
+ * @param {number} contextLength - The model's context length
+ * @param {string} [requestGroup] - http-client group, so stopping the chat also stops the summary
+ * @returns {Promise<string>} - The summary
+ */
+async function requestSummary(messages, previousSummary, modelId, contextLength, requestGroup) {
+    let transcript = toTranscript(messages);
+    if (previousSummary) {
+        transcript = `Summary of the conversation before this point:\n${previousSummary}\n\n${transcript}`;
+    }
+
+    // The summary request has to fit as well - keep the newest part of a very long transcript
+    const maxChars = Math.max(MIN_ATTACHMENT_CHARS, (contextLength - SUMMARY_MAX_TOKENS - estimateTokens(SUMMARY_PROMPT) - 64) * CHARS_PER_TOKEN);
+    if (transcript.length > maxChars) {
+        transcript = transcript.substring(transcript.length - maxChars);
+    }
+
+    const backend = getBackendAdapter();
+    const requestBody = {
+        model: modelId,
+        messages: [
+            { role: 'system', content: SUMMARY_PROMPT },
+            { role: 'user', content: transcript }
+        ],
+        temperature: 0.2,
+        max_tokens: SUMMARY_MAX_TOKENS,
+        stream: false
+    };
+
+    const response = await request(getApiUrl(), {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: backend.buildChatBody(requestBody, getModelLoadOptions(modelId)),
+        // Reasoning models think before answering, even for a summary
+        timeoutMs: getReasoningTimeout() * 1000,
+        group: requestGroup
+    });
+
+    const data = backend.parseCompletion(await response.json());
+    const summary = splitReasoning(data.content || '').content.trim();
+    if (!summary) {
+        throw new Error('The model returned an empty summary');
+    }
+    return summary;
+}
+
+/**
+ * Gets a summary of the oldest history messages, reusing the one cached on the chat when possible
+ * @param {Array} dropped - The oldest messages, which no longer fit
+ * @param {Object|null} chatData - Chat to cache the summary on
+ * @param {string} modelId - The model to ask
+ * @param {number} contextLength - The model's context length
+ * @param {string} [requestGroup] - http-client group for the summary request
+ * @param {string} [cacheKey] - Chat field the summary is cached in
+ * @returns {Promise<string>} - The summary
+ */
+async function getSummary(dropped, chatData, modelId, contextLength, requestGroup, cacheKey = 'contextSummary') {
+    const cached = chatData && chatData[cacheKey];
+
+    if (cached && cached.count === dropped.length && cached.fingerprint === fingerprintMessages(dropped)) {
+        return cached.text;
+    }
+
+    // Extend an earlier summary with the turns dropped since, as long as those earlier turns are unchanged
+    let summary;
+    if (cached && cached.count < dropped.length && cached.fingerprint === fingerprintMessages(dropped.slice(0, cached.count))) {
+        summary = await requestSummary(dropped.slice(cached.count), cached.text, modelId, contextLength, requestGroup);
+    } else {
+        summary = await requestSummary(dropped, '', modelId, contextLength, requestGroup);
+    }
+
+    if (chatData && !Array.isArray(chatData)) {
+        chatData[cacheKey] = {
+            count: dropped.length,
+            fingerprint: fingerprintMessages(dropped),
+            text: summary
+        };
+    }
+    debugLog(`Summarized ${dropped.length} older messages for the context`);
+    return summary;
+}
+
+/**
+ * Asks the model to summarize messages, e.g. to compact a chat
+ * @param {Array} messages - The messages to summarize, as sent to the model
+ * @param {string} previousSummary - Summary of even older messages, if any
+ * @param {string} modelId - The model to ask
+ * @param {string} [requestGroup] - http-client group for the summary request
+ * @returns {Promise<string>} - The summary
+ */
+export async function summarizeMessages(messages, previousSummary, modelId, requestGroup) {
+    return await requestSummary(messages, previousSummary, modelId, getContextLength(modelId), requestGroup);
+}
+
+/**
+ * Checks whether a request fills more of the context window than the auto compact threshold allows
+ * @param {Array} messages - Messages for the request
+ * @param {string} modelId - The model the request goes to
+ * @returns {boolean} - True if the chat should be compacted first
+ */
+export function needsCompaction(messages, modelId) {
+    const threshold = getAutoCompactThreshold();
+    if (threshold === null) return false;
+    return estimateMessagesTokens(messages) > getContextLength(modelId) * threshold / 100;
+}
+
+/**
+ * Gets a summary of the topics before the current one, cached on the chat until they change
+ * @param {Array} messages - Messages of the earlier topics, as sent to the model
+ * @param {Object|null} chatData - Chat to cache the summary on
+ * @param {string} modelId - The model to ask
+ * @param {string} [requestGroup] - http-client group for the summary request
+ * @returns {Promise<string>} - The summary
+ */
+export async function summarizeEarlierTopics(messages, chatData, modelId, requestGroup) {
+    return await getSummary(messages, chatData, modelId, getContextLength(modelId), requestGroup, 'topicSummary');
+}
+
+/**
+ * Adds a summary to the system messages at the start of the request
+ * @param {Array} head - Leading system messages
+ * @param {string} summary - The summary
+ * @param {string} [label] - What the summary covers
+ * @returns {Array} - The new leading messages
+ */
+export function addSummaryToHead(head, summary, label = 'Summary of the earlier conversation') {
+    const summaryText = `${label}:\n${summary}`;
+
+    // Some chat templates only accept one system message, so extend the existing one
+    if (head.length > 0) {
+        const systemMessage = head[head.length - 1];
+        return [...head.slice(0, -1), { ...systemMessage, content: `${systemMessage.content}\n\n${summaryText}` }];
+    }
+    return [{ role: 'system', content: summaryText }];
+}
+
+/**
+ * Gets how many characters attachments may use in the next request
+ * @param {Array} messages - Messages for the request, the new user message last
+ * @param {string} modelId - The model the request goes to
+ * @param {number} [maxTokens] - max_tokens of the request, 0 if unset
+ * @returns {number} - Characters available for attachment content
+ */
+export function getAttachmentCharBudget(messages, modelId, maxTokens = 0) {
+    const contextLength = getContextLength(modelId);
+    const { head, last } = splitRequestMessages(messages);
+    const available = contextLength - getReplyReserve(contextLength, maxTokens) - estimateMessagesTokens(head) - estimateMessageTokens(last);
+    return Math.max(MIN_ATTACHMENT_CHARS, Math.floor(available * ATTACHMENT_SHARE * CHARS_PER_TOKEN));
+}
+
+/**
+ * Trims the history of a request so it fits the model's context window
+ * The leading system prompt and the new message are always kept
+ * @param {Array} messages - Messages for the request, system prompt first and the new user message last
+ * @param {Object} options - Request details
+ * @param {string} options.modelId - The model the request goes to
+ * @param {number} [options.maxTokens] - max_tokens of the request, 0 if unset
+ * @param {Object} [options.chatData] - Chat to cache the summary of older turns on
+ * @param {string} [options.requestGroup] - http-client group for the summary request
+ * @returns {Promise<Object>} - {messages, usedTokens, contextLength, droppedCount, summarized}
+ */
+export async function fitMessagesToContext(messages, { modelId, maxTokens = 0, chatData = null, requestGroup }) {
+    const contextLength = getContextLength(modelId);
+    const strategy = getContextStrategy();
+    const result = {
+        messages,
+        usedTokens: estimateMessagesTokens(messages),
+        contextLength,
+        droppedCount: 0,
+        summarized: false
+    };
+
+    if (messages.length < 2 || strategy === 'off') return result;
+
+    const { head, history, last } = splitRequestMessages(messages);
+    const budget = contextLength - getReplyReserve(contextLength, maxTokens) - estimateMessagesTokens(head) - estimateMessageTokens(last);
+    if (estimateMessagesTokens(history) <= budget) return result;
+
+    let newHead = head;
+    let kept;
+
+    if (strategy === 'keep-first-last') {
+        kept = keepFirstAndLast(history, budget, getKeepCounts());
+    } else if (strategy === 'summarize') {
+        kept = dropOldest(history, budget - SUMMARY_MAX_TOKENS);
+        const dropped = history.slice(0, history.length - kept.length);
+        try {
+            newHead = addSummaryToHead(head, await getSummary(dropped, chatData, modelId, contextLength, requestGroup));
+            result.summarized = true;
+        } catch (error) {
+            // Without a summary the older turns are simply left out
+            debugError('Error summarizing older messages, dropping them instead:', error);
+            kept = dropOldest(history, budget);
+        }
+    } else {
+        kept = dropOldest(history, budget);
+    }
+
+    result.messages = [...newHead, ...kept, last];
+    result.usedTokens = estimateMessagesTokens(result.messages);
+    result.droppedCount = history.length - kept.length;
+    debugLog(`Context: ${result.droppedCount} older messages left out (${strategy}), ~${result.usedTokens}/${contextLength} tokens`);
+    return result;
+}
+
+/**
+ * Formats a token count for the indicator
+ * @param {number} tokens - Token count
+ * @returns {string} - e.g. "850" or "8.2k"
+ */
+function formatTokens(tokens) {
+    return tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens);
+}
+
+/**
+ * Shows how full the context window is
+ * @param {number} usedTokens - Tokens in use
+ * @param {number} contextLength - The model's context length
+ * @param {number} [droppedCount] - Older messages left out of the last request
+ */
+export function showContextUsage(usedTokens, contextLength, droppedCount = 0) {
+    const indicator = document.getElementById('context-indicator');
+    const fill = document.getElementById('context-indicator-fill');
+    const text = document.getElementById('context-indicator-text');
+    if (!indicator || !fill || !text) return;
+
+    if (!contextLength || usedTokens <= 0) {
+        indicator.classList.add('hidden');
+        return;
+    }
+
+    const percent = Math.min(100, Math.round((usedTokens / contextLength) * 100));
+    fill.style.width = `${percent}%`;
+    indicator.classList.toggle('context-warning', percent >= 75 && percent < 90);
+    indicator.classList.toggle('context-full', percent >= 90);
+
+    let label = `Context ${formatTokens(usedTokens)} / ${formatTokens(contextLength)} tokens (${percent}%)`;
+    if (droppedCount > 0) {
+        label += ` · ${droppedCount} older ${droppedCount === 1 ? 'message' : 'messages'} not sent`;
+    }
+    text.textContent = label;
+    indicator.title = `Long chat handling: ${describeStrategy(getContextStrategy())}`;
+    indicator.classList.remove('hidden');
+}
+
+/**
+ * Estimates and shows the context usage of a chat's history
+ * @param {Array} messages - The chat's messages
+ * @param {string} modelId - The model the chat continues with
+ */
+export function refreshContextUsage(messages, modelId) {
+    // Only the current topic is sent, with a summary in place of its compacted messages
+    const { summary, after } = splitAtLastCompaction(splitAtLastTopic(messages || []).current);
+    const history = summary ? [summary, ...after] : after;
+    showContextUsage(estimateMessagesTokens(history), getContextLength(modelId));
+}
+
+/**
+ * Describes a strategy for the indicator tooltip
+ * @param {string} strategy - One of CONTEXT_STRATEGIES
+ * @returns {string} - Readable description
+ */
+function describeStrategy(strategy) {
+    switch (strategy) {
+        case 'keep-first-last':
+            return 'keep first and last messages';
+        case 'summarize':
+            return 'summarize older messages';
+        case 'off':
+            return 'send everything';
+        default:
+            return 'drop oldest messages';
+    }
+}
+
+/**
+ * Initializes the context settings and the usage indicator
+ */
+export function initializeContextManager() {
+    const strategySelect = document.getElementById('context-strategy');
+    const keepOptions = document.getElementById('context-keep-options');
+    const keepFirstInput = document.getElementById('context-keep-first');
+    const keepLastInput = document.getElementById('context-keep-last');
+    const topicSummaryToggle = document.getElementById('topic-summary');
+    const autoCompactToggle = document.getElementById('auto-compact');
+    const autoCompactThresholdInput = document.getElementById('auto-compact-threshold');
+
+    if (!strategySelect || !keepOptions || !keepFirstInput || !keepLastInput || !topicSummaryToggle ||
+        !autoCompactToggle || !autoCompactThresholdInput) {
+        debugError('Context settings elements not found');
+        return;
+    }
+
+    const { first, last } = getKeepCounts();
+    strategySelect.value = getContextStrategy();
+    keepFirstInput.value = first;
+    keepLastInput.value = last;
+    keepOptions.classList.toggle('hidden', strategySelect.value !== 'keep-first-last');
+
+    strategySelect.addEventListener('change', () => {
+        localStorage.setItem(CONTEXT_STRATEGY_KEY, strategySelect.value);
+        keepOptions.classList.toggle('hidden', strategySelect.value !== 'keep-first-last');
+    });
+
+    const saveCount = (input, key, defaultValue) => {
+        const value = parseInt(input.value, 10);
+        if (Number.isInteger(value) && value >= 0) {
+            localStorage.setItem(key, value);
+        } else {
+            input.value = readCount(key, defaultValue);
+        }
+    };
+    keepFirstInput.addEventListener('change', () => saveCount(keepFirstInput, CONTEXT_KEEP_FIRST_KEY, DEFAULT_KEEP_FIRST));
+    keepLastInput.addEventListener('change', () => saveCount(keepLastInput, CONTEXT_KEEP_LAST_KEY, DEFAULT_KEEP_LAST));
+
+    topicSummaryToggle.checked = getCarryTopicSummary();
+    topicSummaryToggle.addEventListener('change', () => {
+        localStorage.setItem(TOPIC_SUMMARY_KEY, topicSummaryToggle.checked);
+    });
+
+    autoCompactToggle.checked = getAutoCompactThreshold() !== null;
+    autoCompactThresholdInput.value = readCount(AUTO_COMPACT_THRESHOLD_KEY, DEFAULT_AUTO_COMPACT_THRESHOLD);
+    autoCompactThresholdInput.disabled = !autoCompactToggle.checked;
+    autoCompactToggle.addEventListener('change', () => {
+        localStorage.setItem(AUTO_COMPACT_KEY, autoCompactToggle.checked);
+        autoCompactThresholdInput.disabled = !autoCompactToggle.checked;
+    });
+    autoCompactThresholdInput.addEventListener('change', () => {
+        const value = parseInt(autoCompactThresholdInput.value, 10);
+        if (Number.isInteger(value) && value >= 10 && value <= 100) {
+            localStorage.setItem(AUTO_COMPACT_THRESHOLD_KEY, value);
+        } else {
+            autoCompactThresholdInput.value = readCount(AUTO_COMPACT_THRESHOLD_KEY, DEFAULT_AUTO_COMPACT_THRESHOLD);
+        }
+    });
+
+    debugLog('Context manager initialized');
+}
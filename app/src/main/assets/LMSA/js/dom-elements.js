@@ -89,6 +89,9 @@ export const sidebar = domCache.get('sidebar');
 // Lazy-loaded elements that may not always be present
 export const serverIpInput = domCache.get('server-ip');
 export const serverPortInput = domCache.get('server-port');
+export const serverSchemeSelect = domCache.get('server-scheme');
+export const serverBasePathInput = domCache.get('server-base-path');
+export const serverApiKeyInput = domCache.get('server-api-key');
 export const systemPromptInput = domCache.get('system-prompt');
 export const clearChatButton = domCache.get('clear-chat');
 export const newTopicButton = null; // Explicitly null as noted
@@ -34,8 +34,10 @@ import {
     saveChatHistory,
     loadChatHistory,
     updateChatHistoryUI,
-    addUserMessageToHistory
+    addUserMessageToHistory,
+    showBranchNavigation
 } from './chat-service.js';
+import { forkAt } from './chat-branches.js';
 import { resetApp, initializeResetAppButton } from './reset-app.js';
 import { fetchAvailableModels, isServerRunning, getAvailableModels } from './api-service.js';
 import { resetUploadedFiles, getUploadedFiles, uploadFilesToLMStudio } from './file-upload.js';
@@ -44,7 +46,10 @@ import { closeSidebarExport } from './export-import.js';
 import { showModelModal } from './model-manager.js';
 import { showWhatsNewModal } from './whats-new.js';
 import { interceptIpPortChanges } from './ip-port-confirmation-modal.js';
+import { confirmPendingServerProfileSwitch } from './server-profiles.js';
+import { confirmPendingModelSwitch } from './model-switcher.js';
 import { showExternalSiteModal } from './external-site-confirmation-modal.js';
+import { parseSlashCommand, runSlashCommand } from './slash-commands.js';
 import { debugLog, debugError, formatDate } from './utils.js';
 import { closeApplication, copyToClipboard, sanitizeInput, scrollToBottom, scrollToBottomManual, handleScroll, ensureCursorVisible } from './utils.js';
 
@@ -1594,6 +1599,16 @@ async function handleChatFormSubmit(e) {
             return;
         }
 
+        // Commands like /new or /temp 0.3 act on the app instead of being sent
+        // The input is cleared first, since a command may put text into it
+        if (parseSlashCommand(message)) {
+            userInput.value = '';
+            userInput.style.height = '52px';
+            userInput.style.overflowY = 'hidden';
+            await runSlashCommand(message);
+            return;
+        }
+
         // If we're already generating text, don't start a new generation
         if (isGeneratingText()) {
             debugLog('Text generation already in progress, ignoring new submission');
@@ -1903,6 +1918,12 @@ function handleConfirmAction() {
         hideConfirmationModal();
         resetApp();
         console.log('RESET APP: Reset function called');
+    } else if (action === 'switchServerProfile') {
+        hideConfirmationModal();
+        confirmPendingServerProfileSwitch();
+    } else if (action === 'switchChatModel') {
+        hideConfirmationModal();
+        confirmPendingModelSwitch();
     } else {
         // Default case - just hide the modal
         hideConfirmationModal();
@@ -2707,22 +2728,18 @@ function handleEditButtonClick(e) {
                 const userMessageIndex = userMessageIndices[userMessagesBeforeEdit - 1];
 
                 if (userMessageIndex !== undefined) {
-                    // Update the user message content directly in the current chat
-                    if (Array.isArray(chatData)) {
-                        // Old format
-                        chatHistoryData[currentChatId][userMessageIndex].content = editedMessage;
-                        // Keep only chat history up to this user message
-                        chatHistoryData[currentChatId] = chatHistoryData[currentChatId].slice(0, userMessageIndex + 1);
-                    } else {
-                        // New format
-                        chatHistoryData[currentChatId].messages[userMessageIndex].content = editedMessage;
-                        // Keep only chat history up to this user message
-                        chatHistoryData[currentChatId].messages = chatHistoryData[currentChatId].messages.slice(0, userMessageIndex + 1);
-                    }
+                    // Start a new branch with the edited message, keeping the original
+                    // message and everything after it as an alternative version
+                    const { branches, ...originalMessage } = messages[userMessageIndex];
+                    const editedUserMessage = { ...originalMessage, content: editedMessage };
+                    forkAt(messages, userMessageIndex, [editedUserMessage]);
 
                     // Save the updated chat history
                     saveChatHistory();
 
+                    // Let the user page back to the original message
+                    showBranchNavigation(messageElement, userMessageIndex);
+
                     // Generate new response with edited message
                     showLoadingIndicator();
                     toggleSendStopButton();
@@ -2732,12 +2749,9 @@ function handleEditButtonClick(e) {
 
                     // Check if the user message has any file attachments
                     let fileContents = [];
-                    if (!Array.isArray(chatData)) {
-                        const userMessage = chatData.messages[userMessageIndex];
-                        if (userMessage && userMessage.files && userMessage.files.length > 0) {
-                            fileContents = userMessage.files;
-                            debugLog(`Preserving ${fileContents.length} file attachments when regenerating edited message`);
-                        }
+                    if (editedUserMessage.files && editedUserMessage.files.length > 0) {
+                        fileContents = editedUserMessage.files;
+                        debugLog(`Preserving ${fileContents.length} file attachments when regenerating edited message`);
                     }
 
                     // Generate AI response to the edited message with any file attachments
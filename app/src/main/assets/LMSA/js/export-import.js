@@ -11,6 +11,8 @@ import { isAndroidWebView, isMobileDevice } from './utils.js';
 import { showExportConfirmationModal, hideExportConfirmationModal, checkAndShowWelcomeMessage } from './ui-manager.js';
 import { setActionToPerform, getActionToPerform } from './shared-state.js';
 import { getSavedSystemPrompts, restoreSavedSystemPrompts } from './saved-system-prompts.js';
+import { getPromptTemplates, restorePromptTemplates } from './prompt-templates.js';
+import { forEachMessage, hasValidBranches } from './chat-branches.js';
 
 // Variable to store the selected file for import
 let selectedImportFile = null;
@@ -162,17 +164,19 @@ export function initializeExportImport() {
                 console.log('Imported data before processing:', JSON.stringify(importedData));
 
                 // Check if this is the new format with separate chats and savedSystemPrompts
-                let chatsToImport, savedSystemPromptsToImport;
+                let chatsToImport, savedSystemPromptsToImport, promptTemplatesToImport;
                 if (importedData.chats && importedData.exportVersion) {
                     // New format
                     console.log('Detected new export format with version:', importedData.exportVersion);
                     chatsToImport = importedData.chats;
                     savedSystemPromptsToImport = importedData.savedSystemPrompts || {};
+                    promptTemplatesToImport = importedData.promptTemplates || [];
                 } else {
                     // Old format - treat entire data as chats
                     console.log('Detected old export format (chats only)');
                     chatsToImport = importedData;
                     savedSystemPromptsToImport = {};
+                    promptTemplatesToImport = [];
                 }
 
                 // Process and normalize all chats in the imported data
@@ -298,6 +302,12 @@ export function initializeExportImport() {
                     console.log('No saved system prompts to import');
                 }
 
+                // Import prompt templates if any
+                if (promptTemplatesToImport.length > 0) {
+                    console.log('Importing prompt templates:', promptTemplatesToImport.length);
+                    restorePromptTemplates(promptTemplatesToImport, importOption === 'replace');
+                }
+
                 // Get the number of imported chats and prompts
                 const chatCount = Object.keys(chatsToImport).length;
                 const promptCount = Object.keys(savedSystemPromptsToImport).length;
@@ -353,9 +363,10 @@ export function initializeExportImport() {
         // Check if this is the new format (has chats and/or savedSystemPrompts)
         const hasChats = data.hasOwnProperty('chats');
         const hasSavedSystemPrompts = data.hasOwnProperty('savedSystemPrompts');
+        const hasPromptTemplates = data.hasOwnProperty('promptTemplates');
         const hasExportVersion = data.hasOwnProperty('exportVersion');
         
-        if (hasChats || hasSavedSystemPrompts || hasExportVersion) {
+        if (hasChats || hasSavedSystemPrompts || hasPromptTemplates || hasExportVersion) {
             console.log('Detected new export format');
             
             // Validate chats if present
@@ -371,6 +382,12 @@ export function initializeExportImport() {
                     return false;
                 }
             }
+
+            // Prompt templates only need to be a list, restoring them skips malformed entries
+            if (hasPromptTemplates && !Array.isArray(data.promptTemplates)) {
+                console.error('Import validation failed: promptTemplates is not an array');
+                return false;
+            }
             
             return true;
         }
@@ -531,6 +548,23 @@ export function initializeExportImport() {
                     }
                 }
 
+                // Check the alternative versions kept for regenerated and edited messages
+                if (!hasValidBranches(chatDataItem.messages)) {
+                    console.error(`Import validation failed: Chat ${key} has invalid message branches`);
+                    return false;
+                }
+
+                let hasInvalidBranchMessage = false;
+                forEachMessage(chatDataItem.messages, item => {
+                    if (!item || typeof item.role !== 'string' || typeof item.content !== 'string') {
+                        hasInvalidBranchMessage = true;
+                    }
+                });
+                if (hasInvalidBranchMessage) {
+                    console.error(`Import validation failed: Chat ${key} has a branch message with missing or invalid properties`);
+                    return false;
+                }
+
                 // Check if the title property exists and handle different types
                 if (chatDataItem.title !== undefined) {
                     console.log(`Chat ${key} title type: ${typeof chatDataItem.title}`, chatDataItem.title);
@@ -886,10 +920,11 @@ export function exportChats() {
     // Get saved system prompts
     const savedSystemPrompts = getSavedSystemPrompts();
     
-    // Create export data structure that includes both chats and saved system prompts
+    // Create export data structure that includes the chats, saved system prompts and prompt templates
     const exportData = {
         chats: chatHistoryData,
         savedSystemPrompts: savedSystemPrompts,
+        promptTemplates: getPromptTemplates(),
         exportVersion: '1.1', // Version to help with future compatibility
         exportDate: new Date().toISOString()
     };
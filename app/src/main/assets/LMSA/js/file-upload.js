@@ -2,6 +2,9 @@
 import { fileUploadInput as importedFileUploadInput } from './dom-elements.js';
 import { appendMessage } from './ui-manager.js';
 import { memoryManager } from './memory-manager.js';
+import { getServerBaseUrl, getAuthHeaders, getRequestHeaders, getModelMetadata } from './api-service.js';
+import { getBackendAdapter } from './backend-adapters.js';
+import { request } from './http-client.js';
 
 let uploadedFiles = [];
 let uploadedFileIds = []; // Track uploaded file IDs for API requests
@@ -40,35 +43,47 @@ export async function isVisionModel() {
             return visionModelCache.isVision;
         }
 
+        // Backends that cannot take image input never have vision models
+        const backend = getBackendAdapter();
+        if (!backend.capabilities.vision) {
+            updateVisionCache(modelId, false);
+            return false;
+        }
+
+        // The REST model API reports the model type directly (vlm = vision language model)
+        const metadata = getModelMetadata(modelId);
+        if (metadata && metadata.type) {
+            const result = metadata.type === 'vlm';
+            updateVisionCache(modelId, result);
+            return result;
+        }
+
         // Get server connection details
-        const serverIp = document.getElementById('server-ip')?.value?.trim() || 'localhost';
-        const serverPort = document.getElementById('server-port')?.value?.trim() || '1234';
+        const baseUrl = getServerBaseUrl();
 
-        if (!serverIp || !serverPort) {
+        if (!baseUrl) {
             const result = fallbackNameBasedDetection();
             updateVisionCache(modelId, result);
             return result;
         }
         
-        // Method 1: Check model details from /v1/models endpoint
+        // Method 1: Check model details from the backend's models endpoint
         try {
-            const modelsResponse = await fetch(`http://${serverIp}:${serverPort}/v1/models`, {
-                method: 'GET',
-                signal: AbortSignal.timeout(3000) // 3 second timeout
+            const modelsResponse = await request(`${baseUrl}${backend.endpoints.models}`, {
+                headers: getAuthHeaders(),
+                timeoutMs: 3000 // 3 second timeout
             });
 
-            if (modelsResponse.ok) {
-                const modelsData = await modelsResponse.json();
-                
-                if (modelsData.data && Array.isArray(modelsData.data)) {
-                    const currentModel = modelsData.data.find(model => model.id === modelId);
-                    if (currentModel) {
-                        
-                        // Check for vision capabilities in model metadata
-                        if (hasVisionCapabilities(currentModel)) {
-                            updateVisionCache(modelId, true);
-                            return true;
-                        }
+            const modelsList = backend.parseModels(await modelsResponse.json());
+
+            if (modelsList) {
+                const currentModel = modelsList.find(model => model.id === modelId);
+                if (currentModel) {
+
+                    // Check for vision capabilities in model metadata
+                    if (hasVisionCapabilities(currentModel)) {
+                        updateVisionCache(modelId, true);
+                        return true;
                     }
                 }
             }
@@ -77,7 +92,7 @@ export async function isVisionModel() {
 
         // Method 2: Test vision capability with a small image request
         try {
-            const visionTestResult = await testVisionCapability(serverIp, serverPort, modelId);
+            const visionTestResult = await testVisionCapability(baseUrl, modelId);
             if (visionTestResult !== null) {
                 updateVisionCache(modelId, visionTestResult);
                 return visionTestResult;
@@ -88,25 +103,20 @@ export async function isVisionModel() {
         // Method 3: Check model info through additional endpoints
         // REDUCED from 3 to 2 endpoints to minimize log noise
         try {
-            const infoEndpoints = [
-                '/v1/internal/model/info',
-                '/v1/model/info'
-            ];
+            const infoEndpoints = backend.endpoints.modelInfo;
 
             for (const endpoint of infoEndpoints) {
                 try {
-                    const infoResponse = await fetch(`http://${serverIp}:${serverPort}${endpoint}`, {
-                        method: 'GET',
-                        signal: AbortSignal.timeout(2000)
+                    const infoResponse = await request(`${baseUrl}${endpoint}`, {
+                        headers: getAuthHeaders(),
+                        timeoutMs: 2000
                     });
 
-                    if (infoResponse.ok) {
-                        const infoData = await infoResponse.json();
+                    const infoData = await infoResponse.json();
 
-                        if (hasVisionCapabilities(infoData)) {
-                            updateVisionCache(modelId, true);
-                            return true;
-                        }
+                    if (hasVisionCapabilities(infoData)) {
+                        updateVisionCache(modelId, true);
+                        return true;
                     }
                 } catch (endpointError) {
                     // Silently continue to next endpoint
@@ -256,12 +266,11 @@ function hasVisionCapabilities(modelData) {
 
 /**
  * Test vision capability by attempting a minimal image input request
- * @param {string} serverIp - Server IP address
- * @param {string} serverPort - Server port
+ * @param {string} baseUrl - Server base URL
  * @param {string} modelId - Model identifier
  * @returns {Promise<boolean|null>} - True if vision capable, false if not, null if test failed
  */
-async function testVisionCapability(serverIp, serverPort, modelId) {
+async function testVisionCapability(baseUrl, modelId) {
     try {
         // Create a minimal test image (1x1 PNG in base64)
         const testImageBase64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
@@ -290,13 +299,13 @@ async function testVisionCapability(serverIp, serverPort, modelId) {
         };
 
         
-        const response = await fetch(`http://${serverIp}:${serverPort}/v1/chat/completions`, {
+        const backend = getBackendAdapter();
+        const response = await request(`${baseUrl}${backend.endpoints.chat}`, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(testRequest),
-            signal: AbortSignal.timeout(5000) // 5 second timeout
+            headers: getRequestHeaders(),
+            body: backend.buildChatBody(testRequest),
+            timeoutMs: 5000, // 5 second timeout
+            throwHttpErrors: false
         });
 
         if (response.ok) {
@@ -1758,9 +1767,10 @@ async function extractFileContent(file) {
 /**
  * Process files for LLM input by extracting and formatting their content
  * @param {File[]|Object[]} files - Array of uploaded files or file-like objects with content
+ * @param {number} [maxTotalChars] - Characters the content of all files may use together, 0 for the fixed limits
  * @returns {Promise<string>} - Formatted content for LLM context
  */
-export async function prepareFilesForLLM(files) {
+export async function prepareFilesForLLM(files, maxTotalChars = 0) {
     if (!files || files.length === 0) {
         console.log('No files to prepare for LLM');
         return "";
@@ -1809,6 +1819,10 @@ export async function prepareFilesForLLM(files) {
                                                     r.type.includes('word') || r.name.toLowerCase().includes('doc') ? 'Word Document' :
                                                     r.type.includes('text') ? 'Text File' : 'Document').join(', ');
         
+        // Share the context budget evenly between the files that are sent as text
+        const textFileCount = extractionResults.filter(result => !result.isImage).length;
+        const budgetPerFile = maxTotalChars > 0 && textFileCount > 0 ? Math.floor(maxTotalChars / textFileCount) : 0;
+
         let formattedContext = `📎 ATTACHMENTS: ${totalFiles} file(s) attached (${fileTypes})\n`;
         formattedContext += "=".repeat(60) + "\n\n";
         
@@ -1845,6 +1859,11 @@ export async function prepareFilesForLLM(files) {
             if (result.type === 'application/pdf' || result.name.toLowerCase().endsWith('.pdf')) {
                 maxContentLength = 30000; // Further reduced for PDFs
             }
+
+            // With a known context window, use the room it leaves instead
+            if (budgetPerFile > 0) {
+                maxContentLength = budgetPerFile;
+            }
             
             const wasContentTruncated = result.content.length > maxContentLength;
             const displayContent = wasContentTruncated ? result.content.substring(0, maxContentLength) : result.content;
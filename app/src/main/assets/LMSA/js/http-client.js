@@ -0,0 +1,366 @@
+// HTTP Client for all network requests
+// Wraps fetch() with per-call timeouts, retries with backoff, cancellation groups
+// and typed errors, so every request behaves and fails the same way
+
+import { debugLog } from './utils.js';
+
+// Default timeout for a request to respond (headers received), in milliseconds
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// Status codes worth retrying - the server may answer differently a moment later
+const RETRYABLE_STATUS_CODES = [408, 425, 429, 500, 502, 503, 504];
+
+// Default retry policy - no retries unless the caller asks for them
+const DEFAULT_RETRY_POLICY = {
+    retries: 0,
+    baseDelayMs: 500,
+    maxDelayMs: 8000
+};
+
+// In-flight requests by cancellation group name
+const cancelGroups = new Map();
+
+/**
+ * Base class for request errors
+ */
+export class RequestError extends Error {
+    constructor(message, { url = '', cause = null } = {}) {
+        super(message);
+        this.name = 'RequestError';
+        this.url = url;
+        this.cause = cause;
+    }
+}
+
+/**
+ * The server answered with an error status
+ */
+export class HttpError extends RequestError {
+    constructor(response, detail, url) {
+        const statusText = response.statusText ? ` ${response.statusText}` : '';
+        super(detail || `HTTP Error: ${response.status}${statusText}`, { url });
+        this.name = 'HttpError';
+        this.status = response.status;
+        this.statusText = response.statusText;
+        this.detail = detail || null;
+        this.response = response;
+    }
+}
+
+/**
+ * The server could not be reached (connection refused, DNS, CORS, no network)
+ */
+export class NetworkError extends RequestError {
+    constructor(url, cause) {
+        super('Could not connect to the server. Make sure it is running and reachable from this device.', { url, cause });
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * The server did not respond in time
+ */
+export class TimeoutError extends RequestError {
+    constructor(url, timeoutMs) {
+        const duration = timeoutMs >= 1000 ? `${Math.round(timeoutMs / 1000)} seconds` : `${timeoutMs} ms`;
+        super(`The server did not respond within ${duration}.`, { url });
+        this.name = 'TimeoutError';
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+/**
+ * The request was cancelled by the caller
+ * Keeps the 'AbortError' name so existing `error.name === 'AbortError'` checks still match
+ */
+export class CancelledError extends RequestError {
+    constructor(url) {
+        super('The request was cancelled.', { url });
+        this.name = 'AbortError';
+    }
+}
+
+/**
+ * Checks whether an error is worth retrying
+ * @param {Error} error - The error from the last attempt
+ * @returns {boolean} - True for network errors, timeouts and temporary server errors
+ */
+function isRetryable(error) {
+    if (error instanceof NetworkError || error instanceof TimeoutError) return true;
+    if (error instanceof HttpError) return RETRYABLE_STATUS_CODES.includes(error.status);
+    return false;
+}
+
+/**
+ * Calculates the delay before the next attempt (exponential backoff with jitter)
+ * @param {number} attempt - The attempt that just failed, starting at 0
+ * @param {Object} policy - The retry policy
+ * @param {Error} error - The error from the last attempt
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(attempt, policy, error) {
+    // Respect the server's Retry-After header when it sends one
+    if (error instanceof HttpError && error.response.headers) {
+        const retryAfter = parseInt(error.response.headers.get('Retry-After'), 10);
+        if (!isNaN(retryAfter)) {
+            return Math.min(retryAfter * 1000, policy.maxDelayMs);
+        }
+    }
+
+    const delay = Math.min(policy.baseDelayMs * Math.pow(2, attempt), policy.maxDelayMs);
+    // Keep half the delay and randomize the rest so clients don't retry in lockstep
+    return delay / 2 + Math.random() * (delay / 2);
+}
+
+/**
+ * Waits before retrying, stopping early if the request is cancelled
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Signal that cancels the wait
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new CancelledError());
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timeoutId);
+            reject(new CancelledError());
+        };
+        // Drop the listener once the wait is over so retries don't pile them up on the caller's signal
+        const timeoutId = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+/**
+ * Reads the error message a server sent with an error response
+ * @param {Response} response - The error response
+ * @returns {Promise<string|null>} - The message, or null if there is none
+ */
+async function readErrorDetail(response) {
+    try {
+        const text = await response.clone().text();
+        if (!text) return null;
+
+        try {
+            const data = JSON.parse(text);
+            const error = data.error;
+            if (typeof error === 'string') return error;
+            if (error && error.message) return error.message;
+            if (data.message) return data.message;
+        } catch (parseError) {
+            // Not JSON - use the text as long as it is short enough to show
+        }
+        return text.length <= 300 ? text.trim() : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Adds a controller to a cancellation group
+ * @param {string} group - The group name
+ * @param {AbortController} controller - The request's controller
+ */
+function joinCancelGroup(group, controller) {
+    if (!cancelGroups.has(group)) {
+        cancelGroups.set(group, new Set());
+    }
+    cancelGroups.get(group).add(controller);
+}
+
+/**
+ * Removes a controller from a cancellation group
+ * @param {string} group - The group name
+ * @param {AbortController} controller - The request's controller
+ */
+function leaveCancelGroup(group, controller) {
+    const controllers = cancelGroups.get(group);
+    if (!controllers) return;
+
+    controllers.delete(controller);
+    if (controllers.size === 0) {
+        cancelGroups.delete(group);
+    }
+}
+
+/**
+ * Cancels every in-flight request in a group (e.g. everything for one chat)
+ * @param {string} group - The group name
+ * @returns {number} - Number of requests cancelled
+ */
+export function cancelGroup(group) {
+    const controllers = cancelGroups.get(group);
+    if (!controllers) return 0;
+
+    const count = controllers.size;
+    controllers.forEach(controller => controller.abort());
+    cancelGroups.delete(group);
+
+    debugLog(`Cancelled ${count} request(s) in group "${group}"`);
+    return count;
+}
+
+/**
+ * Runs a single attempt of a request
+ * @param {string} url - The request URL
+ * @param {Object} init - fetch() options without the signal
+ * @param {Object} options - {timeoutMs, signal, group}
+ * @returns {Promise<Response>} - The response
+ */
+async function attemptRequest(url, init, { timeoutMs, signal, group }) {
+    const controller = new AbortController();
+    let timedOut = false;
+
+    const timeoutId = timeoutMs > 0
+        ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeoutMs)
+        : null;
+
+    // Forward cancellation from the caller's signal - this stays attached after the response
+    // arrives so the caller can still stop a body that is streaming
+    const abortFromCaller = () => controller.abort();
+    if (signal) {
+        if (signal.aborted) controller.abort();
+        signal.addEventListener('abort', abortFromCaller, { once: true });
+    }
+    if (group) joinCancelGroup(group, controller);
+
+    try {
+        const response = await fetch(url, { ...init, signal: controller.signal });
+
+        // Error bodies are short and read in one go, so only successful responses
+        // stay cancellable (and in their group) while the body streams
+        if (!response.ok) {
+            if (group) leaveCancelGroup(group, controller);
+            if (signal) signal.removeEventListener('abort', abortFromCaller);
+            return response;
+        }
+        return group ? releaseWhenDone(response, group, controller) : response;
+    } catch (error) {
+        if (group) leaveCancelGroup(group, controller);
+        if (signal) signal.removeEventListener('abort', abortFromCaller);
+        if (timedOut) throw new TimeoutError(url, timeoutMs);
+        if (controller.signal.aborted) throw new CancelledError(url);
+        throw new NetworkError(url, error);
+    } finally {
+        // The timeout only covers waiting for the response - streamed bodies can take longer
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Keeps a request in its cancellation group until its body has been read
+ * so cancelling the group also stops a response that is still streaming
+ * @param {Response} response - The response
+ * @param {string} group - The group name
+ * @param {AbortController} controller - The request's controller
+ * @returns {Response} - A response whose body leaves the group when it ends
+ */
+function releaseWhenDone(response, group, controller) {
+    const release = () => leaveCancelGroup(group, controller);
+    controller.signal.addEventListener('abort', release, { once: true });
+
+    if (!response.body || typeof TransformStream === 'undefined') {
+        release();
+        return response;
+    }
+
+    const body = response.body.pipeThrough(new TransformStream({ flush: release }));
+    return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+    });
+}
+
+/**
+ * Sends an HTTP request
+ * @param {string} url - The request URL
+ * @param {Object} [options] - Request options
+ * @param {string} [options.method] - HTTP method (default GET)
+ * @param {Object} [options.headers] - Request headers
+ * @param {Object|string} [options.body] - Request body; objects are sent as JSON
+ * @param {number} [options.timeoutMs] - Time to wait for a response, 0 for no limit
+ * @param {Object|number} [options.retry] - Retry policy {retries, baseDelayMs, maxDelayMs} or a number of retries
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request
+ * @param {string} [options.group] - Cancellation group the request belongs to
+ * @param {boolean} [options.throwHttpErrors] - Throw an HttpError for error statuses (default true)
+ * @returns {Promise<Response>} - The response
+ */
+export async function request(url, {
+    method = 'GET',
+    headers = {},
+    body,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retry,
+    signal,
+    group,
+    throwHttpErrors = true
+} = {}) {
+    const policy = {
+        ...DEFAULT_RETRY_POLICY,
+        ...(typeof retry === 'number' ? { retries: retry } : retry)
+    };
+
+    const init = { method, headers };
+    if (body !== undefined) {
+        init.body = typeof body === 'string' ? body : JSON.stringify(body);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await attemptRequest(url, init, { timeoutMs, signal, group });
+
+            if (!response.ok && throwHttpErrors) {
+                throw new HttpError(response, await readErrorDetail(response), url);
+            }
+            return response;
+        } catch (error) {
+            if (attempt >= policy.retries || !isRetryable(error) || (signal && signal.aborted)) {
+                throw error;
+            }
+
+            const delay = getRetryDelay(attempt, policy, error);
+            debugLog(`${method} ${url} failed (${error.message}), retrying in ${Math.round(delay)} ms`);
+            await wait(delay, signal);
+        }
+    }
+}
+
+/**
+ * Sends a request and parses the JSON response
+ * @param {string} url - The request URL
+ * @param {Object} [options] - Same options as request()
+ * @returns {Promise<Object>} - The parsed response body
+ */
+export async function requestJson(url, options = {}) {
+    const response = await request(url, options);
+    try {
+        return await response.json();
+    } catch (error) {
+        throw new RequestError('The server sent a response that is not valid JSON.', { url, cause: error });
+    }
+}
+
+/**
+ * Gets a message for an error that can be shown to the user
+ * @param {Error} error - Any error
+ * @returns {string} - The message
+ */
+export function getRequestErrorMessage(error) {
+    if (!error) return 'Unknown error';
+    if (error instanceof HttpError && error.detail) {
+        return `${error.detail} (HTTP ${error.status})`;
+    }
+    return error.message || String(error);
+}
@@ -0,0 +1,545 @@
+// Local Tools Manager
+// Built-in tools the model can call while answering: a calculator, the current date and time,
+// unit conversion and a search of the user's chat history. They all run on the device,
+// nothing is sent anywhere but the user's own server
+
+import { debugLog, debugError, escapeHtml, removeThinkTags } from './utils.js';
+
+// Local storage key for the tool calling setting
+const LOCAL_TOOLS_KEY = 'localToolsEnabled';
+
+// Most rounds of tool calls answered for one reply, so a model can't loop forever
+export const MAX_TOOL_ROUNDS = 5;
+
+// Longest tool result sent back to the model, in characters
+const MAX_RESULT_LENGTH = 4000;
+
+let localToolsEnabled = false;
+
+/**
+ * Evaluates an arithmetic expression without eval()
+ * Supports + - * / % ^, parentheses, the constants pi and e and common math functions
+ * @param {string} expression - The expression, e.g. "2 * (3 + sqrt(16))"
+ * @returns {number} - The result
+ */
+function evaluateExpression(expression) {
+    const functions = {
+        sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+        sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+        exp: Math.exp, ln: Math.log, log: Math.log10, log2: Math.log2
+    };
+    const constants = { pi: Math.PI, e: Math.E };
+
+    const tokens = String(expression).match(/\d*\.?\d+(?:e[+-]?\d+)?|[a-z_]\w*|\*\*|[-+*/%^(),]|\S/gi) || [];
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = (token) => {
+        if (next() !== token) throw new Error(`Expected "${token}"`);
+    };
+
+    // expression = term (("+" | "-") term)*
+    function parseExpression() {
+        let value = parseTerm();
+        while (peek() === '+' || peek() === '-') {
+            value = next() === '+' ? value + parseTerm() : value - parseTerm();
+        }
+        return value;
+    }
+
+    // term = unary (("*" | "/" | "%") unary)*
+    function parseTerm() {
+        let value = parseUnary();
+        while (peek() === '*' || peek() === '/' || peek() === '%') {
+            const operator = next();
+            const right = parseUnary();
+            value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+        }
+        return value;
+    }
+
+    // unary = ("-" | "+") unary | power
+    function parseUnary() {
+        if (peek() === '-') {
+            next();
+            return -parseUnary();
+        }
+        if (peek() === '+') {
+            next();
+            return parseUnary();
+        }
+        return parsePower();
+    }
+
+    // power = primary (("^" | "**") unary)?, right associative
+    function parsePower() {
+        const base = parsePrimary();
+        if (peek() === '^' || peek() === '**') {
+            next();
+            return Math.pow(base, parseUnary());
+        }
+        return base;
+    }
+
+    // primary = number | constant | function "(" expression ")" | "(" expression ")"
+    function parsePrimary() {
+        const token = next();
+        if (token === undefined) throw new Error('Unexpected end of expression');
+
+        if (token === '(') {
+            const value = parseExpression();
+            expect(')');
+            return value;
+        }
+        if (/^\d*\.?\d+/.test(token)) {
+            return parseFloat(token);
+        }
+
+        const name = token.toLowerCase();
+        if (Object.prototype.hasOwnProperty.call(constants, name)) {
+            return constants[name];
+        }
+        if (Object.prototype.hasOwnProperty.call(functions, name)) {
+            expect('(');
+            const value = parseExpression();
+            expect(')');
+            return functions[name](value);
+        }
+        throw new Error(`Unknown token "${token}"`);
+    }
+
+    const result = parseExpression();
+    if (position < tokens.length) {
+        throw new Error(`Unexpected "${tokens[position]}"`);
+    }
+    if (!isFinite(result)) {
+        throw new Error('The result is not a finite number');
+    }
+    return result;
+}
+
+// Units by category, as the factor to the category's base unit, with the names they can be given
+const UNIT_CATEGORIES = {
+    length: {
+        m: { factor: 1, aliases: ['meter', 'meters', 'metre', 'metres'] },
+        km: { factor: 1000, aliases: ['kilometer', 'kilometers', 'kilometre', 'kilometres'] },
+        cm: { factor: 0.01, aliases: ['centimeter', 'centimeters', 'centimetre', 'centimetres'] },
+        mm: { factor: 0.001, aliases: ['millimeter', 'millimeters', 'millimetre', 'millimetres'] },
+        mi: { factor: 1609.344, aliases: ['mile', 'miles'] },
+        yd: { factor: 0.9144, aliases: ['yard', 'yards'] },
+        ft: { factor: 0.3048, aliases: ['foot', 'feet'] },
+        in: { factor: 0.0254, aliases: ['inch', 'inches'] },
+        nmi: { factor: 1852, aliases: ['nautical mile', 'nautical miles'] }
+    },
+    mass: {
+        kg: { factor: 1, aliases: ['kilogram', 'kilograms', 'kilo', 'kilos'] },
+        g: { factor: 0.001, aliases: ['gram', 'grams'] },
+        mg: { factor: 0.000001, aliases: ['milligram', 'milligrams'] },
+        t: { factor: 1000, aliases: ['tonne', 'tonnes', 'metric ton', 'metric tons'] },
+        lb: { factor: 0.45359237, aliases: ['lbs', 'pound', 'pounds'] },
+        oz: { factor: 0.028349523125, aliases: ['ounce', 'ounces'] },
+        st: { factor: 6.35029318, aliases: ['stone', 'stones'] }
+    },
+    volume: {
+        l: { factor: 1, aliases: ['liter', 'liters', 'litre', 'litres'] },
+        ml: { factor: 0.001, aliases: ['milliliter', 'milliliters', 'millilitre', 'millilitres'] },
+        m3: { factor: 1000, aliases: ['cubic meter', 'cubic meters', 'cubic metre', 'cubic metres'] },
+        gal: { factor: 3.785411784, aliases: ['gallon', 'gallons', 'us gallon', 'us gallons'] },
+        qt: { factor: 0.946352946, aliases: ['quart', 'quarts'] },
+        pt: { factor: 0.473176473, aliases: ['pint', 'pints'] },
+        cup: { factor: 0.2365882365, aliases: ['cups'] },
+        floz: { factor: 0.0295735295625, aliases: ['fl oz', 'fluid ounce', 'fluid ounces'] },
+        tbsp: { factor: 0.01478676478125, aliases: ['tablespoon', 'tablespoons'] },
+        tsp: { factor: 0.00492892159375, aliases: ['teaspoon', 'teaspoons'] }
+    },
+    time: {
+        s: { factor: 1, aliases: ['sec', 'second', 'seconds'] },
+        ms: { factor: 0.001, aliases: ['millisecond', 'milliseconds'] },
+        min: { factor: 60, aliases: ['minute', 'minutes'] },
+        h: { factor: 3600, aliases: ['hr', 'hour', 'hours'] },
+        d: { factor: 86400, aliases: ['day', 'days'] },
+        wk: { factor: 604800, aliases: ['week', 'weeks'] },
+        yr: { factor: 31557600, aliases: ['year', 'years'] }
+    },
+    speed: {
+        'm/s': { factor: 1, aliases: ['meters per second', 'metres per second'] },
+        'km/h': { factor: 1 / 3.6, aliases: ['kph', 'kmh', 'kilometers per hour', 'kilometres per hour'] },
+        mph: { factor: 0.44704, aliases: ['miles per hour'] },
+        kn: { factor: 1852 / 3600, aliases: ['knot', 'knots'] },
+        'ft/s': { factor: 0.3048, aliases: ['feet per second'] }
+    },
+    data: {
+        b: { factor: 1, aliases: ['byte', 'bytes'] },
+        kb: { factor: 1000, aliases: ['kilobyte', 'kilobytes'] },
+        mb: { factor: 1e6, aliases: ['megabyte', 'megabytes'] },
+        gb: { factor: 1e9, aliases: ['gigabyte', 'gigabytes'] },
+        tb: { factor: 1e12, aliases: ['terabyte', 'terabytes'] },
+        kib: { factor: 1024, aliases: ['kibibyte', 'kibibytes'] },
+        mib: { factor: 1048576, aliases: ['mebibyte', 'mebibytes'] },
+        gib: { factor: 1073741824, aliases: ['gibibyte', 'gibibytes'] },
+        bit: { factor: 0.125, aliases: ['bits'] }
+    },
+    area: {
+        m2: { factor: 1, aliases: ['sq m', 'square meter', 'square meters', 'square metre', 'square metres'] },
+        km2: { factor: 1e6, aliases: ['sq km', 'square kilometer', 'square kilometers', 'square kilometre', 'square kilometres'] },
+        ft2: { factor: 0.09290304, aliases: ['sq ft', 'square foot', 'square feet'] },
+        mi2: { factor: 2589988.110336, aliases: ['sq mi', 'square mile', 'square miles'] },
+        ha: { factor: 10000, aliases: ['hectare', 'hectares'] },
+        acre: { factor: 4046.8564224, aliases: ['acres'] }
+    },
+    // Temperature is converted through Celsius, see convertTemperature
+    temperature: {
+        c: { aliases: ['°c', 'celsius', 'centigrade'] },
+        f: { aliases: ['°f', 'fahrenheit'] },
+        k: { aliases: ['kelvin', 'kelvins'] }
+    }
+};
+
+/**
+ * Finds a unit by its symbol or name
+ * @param {string} name - The unit as the model wrote it, e.g. "km", "Miles"
+ * @returns {Object|null} - {category, symbol, factor}, or null if the unit is unknown
+ */
+function findUnit(name) {
+    const key = String(name || '').trim().toLowerCase();
+    for (const [category, units] of Object.entries(UNIT_CATEGORIES)) {
+        for (const [symbol, unit] of Object.entries(units)) {
+            if (symbol === key || unit.aliases.includes(key)) {
+                return { category, symbol, factor: unit.factor };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Converts a temperature between Celsius, Fahrenheit and Kelvin
+ * @param {number} value - The temperature
+ * @param {string} from - Symbol of the unit to convert from (c, f or k)
+ * @param {string} to - Symbol of the unit to convert to
+ * @returns {number} - The converted temperature
+ */
+function convertTemperature(value, from, to) {
+    const celsius = from === 'f' ? (value - 32) * 5 / 9 : from === 'k' ? value - 273.15 : value;
+    return to === 'f' ? celsius * 9 / 5 + 32 : to === 'k' ? celsius + 273.15 : celsius;
+}
+
+/**
+ * Rounds a tool result so floating point noise doesn't reach the model
+ * @param {number} value - The number
+ * @returns {number} - The number with at most 12 significant digits
+ */
+function roundResult(value) {
+    return Number(value.toPrecision(12));
+}
+
+/**
+ * Searches the active path of every saved chat for messages containing all words of a query
+ * @param {string} query - Words to look for
+ * @param {number} limit - Most matches to return
+ * @returns {Promise<Array>} - Matches {chat, role, excerpt}, newest chats first
+ */
+async function searchChatHistory(query, limit) {
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+        throw new Error('The query is empty');
+    }
+
+    const { getChatHistoryData } = await import('./chat-service.js');
+    const chatHistoryData = getChatHistoryData() || {};
+    const matches = [];
+
+    // Chat IDs are creation timestamps, so sorting them puts the newest chats first
+    const chatIds = Object.keys(chatHistoryData).sort((a, b) => Number(b) - Number(a));
+    for (const chatId of chatIds) {
+        const chatData = chatHistoryData[chatId];
+        const messages = Array.isArray(chatData) ? chatData : (chatData && chatData.messages) || [];
+        const title = chatData && chatData.title ? removeThinkTags(chatData.title) : 'Untitled chat';
+
+        for (const message of messages) {
+            if (!message || (message.role !== 'user' && message.role !== 'assistant') || typeof message.content !== 'string') continue;
+
+            const text = removeThinkTags(message.content);
+            const lowerText = text.toLowerCase();
+            if (!words.every(word => lowerText.includes(word))) continue;
+
+            // Show the text around the first word found
+            const start = Math.max(0, lowerText.indexOf(words[0]) - 80);
+            const excerpt = text.slice(start, start + 240).replace(/\s+/g, ' ').trim();
+            matches.push({ chat: title, role: message.role, excerpt: (start > 0 ? '…' : '') + excerpt });
+
+            if (matches.length >= limit) return matches;
+        }
+    }
+
+    return matches;
+}
+
+// The tools, with the function schema sent to the model
+const TOOLS = {
+    calculator: {
+        icon: 'fa-calculator',
+        description: 'Evaluates an arithmetic expression exactly. Supports + - * / % ^, parentheses, pi, e and the functions sqrt, cbrt, abs, round, floor, ceil, sin, cos, tan, asin, acos, atan, exp, ln, log (base 10) and log2. Angles are in radians.',
+        parameters: {
+            type: 'object',
+            properties: {
+                expression: { type: 'string', description: 'The expression to evaluate, e.g. "(12.5 * 4) / sqrt(2)"' }
+            },
+            required: ['expression']
+        },
+        run(args) {
+            return { expression: args.expression, result: roundResult(evaluateExpression(args.expression)) };
+        }
+    },
+    get_current_datetime: {
+        icon: 'fa-clock',
+        description: 'Gets the current date, time and day of the week on the user\'s device, or in a given time zone.',
+        parameters: {
+            type: 'object',
+            properties: {
+                timezone: { type: 'string', description: 'IANA time zone, e.g. "Europe/Paris". Defaults to the user\'s time zone.' }
+            }
+        },
+        run(args) {
+            const now = new Date();
+            const timeZone = args.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+            const formatted = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                weekday: 'long', year: 'numeric', month: 'long', day: 'numeric',
+                hour: '2-digit', minute: '2-digit', second: '2-digit', timeZoneName: 'short'
+            }).format(now);
+            return { timezone: timeZone, datetime: formatted, iso: now.toISOString() };
+        }
+    },
+    convert_units: {
+        icon: 'fa-ruler-combined',
+        description: 'Converts a value between units of length, mass, volume, time, speed, data size, area or temperature, e.g. miles to km, lb to kg, °F to °C.',
+        parameters: {
+            type: 'object',
+            properties: {
+                value: { type: 'number', description: 'The value to convert' },
+                from: { type: 'string', description: 'Unit to convert from, as a symbol or name, e.g. "mi", "pounds", "F"' },
+                to: { type: 'string', description: 'Unit to convert to' }
+            },
+            required: ['value', 'from', 'to']
+        },
+        run(args) {
+            const value = Number(args.value);
+            if (isNaN(value)) throw new Error('The value is not a number');
+
+            const from = findUnit(args.from);
+            const to = findUnit(args.to);
+            if (!from) throw new Error(`Unknown unit "${args.from}"`);
+            if (!to) throw new Error(`Unknown unit "${args.to}"`);
+            if (from.category !== to.category) {
+                throw new Error(`Can't convert ${from.category} to ${to.category}`);
+            }
+
+            const result = from.category === 'temperature'
+                ? convertTemperature(value, from.symbol, to.symbol)
+                : value * from.factor / to.factor;
+            return { value, from: from.symbol, to: to.symbol, result: roundResult(result) };
+        }
+    },
+    search_chat_history: {
+        icon: 'fa-search',
+        description: 'Searches the user\'s earlier chats in this app for messages containing all the given words. Use it when the user refers to something discussed before.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Words to search for' },
+                limit: { type: 'integer', description: 'Most results to return, 1 to 10. Defaults to 5.' }
+            },
+            required: ['query']
+        },
+        async run(args) {
+            const limit = Math.min(10, Math.max(1, parseInt(args.limit, 10) || 5));
+            const matches = await searchChatHistory(args.query, limit);
+            return { query: args.query, matches };
+        }
+    }
+};
+
+/**
+ * Gets whether the model may call the built-in tools
+ * @returns {boolean} - True if tool calling is enabled
+ */
+export function getLocalToolsEnabled() {
+    return localToolsEnabled;
+}
+
+/**
+ * Gets the tool definitions to send in a chat completion request
+ * @returns {Array} - OpenAI-style function tools
+ */
+export function getToolDefinitions() {
+    return Object.entries(TOOLS).map(([name, tool]) => ({
+        type: 'function',
+        function: { name, description: tool.description, parameters: tool.parameters }
+    }));
+}
+
+/**
+ * Runs one tool call
+ * @param {Object} call - The call {name, arguments (JSON string)}
+ * @returns {Promise<string>} - The result as JSON, or an error message the model can read
+ */
+async function runToolCall(call) {
+    const tool = Object.prototype.hasOwnProperty.call(TOOLS, call.name) ? TOOLS[call.name] : null;
+    if (!tool) {
+        return `Error: there is no tool named "${call.name}"`;
+    }
+
+    let args;
+    try {
+        args = JSON.parse(call.arguments || '{}');
+    } catch (error) {
+        return `Error: the arguments are not valid JSON (${error.message})`;
+    }
+
+    try {
+        const result = JSON.stringify(await tool.run(args || {}));
+        return result.length > MAX_RESULT_LENGTH ? result.slice(0, MAX_RESULT_LENGTH) + '…' : result;
+    } catch (error) {
+        debugLog(`Tool ${call.name} failed:`, error.message);
+        return `Error: ${error.message}`;
+    }
+}
+
+/**
+ * Runs the tool calls the model asked for, one after another
+ * @param {Array} calls - Calls {id, name, arguments} from ToolCallCollector
+ * @returns {Promise<Array>} - The calls with their result {id, name, arguments, result}
+ */
+export async function runToolCalls(calls) {
+    const executed = [];
+    for (const call of calls) {
+        const result = await runToolCall(call);
+        debugLog(`Tool ${call.name}(${call.arguments}) returned:`, result);
+        executed.push({ id: call.id, name: call.name, arguments: call.arguments, result });
+    }
+    return executed;
+}
+
+/**
+ * Builds the messages that hand tool results back to the model
+ * @param {string} content - Text the model wrote before calling the tools
+ * @param {Array} executed - Calls with their result, from runToolCalls
+ * @returns {Array} - The assistant message with its tool_calls, followed by one tool message per result
+ */
+export function buildToolMessages(content, executed) {
+    return [
+        {
+            role: 'assistant',
+            content: content || '',
+            tool_calls: executed.map(call => ({
+                id: call.id,
+                type: 'function',
+                function: { name: call.name, arguments: call.arguments }
+            }))
+        },
+        ...executed.map(call => ({
+            role: 'tool',
+            tool_call_id: call.id,
+            name: call.name,
+            content: call.result
+        }))
+    ];
+}
+
+/**
+ * Formats tool call arguments for display
+ * @param {string} args - JSON arguments
+ * @returns {string} - The arguments, indented if they are valid JSON
+ */
+function formatArguments(args) {
+    try {
+        return JSON.stringify(JSON.parse(args || '{}'), null, 2);
+    } catch (error) {
+        return args;
+    }
+}
+
+/**
+ * Shows the tools a reply used as collapsible cards above its text
+ * @param {HTMLElement} messageElement - The AI message element
+ * @param {Array} toolCalls - Calls with their result {id, name, arguments, result}
+ */
+export function renderToolCards(messageElement, toolCalls) {
+    if (!messageElement) return;
+
+    const existingCards = messageElement.querySelector('.tool-calls');
+    if (existingCards) {
+        existingCards.remove();
+    }
+    if (!Array.isArray(toolCalls) || toolCalls.length === 0) return;
+
+    const container = document.createElement('div');
+    container.classList.add('tool-calls');
+
+    toolCalls.forEach(call => {
+        const tool = Object.prototype.hasOwnProperty.call(TOOLS, call.name) ? TOOLS[call.name] : null;
+        const failed = typeof call.result === 'string' && call.result.startsWith('Error:');
+
+        const card = document.createElement('div');
+        card.classList.add('tool-call');
+        if (failed) {
+            card.classList.add('failed');
+        }
+        card.innerHTML = `
+            <button class="tool-call-toggle" aria-expanded="false" title="Show tool call">
+                <i class="fas ${tool ? tool.icon : 'fa-wrench'}"></i>
+                <span>${escapeHtml(call.name)}</span>
+                <i class="fas fa-chevron-down tool-call-chevron"></i>
+            </button>
+            <div class="tool-call-details hidden">
+                <div class="tool-call-label">Arguments</div>
+                <pre>${escapeHtml(formatArguments(call.arguments))}</pre>
+                <div class="tool-call-label">Result</div>
+                <pre>${escapeHtml(failed ? call.result : formatArguments(call.result))}</pre>
+            </div>
+        `;
+
+        const toggle = card.querySelector('.tool-call-toggle');
+        const details = card.querySelector('.tool-call-details');
+        toggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const expanded = details.classList.toggle('hidden') === false;
+            toggle.setAttribute('aria-expanded', String(expanded));
+            card.classList.toggle('expanded', expanded);
+        });
+
+        container.appendChild(card);
+    });
+
+    // Show the cards before the reply text, since the model called the tools before answering
+    const contentContainer = messageElement.querySelector('.message-content');
+    if (contentContainer) {
+        messageElement.insertBefore(container, contentContainer);
+    } else {
+        messageElement.appendChild(container);
+    }
+}
+
+/**
+ * Initializes the tool calling setting
+ */
+export function initializeLocalTools() {
+    localToolsEnabled = localStorage.getItem(LOCAL_TOOLS_KEY) === 'true';
+
+    const checkbox = document.getElementById('local-tools');
+    if (!checkbox) {
+        debugError('Local tools setting elements not found');
+        return;
+    }
+
+    checkbox.checked = localToolsEnabled;
+    checkbox.addEventListener('change', () => {
+        localToolsEnabled = checkbox.checked;
+        localStorage.setItem(LOCAL_TOOLS_KEY, localToolsEnabled);
+        debugLog('Local tools enabled:', localToolsEnabled);
+    });
+
+    debugLog('Local tools initialized');
+}
@@ -164,6 +164,102 @@ export async function initializeApp() {
         console.error('Error initializing saved system prompts:', error);
     }
     
+    // Initialize server profiles functionality
+    try {
+        const { initializeServerProfiles } = await import('./server-profiles.js');
+        initializeServerProfiles();
+    } catch (error) {
+        console.error('Error initializing server profiles:', error);
+    }
+
+    // Initialize the context window settings and indicator
+    try {
+        const { initializeContextManager } = await import('./context-manager.js');
+        initializeContextManager();
+    } catch (error) {
+        console.error('Error initializing context manager:', error);
+    }
+
+    // Initialize the sampling parameter settings
+    try {
+        const { initializeSamplingParams } = await import('./sampling-params.js');
+        initializeSamplingParams();
+    } catch (error) {
+        console.error('Error initializing sampling parameters:', error);
+    }
+
+    // Initialize the structured output settings
+    try {
+        const { initializeStructuredOutput } = await import('./structured-output.js');
+        initializeStructuredOutput();
+    } catch (error) {
+        console.error('Error initializing structured output:', error);
+    }
+
+    // Initialize the built-in tools setting
+    try {
+        const { initializeLocalTools } = await import('./local-tools.js');
+        initializeLocalTools();
+    } catch (error) {
+        console.error('Error initializing local tools:', error);
+    }
+
+    // Initialize the header model switcher
+    try {
+        const { initializeModelSwitcher } = await import('./model-switcher.js');
+        initializeModelSwitcher();
+    } catch (error) {
+        console.error('Error initializing model switcher:', error);
+    }
+
+    // Initialize model comparison
+    try {
+        const { initializeModelCompare } = await import('./model-compare.js');
+        initializeModelCompare();
+    } catch (error) {
+        console.error('Error initializing model comparison:', error);
+    }
+
+    // Initialize conversation compaction
+    try {
+        const { initializeCompaction } = await import('./compaction.js');
+        initializeCompaction();
+    } catch (error) {
+        console.error('Error initializing compaction:', error);
+    }
+
+    // Initialize prompt templates
+    try {
+        const { initializePromptTemplates } = await import('./prompt-templates.js');
+        initializePromptTemplates();
+    } catch (error) {
+        console.error('Error initializing prompt templates:', error);
+    }
+
+    // Initialize slash commands
+    try {
+        const { initializeSlashCommands } = await import('./slash-commands.js');
+        initializeSlashCommands();
+    } catch (error) {
+        console.error('Error initializing slash commands:', error);
+    }
+
+    // Initialize LAN server discovery
+    try {
+        const { initializeServerDiscovery } = await import('./server-discovery.js');
+        initializeServerDiscovery();
+    } catch (error) {
+        console.error('Error initializing server discovery:', error);
+    }
+
+    // Initialize the background connection monitor
+    try {
+        const { initializeConnectionMonitor } = await import('./connection-monitor.js');
+        initializeConnectionMonitor();
+    } catch (error) {
+        console.error('Error initializing connection monitor:', error);
+    }
+
     initializeExportImport();
     initializeWhatsNew();
     
@@ -0,0 +1,211 @@
+// Model Comparison
+// Sends one message to several models and shows their answers side by side,
+// so the user can pick the one that stays in the chat history
+
+import { fetchAvailableModels } from './api-service.js';
+import { debugLog, debugError, escapeHtml } from './utils.js';
+
+// Models the next message is sent to, in column order; comparing needs at least two
+let compareModelIds = [];
+
+// Comparison elements
+let compareModal = null;
+let compareList = null;
+let compareBanner = null;
+
+/**
+ * Gets the models selected for comparison
+ * @returns {Array} - Model IDs in column order
+ */
+export function getCompareModels() {
+    return [...compareModelIds];
+}
+
+/**
+ * Checks whether messages are sent to several models at once
+ * @returns {boolean} - True if at least two models are selected
+ */
+export function isCompareModeActive() {
+    return compareModelIds.length >= 2;
+}
+
+/**
+ * Selects the models to compare, or leaves compare mode when fewer than two are given
+ * @param {Array} modelIds - Model IDs in column order
+ */
+export function setCompareModels(modelIds) {
+    compareModelIds = [...new Set(modelIds)].filter(Boolean);
+    if (compareModelIds.length < 2) {
+        compareModelIds = [];
+    }
+    updateCompareBanner();
+    debugLog('Models to compare:', compareModelIds);
+}
+
+/**
+ * Shows which models are compared above the message input
+ */
+function updateCompareBanner() {
+    if (!compareBanner) return;
+
+    const text = compareBanner.querySelector('.compare-banner-text');
+    text.textContent = `Comparing ${compareModelIds.length} models: ${compareModelIds.join(', ')}`;
+    compareBanner.classList.toggle('hidden', !isCompareModeActive());
+}
+
+/**
+ * Creates the columns a comparison streams into
+ * @param {Array} modelIds - The compared models
+ * @param {boolean} concurrent - Whether all models answer at once, or one after the other
+ * @returns {Object} - {element, columns}, each column being {modelId, element, contentContainer}
+ */
+export function createCompareView(modelIds, concurrent) {
+    const element = document.createElement('div');
+    element.classList.add('compare-container');
+    element.innerHTML = `
+        <div class="compare-header">
+            <i class="fas fa-columns"></i>
+            <span>${concurrent ? 'Answering side by side' : 'Answering one model at a time'} · swipe to see each answer</span>
+        </div>
+        <div class="compare-columns"></div>
+    `;
+
+    const columnsElement = element.querySelector('.compare-columns');
+    const columns = modelIds.map(modelId => {
+        const column = document.createElement('div');
+        column.classList.add('compare-column');
+        column.dataset.modelId = modelId;
+        column.innerHTML = `
+            <div class="compare-column-header">
+                <i class="fas fa-robot"></i>
+                <span class="compare-model-name" title="${escapeHtml(modelId)}">${escapeHtml(modelId)}</span>
+                <span class="compare-status">Waiting…</span>
+            </div>
+            <div class="message-content compare-content"></div>
+        `;
+        columnsElement.appendChild(column);
+        return { modelId, element: column, contentContainer: column.querySelector('.compare-content') };
+    });
+
+    return { element, columns };
+}
+
+/**
+ * Shows what a comparison column is doing
+ * @param {Object} column - A column from createCompareView
+ * @param {string} status - Short status text, empty to hide it
+ * @param {boolean} [isError] - Whether the status is an error
+ */
+export function setCompareColumnStatus(column, status, isError = false) {
+    const statusElement = column.element.querySelector('.compare-status');
+    statusElement.textContent = status;
+    statusElement.classList.toggle('hidden', !status);
+    column.element.classList.toggle('compare-column-error', isError);
+}
+
+/**
+ * Adds the button that keeps a column's answer as the reply in the chat history
+ * @param {Object} column - A column from createCompareView
+ * @param {Function} onKeep - Called when the answer is chosen
+ */
+export function showCompareChoice(column, onKeep) {
+    const keepButton = document.createElement('button');
+    keepButton.classList.add('compare-keep-btn');
+    keepButton.innerHTML = '<i class="fas fa-check"></i><span>Use this reply</span>';
+    keepButton.title = `Keep the reply of ${column.modelId} in the chat`;
+    keepButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onKeep();
+    });
+    column.element.appendChild(keepButton);
+}
+
+/**
+ * Shows the dialog that selects the models to compare
+ */
+export async function showModelComparePicker() {
+    if (!compareModal) return;
+
+    compareList.innerHTML = '<div class="compare-list-empty"><i class="fas fa-spinner fa-spin mr-2"></i>Loading models…</div>';
+    compareModal.classList.remove('hidden');
+
+    let models = [];
+    try {
+        models = await fetchAvailableModels();
+    } catch (error) {
+        debugError('Error listing models for comparison:', error);
+    }
+
+    if (models.length < 2) {
+        compareList.innerHTML = '<div class="compare-list-empty">At least two models are needed to compare answers.</div>';
+        return;
+    }
+
+    // Selected models keep their order, the others follow in the server's order
+    const ordered = [
+        ...compareModelIds.filter(id => models.some(model => model.id === id)),
+        ...models.map(model => model.id).filter(id => !compareModelIds.includes(id))
+    ];
+
+    compareList.innerHTML = ordered.map(id => {
+        const model = models.find(m => m.id === id);
+        const loaded = model.state === 'loaded' || id === window.currentLoadedModel;
+        return `
+            <label class="compare-list-item">
+                <input type="checkbox" value="${escapeHtml(id)}" ${compareModelIds.includes(id) ? 'checked' : ''}>
+                <span class="compare-list-name">${escapeHtml(id)}</span>
+                ${loaded ? '<span class="compare-list-detail">Loaded</span>' : ''}
+            </label>
+        `;
+    }).join('');
+}
+
+/**
+ * Hides the model comparison dialog
+ */
+function hideModelComparePicker() {
+    if (compareModal) {
+        compareModal.classList.add('hidden');
+    }
+}
+
+/**
+ * Initializes compare mode
+ */
+export function initializeModelCompare() {
+    compareModal = document.getElementById('model-compare-modal');
+    compareList = document.getElementById('model-compare-list');
+    compareBanner = document.getElementById('compare-mode-banner');
+    const startButton = document.getElementById('model-compare-start');
+    const cancelButton = document.getElementById('model-compare-cancel');
+    const exitButton = document.getElementById('compare-mode-exit');
+
+    if (!compareModal || !compareList || !compareBanner || !startButton || !cancelButton || !exitButton) {
+        debugError('Model comparison elements not found');
+        compareModal = null;
+        return;
+    }
+
+    startButton.addEventListener('click', () => {
+        const selected = [...compareList.querySelectorAll('input[type="checkbox"]:checked')].map(input => input.value);
+        if (selected.length < 2) {
+            compareList.querySelector('.compare-list-hint')?.remove();
+            compareList.insertAdjacentHTML('beforeend', '<div class="compare-list-hint">Select at least two models.</div>');
+            return;
+        }
+        setCompareModels(selected);
+        hideModelComparePicker();
+    });
+
+    cancelButton.addEventListener('click', hideModelComparePicker);
+    compareModal.addEventListener('click', (e) => {
+        if (e.target === compareModal) {
+            hideModelComparePicker();
+        }
+    });
+
+    exitButton.addEventListener('click', () => setCompareModels([]));
+
+    updateCompareBanner();
+    debugLog('Model comparison initialized');
+}
@@ -0,0 +1,246 @@
+// Model Load Options Manager
+// Lets users choose how a model is loaded (context length, GPU offload, TTL, draft model)
+// and remembers the last options per model so they are re-applied on every load
+
+import { debugLog, debugError, escapeHtml } from './utils.js';
+
+// Local storage key for the per-model load options
+const MODEL_LOAD_OPTIONS_KEY = 'modelLoadOptions';
+
+// Smallest context length worth loading a model with
+const MIN_CONTEXT_LENGTH = 512;
+
+// Modal elements
+let modal = null;
+let modelNameDisplay = null;
+let contextLengthInput = null;
+let contextLengthHint = null;
+let gpuOffloadSelect = null;
+let ttlInput = null;
+let draftModelSelect = null;
+let loadButton = null;
+
+// Resolves the promise returned by openModelLoadDialog
+let resolveDialog = null;
+
+/**
+ * Reads the stored options for all models
+ * @returns {Object} - Options keyed by model ID
+ */
+function readAllOptions() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(MODEL_LOAD_OPTIONS_KEY) || '{}');
+        return stored && typeof stored === 'object' ? stored : {};
+    } catch (error) {
+        debugError('Error reading model load options:', error);
+        return {};
+    }
+}
+
+/**
+ * Normalizes load options, dropping values that are missing or out of range
+ * @param {Object} options - Raw options
+ * @returns {Object} - {contextLength, gpuOffload, ttl, draftModel}, unset values are null
+ */
+function normalizeOptions(options = {}) {
+    const contextLength = parseInt(options.contextLength, 10);
+    const gpuOffload = parseFloat(options.gpuOffload);
+    const ttl = parseInt(options.ttl, 10);
+
+    return {
+        contextLength: Number.isInteger(contextLength) && contextLength >= MIN_CONTEXT_LENGTH ? contextLength : null,
+        gpuOffload: !isNaN(gpuOffload) && gpuOffload >= 0 && gpuOffload <= 1 ? gpuOffload : null,
+        ttl: Number.isInteger(ttl) && ttl > 0 ? ttl : null,
+        draftModel: options.draftModel ? String(options.draftModel) : null
+    };
+}
+
+/**
+ * Gets the remembered load options for a model
+ * @param {string} modelId - The model ID
+ * @returns {Object} - {contextLength, gpuOffload (0-1), ttl (seconds), draftModel}, unset values are null
+ */
+export function getModelLoadOptions(modelId) {
+    return normalizeOptions(modelId ? readAllOptions()[modelId] : {});
+}
+
+/**
+ * Checks whether any load option is set for a model
+ * @param {string} modelId - The model ID
+ * @returns {boolean} - True if at least one option differs from the server default
+ */
+export function hasModelLoadOptions(modelId) {
+    return Object.values(getModelLoadOptions(modelId)).some(value => value !== null);
+}
+
+/**
+ * Remembers the load options for a model
+ * @param {string} modelId - The model ID
+ * @param {Object} options - {contextLength, gpuOffload, ttl, draftModel}
+ */
+export function saveModelLoadOptions(modelId, options) {
+    if (!modelId) return;
+
+    const allOptions = readAllOptions();
+    const normalized = normalizeOptions(options);
+
+    // Don't keep an entry for models that use the server defaults
+    if (Object.values(normalized).every(value => value === null)) {
+        delete allOptions[modelId];
+    } else {
+        allOptions[modelId] = normalized;
+    }
+
+    localStorage.setItem(MODEL_LOAD_OPTIONS_KEY, JSON.stringify(allOptions));
+}
+
+/**
+ * Opens the load options dialog for a model
+ * @param {Object} model - Model object from fetchAvailableModels
+ * @param {Array} models - All available models, offered as draft models
+ * @returns {Promise<Object|null>} - The chosen options, or null if the dialog was cancelled
+ */
+export function openModelLoadDialog(model, models = []) {
+    if (!modal) {
+        debugError('Model load options modal not initialized');
+        return Promise.resolve(null);
+    }
+
+    // Only one dialog at a time - a new one cancels the previous
+    closeDialog(null);
+
+    const options = getModelLoadOptions(model.id);
+    const maxContextLength = model.metadata ? model.metadata.maxContextLength : null;
+
+    modelNameDisplay.textContent = model.id;
+
+    contextLengthInput.value = options.contextLength || '';
+    contextLengthInput.min = MIN_CONTEXT_LENGTH;
+    if (maxContextLength) {
+        contextLengthInput.max = maxContextLength;
+        contextLengthHint.textContent = `Up to ${maxContextLength.toLocaleString()} tokens. Longer contexts use more memory.`;
+    } else {
+        contextLengthInput.removeAttribute('max');
+        contextLengthHint.textContent = 'Longer contexts use more memory.';
+    }
+
+    gpuOffloadSelect.value = options.gpuOffload === null ? '' : String(options.gpuOffload);
+    // Keep custom ratios that aren't in the list
+    if (gpuOffloadSelect.value === '' && options.gpuOffload !== null) {
+        gpuOffloadSelect.add(new Option(`${Math.round(options.gpuOffload * 100)}%`, String(options.gpuOffload)));
+        gpuOffloadSelect.value = String(options.gpuOffload);
+    }
+
+    ttlInput.value = options.ttl ? Math.round(options.ttl / 60) : '';
+
+    // Draft models must be other language models
+    const draftCandidates = models.filter(candidate =>
+        candidate.id !== model.id &&
+        (!candidate.metadata || !candidate.metadata.type || candidate.metadata.type === 'llm' || candidate.metadata.type === 'vlm')
+    );
+    draftModelSelect.innerHTML = '<option value="">None</option>' + draftCandidates
+        .map(candidate => `<option value="${escapeHtml(candidate.id)}">${escapeHtml(candidate.id)}</option>`)
+        .join('');
+    draftModelSelect.value = options.draftModel && draftCandidates.some(candidate => candidate.id === options.draftModel)
+        ? options.draftModel
+        : '';
+    draftModelSelect.disabled = draftCandidates.length === 0;
+
+    modal.classList.remove('hidden');
+    modal.classList.add('flex');
+    const modalContent = modal.querySelector('.modal-content');
+    if (modalContent) {
+        modalContent.classList.remove('animate-modal-out');
+        modalContent.classList.add('animate-modal-in');
+    }
+
+    debugLog(`Model load options shown for ${model.id}`);
+
+    return new Promise(resolve => {
+        resolveDialog = resolve;
+    });
+}
+
+/**
+ * Reads the options entered in the dialog
+ * @returns {Object} - {contextLength, gpuOffload, ttl, draftModel}
+ */
+function readDialogOptions() {
+    const ttlMinutes = parseFloat(ttlInput.value);
+    return normalizeOptions({
+        contextLength: contextLengthInput.value,
+        gpuOffload: gpuOffloadSelect.value === '' ? null : gpuOffloadSelect.value,
+        ttl: !isNaN(ttlMinutes) && ttlMinutes > 0 ? Math.round(ttlMinutes * 60) : null,
+        draftModel: draftModelSelect.value
+    });
+}
+
+/**
+ * Hides the dialog and settles the pending promise
+ * @param {Object|null} result - The chosen options, or null when cancelled
+ */
+function closeDialog(result) {
+    if (resolveDialog) {
+        const resolve = resolveDialog;
+        resolveDialog = null;
+        resolve(result);
+    }
+
+    if (!modal || modal.classList.contains('hidden')) return;
+
+    const modalContent = modal.querySelector('.modal-content');
+    if (modalContent) {
+        modalContent.classList.remove('animate-modal-in');
+        modalContent.classList.add('animate-modal-out');
+    }
+
+    setTimeout(() => {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+        if (modalContent) {
+            modalContent.classList.remove('animate-modal-out');
+        }
+    }, 300);
+}
+
+/**
+ * Initializes the model load options dialog
+ */
+export function initializeModelLoadOptions() {
+    modal = document.getElementById('model-load-options-modal');
+    modelNameDisplay = document.getElementById('load-options-model-name');
+    contextLengthInput = document.getElementById('load-options-context-length');
+    contextLengthHint = document.getElementById('load-options-context-hint');
+    gpuOffloadSelect = document.getElementById('load-options-gpu-offload');
+    ttlInput = document.getElementById('load-options-ttl');
+    draftModelSelect = document.getElementById('load-options-draft-model');
+    loadButton = document.getElementById('load-options-load-btn');
+
+    if (!modal || !modelNameDisplay || !contextLengthInput || !contextLengthHint || !gpuOffloadSelect || !ttlInput || !draftModelSelect || !loadButton) {
+        debugError('Model load options modal elements not found');
+        modal = null;
+        return;
+    }
+
+    loadButton.addEventListener('click', () => {
+        if (contextLengthInput.value && !contextLengthInput.checkValidity()) {
+            contextLengthInput.reportValidity();
+            return;
+        }
+        closeDialog(readDialogOptions());
+    });
+
+    const cancelButton = document.getElementById('load-options-cancel-btn');
+    if (cancelButton) {
+        cancelButton.addEventListener('click', () => closeDialog(null));
+    }
+
+    // Close modal when clicking outside
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeDialog(null);
+        }
+    });
+
+    debugLog('Model load options initialized');
+}
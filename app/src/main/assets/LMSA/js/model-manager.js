@@ -17,6 +17,9 @@ import {
 import { fetchAvailableModels, getAvailableModels, isServerRunning, loadModel as apiLoadModel } from './api-service.js';
 import { checkAndShowWelcomeMessage } from './ui-manager.js';
 import { getDefaultModelId, setDefaultModelId } from './settings-manager.js';
+import { getBackendAdapter } from './backend-adapters.js';
+import { getModelLoadOptions, hasModelLoadOptions, saveModelLoadOptions, openModelLoadDialog, initializeModelLoadOptions } from './model-load-options.js';
+import { escapeHtml } from './utils.js';
 
 // Flag to track if a model is actually loaded
 let isModelLoaded = false;
@@ -47,6 +50,8 @@ export function initializeModelManager() {
         refreshModelsButton.addEventListener('click', refreshModels);
     }
 
+    initializeModelLoadOptions();
+
     // The model header icon doesn't exist when this function runs
     // We'll add the event listener dynamically when the modal is shown
 }
@@ -507,8 +512,9 @@ function hideModelLoadingModal() {
 /**
  * Loads a model in LM Studio
  * @param {string} modelId - ID of the model to load
+ * @param {Object} [loadOptions] - Load options, defaults to the options remembered for the model
  */
-async function loadModel(modelId) {
+async function loadModel(modelId, loadOptions = getModelLoadOptions(modelId)) {
     try {
         // If a model is already loading, prevent loading another one
         if (isModelLoading) {
@@ -547,7 +553,7 @@ async function loadModel(modelId) {
         console.log(`Requesting to load model: ${modelId}`);
 
         // Use the API service to load the model
-        const success = await apiLoadModel(modelId);
+        const success = await apiLoadModel(modelId, loadOptions);
 
         if (!success) {
             console.log(`Failed to load model: ${modelId}`);
@@ -641,6 +647,15 @@ async function loadModel(modelId) {
     }
 }
 
+/**
+ * Switches to another model from outside the model modal (header switcher, reopened chats)
+ * @param {string} modelId - ID of the model to load
+ * @returns {Promise<boolean>} - True if the model was loaded
+ */
+export async function switchToModel(modelId) {
+    return await loadModel(modelId);
+}
+
 /**
  * Disables all load buttons in the modal
  */
@@ -770,6 +785,10 @@ function displayAvailableModels(models, loadedModelId) {
             return;
         }
 
+        // Backends that cannot load models only let the user pick which one to use
+        const canLoadModels = getBackendAdapter().capabilities.loadUnload;
+        const loadLabel = canLoadModels ? 'Load' : 'Use';
+
         // Clear the list
         availableModelsList.innerHTML = '';
 
@@ -782,7 +801,7 @@ function displayAvailableModels(models, loadedModelId) {
             </div>
             <div>
                 <h3 class="text-lg font-semibold text-blue-400">Available Models</h3>
-                <p class="text-sm" style="color: ${isLightTheme ? '#6b7280' : '#9ca3af'} !important;">Click "Load" to switch to a different model</p>
+                <p class="text-sm" style="color: ${isLightTheme ? '#6b7280' : '#9ca3af'} !important;">Click "${loadLabel}" to switch to a different model</p>
             </div>
         `;
         availableModelsList.appendChild(titleElement);
@@ -815,14 +834,16 @@ function displayAvailableModels(models, loadedModelId) {
                 </div>
                 <div class="model-content">
                     <div class="model-name">${model.id}</div>
+                    ${getModelMetadataHtml(model)}
                 </div>
                 <div class="model-actions">
                     <button class="set-default-btn ${isDefaultModel ? 'default-active' : ''}" data-model-id="${model.id}" title="${isDefaultModel ? 'Remove as default' : 'Set as default'}">
                         <i class="fas fa-star"></i>
                     </button>
+                    ${getLoadOptionsButtonHtml(model, canLoadModels)}
                     ${isCurrentModel ?
-                        '<span class="model-loaded"><i class="fas fa-check-circle"></i>Loaded</span>' :
-                        '<button class="load-model-btn"><i class="fas fa-plug"></i>Load</button>'
+                        `<span class="model-loaded"><i class="fas fa-check-circle"></i>${canLoadModels ? 'Loaded' : 'In use'}</span>` :
+                        `<button class="load-model-btn"><i class="fas fa-plug"></i>${loadLabel}</button>`
                     }
                 </div>
             `;
@@ -857,6 +878,15 @@ function displayAvailableModels(models, loadedModelId) {
                 }
             }
 
+            // Add event listener to the load options button
+            const loadOptionsButton = modelElement.querySelector('.load-options-btn');
+            if (loadOptionsButton) {
+                loadOptionsButton.addEventListener('click', async (e) => {
+                    e.preventDefault();
+                    await loadModelWithOptions(model);
+                });
+            }
+
             // Add event listener to the model icon to show full model name
             const modelIcon = modelElement.querySelector('.model-icon');
             if (modelIcon) {
@@ -895,6 +925,67 @@ function displayAvailableModels(models, loadedModelId) {
     }
 }
 
+/**
+ * Builds the button that opens the load options dialog
+ * @param {Object} model - Model object from fetchAvailableModels
+ * @param {boolean} canLoadModels - Whether the backend can load models
+ * @returns {string} - HTML for the button, or an empty string if the backend can't load models
+ */
+function getLoadOptionsButtonHtml(model, canLoadModels) {
+    if (!canLoadModels) {
+        return '';
+    }
+
+    const isCustomized = hasModelLoadOptions(model.id);
+    return `<button class="load-options-btn ${isCustomized ? 'options-active' : ''}" title="${isCustomized ? 'Load options (customized)' : 'Load options'}" aria-label="Load options">
+                        <i class="fas fa-sliders-h"></i>
+                    </button>`;
+}
+
+/**
+ * Asks for load options, remembers them for the model and loads it with them
+ * @param {Object} model - Model object from fetchAvailableModels
+ */
+async function loadModelWithOptions(model) {
+    if (isModelLoading) {
+        return;
+    }
+
+    const loadOptions = await openModelLoadDialog(model, allAvailableModels);
+    if (!loadOptions) {
+        return;
+    }
+
+    saveModelLoadOptions(model.id, loadOptions);
+    await loadModel(model.id, loadOptions);
+}
+
+/**
+ * Builds the metadata line shown under a model name
+ * @param {Object} model - Model object from fetchAvailableModels
+ * @returns {string} - HTML for the metadata line, or an empty string if the server reported none
+ */
+function getModelMetadataHtml(model) {
+    const metadata = model.metadata;
+    if (!metadata) {
+        return '';
+    }
+
+    const typeLabels = { llm: 'LLM', vlm: 'Vision', embeddings: 'Embeddings' };
+    const parts = [
+        typeLabels[metadata.type] || metadata.type,
+        metadata.architecture,
+        metadata.quantization,
+        metadata.maxContextLength ? `${Math.round(metadata.maxContextLength / 1024)}K context` : null
+    ].filter(Boolean);
+
+    if (parts.length === 0) {
+        return '';
+    }
+
+    return `<div class="model-meta">${parts.map(part => escapeHtml(String(part))).join(' · ')}</div>`;
+}
+
 /**
  * Displays potential models that are available but not loaded
  * @param {Object[]} models - Array of model objects
@@ -918,6 +1009,10 @@ function displayPotentialModels(models) {
             return;
         }
 
+        // Backends that cannot load models only let the user pick which one to use
+        const canLoadModels = getBackendAdapter().capabilities.loadUnload;
+        const loadLabel = canLoadModels ? 'Load' : 'Use';
+
         // Clear the list
         availableModelsList.innerHTML = '';
 
@@ -930,7 +1025,7 @@ function displayPotentialModels(models) {
             </div>
             <div>
                 <h3 class="text-lg font-semibold text-blue-400">Available Models</h3>
-                <p class="text-sm" style="color: ${isLightTheme ? '#6b7280' : '#9ca3af'} !important;">Select a model to load it</p>
+                <p class="text-sm" style="color: ${isLightTheme ? '#6b7280' : '#9ca3af'} !important;">Select a model to ${canLoadModels ? 'load' : 'use'} it</p>
             </div>
         `;
         availableModelsList.appendChild(titleElement);
@@ -955,12 +1050,14 @@ function displayPotentialModels(models) {
                 </div>
                 <div class="model-content">
                     <div class="model-name">${model.id}</div>
+                    ${getModelMetadataHtml(model)}
                 </div>
                 <div class="model-actions">
                     <button class="set-default-btn ${isDefaultModel ? 'default-active' : ''}" data-model-id="${model.id}" title="${isDefaultModel ? 'Remove as default' : 'Set as default'}">
                         <i class="fas fa-star"></i>
                     </button>
-                    <button class="load-model-btn"><i class="fas fa-plug"></i>Load</button>
+                    ${getLoadOptionsButtonHtml(model, canLoadModels)}
+                    <button class="load-model-btn"><i class="fas fa-plug"></i>${loadLabel}</button>
                 </div>
             `;
 
@@ -992,6 +1089,15 @@ function displayPotentialModels(models) {
                 }
             }
 
+            // Add event listener to the load options button
+            const loadOptionsButton = modelElement.querySelector('.load-options-btn');
+            if (loadOptionsButton) {
+                loadOptionsButton.addEventListener('click', async (e) => {
+                    e.preventDefault();
+                    await loadModelWithOptions(model);
+                });
+            }
+
             // Add event listener to the model icon to show full model name
             const modelIcon = modelElement.querySelector('.model-icon');
             if (modelIcon) {
@@ -0,0 +1,177 @@
+// Model Switcher for the header
+// Lets users change the model for the next turn without opening the model modal,
+// and offers to switch back to a chat's model when an old chat is reopened
+
+import { fetchAvailableModels } from './api-service.js';
+import { getBackendAdapter } from './backend-adapters.js';
+import { debugLog, debugError, escapeHtml } from './utils.js';
+
+// Model to load when the confirmation modal is accepted
+let pendingModelSwitchId = null;
+
+/**
+ * Loads a model through the model manager so the usual loading modal is shown
+ * @param {string} modelId - The model ID
+ * @returns {Promise<boolean>} - True if the model was loaded
+ */
+export async function switchModel(modelId) {
+    if (!modelId || modelId === window.currentLoadedModel) return true;
+
+    try {
+        const { switchToModel } = await import('./model-manager.js');
+        return await switchToModel(modelId);
+    } catch (error) {
+        debugError('Error switching model:', error);
+        return false;
+    }
+}
+
+/**
+ * Marks a model as pending so the confirmation modal can switch to it
+ * @param {string} modelId - The model to load on confirmation
+ */
+export function setPendingModelSwitch(modelId) {
+    pendingModelSwitchId = modelId;
+}
+
+/**
+ * Switches to the model recorded by setPendingModelSwitch
+ */
+export async function confirmPendingModelSwitch() {
+    const modelId = pendingModelSwitchId;
+    pendingModelSwitchId = null;
+    if (modelId) {
+        await switchModel(modelId);
+    }
+}
+
+/**
+ * Shows the header model switcher menu
+ */
+async function showModelSwitcherMenu() {
+    const menu = document.getElementById('model-switcher-menu');
+    const button = document.getElementById('model-switcher-button');
+    if (!menu || !button) return;
+
+    menu.innerHTML = `
+        <div class="menu-header text-xs">Model for next message</div>
+        <div class="model-switcher-menu-empty"><i class="fas fa-spinner fa-spin mr-2"></i>Loading models…</div>
+    `;
+
+    const rect = button.getBoundingClientRect();
+    menu.style.top = `${rect.bottom + 6}px`;
+    menu.style.right = `${Math.max(8, window.innerWidth - rect.right)}px`;
+    menu.classList.remove('hidden');
+
+    let models = [];
+    let chatModel = null;
+    try {
+        models = await fetchAvailableModels();
+        const { getChatModel } = await import('./chat-service.js');
+        chatModel = getChatModel();
+    } catch (error) {
+        debugError('Error listing models for the model switcher:', error);
+    }
+
+    // The menu may have been closed while the models were loading
+    if (menu.classList.contains('hidden')) return;
+
+    const currentModel = window.currentLoadedModel;
+    const canLoadModels = getBackendAdapter().capabilities.loadUnload;
+
+    const items = models.map(model => {
+        const isCurrent = model.id === currentModel;
+        const isChatModel = model.id === chatModel;
+        const detail = isCurrent
+            ? (canLoadModels ? 'Loaded' : 'In use')
+            : (isChatModel ? 'Used earlier in this chat' : '');
+        return `
+            <button class="model-switcher-menu-item ${isCurrent ? 'active' : ''}" data-model-id="${escapeHtml(model.id)}">
+                <i class="fas ${isCurrent ? 'fa-check-circle' : (isChatModel ? 'fa-history' : 'fa-robot')}"></i>
+                <span class="model-switcher-menu-text">
+                    <span class="model-switcher-menu-name">${escapeHtml(model.id)}</span>
+                    ${detail ? `<span class="model-switcher-menu-detail">${detail}</span>` : ''}
+                </span>
+            </button>
+        `;
+    }).join('');
+
+    menu.innerHTML = `
+        <div class="menu-header text-xs">Model for next message</div>
+        ${items || '<div class="model-switcher-menu-empty">No models available</div>'}
+        <button class="model-switcher-menu-item" data-action="compare">
+            <i class="fas fa-columns"></i>
+            <span class="model-switcher-menu-text">Compare models…</span>
+        </button>
+        <button class="model-switcher-menu-item" data-action="manage">
+            <i class="fas fa-cog"></i>
+            <span class="model-switcher-menu-text">Manage models…</span>
+        </button>
+    `;
+
+    menu.querySelectorAll('.model-switcher-menu-item').forEach(item => {
+        item.addEventListener('click', (e) => {
+            e.stopPropagation();
+            hideModelSwitcherMenu();
+
+            if (item.dataset.action === 'manage') {
+                import('./model-manager.js').then(module => {
+                    module.showModelModal();
+                });
+                return;
+            }
+
+            if (item.dataset.action === 'compare') {
+                import('./model-compare.js').then(module => {
+                    module.showModelComparePicker();
+                });
+                return;
+            }
+
+            if (item.dataset.modelId && item.dataset.modelId !== currentModel) {
+                switchModel(item.dataset.modelId);
+            }
+        });
+    });
+}
+
+/**
+ * Hides the header model switcher menu
+ */
+function hideModelSwitcherMenu() {
+    const menu = document.getElementById('model-switcher-menu');
+    if (menu) {
+        menu.classList.add('hidden');
+    }
+}
+
+/**
+ * Initializes the header model switcher
+ */
+export function initializeModelSwitcher() {
+    const headerButton = document.getElementById('model-switcher-button');
+    if (!headerButton) {
+        debugError('Model switcher button not found');
+        return;
+    }
+
+    headerButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const menu = document.getElementById('model-switcher-menu');
+        if (menu && !menu.classList.contains('hidden')) {
+            hideModelSwitcherMenu();
+        } else {
+            showModelSwitcherMenu();
+        }
+    });
+
+    // Close the menu when tapping anywhere else
+    document.addEventListener('click', (e) => {
+        const menu = document.getElementById('model-switcher-menu');
+        if (menu && !menu.classList.contains('hidden') && !menu.contains(e.target)) {
+            hideModelSwitcherMenu();
+        }
+    });
+
+    debugLog('Model switcher initialized');
+}
@@ -0,0 +1,437 @@
+// Prompt Templates
+// A library of reusable prompts with {{variables}}. Picking a template opens a form with a field
+// for each variable, and the filled-in prompt is inserted into the chat input
+// A variable can give its default after a colon: {{language:JavaScript}}
+
+import { userInput } from './dom-elements.js';
+import { registerSlashCommand, showCommandError } from './slash-commands.js';
+import { debugLog, debugError, escapeHtml } from './utils.js';
+
+// Local storage key for the template library
+const PROMPT_TEMPLATES_KEY = 'promptTemplates';
+
+// Matches {{name}} and {{name:default}}
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*(?::([^}]*))?\}\}/g;
+
+// Variables filled in by the app, with how to get their value
+const BUILT_IN_VARIABLES = {
+    date: () => new Date().toLocaleDateString(),
+    time: () => new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+    clipboard: readClipboard,
+    last_response: getLastResponse
+};
+
+// Variables whose values usually span several lines
+const MULTILINE_VARIABLES = ['clipboard', 'last_response'];
+
+// Template library elements
+let templatesModal = null;
+let templatesList = null;
+let editorView = null;
+let formView = null;
+let listView = null;
+
+// The template being edited, null for a new one
+let editingTemplateId = null;
+// The template being filled in
+let fillingTemplate = null;
+
+/**
+ * Gets the saved templates
+ * @returns {Array} - Templates {id, name, content}
+ */
+export function getPromptTemplates() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROMPT_TEMPLATES_KEY) || '[]');
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        debugError('Error reading prompt templates:', error);
+        return [];
+    }
+}
+
+/**
+ * Saves a template, or updates the one with the given ID
+ * @param {string} name - The template name
+ * @param {string} content - The prompt, with {{variables}}
+ * @param {string} [id] - The ID of the template to update
+ * @returns {Object} - The saved template {id, name, content}
+ */
+export function savePromptTemplate(name, content, id = null) {
+    const templates = getPromptTemplates();
+    const existing = id ? templates.find(template => template.id === id) : null;
+    if (existing) {
+        existing.name = name;
+        existing.content = content;
+        localStorage.setItem(PROMPT_TEMPLATES_KEY, JSON.stringify(templates));
+        return existing;
+    }
+
+    // Templates saved in the same millisecond still get their own ID
+    let newId = Date.now();
+    while (templates.some(template => template.id === String(newId))) {
+        newId++;
+    }
+    const template = { id: String(newId), name, content };
+    templates.push(template);
+    localStorage.setItem(PROMPT_TEMPLATES_KEY, JSON.stringify(templates));
+    return template;
+}
+
+/**
+ * Deletes a template
+ * @param {string} id - The ID of the template to delete
+ */
+export function deletePromptTemplate(id) {
+    const templates = getPromptTemplates().filter(template => template.id !== id);
+    localStorage.setItem(PROMPT_TEMPLATES_KEY, JSON.stringify(templates));
+}
+
+/**
+ * Restores templates from an export
+ * @param {Array} templates - The exported templates
+ * @param {boolean} [replace] - Whether to replace the library, rather than adding to it
+ */
+export function restorePromptTemplates(templates, replace = false) {
+    if (!Array.isArray(templates)) {
+        debugLog('Invalid prompt templates data for restore');
+        return;
+    }
+
+    const valid = templates.filter(template => template && typeof template.id === 'string' &&
+        typeof template.name === 'string' && typeof template.content === 'string');
+    // Imported templates replace the ones with the same ID
+    const kept = replace ? [] : getPromptTemplates().filter(template => !valid.some(imported => imported.id === template.id));
+    localStorage.setItem(PROMPT_TEMPLATES_KEY, JSON.stringify([...kept, ...valid]));
+    debugLog(`Restored ${valid.length} prompt templates`);
+}
+
+/**
+ * Lists the variables of a template, in the order they first appear
+ * @param {string} content - The template content
+ * @returns {Array} - Variables as {name, defaultValue, builtIn}
+ */
+export function getTemplateVariables(content) {
+    const variables = [];
+    for (const match of content.matchAll(VARIABLE_PATTERN)) {
+        const name = match[1];
+        const existing = variables.find(variable => variable.name === name);
+        if (existing) {
+            // A later occurrence can give the default the first one left out
+            if (!existing.defaultValue && match[2] !== undefined) {
+                existing.defaultValue = match[2].trim();
+            }
+            continue;
+        }
+        variables.push({
+            name,
+            defaultValue: match[2] !== undefined ? match[2].trim() : '',
+            builtIn: Object.prototype.hasOwnProperty.call(BUILT_IN_VARIABLES, name)
+        });
+    }
+    return variables;
+}
+
+/**
+ * Fills in the variables of a template
+ * @param {string} content - The template content
+ * @param {Object} values - Values by variable name; variables without one get their default
+ * @returns {string} - The prompt
+ */
+export function renderTemplate(content, values) {
+    // A default applies to every occurrence of the variable, not just the one that declares it
+    const defaults = new Map(getTemplateVariables(content).map(variable => [variable.name, variable.defaultValue]));
+    return content.replace(VARIABLE_PATTERN, (match, name) => {
+        if (typeof values[name] === 'string') return values[name];
+        return defaults.get(name) || '';
+    });
+}
+
+/**
+ * Reads the text on the clipboard
+ * @returns {Promise<string>} - The text, or an empty string if it can't be read
+ */
+async function readClipboard() {
+    try {
+        if (navigator.clipboard && navigator.clipboard.readText) {
+            return await navigator.clipboard.readText();
+        }
+    } catch (error) {
+        // WebViews often refuse clipboard reads; the field stays empty to paste into
+        debugLog('Could not read the clipboard:', error);
+    }
+    return '';
+}
+
+/**
+ * Gets the last reply of the chat that is open
+ * @returns {Promise<string>} - The reply without its reasoning, or an empty string
+ */
+async function getLastResponse() {
+    const { getChatHistoryData, getCurrentChatId } = await import('./chat-service.js');
+    const chatData = getChatHistoryData()[getCurrentChatId()];
+    const messages = chatData ? (Array.isArray(chatData) ? chatData : chatData.messages) : [];
+    const reply = [...messages].reverse().find(message => message.role === 'assistant' && typeof message.content === 'string');
+    return reply ? reply.content : '';
+}
+
+/**
+ * Gets the values of the built-in variables a template uses
+ * @param {Array} variables - Variables from getTemplateVariables
+ * @returns {Promise<Object>} - Values by variable name
+ */
+export async function getBuiltInValues(variables) {
+    const values = {};
+    for (const variable of variables) {
+        if (variable.builtIn) {
+            values[variable.name] = await BUILT_IN_VARIABLES[variable.name]();
+        }
+    }
+    return values;
+}
+
+/**
+ * Shows one view of the template dialog
+ * @param {HTMLElement} view - The list, editor or form view
+ */
+function showView(view) {
+    [listView, editorView, formView].forEach(element => element.classList.toggle('hidden', element !== view));
+}
+
+/**
+ * Fills the template list
+ */
+function renderTemplateList() {
+    const templates = getPromptTemplates();
+    if (templates.length === 0) {
+        templatesList.innerHTML = '<div class="prompt-template-empty">No templates yet. Create one with {{variables}} for the parts that change.</div>';
+        return;
+    }
+
+    templatesList.innerHTML = templates.map(template => `
+        <div class="prompt-template-item" data-template-id="${escapeHtml(template.id)}">
+            <button class="prompt-template-use" title="Fill in this template">
+                <span class="prompt-template-name">${escapeHtml(template.name)}</span>
+                <span class="prompt-template-preview">${escapeHtml(template.content)}</span>
+            </button>
+            <button class="prompt-template-action" data-action="edit" title="Edit template" aria-label="Edit template">
+                <i class="fas fa-edit"></i>
+            </button>
+            <button class="prompt-template-action" data-action="delete" title="Delete template" aria-label="Delete template">
+                <i class="fas fa-trash"></i>
+            </button>
+        </div>
+    `).join('');
+
+    templatesList.querySelectorAll('.prompt-template-item').forEach(item => {
+        const template = templates.find(saved => saved.id === item.dataset.templateId);
+        item.querySelector('.prompt-template-use').addEventListener('click', () => showTemplateForm(template));
+        item.querySelector('[data-action="edit"]').addEventListener('click', () => showTemplateEditor(template));
+        item.querySelector('[data-action="delete"]').addEventListener('click', () => {
+            deletePromptTemplate(template.id);
+            renderTemplateList();
+        });
+    });
+}
+
+/**
+ * Shows the editor for a template
+ * @param {Object|null} template - The template to edit, or null for a new one
+ */
+function showTemplateEditor(template) {
+    editingTemplateId = template ? template.id : null;
+    document.getElementById('prompt-template-name').value = template ? template.name : '';
+    document.getElementById('prompt-template-content').value = template ? template.content : '';
+    setEditorHint('Use {{name}} for a field, {{name:default}} to prefill it, and {{date}}, {{time}}, {{clipboard}} or {{last_response}} for values the app fills in.');
+    showView(editorView);
+    document.getElementById('prompt-template-name').focus();
+}
+
+/**
+ * Shows a hint or problem under the template editor
+ * @param {string} message - The message
+ * @param {boolean} [isError] - Whether the message is a problem
+ */
+function setEditorHint(message, isError = false) {
+    const hint = document.getElementById('prompt-template-hint');
+    hint.textContent = message;
+    hint.classList.toggle('text-red-400', isError);
+}
+
+/**
+ * Saves the template in the editor and returns to the list
+ */
+function saveEditedTemplate() {
+    const name = document.getElementById('prompt-template-name').value.trim();
+    const content = document.getElementById('prompt-template-content').value;
+    if (!name) {
+        setEditorHint('Give the template a name.', true);
+        return;
+    }
+    if (!content.trim()) {
+        setEditorHint('Write the prompt first.', true);
+        return;
+    }
+
+    savePromptTemplate(name, content, editingTemplateId);
+    editingTemplateId = null;
+    renderTemplateList();
+    showView(listView);
+}
+
+/**
+ * Shows the form that fills in a template, or inserts it right away if it has no variables
+ * @param {Object} template - The template
+ */
+async function showTemplateForm(template) {
+    const variables = getTemplateVariables(template.content);
+    if (variables.length === 0) {
+        insertPrompt(template.content);
+        return;
+    }
+    const builtInValues = await getBuiltInValues(variables);
+
+    fillingTemplate = template;
+    document.getElementById('prompt-template-form-title').textContent = template.name;
+    const fields = document.getElementById('prompt-template-fields');
+    fields.innerHTML = variables.map((variable, index) => {
+        const id = `prompt-template-field-${index}`;
+        const label = escapeHtml(variable.name.replace(/[_-]/g, ' '));
+        const control = MULTILINE_VARIABLES.includes(variable.name)
+            ? `<textarea id="${id}" rows="3" class="theme-aware-input w-full border border-gray-600 rounded px-3 py-2 focus:outline-none focus:border-blue-400"></textarea>`
+            : `<input id="${id}" type="text" class="theme-aware-input w-full border border-gray-600 rounded px-3 py-2 focus:outline-none focus:border-blue-400">`;
+        return `
+            <div class="prompt-template-field" data-variable="${escapeHtml(variable.name)}">
+                <label for="${id}" class="block text-sm font-medium mb-1">${label}${variable.builtIn ? ' <span class="prompt-template-builtin">filled in</span>' : ''}</label>
+                ${control}
+            </div>
+        `;
+    }).join('');
+
+    // Values are set after rendering so they aren't parsed as HTML
+    variables.forEach((variable, index) => {
+        document.getElementById(`prompt-template-field-${index}`).value = variable.builtIn ? builtInValues[variable.name] : variable.defaultValue;
+    });
+
+    showView(formView);
+    const firstEmpty = [...fields.querySelectorAll('input, textarea')].find(control => !control.value);
+    (firstEmpty || fields.querySelector('input, textarea')).focus();
+}
+
+/**
+ * Fills in the template from the form and inserts it
+ */
+function insertFilledTemplate() {
+    if (!fillingTemplate) return;
+
+    const values = {};
+    document.querySelectorAll('#prompt-template-fields .prompt-template-field').forEach(field => {
+        values[field.dataset.variable] = field.querySelector('input, textarea').value;
+    });
+    insertPrompt(renderTemplate(fillingTemplate.content, values));
+}
+
+/**
+ * Inserts a prompt into the chat input at the cursor and closes the dialog
+ * @param {string} prompt - The filled-in prompt
+ */
+function insertPrompt(prompt) {
+    hidePromptTemplates();
+    if (!userInput) return;
+
+    const start = userInput.selectionStart ?? userInput.value.length;
+    const end = userInput.selectionEnd ?? userInput.value.length;
+    userInput.setRangeText(prompt, start, end, 'end');
+    // Let the input resize and the send button update
+    userInput.dispatchEvent(new Event('input', { bubbles: true }));
+    userInput.focus();
+    debugLog('Inserted a prompt template into the chat input');
+}
+
+/**
+ * Shows the template library
+ */
+export function showPromptTemplates() {
+    if (!templatesModal) return;
+
+    renderTemplateList();
+    showView(listView);
+    templatesModal.classList.remove('hidden');
+}
+
+/**
+ * Hides the template library
+ */
+function hidePromptTemplates() {
+    if (templatesModal) {
+        templatesModal.classList.add('hidden');
+    }
+    fillingTemplate = null;
+    editingTemplateId = null;
+}
+
+/**
+ * Initializes the template library and its menu entry
+ */
+export function initializePromptTemplates() {
+    templatesModal = document.getElementById('prompt-templates-modal');
+    templatesList = document.getElementById('prompt-templates-list');
+    listView = document.getElementById('prompt-templates-list-view');
+    editorView = document.getElementById('prompt-template-editor');
+    formView = document.getElementById('prompt-template-form');
+    const menuButton = document.getElementById('prompt-templates-menu-button');
+
+    if (!templatesModal || !templatesList || !listView || !editorView || !formView || !menuButton) {
+        debugError('Prompt template elements not found');
+        templatesModal = null;
+        return;
+    }
+
+    menuButton.addEventListener('click', () => {
+        const sendContextMenu = document.getElementById('send-context-menu');
+        if (sendContextMenu) {
+            sendContextMenu.style.display = 'none';
+        }
+        showPromptTemplates();
+    });
+
+    document.getElementById('prompt-template-new').addEventListener('click', () => showTemplateEditor(null));
+    document.getElementById('prompt-templates-close').addEventListener('click', hidePromptTemplates);
+    document.getElementById('prompt-template-save').addEventListener('click', saveEditedTemplate);
+    document.getElementById('prompt-template-editor-cancel').addEventListener('click', () => showView(listView));
+    document.getElementById('prompt-template-insert').addEventListener('click', insertFilledTemplate);
+    document.getElementById('prompt-template-form-cancel').addEventListener('click', () => {
+        fillingTemplate = null;
+        showView(listView);
+    });
+
+    templatesModal.addEventListener('click', (e) => {
+        if (e.target === templatesModal) {
+            hidePromptTemplates();
+        }
+    });
+
+    registerSlashCommand({
+        name: 'template',
+        usage: '<name>',
+        description: 'Fill in a prompt template, or open the library',
+        getSuggestions: args => getPromptTemplates()
+            .map(template => template.name)
+            .filter(name => name.toLowerCase().includes(args.toLowerCase()) && name !== args),
+        run(args) {
+            if (!args) {
+                showPromptTemplates();
+                return;
+            }
+            const template = getPromptTemplates().find(saved => saved.name.toLowerCase() === args.toLowerCase());
+            if (!template) {
+                showCommandError(`There is no template named "${args}".`);
+                return;
+            }
+            showPromptTemplates();
+            showTemplateForm(template);
+        }
+    });
+
+    debugLog('Prompt templates initialized');
+}
@@ -38,7 +38,26 @@ export function resetApp() {
             'whatsNewSeen',
             'whatsNewSeenVersion',
             'whatsNewDismissedVersion',
-            'reasoningTimeout'
+            'reasoningTimeout',
+            'serverProfiles',
+            'activeServerProfileId',
+            'backendType',
+            'serverScheme',
+            'serverBasePath',
+            'serverApiKey',
+            'discoveryPorts',
+            'modelLoadOptions',
+            'sendReasoningToModel',
+            'contextStrategy',
+            'contextKeepFirst',
+            'contextKeepLast',
+            'carryTopicSummary',
+            'autoCompact',
+            'autoCompactThreshold',
+            'samplingParams',
+            'localToolsEnabled',
+            'savedJsonSchemas',
+            'partialResponse'
         ];
 
         console.log('RESET APP: Clearing localStorage items...');
@@ -0,0 +1,62 @@
+// Response Checkpoints
+// Keeps the reply being streamed in localStorage at intervals, so the text that arrived
+// survives Android killing the app during a long generation
+
+import { debugLog, debugError } from './utils.js';
+
+// localStorage key of the checkpoint; there is only one, a single reply streams at a time
+const CHECKPOINT_KEY = 'partialResponse';
+
+// Shortest time between two writes of the checkpoint
+const CHECKPOINT_INTERVAL_MS = 2000;
+
+/**
+ * Starts checkpointing a reply
+ * @param {Object} target - {chatId, index, mode, model}: where the reply goes in the chat's messages,
+ *                          and whether it is a new reply ('reply') or continues the message at index ('continue')
+ * @returns {Object} - {save(text, force), clear()}: save writes the reply so far at most every few seconds
+ *                     unless forced, clear removes the checkpoint once the reply is stored in the chat
+ */
+export function createResponseCheckpoint(target) {
+    let lastSaveTime = 0;
+
+    return {
+        save(text, force = false) {
+            const now = Date.now();
+            if (!text || (!force && now - lastSaveTime < CHECKPOINT_INTERVAL_MS)) return;
+            lastSaveTime = now;
+
+            try {
+                localStorage.setItem(CHECKPOINT_KEY, JSON.stringify({ ...target, text, savedAt: now }));
+            } catch (error) {
+                // A full storage must not stop the reply
+                debugError('Error saving response checkpoint:', error);
+            }
+        },
+        clear() {
+            localStorage.removeItem(CHECKPOINT_KEY);
+        }
+    };
+}
+
+/**
+ * Takes the checkpoint left by a reply that never finished, removing it from storage
+ * @returns {Object|null} - The checkpoint with the target it was created with and the text, or null
+ */
+export function takeResponseCheckpoint() {
+    const saved = localStorage.getItem(CHECKPOINT_KEY);
+    if (!saved) return null;
+    localStorage.removeItem(CHECKPOINT_KEY);
+
+    try {
+        const checkpoint = JSON.parse(saved);
+        if (!checkpoint || typeof checkpoint.text !== 'string' || !checkpoint.chatId || !Number.isInteger(checkpoint.index)) {
+            return null;
+        }
+        debugLog('Found the checkpoint of an interrupted reply in chat', checkpoint.chatId);
+        return checkpoint;
+    } catch (error) {
+        debugError('Error reading response checkpoint:', error);
+        return null;
+    }
+}
@@ -0,0 +1,163 @@
+// Response Statistics
+// Measures token usage and generation speed of streamed responses
+// and shows them in an expandable footer under AI messages
+
+import { escapeHtml } from './utils.js';
+
+/**
+ * Collects the statistics of one streamed response from its deltas
+ * Create it right before the request is sent so the time to first token includes the wait for the server
+ */
+export class ResponseStats {
+    constructor() {
+        this.startTime = Date.now();
+        this.firstTokenTime = null;
+        this.deltaCount = 0;
+        this.finishReason = null;
+        this.usage = null;
+    }
+
+    /**
+     * Records a delta from the stream
+     * @param {Object} delta - Delta {content, reasoning, finishReason, usage, done}
+     */
+    record(delta) {
+        if (delta.content || delta.reasoning) {
+            if (this.firstTokenTime === null) {
+                this.firstTokenTime = Date.now();
+            }
+            this.deltaCount++;
+        }
+        if (delta.finishReason) {
+            this.finishReason = delta.finishReason;
+        }
+        if (delta.usage) {
+            this.usage = delta.usage;
+        }
+    }
+
+    /**
+     * Ends the measurement
+     * @returns {Object|null} - {promptTokens, completionTokens, estimated, timeToFirstToken (ms), tokensPerSecond, finishReason},
+     *                          or null if nothing was generated
+     */
+    finish() {
+        if (this.firstTokenTime === null) return null;
+
+        const endTime = Date.now();
+        const usage = this.usage || {};
+
+        // Servers without usage reports send about one token per delta
+        const hasCompletionTokens = typeof usage.completionTokens === 'number';
+        const completionTokens = hasCompletionTokens ? usage.completionTokens : this.deltaCount;
+
+        // Speed is measured after the first token, so prompt processing doesn't count against it
+        const generationSeconds = (endTime - this.firstTokenTime) / 1000;
+        const tokensPerSecond = generationSeconds > 0 && completionTokens > 1
+            ? Math.round(((completionTokens - 1) / generationSeconds) * 10) / 10
+            : null;
+
+        return {
+            promptTokens: typeof usage.promptTokens === 'number' ? usage.promptTokens : null,
+            completionTokens,
+            estimated: !hasCompletionTokens,
+            timeToFirstToken: this.firstTokenTime - this.startTime,
+            tokensPerSecond,
+            finishReason: this.finishReason
+        };
+    }
+}
+
+/**
+ * Formats a duration for the footer
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - e.g. "850 ms" or "2.4 s"
+ */
+function formatDuration(ms) {
+    return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Describes why the model stopped
+ * @param {string|null} finishReason - The finish_reason reported by the server
+ * @returns {string} - Readable reason
+ */
+function describeFinishReason(finishReason) {
+    switch (finishReason) {
+        case 'stop':
+            return 'Completed';
+        case 'length':
+            return 'Token limit reached';
+        case 'tool_calls':
+            return 'Tool call';
+        case 'content_filter':
+            return 'Filtered';
+        case null:
+        case undefined:
+        case '':
+            return 'Unknown';
+        default:
+            return escapeHtml(String(finishReason));
+    }
+}
+
+/**
+ * Adds or replaces the statistics footer of an AI message
+ * @param {HTMLElement} messageElement - The AI message element
+ * @param {Object|null} stats - Statistics from ResponseStats.finish()
+ */
+export function renderStatsFooter(messageElement, stats) {
+    if (!messageElement) return;
+
+    const existingFooter = messageElement.querySelector('.message-stats');
+    if (existingFooter) {
+        existingFooter.remove();
+    }
+    if (!stats) return;
+
+    const tokens = `${stats.estimated ? '~' : ''}${stats.completionTokens} tokens`;
+    const summary = stats.tokensPerSecond !== null ? `${tokens} · ${stats.tokensPerSecond} tok/s` : tokens;
+
+    const rows = [
+        ['Prompt tokens', stats.promptTokens !== null ? stats.promptTokens : '—'],
+        ['Completion tokens', `${stats.estimated ? '~' : ''}${stats.completionTokens}`],
+        ['Time to first token', typeof stats.timeToFirstToken === 'number' ? formatDuration(stats.timeToFirstToken) : '—'],
+        ['Speed', stats.tokensPerSecond !== null ? `${stats.tokensPerSecond} tokens/s` : '—'],
+        ['Stop reason', describeFinishReason(stats.finishReason)]
+    ];
+
+    const footer = document.createElement('div');
+    footer.classList.add('message-stats');
+    if (stats.finishReason === 'length') {
+        footer.classList.add('truncated');
+    }
+    footer.innerHTML = `
+        <button class="message-stats-toggle" aria-expanded="false" title="Show response statistics">
+            <i class="fas fa-chart-bar"></i>
+            <span>${summary}</span>
+            <i class="fas fa-chevron-down message-stats-chevron"></i>
+        </button>
+        <div class="message-stats-details hidden">
+            ${rows.map(([label, value]) => `
+                <div class="message-stats-row"><span>${label}</span><span>${value}</span></div>
+            `).join('')}
+        </div>
+    `;
+
+    const toggle = footer.querySelector('.message-stats-toggle');
+    const details = footer.querySelector('.message-stats-details');
+    toggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const expanded = details.classList.toggle('hidden') === false;
+        toggle.setAttribute('aria-expanded', String(expanded));
+        footer.classList.toggle('expanded', expanded);
+    });
+
+    // Keep the footer between the message text and the message controls
+    const controls = messageElement.querySelector('.message-controls');
+    if (controls) {
+        messageElement.insertBefore(footer, controls);
+    } else {
+        messageElement.appendChild(footer);
+    }
+}
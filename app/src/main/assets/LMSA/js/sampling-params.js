@@ -0,0 +1,239 @@
+// Sampling Parameters Manager
+// Lets users tune how the model picks tokens (top_p, top_k, min_p, penalties, seed, stop sequences)
+// for all chats, with optional overrides for a single chat
+
+import { debugLog, debugError } from './utils.js';
+
+// Local storage key for the parameters used by all chats
+const SAMPLING_PARAMS_KEY = 'samplingParams';
+
+// Numeric parameters by request field, with the input that edits them
+const NUMERIC_PARAMS = {
+    top_p: { inputId: 'sampling-top-p', min: 0, max: 1 },
+    top_k: { inputId: 'sampling-top-k', min: 0, integer: true },
+    min_p: { inputId: 'sampling-min-p', min: 0, max: 1 },
+    repeat_penalty: { inputId: 'sampling-repeat-penalty', min: 0 },
+    presence_penalty: { inputId: 'sampling-presence-penalty', min: -2, max: 2 },
+    frequency_penalty: { inputId: 'sampling-frequency-penalty', min: -2, max: 2 },
+    seed: { inputId: 'sampling-seed', integer: true }
+};
+
+// Settings elements
+let scopeSelect = null;
+let stopInput = null;
+let hint = null;
+
+/**
+ * Normalizes sampling parameters, dropping values that are missing or out of range
+ * Parameters left at the server default are not included, so they are never sent
+ * @param {Object} params - Raw parameters keyed by request field
+ * @returns {Object} - Valid parameters only
+ */
+function normalizeParams(params) {
+    const normalized = {};
+    if (!params || typeof params !== 'object') return normalized;
+
+    Object.entries(NUMERIC_PARAMS).forEach(([field, rule]) => {
+        const raw = params[field];
+        if (raw === null || raw === undefined || raw === '') return;
+
+        const value = Number(raw);
+        if (isNaN(value) || (rule.integer && !Number.isInteger(value))) return;
+        if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) return;
+        normalized[field] = value;
+    });
+
+    if (Array.isArray(params.stop)) {
+        const stop = params.stop.filter(sequence => typeof sequence === 'string' && sequence !== '');
+        if (stop.length > 0) {
+            normalized.stop = stop;
+        }
+    }
+
+    return normalized;
+}
+
+/**
+ * Gets the sampling parameters used by all chats
+ * @returns {Object} - Parameters keyed by request field
+ */
+export function getGlobalSamplingParams() {
+    try {
+        return normalizeParams(JSON.parse(localStorage.getItem(SAMPLING_PARAMS_KEY) || '{}'));
+    } catch (error) {
+        debugError('Error reading sampling parameters:', error);
+        return {};
+    }
+}
+
+/**
+ * Saves the sampling parameters used by all chats
+ * @param {Object} params - Parameters keyed by request field
+ */
+export function saveGlobalSamplingParams(params) {
+    const normalized = normalizeParams(params);
+    if (Object.keys(normalized).length === 0) {
+        localStorage.removeItem(SAMPLING_PARAMS_KEY);
+    } else {
+        localStorage.setItem(SAMPLING_PARAMS_KEY, JSON.stringify(normalized));
+    }
+}
+
+/**
+ * Gets the sampling parameters to send for a chat
+ * @param {Object} [chatData] - The chat, whose samplingParams override the ones for all chats
+ * @returns {Object} - Request fields to add to the chat completion body
+ */
+export function getSamplingParams(chatData = null) {
+    const chatParams = chatData && !Array.isArray(chatData) ? normalizeParams(chatData.samplingParams) : {};
+    return { ...getGlobalSamplingParams(), ...chatParams };
+}
+
+/**
+ * Converts the stop sequences textarea to a list, one sequence per line
+ * Newlines and tabs inside a sequence can be written as \n and \t
+ * @param {string} text - The textarea value
+ * @returns {Array} - Stop sequences
+ */
+function parseStopSequences(text) {
+    return text.split('\n')
+        .filter(line => line !== '')
+        .map(line => line.replace(/\\n/g, '\n').replace(/\\t/g, '\t'));
+}
+
+/**
+ * Converts stop sequences back to the textarea format
+ * @param {Array} stop - Stop sequences
+ * @returns {string} - The textarea value
+ */
+function formatStopSequences(stop) {
+    return (stop || []).map(sequence => sequence.replace(/\n/g, '\\n').replace(/\t/g, '\\t')).join('\n');
+}
+
+/**
+ * Gets the chat open in the app, if it has been started
+ * @returns {Promise<Object|null>} - The chat data
+ */
+async function getCurrentChatData() {
+    const chatService = await import('./chat-service.js');
+    const chatData = chatService.getChatHistoryData()[chatService.getCurrentChatId()];
+    return chatData && !Array.isArray(chatData) ? chatData : null;
+}
+
+/**
+ * Reads the parameters entered in the settings
+ * @returns {Object} - Parameters keyed by request field
+ */
+function readInputs() {
+    const params = {};
+    Object.entries(NUMERIC_PARAMS).forEach(([field, rule]) => {
+        params[field] = document.getElementById(rule.inputId).value;
+    });
+    params.stop = parseStopSequences(stopInput.value);
+    return normalizeParams(params);
+}
+
+/**
+ * Shows parameters in the settings
+ * @param {Object} params - Values of the edited scope
+ * @param {Object} inherited - Values used when a field is empty, shown as placeholders
+ */
+function fillInputs(params, inherited) {
+    Object.entries(NUMERIC_PARAMS).forEach(([field, rule]) => {
+        const input = document.getElementById(rule.inputId);
+        input.value = params[field] !== undefined ? params[field] : '';
+        input.placeholder = inherited[field] !== undefined ? String(inherited[field]) : 'Default';
+    });
+    stopInput.value = formatStopSequences(params.stop);
+    stopInput.placeholder = inherited.stop ? formatStopSequences(inherited.stop) : 'One per line';
+}
+
+/**
+ * Shows the parameters of the selected scope in the settings
+ * Call when the settings open, since the current chat may have changed
+ */
+export async function refreshSamplingSettings() {
+    if (!scopeSelect) return;
+
+    const chatData = await getCurrentChatData();
+    const chatOption = scopeSelect.querySelector('option[value="chat"]');
+    chatOption.disabled = !chatData;
+    if (!chatData) {
+        scopeSelect.value = 'global';
+    }
+
+    if (scopeSelect.value === 'chat') {
+        fillInputs(normalizeParams(chatData.samplingParams), getGlobalSamplingParams());
+        hint.textContent = 'Only used in this chat. Empty fields use the values for all chats.';
+    } else {
+        fillInputs(getGlobalSamplingParams(), {});
+        hint.textContent = chatData
+            ? 'Used in every chat. Empty fields use the server default.'
+            : 'Used in every chat. Empty fields use the server default. Start a chat to change them for that chat only.';
+    }
+}
+
+/**
+ * Saves the parameters entered in the settings to the selected scope
+ */
+async function saveInputs() {
+    const params = readInputs();
+
+    if (scopeSelect.value === 'chat') {
+        const chatData = await getCurrentChatData();
+        if (!chatData) return;
+
+        if (Object.keys(params).length === 0) {
+            delete chatData.samplingParams;
+        } else {
+            chatData.samplingParams = params;
+        }
+        const { saveChatHistory } = await import('./chat-service.js');
+        saveChatHistory();
+    } else {
+        saveGlobalSamplingParams(params);
+    }
+
+    debugLog(`Sampling parameters saved (${scopeSelect.value}):`, params);
+}
+
+/**
+ * Initializes the sampling parameter settings
+ */
+export function initializeSamplingParams() {
+    scopeSelect = document.getElementById('sampling-scope');
+    stopInput = document.getElementById('sampling-stop');
+    hint = document.getElementById('sampling-hint');
+    const resetButton = document.getElementById('sampling-reset');
+
+    const numericInputs = Object.values(NUMERIC_PARAMS).map(rule => document.getElementById(rule.inputId));
+    if (!scopeSelect || !stopInput || !hint || !resetButton || numericInputs.some(input => !input)) {
+        debugError('Sampling parameter settings elements not found');
+        scopeSelect = null;
+        return;
+    }
+
+    scopeSelect.addEventListener('change', () => refreshSamplingSettings());
+
+    [...numericInputs, stopInput].forEach(input => {
+        input.addEventListener('change', () => {
+            // Drop invalid values instead of saving them
+            if (input !== stopInput && input.value !== '' && !input.checkValidity()) {
+                input.value = '';
+            }
+            saveInputs();
+        });
+    });
+
+    resetButton.addEventListener('click', async () => {
+        numericInputs.forEach(input => {
+            input.value = '';
+        });
+        stopInput.value = '';
+        await saveInputs();
+        refreshSamplingSettings();
+    });
+
+    refreshSamplingSettings();
+    debugLog('Sampling parameters initialized');
+}
@@ -0,0 +1,397 @@
+// Server Discovery Manager
+// This module scans the local network for LM Studio (or other OpenAI-compatible) servers
+// so users don't have to look up the IP address and port by hand
+
+import { serverIpInput, serverPortInput, serverSchemeSelect, serverBasePathInput, serverApiKeyInput } from './dom-elements.js';
+import { invalidateModelInfoCache, updateServerUrl } from './api-service.js';
+import { updateOriginalIpPortValues } from './ip-port-confirmation-modal.js';
+import { request } from './http-client.js';
+import { debugLog, debugError, escapeHtml } from './utils.js';
+
+// Local storage key for the ports to scan
+const DISCOVERY_PORTS_KEY = 'discoveryPorts';
+const DEFAULT_DISCOVERY_PORTS = '1234';
+
+// Endpoint every supported server answers with its model list
+const PROBE_PATH = '/v1/models';
+
+// Statuses of a server that is there but needs an API key
+const AUTH_REQUIRED_STATUSES = [401, 403];
+
+// Scan tuning - keep it gentle on phones and home routers
+const DEFAULT_CONCURRENCY = 16;
+const DEFAULT_PROBE_TIMEOUT_MS = 800;
+
+// Controller for the scan in progress, used to cancel it
+let scanController = null;
+
+// Modal elements
+let modal = null;
+let subnetInput = null;
+let portsInput = null;
+let scanButton = null;
+let progressBar = null;
+let progressText = null;
+let resultsList = null;
+
+/**
+ * Gets the ports to scan
+ * @returns {Array<number>} - Array of port numbers
+ */
+export function getDiscoveryPorts() {
+    return parsePorts(localStorage.getItem(DISCOVERY_PORTS_KEY) || DEFAULT_DISCOVERY_PORTS);
+}
+
+/**
+ * Parses a comma or space separated list of ports
+ * @param {string} value - The ports text, e.g. "1234, 11434"
+ * @returns {Array<number>} - Valid, unique port numbers
+ */
+export function parsePorts(value) {
+    const ports = String(value || '')
+        .split(/[\s,]+/)
+        .map(port => parseInt(port, 10))
+        .filter(port => Number.isInteger(port) && port > 0 && port <= 65535);
+    return [...new Set(ports)];
+}
+
+/**
+ * Gets the first three octets of an IPv4 address
+ * @param {string} ip - An IPv4 address
+ * @returns {string|null} - The /24 subnet prefix (e.g. "192.168.1"), or null if the address is not IPv4
+ */
+export function getSubnetPrefix(ip) {
+    const match = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec((ip || '').trim());
+    if (!match || match.slice(1).some(octet => parseInt(octet, 10) > 255)) {
+        return null;
+    }
+    return `${match[1]}.${match[2]}.${match[3]}`;
+}
+
+/**
+ * Works out which subnet to scan
+ * Uses the device's Wi-Fi address from the Android app, otherwise the configured server address
+ * @returns {string|null} - The subnet prefix, or null if it cannot be determined
+ */
+export function detectLocalSubnet() {
+    try {
+        if (window.AndroidNetwork && typeof window.AndroidNetwork.getLocalIpAddress === 'function') {
+            const subnet = getSubnetPrefix(window.AndroidNetwork.getLocalIpAddress());
+            if (subnet) return subnet;
+        }
+    } catch (error) {
+        debugError('Could not read local IP address from Android:', error);
+    }
+
+    const configuredSubnet = getSubnetPrefix(serverIpInput ? serverIpInput.value : '');
+    if (configuredSubnet) return configuredSubnet;
+
+    return null;
+}
+
+/**
+ * Probes a single host and port for a server
+ * @param {string} host - Host or IP address
+ * @param {number} port - Port number
+ * @param {Object} options - {timeoutMs, signal}
+ * @returns {Promise<Object|null>} - {ip, port, modelCount, models, needsApiKey} if a server answered, otherwise null
+ */
+export async function probeServer(host, port, { timeoutMs = DEFAULT_PROBE_TIMEOUT_MS, signal } = {}) {
+    try {
+        // No API key here: the probe goes over plain HTTP to every host on the network,
+        // so the key is only sent to the server the user picks
+        const response = await request(`http://${host}:${port}${PROBE_PATH}`, {
+            timeoutMs,
+            signal,
+            throwHttpErrors: false
+        });
+
+        if (AUTH_REQUIRED_STATUSES.includes(response.status)) {
+            return { ip: host, port: String(port), modelCount: 0, models: [], needsApiKey: true };
+        }
+        if (!response.ok) return null;
+
+        const data = await response.json();
+        if (!data || !Array.isArray(data.data)) return null;
+
+        return {
+            ip: host,
+            port: String(port),
+            modelCount: data.data.length,
+            models: data.data.map(model => model.id),
+            needsApiKey: false
+        };
+    } catch (error) {
+        // Closed ports, timeouts and CORS failures all just mean "no server here"
+        return null;
+    }
+}
+
+/**
+ * Scans hosts on the local network for servers
+ * @param {Object} options - Scan options
+ * @param {string} [options.subnet] - Subnet prefix to scan (hosts .1 to .254)
+ * @param {Array<string>} [options.hosts] - Explicit hosts to scan instead of a subnet
+ * @param {Array<number>} [options.ports] - Ports to probe on every host
+ * @param {number} [options.concurrency] - Maximum number of probes in flight
+ * @param {number} [options.timeoutMs] - Timeout for each probe
+ * @param {AbortSignal} [options.signal] - Signal to cancel the scan
+ * @param {Function} [options.onProgress] - Called with (done, total) after each probe
+ * @param {Function} [options.onFound] - Called with each server as soon as it answers
+ * @returns {Promise<Array>} - Servers that answered, sorted by address
+ */
+export async function scanForServers({
+    subnet,
+    hosts,
+    ports = getDiscoveryPorts(),
+    concurrency = DEFAULT_CONCURRENCY,
+    timeoutMs = DEFAULT_PROBE_TIMEOUT_MS,
+    signal,
+    onProgress,
+    onFound
+} = {}) {
+    const targetHosts = hosts || Array.from({ length: 254 }, (_, i) => `${subnet}.${i + 1}`);
+    const targets = [];
+    targetHosts.forEach(host => ports.forEach(port => targets.push({ host, port })));
+
+    const found = [];
+    let nextIndex = 0;
+    let done = 0;
+
+    // Each worker takes the next target until none are left, keeping at most `concurrency` probes open
+    const worker = async () => {
+        while (nextIndex < targets.length && !(signal && signal.aborted)) {
+            const { host, port } = targets[nextIndex++];
+            const server = await probeServer(host, port, { timeoutMs, signal });
+
+            if (server && !(signal && signal.aborted)) {
+                found.push(server);
+                if (onFound) onFound(server);
+            }
+
+            done++;
+            if (onProgress) onProgress(done, targets.length);
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(concurrency, targets.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    return found.sort((a, b) => {
+        const lastOctet = ip => parseInt(ip.split('.').pop(), 10) || 0;
+        return lastOctet(a.ip) - lastOctet(b.ip) || parseInt(a.port, 10) - parseInt(b.port, 10);
+    });
+}
+
+/**
+ * Shows the server discovery modal
+ */
+export function showServerDiscoveryModal() {
+    if (!modal) return;
+
+    subnetInput.value = detectLocalSubnet() || '';
+    portsInput.value = getDiscoveryPorts().join(', ');
+    resetScanUI();
+
+    modal.classList.remove('hidden');
+    modal.classList.add('flex');
+    const modalContent = modal.querySelector('.modal-content');
+    if (modalContent) {
+        modalContent.classList.remove('animate-modal-out');
+        modalContent.classList.add('animate-modal-in');
+    }
+
+    debugLog('Server discovery modal shown');
+
+    // Start right away when we already know the subnet
+    if (subnetInput.value) {
+        startScan();
+    } else {
+        subnetInput.focus();
+    }
+}
+
+/**
+ * Hides the server discovery modal and cancels any scan in progress
+ */
+export function hideServerDiscoveryModal() {
+    if (!modal) return;
+
+    cancelScan();
+
+    const modalContent = modal.querySelector('.modal-content');
+    if (modalContent) {
+        modalContent.classList.remove('animate-modal-in');
+        modalContent.classList.add('animate-modal-out');
+    }
+
+    setTimeout(() => {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+        if (modalContent) {
+            modalContent.classList.remove('animate-modal-out');
+        }
+    }, 300);
+}
+
+/**
+ * Resets the progress and results area
+ */
+function resetScanUI() {
+    progressBar.style.width = '0%';
+    progressText.textContent = '';
+    resultsList.innerHTML = '';
+    scanButton.innerHTML = '<i class="fas fa-search mr-2"></i>Scan';
+}
+
+/**
+ * Cancels the scan in progress
+ */
+function cancelScan() {
+    if (scanController) {
+        scanController.abort();
+        scanController = null;
+    }
+}
+
+/**
+ * Starts scanning with the values from the modal
+ */
+async function startScan() {
+    const subnet = getSubnetPrefix(`${subnetInput.value.trim().replace(/\.$/, '')}.1`);
+    const ports = parsePorts(portsInput.value);
+
+    if (!subnet) {
+        progressText.textContent = 'Enter the first three parts of your network address, e.g. 192.168.1';
+        subnetInput.focus();
+        return;
+    }
+    if (ports.length === 0) {
+        progressText.textContent = 'Enter at least one port to scan, e.g. 1234';
+        portsInput.focus();
+        return;
+    }
+
+    localStorage.setItem(DISCOVERY_PORTS_KEY, ports.join(', '));
+
+    cancelScan();
+    resetScanUI();
+    scanController = new AbortController();
+    const { signal } = scanController;
+
+    scanButton.innerHTML = '<i class="fas fa-stop mr-2"></i>Stop';
+    progressText.textContent = `Scanning ${subnet}.1 – ${subnet}.254…`;
+
+    const servers = await scanForServers({
+        subnet,
+        ports,
+        signal,
+        onProgress: (done, total) => {
+            progressBar.style.width = `${Math.round((done / total) * 100)}%`;
+        },
+        onFound: server => renderServer(server)
+    });
+
+    if (signal.aborted) return;
+
+    scanController = null;
+    scanButton.innerHTML = '<i class="fas fa-redo mr-2"></i>Scan again';
+    progressText.textContent = servers.length > 0
+        ? `Found ${servers.length} server${servers.length === 1 ? '' : 's'}. Tap one to use it.`
+        : 'No servers found. Make sure the server is running, "Serve on Local Network" and CORS are enabled, and you are on the same Wi-Fi.';
+}
+
+/**
+ * Adds a found server to the results list
+ * @param {Object} server - {ip, port, modelCount, needsApiKey}
+ */
+function renderServer(server) {
+    const item = document.createElement('button');
+    item.className = 'discovered-server';
+    const detail = server.needsApiKey
+        ? 'Needs an API key'
+        : `${server.modelCount} model${server.modelCount === 1 ? '' : 's'}`;
+    item.innerHTML = `
+        <i class="fas fa-server"></i>
+        <span class="discovered-server-address">${escapeHtml(server.ip)}:${escapeHtml(server.port)}</span>
+        <span class="discovered-server-models">${detail}</span>
+    `;
+    item.addEventListener('click', () => selectServer(server));
+    resultsList.appendChild(item);
+}
+
+/**
+ * Fills the IP and port fields with a found server and connects to it
+ * @param {Object} server - {ip, port, needsApiKey}
+ */
+function selectServer(server) {
+    if (!serverIpInput || !serverPortInput) return;
+
+    serverIpInput.value = server.ip;
+    serverPortInput.value = server.port;
+    // The server answered a plain HTTP probe at the root, so a saved scheme or base path would miss it
+    if (serverSchemeSelect) serverSchemeSelect.value = 'http';
+    if (serverBasePathInput) serverBasePathInput.value = '';
+
+    // The server already answered us, so the network checklist is not needed
+    updateOriginalIpPortValues();
+    invalidateModelInfoCache();
+    updateServerUrl();
+
+    debugLog('Selected discovered server:', `${server.ip}:${server.port}`);
+    hideServerDiscoveryModal();
+
+    // The server wants a key, so ask for one
+    if (server.needsApiKey && serverApiKeyInput) {
+        serverApiKeyInput.focus();
+    }
+}
+
+/**
+ * Initializes the server discovery functionality
+ */
+export function initializeServerDiscovery() {
+    modal = document.getElementById('server-discovery-modal');
+    subnetInput = document.getElementById('discovery-subnet');
+    portsInput = document.getElementById('discovery-ports');
+    scanButton = document.getElementById('discovery-scan-btn');
+    progressBar = document.getElementById('discovery-progress-bar');
+    progressText = document.getElementById('discovery-progress-text');
+    resultsList = document.getElementById('discovery-results');
+
+    if (!modal || !subnetInput || !portsInput || !scanButton || !progressBar || !progressText || !resultsList) {
+        debugError('Server discovery modal elements not found');
+        return;
+    }
+
+    document.querySelectorAll('.find-servers-btn').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            showServerDiscoveryModal();
+        });
+    });
+
+    scanButton.addEventListener('click', () => {
+        if (scanController) {
+            cancelScan();
+            scanButton.innerHTML = '<i class="fas fa-search mr-2"></i>Scan';
+            progressText.textContent = 'Scan stopped.';
+        } else {
+            startScan();
+        }
+    });
+
+    const closeButton = document.getElementById('close-server-discovery');
+    if (closeButton) {
+        closeButton.addEventListener('click', hideServerDiscoveryModal);
+    }
+
+    // Close modal when clicking outside
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            hideServerDiscoveryModal();
+        }
+    });
+
+    debugLog('Server discovery initialized');
+}
@@ -0,0 +1,428 @@
+// Server Profiles Manager
+// This module handles named connection profiles (address, port, default model, notes)
+// and the header switcher used to move between LM Studio servers
+
+import { serverIpInput, serverPortInput, serverSchemeSelect, serverBasePathInput, serverApiKeyInput } from './dom-elements.js';
+import { updateServerUrl, invalidateModelInfoCache, getServerScheme, getServerBasePath, getServerApiKey } from './api-service.js';
+import { setDefaultModelId } from './settings-manager.js';
+import { updateOriginalIpPortValues } from './ip-port-confirmation-modal.js';
+import { getBackendType, setBackendType, getBackendAdapters } from './backend-adapters.js';
+import { debugLog, debugError, escapeHtml } from './utils.js';
+
+// Local storage keys for server profiles
+const SERVER_PROFILES_KEY = 'serverProfiles';
+const ACTIVE_SERVER_PROFILE_KEY = 'activeServerProfileId';
+
+// Profile waiting for the user to confirm a switch (set when reopening an old chat)
+let pendingProfileSwitchId = null;
+
+/**
+ * Gets all saved server profiles from localStorage
+ * @returns {Array} Array of saved profile objects
+ */
+export function getServerProfiles() {
+    try {
+        const saved = localStorage.getItem(SERVER_PROFILES_KEY);
+        return saved ? JSON.parse(saved) : [];
+    } catch (error) {
+        debugError('Error loading server profiles:', error);
+        return [];
+    }
+}
+
+/**
+ * Gets a single server profile by ID
+ * @param {string} id - The profile ID
+ * @returns {Object|null} The profile or null if not found
+ */
+export function getServerProfile(id) {
+    if (!id) return null;
+    return getServerProfiles().find(profile => profile.id === id) || null;
+}
+
+/**
+ * Gets the ID of the active server profile
+ * @returns {string|null} The active profile ID or null if the connection is not a saved profile
+ */
+export function getActiveServerProfileId() {
+    const activeId = localStorage.getItem(ACTIVE_SERVER_PROFILE_KEY);
+    return activeId && getServerProfile(activeId) ? activeId : null;
+}
+
+/**
+ * Gets the active server profile
+ * @returns {Object|null} The active profile or null
+ */
+export function getActiveServerProfile() {
+    return getServerProfile(getActiveServerProfileId());
+}
+
+/**
+ * Creates or updates a server profile
+ * @param {Object} profileData - Profile fields (id is optional for new profiles)
+ * @returns {Object|null} The saved profile, or null if validation failed
+ */
+export function saveServerProfile(profileData) {
+    try {
+        const name = (profileData.name || '').trim();
+        const ip = (profileData.ip || '').trim();
+        const port = (profileData.port || '').trim();
+
+        if (!name || !ip || !port) {
+            throw new Error('Name, IP address and port are required');
+        }
+
+        const profiles = getServerProfiles();
+        const now = new Date().toISOString();
+        const existingIndex = profileData.id ? profiles.findIndex(profile => profile.id === profileData.id) : -1;
+
+        const profile = {
+            ...(existingIndex !== -1 ? profiles[existingIndex] : { id: Date.now().toString(), createdAt: now }),
+            name,
+            ip,
+            port,
+            scheme: profileData.scheme === 'https' ? 'https' : 'http',
+            basePath: (profileData.basePath || '').trim(),
+            apiKey: (profileData.apiKey || '').trim(),
+            backendType: profileData.backendType || getBackendType(),
+            defaultModelId: (profileData.defaultModelId || '').trim() || null,
+            notes: (profileData.notes || '').trim(),
+            updatedAt: now
+        };
+
+        if (existingIndex !== -1) {
+            profiles[existingIndex] = profile;
+        } else {
+            profiles.push(profile);
+        }
+
+        localStorage.setItem(SERVER_PROFILES_KEY, JSON.stringify(profiles));
+        debugLog('Server profile saved:', profile.name);
+        return profile;
+    } catch (error) {
+        debugError('Error saving server profile:', error);
+        return null;
+    }
+}
+
+/**
+ * Deletes a server profile
+ * @param {string} id - The ID of the profile to delete
+ * @returns {boolean} Success status
+ */
+export function deleteServerProfile(id) {
+    try {
+        const profiles = getServerProfiles().filter(profile => profile.id !== id);
+        localStorage.setItem(SERVER_PROFILES_KEY, JSON.stringify(profiles));
+
+        if (localStorage.getItem(ACTIVE_SERVER_PROFILE_KEY) === id) {
+            localStorage.removeItem(ACTIVE_SERVER_PROFILE_KEY);
+        }
+
+        debugLog('Server profile deleted:', id);
+        renderServerProfileControls();
+        return true;
+    } catch (error) {
+        debugError('Error deleting server profile:', error);
+        return false;
+    }
+}
+
+/**
+ * Switches the connection to a saved server profile
+ * Reconnects, refreshes the model list and applies the profile's default model
+ * @param {string} id - The ID of the profile to switch to
+ * @returns {Promise<boolean>} True if the switch happened
+ */
+export async function switchServerProfile(id) {
+    const profile = getServerProfile(id);
+    if (!profile || !serverIpInput || !serverPortInput) {
+        debugError('Cannot switch to server profile:', id);
+        return false;
+    }
+
+    debugLog('Switching to server profile:', profile.name);
+
+    localStorage.setItem(ACTIVE_SERVER_PROFILE_KEY, profile.id);
+
+    // Apply the address and drop anything we know about the previous server
+    serverIpInput.value = profile.ip;
+    serverPortInput.value = profile.port;
+    if (serverSchemeSelect) serverSchemeSelect.value = profile.scheme || 'http';
+    if (serverBasePathInput) serverBasePathInput.value = profile.basePath || '';
+    if (serverApiKeyInput) serverApiKeyInput.value = profile.apiKey || '';
+    if (profile.backendType) {
+        setBackendType(profile.backendType);
+    }
+    invalidateModelInfoCache();
+    window.currentLoadedModel = null;
+
+    // Keep the IP/Port confirmation modal from treating this as an unconfirmed edit
+    updateOriginalIpPortValues();
+
+    // updateServerUrl persists the address and starts the model fetch, which we wait for
+    await updateServerUrl();
+
+    if (profile.defaultModelId) {
+        setDefaultModelId(profile.defaultModelId);
+
+        if (window.currentLoadedModel !== profile.defaultModelId) {
+            // Let the model modal auto-load the default model, same as on startup
+            window.isInitialStartup = true;
+            import('./model-manager.js').then(module => {
+                module.showModelModal();
+                setTimeout(() => {
+                    window.isInitialStartup = false;
+                }, 2000);
+            });
+        }
+    }
+
+    renderServerProfileControls();
+
+    document.dispatchEvent(new CustomEvent('serverProfileChanged', {
+        detail: { profile }
+    }));
+
+    return true;
+}
+
+/**
+ * Marks a profile as pending so the confirmation modal can switch to it
+ * @param {string} id - The ID of the profile to switch to on confirmation
+ */
+export function setPendingServerProfileSwitch(id) {
+    pendingProfileSwitchId = id;
+}
+
+/**
+ * Switches to the profile recorded by setPendingServerProfileSwitch
+ */
+export async function confirmPendingServerProfileSwitch() {
+    const id = pendingProfileSwitchId;
+    pendingProfileSwitchId = null;
+    if (id) {
+        await switchServerProfile(id);
+    }
+}
+
+/**
+ * Renders the header switcher label and the settings profile controls
+ */
+export function renderServerProfileControls() {
+    const activeProfile = getActiveServerProfile();
+    const profiles = getServerProfiles();
+
+    // Header switcher
+    const headerButton = document.getElementById('server-profile-button');
+    if (headerButton) {
+        headerButton.title = activeProfile
+            ? `Server: ${activeProfile.name} (tap to switch)`
+            : 'Switch server profile';
+        headerButton.classList.toggle('has-active-profile', !!activeProfile);
+    }
+
+    // Settings select
+    const profileSelect = document.getElementById('server-profile-select');
+    if (profileSelect) {
+        profileSelect.innerHTML = '<option value="">New profile…</option>' + profiles.map(profile => `
+            <option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}</option>
+        `).join('');
+        profileSelect.value = activeProfile ? activeProfile.id : '';
+    }
+
+    fillProfileForm(activeProfile);
+}
+
+/**
+ * Fills the settings form fields from a profile
+ * @param {Object|null} profile - The profile to show, or null to clear the form
+ */
+function fillProfileForm(profile) {
+    const nameInput = document.getElementById('server-profile-name');
+    const modelInput = document.getElementById('server-profile-default-model');
+    const notesInput = document.getElementById('server-profile-notes');
+    const deleteButton = document.getElementById('delete-server-profile-btn');
+
+    if (nameInput) nameInput.value = profile ? profile.name : '';
+    if (modelInput) modelInput.value = profile && profile.defaultModelId ? profile.defaultModelId : '';
+    if (notesInput) notesInput.value = profile ? profile.notes : '';
+    if (deleteButton) deleteButton.classList.toggle('hidden', !profile);
+}
+
+/**
+ * Saves the profile currently shown in the settings form
+ */
+function handleSaveProfileClick() {
+    const profileSelect = document.getElementById('server-profile-select');
+    const nameInput = document.getElementById('server-profile-name');
+
+    const profile = saveServerProfile({
+        id: profileSelect ? profileSelect.value : '',
+        name: nameInput ? nameInput.value : '',
+        ip: serverIpInput ? serverIpInput.value : '',
+        port: serverPortInput ? serverPortInput.value : '',
+        scheme: getServerScheme(),
+        basePath: getServerBasePath(),
+        apiKey: getServerApiKey(),
+        defaultModelId: document.getElementById('server-profile-default-model')?.value || window.currentLoadedModel || '',
+        notes: document.getElementById('server-profile-notes')?.value || ''
+    });
+
+    if (!profile) {
+        if (nameInput) {
+            nameInput.style.borderColor = '#ef4444';
+            setTimeout(() => {
+                nameInput.style.borderColor = '';
+            }, 2000);
+        }
+        return;
+    }
+
+    // The saved profile describes the current connection, so it becomes the active one
+    localStorage.setItem(ACTIVE_SERVER_PROFILE_KEY, profile.id);
+    renderServerProfileControls();
+}
+
+/**
+ * Handles a change of the settings profile select
+ */
+function handleProfileSelectChange(e) {
+    const id = e.target.value;
+    if (!id) {
+        // "New profile" keeps the current address but clears the descriptive fields
+        localStorage.removeItem(ACTIVE_SERVER_PROFILE_KEY);
+        fillProfileForm(null);
+        renderServerProfileControls();
+        return;
+    }
+    switchServerProfile(id);
+}
+
+/**
+ * Shows the header profile switcher menu
+ */
+function showServerProfileMenu() {
+    const menu = document.getElementById('server-profile-menu');
+    const button = document.getElementById('server-profile-button');
+    if (!menu || !button) return;
+
+    const profiles = getServerProfiles();
+    const activeId = getActiveServerProfileId();
+
+    const backendNames = Object.fromEntries(getBackendAdapters().map(adapter => [adapter.id, adapter.name]));
+
+    const items = profiles.map(profile => `
+        <button class="server-profile-menu-item ${profile.id === activeId ? 'active' : ''}" data-profile-id="${escapeHtml(profile.id)}">
+            <i class="fas ${profile.id === activeId ? 'fa-check-circle' : 'fa-server'}"></i>
+            <span class="server-profile-menu-text">
+                <span class="server-profile-menu-name">${escapeHtml(profile.name)}</span>
+                <span class="server-profile-menu-address">${escapeHtml(backendNames[profile.backendType] || backendNames.lmstudio)} · ${escapeHtml(profile.scheme || 'http')}://${escapeHtml(profile.ip)}:${escapeHtml(profile.port)}${escapeHtml(profile.basePath || '')}</span>
+            </span>
+        </button>
+    `).join('');
+
+    menu.innerHTML = `
+        <div class="menu-header text-xs">Server Profiles</div>
+        ${items || '<div class="server-profile-menu-empty">No saved profiles yet</div>'}
+        <button class="server-profile-menu-item" data-action="manage">
+            <i class="fas fa-cog"></i>
+            <span class="server-profile-menu-text">Manage profiles…</span>
+        </button>
+    `;
+
+    const rect = button.getBoundingClientRect();
+    menu.style.top = `${rect.bottom + 6}px`;
+    menu.style.right = `${Math.max(8, window.innerWidth - rect.right)}px`;
+    menu.classList.remove('hidden');
+
+    menu.querySelectorAll('.server-profile-menu-item').forEach(item => {
+        item.addEventListener('click', (e) => {
+            e.stopPropagation();
+            hideServerProfileMenu();
+
+            if (item.dataset.action === 'manage') {
+                import('./settings-modal-manager.js').then(module => {
+                    module.showSettingsModal();
+                });
+                return;
+            }
+
+            if (item.dataset.profileId && item.dataset.profileId !== activeId) {
+                switchServerProfile(item.dataset.profileId);
+            }
+        });
+    });
+}
+
+/**
+ * Hides the header profile switcher menu
+ */
+function hideServerProfileMenu() {
+    const menu = document.getElementById('server-profile-menu');
+    if (menu) {
+        menu.classList.add('hidden');
+    }
+}
+
+/**
+ * Initializes the server profiles functionality
+ */
+export function initializeServerProfiles() {
+    debugLog('Initializing server profiles');
+
+    const headerButton = document.getElementById('server-profile-button');
+    if (headerButton) {
+        headerButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const menu = document.getElementById('server-profile-menu');
+            if (menu && !menu.classList.contains('hidden')) {
+                hideServerProfileMenu();
+            } else {
+                showServerProfileMenu();
+            }
+        });
+    }
+
+    // Close the menu when tapping anywhere else
+    document.addEventListener('click', (e) => {
+        const menu = document.getElementById('server-profile-menu');
+        if (menu && !menu.classList.contains('hidden') && !menu.contains(e.target)) {
+            hideServerProfileMenu();
+        }
+    });
+
+    const profileSelect = document.getElementById('server-profile-select');
+    if (profileSelect) {
+        profileSelect.addEventListener('change', handleProfileSelectChange);
+    }
+
+    const saveButton = document.getElementById('save-server-profile-btn');
+    if (saveButton) {
+        saveButton.addEventListener('click', handleSaveProfileClick);
+    }
+
+    const deleteButton = document.getElementById('delete-server-profile-btn');
+    if (deleteButton) {
+        deleteButton.addEventListener('click', () => {
+            const id = profileSelect ? profileSelect.value : '';
+            if (id) {
+                deleteServerProfile(id);
+            }
+        });
+    }
+
+    // Editing the address by hand means we are no longer on the saved profile
+    [serverIpInput, serverPortInput].forEach(input => {
+        if (!input) return;
+        input.addEventListener('change', () => {
+            const activeProfile = getActiveServerProfile();
+            if (activeProfile && (activeProfile.ip !== serverIpInput.value.trim() || activeProfile.port !== serverPortInput.value.trim())) {
+                localStorage.removeItem(ACTIVE_SERVER_PROFILE_KEY);
+                renderServerProfileControls();
+            }
+        });
+    });
+
+    renderServerProfileControls();
+}
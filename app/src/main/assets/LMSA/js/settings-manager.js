@@ -13,6 +13,7 @@ let hideThinking = false;
 let autoGenerateTitles = false;
 let lightThemeEnabled = false;
 let autoScrollEnabled = false; // Auto-scroll to bottom during LLM streaming
+let sendReasoningToModel = false; // Include earlier reasoning in the history sent to the model
 let reasoningTimeout = 300; // Default 5 minutes for reasoning models (in seconds)
 let defaultModelId = null; // Default model to auto-select when models load
 let selectedTTSVoice = null; // Selected TTS voice name
@@ -407,6 +408,31 @@ export function saveAutoScrollSetting() {
     }
 }
 
+/**
+ * Loads the send reasoning setting from localStorage
+ */
+export function loadSendReasoningSetting() {
+    const sendReasoningCheckbox = document.getElementById('send-reasoning');
+    if (sendReasoningCheckbox) {
+        sendReasoningToModel = localStorage.getItem('sendReasoningToModel') === 'true';
+        sendReasoningCheckbox.checked = sendReasoningToModel;
+
+        // Add event listener for the checkbox
+        sendReasoningCheckbox.addEventListener('change', saveSendReasoningSetting);
+    }
+}
+
+/**
+ * Saves the send reasoning setting to localStorage
+ */
+export function saveSendReasoningSetting() {
+    const sendReasoningCheckbox = document.getElementById('send-reasoning');
+    if (sendReasoningCheckbox) {
+        sendReasoningToModel = sendReasoningCheckbox.checked;
+        localStorage.setItem('sendReasoningToModel', sendReasoningToModel);
+    }
+}
+
 
 
 /**
@@ -783,6 +809,7 @@ export function loadSettings() {
     loadHideThinkingSetting();
     loadAutoGenerateTitlesSetting();
     loadAutoScrollSetting();
+    loadSendReasoningSetting();
     loadThemeSetting();
     loadReasoningTimeoutSetting();
     loadDefaultModelSetting();
@@ -883,6 +910,31 @@ export function getTemperature() {
     return temperature;
 }
 
+/**
+ * Sets the temperature and shows it on the slider
+ * @param {number} value - The temperature, from 0 to 2
+ * @returns {boolean} - True if the value was valid and set
+ */
+export function setTemperature(value) {
+    if (typeof value !== 'number' || isNaN(value) || value < 0 || value > 2.0) {
+        return false;
+    }
+
+    // The slider steps by tenths
+    temperature = Math.round(value * 10) / 10;
+    localStorage.setItem('temperature', temperature);
+
+    const temperatureInput = document.getElementById('temperature');
+    const temperatureValue = document.getElementById('temperature-value');
+    if (temperatureInput) {
+        temperatureInput.value = temperature.toFixed(1);
+    }
+    if (temperatureValue) {
+        temperatureValue.textContent = temperature.toFixed(1);
+    }
+    return true;
+}
+
 /**
  * Gets the current hide thinking setting
  * @returns {boolean} - The current hide thinking value
@@ -907,6 +959,14 @@ export function getAutoScrollEnabled() {
     return autoScrollEnabled;
 }
 
+/**
+ * Gets whether earlier reasoning is sent back to the model
+ * @returns {boolean} - True if reasoning is kept in the conversation history
+ */
+export function getSendReasoningToModel() {
+    return sendReasoningToModel;
+}
+
 
 
 /**
@@ -22,6 +22,14 @@ export async function showSettingsModal() {
         });
     });
 
+    // Show the sampling parameters of the chat that is open
+    import('./sampling-params.js').then(module => {
+        module.refreshSamplingSettings();
+    });
+    import('./structured-output.js').then(module => {
+        module.refreshStructuredOutputSettings();
+    });
+
     // Blur any active element to prevent keyboard from showing
     if (document.activeElement) {
         document.activeElement.blur();
@@ -0,0 +1,403 @@
+// Slash Commands
+// Commands typed into the chat input, like /new or /temp 0.3, act on the app instead of being
+// sent to the model. Typing "/" shows the commands that match, and other modules can add
+// their own with registerSlashCommand
+
+import { userInput, chatForm } from './dom-elements.js';
+import { appendMessage, showExportConfirmationModal } from './ui-manager.js';
+import { debugLog, debugError, escapeHtml } from './utils.js';
+
+// Most suggestions shown at once
+const MAX_SUGGESTIONS = 8;
+
+// Registered commands by name
+const commands = new Map();
+
+// Autocomplete elements and state
+let commandMenu = null;
+let suggestions = [];
+let selectedSuggestion = 0;
+
+/**
+ * Adds a command
+ * @param {Object} command - {name, description, usage, run, getSuggestions}: run is called with the text
+ *                           after the name and may be async, getSuggestions optionally lists completions
+ *                           of that text for the autocomplete
+ */
+export function registerSlashCommand(command) {
+    if (!command || !/^[a-z][\w-]*$/.test(command.name) || typeof command.run !== 'function') {
+        debugError('Invalid slash command:', command && command.name);
+        return;
+    }
+    if (commands.has(command.name)) {
+        debugLog(`Replacing slash command /${command.name}`);
+    }
+    commands.set(command.name, command);
+}
+
+/**
+ * Lists the registered commands
+ * @returns {Array} - Commands sorted by name
+ */
+export function getSlashCommands() {
+    return [...commands.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Splits input into a command and its arguments
+ * @param {string} text - The chat input
+ * @returns {Object|null} - {command, args} if the input starts with a registered command, null otherwise
+ */
+export function parseSlashCommand(text) {
+    const match = /^\/([a-z][\w-]*)(?:\s+([\s\S]*))?$/.exec(text.trim());
+    if (!match || !commands.has(match[1])) return null;
+    return { command: commands.get(match[1]), args: (match[2] || '').trim() };
+}
+
+/**
+ * Runs the command in the chat input
+ * Text that starts with "/" but no known command, like a file path, is left to be sent as a message
+ * @param {string} text - The chat input
+ * @returns {Promise<boolean>} - True if the input was a command
+ */
+export async function runSlashCommand(text) {
+    const parsed = parseSlashCommand(text);
+    if (!parsed) return false;
+
+    hideCommandMenu();
+    debugLog(`Running /${parsed.command.name}`, parsed.args);
+    try {
+        await parsed.command.run(parsed.args);
+    } catch (error) {
+        debugError(`Error running /${parsed.command.name}:`, error);
+        showCommandError(`/${parsed.command.name} failed: ${error.message}`);
+    }
+    return true;
+}
+
+/**
+ * Shows the outcome of a command in the chat, without adding it to the history
+ * @param {string} text - What the command did, as plain text
+ */
+export function showCommandResult(text) {
+    appendMessage('system', escapeHtml(text).replace(/\n/g, '<br>'));
+}
+
+/**
+ * Shows why a command couldn't run
+ * @param {string} text - The problem, as plain text
+ */
+export function showCommandError(text) {
+    appendMessage('error', escapeHtml(text).replace(/\n/g, '<br>'));
+}
+
+/**
+ * Finds the completions for the chat input
+ * @param {string} text - The chat input
+ * @returns {Promise<Array>} - Suggestions as {value, label, detail}
+ */
+async function getSuggestions(text) {
+    if (!text.startsWith('/') || text.includes('\n')) return [];
+
+    const space = text.search(/\s/);
+    if (space === -1) {
+        const typed = text.slice(1).toLowerCase();
+        return getSlashCommands()
+            .filter(command => command.name.startsWith(typed))
+            .map(command => ({
+                // Commands that take arguments leave room to type them
+                value: command.usage ? `/${command.name} ` : `/${command.name}`,
+                label: `/${command.name}${command.usage ? ` ${command.usage}` : ''}`,
+                detail: command.description || ''
+            }));
+    }
+
+    const parsed = parseSlashCommand(text);
+    if (!parsed || !parsed.command.getSuggestions) return [];
+    const completions = await parsed.command.getSuggestions(parsed.args);
+    return completions.map(completion => ({
+        value: `/${parsed.command.name} ${completion}`,
+        label: completion,
+        detail: ''
+    }));
+}
+
+/**
+ * Shows the completions for what is typed, or hides the menu if there are none
+ */
+async function updateCommandMenu() {
+    const text = userInput.value;
+    let found = [];
+    try {
+        found = await getSuggestions(text);
+    } catch (error) {
+        debugError('Error listing slash command suggestions:', error);
+    }
+    // The input may have changed while the suggestions were found
+    if (userInput.value !== text) return;
+
+    suggestions = found.slice(0, MAX_SUGGESTIONS);
+    selectedSuggestion = 0;
+    if (suggestions.length === 0) {
+        hideCommandMenu();
+        return;
+    }
+
+    commandMenu.innerHTML = suggestions.map((suggestion, index) => `
+        <button type="button" class="slash-command-item${index === 0 ? ' selected' : ''}" role="option" data-index="${index}">
+            <span class="slash-command-label">${escapeHtml(suggestion.label)}</span>
+            ${suggestion.detail ? `<span class="slash-command-detail">${escapeHtml(suggestion.detail)}</span>` : ''}
+        </button>
+    `).join('');
+    commandMenu.querySelectorAll('.slash-command-item').forEach(item => {
+        // Keep the focus in the input so the keyboard stays open
+        item.addEventListener('mousedown', e => e.preventDefault());
+        item.addEventListener('click', () => acceptSuggestion(Number(item.dataset.index)));
+    });
+    commandMenu.classList.remove('hidden');
+}
+
+/**
+ * Hides the autocomplete menu
+ */
+function hideCommandMenu() {
+    suggestions = [];
+    if (commandMenu) {
+        commandMenu.classList.add('hidden');
+        commandMenu.innerHTML = '';
+    }
+}
+
+/**
+ * Highlights a suggestion
+ * @param {number} index - The suggestion to highlight
+ */
+function selectSuggestion(index) {
+    selectedSuggestion = (index + suggestions.length) % suggestions.length;
+    commandMenu.querySelectorAll('.slash-command-item').forEach((item, itemIndex) => {
+        item.classList.toggle('selected', itemIndex === selectedSuggestion);
+    });
+}
+
+/**
+ * Puts a suggestion into the chat input
+ * @param {number} index - The suggestion to use
+ */
+function acceptSuggestion(index) {
+    const suggestion = suggestions[index];
+    if (!suggestion) return;
+
+    userInput.value = suggestion.value;
+    userInput.setSelectionRange(suggestion.value.length, suggestion.value.length);
+    userInput.focus();
+    // Resizes the input and shows the completions of the arguments, if any
+    userInput.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/**
+ * Handles the keys that move through and pick suggestions
+ * Runs before the input's own handler, which sends the message on Enter
+ * @param {KeyboardEvent} e - The keydown event
+ */
+function handleCommandMenuKeys(e) {
+    if (e.target !== userInput || suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        selectSuggestion(selectedSuggestion + (e.key === 'ArrowDown' ? 1 : -1));
+    } else if (e.key === 'Escape') {
+        hideCommandMenu();
+    } else if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey)) {
+        // Enter sends a command that is already complete
+        if (e.key === 'Enter' && suggestions[selectedSuggestion].value.trim() === userInput.value.trim()) {
+            hideCommandMenu();
+            return;
+        }
+        acceptSuggestion(selectedSuggestion);
+    } else {
+        return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+}
+
+/**
+ * Finds a model by its ID or part of it
+ * @param {Array} models - Models from the server
+ * @param {string} name - What the user typed
+ * @returns {Object} - {model} if one matches, or {matches} with all the models that do
+ */
+function findModel(models, name) {
+    const exact = models.find(model => model.id.toLowerCase() === name.toLowerCase());
+    if (exact) return { model: exact };
+
+    const matches = models.filter(model => model.id.toLowerCase().includes(name.toLowerCase()));
+    return matches.length === 1 ? { model: matches[0] } : { matches };
+}
+
+/**
+ * Adds the commands for the app's own features
+ */
+function registerBuiltInCommands() {
+    registerSlashCommand({
+        name: 'help',
+        description: 'List the commands',
+        run() {
+            const lines = getSlashCommands().map(command => `/${command.name}${command.usage ? ` ${command.usage}` : ''}: ${command.description}`);
+            showCommandResult(lines.join('\n'));
+        }
+    });
+
+    registerSlashCommand({
+        name: 'new',
+        description: 'Start a new chat',
+        async run() {
+            const { createNewChat } = await import('./chat-service.js');
+            createNewChat();
+        }
+    });
+
+    registerSlashCommand({
+        name: 'model',
+        usage: '<name>',
+        description: 'Switch to a model, or list the models',
+        async getSuggestions(args) {
+            const { fetchAvailableModels } = await import('./api-service.js');
+            const models = await fetchAvailableModels();
+            return models
+                .map(model => model.id)
+                .filter(id => id.toLowerCase().includes(args.toLowerCase()) && id !== args);
+        },
+        async run(args) {
+            const { fetchAvailableModels } = await import('./api-service.js');
+            const models = await fetchAvailableModels();
+            if (!args) {
+                const list = models.map(model => `${model.id}${model.id === window.currentLoadedModel ? ' (loaded)' : ''}`);
+                showCommandResult(list.length > 0 ? `Models:\n${list.join('\n')}` : 'No models are available.');
+                return;
+            }
+
+            const { model, matches } = findModel(models, args);
+            if (!model) {
+                showCommandError(matches.length > 0
+                    ? `"${args}" matches several models: ${matches.map(match => match.id).join(', ')}`
+                    : `No model matches "${args}".`);
+                return;
+            }
+
+            const { switchModel } = await import('./model-switcher.js');
+            if (await switchModel(model.id)) {
+                showCommandResult(`Switched to ${model.id}.`);
+            }
+        }
+    });
+
+    registerSlashCommand({
+        name: 'temp',
+        usage: '<0-2>',
+        description: 'Set the temperature',
+        async run(args) {
+            const { getTemperature, setTemperature } = await import('./settings-manager.js');
+            if (!args) {
+                showCommandResult(`The temperature is ${getTemperature().toFixed(1)}.`);
+                return;
+            }
+            if (!setTemperature(Number(args))) {
+                showCommandError('The temperature must be a number from 0 to 2.');
+                return;
+            }
+            showCommandResult(`Temperature set to ${getTemperature().toFixed(1)}.`);
+        }
+    });
+
+    registerSlashCommand({
+        name: 'system',
+        usage: '<text>',
+        description: 'Set the system prompt',
+        async run(args) {
+            const { getSystemPrompt, setSystemPrompt } = await import('./settings-manager.js');
+            if (!args) {
+                const prompt = getSystemPrompt();
+                showCommandResult(prompt ? `The system prompt is:\n${prompt}` : 'No system prompt is set.');
+                return;
+            }
+            setSystemPrompt(args);
+            showCommandResult('System prompt updated.');
+        }
+    });
+
+    registerSlashCommand({
+        name: 'topic',
+        description: 'Start a new topic in this chat',
+        async run() {
+            const { addTopicBoundary } = await import('./chat-service.js');
+            addTopicBoundary();
+        }
+    });
+
+    registerSlashCommand({
+        name: 'export',
+        description: 'Export all chats to a file',
+        run() {
+            showExportConfirmationModal();
+        }
+    });
+
+    registerSlashCommand({
+        name: 'regen',
+        description: 'Regenerate the last reply',
+        async run() {
+            const { regenerateLastResponse } = await import('./chat-service.js');
+            await regenerateLastResponse();
+        }
+    });
+
+    registerSlashCommand({
+        name: 'continue',
+        description: 'Continue a reply that was cut off',
+        async run() {
+            const { continueLastResponse, getChatHistoryData, getCurrentChatId } = await import('./chat-service.js');
+            const chatData = getChatHistoryData()[getCurrentChatId()];
+            const messages = chatData && !Array.isArray(chatData) ? chatData.messages : [];
+            const last = messages[messages.length - 1];
+            if (!last || last.role !== 'assistant') {
+                showCommandError('There is no reply to continue.');
+                return;
+            }
+            await continueLastResponse();
+        }
+    });
+
+    registerSlashCommand({
+        name: 'clear',
+        description: 'Delete this chat',
+        async run() {
+            const { getChatHistoryData, getCurrentChatId, showDeleteConfirmation } = await import('./chat-service.js');
+            const chatId = getCurrentChatId();
+            if (!getChatHistoryData()[chatId]) {
+                showCommandResult('This chat is already empty.');
+                return;
+            }
+            showDeleteConfirmation(chatId);
+        }
+    });
+}
+
+/**
+ * Initializes slash commands and their autocomplete
+ */
+export function initializeSlashCommands() {
+    commandMenu = document.getElementById('slash-command-menu');
+    if (!commandMenu || !userInput || !chatForm) {
+        debugError('Slash command elements not found');
+        return;
+    }
+
+    registerBuiltInCommands();
+
+    userInput.addEventListener('input', () => updateCommandMenu());
+    userInput.addEventListener('blur', () => hideCommandMenu());
+    // Capture on the form, so the keys are handled before the input's own listener
+    chatForm.addEventListener('keydown', handleCommandMenuKeys, true);
+
+    debugLog('Slash commands initialized');
+}
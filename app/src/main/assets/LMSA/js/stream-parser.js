@@ -0,0 +1,343 @@
+// Stream Parser for streamed chat completions
+// Network reads can end anywhere - in the middle of a line or of a multi-byte character -
+// so these parsers buffer input and only hand out complete events
+
+import { debugLog } from './utils.js';
+
+/**
+ * Splits text into lines across reads
+ * Accepts \n, \r\n and \r line endings, including a \r\n split between two reads
+ */
+class LineBuffer {
+    constructor() {
+        this.buffer = '';
+        this.endedWithCR = false;
+    }
+
+    /**
+     * Adds text and returns the lines it completes
+     * @param {string} text - The next piece of the stream
+     * @returns {Array<string>} - Complete lines without their line endings
+     */
+    push(text) {
+        if (!text) return [];
+
+        // A \r at the end of the previous read already ended its line, so skip the matching \n
+        if (this.endedWithCR && text[0] === '\n') {
+            text = text.substring(1);
+        }
+        this.endedWithCR = text.endsWith('\r');
+
+        this.buffer += text;
+        const lines = this.buffer.split(/\r\n|\r|\n/);
+        this.buffer = lines.pop();
+        return lines;
+    }
+
+    /**
+     * Returns the last line if the stream didn't end with a line ending
+     * @returns {Array<string>} - Zero or one line
+     */
+    flush() {
+        const rest = this.buffer;
+        this.buffer = '';
+        this.endedWithCR = false;
+        return rest ? [rest] : [];
+    }
+}
+
+/**
+ * Incremental parser for Server-Sent Events (text/event-stream)
+ * Follows the WHATWG event stream format: data, event, id and retry fields,
+ * comments, multi-line data, and a blank line ending each event
+ */
+export class SSEParser {
+    constructor() {
+        this.lines = new LineBuffer();
+        this.lastEventId = '';
+        this.retry = null;
+        this.resetEvent();
+    }
+
+    /**
+     * Clears the fields of the event being built
+     */
+    resetEvent() {
+        this.eventType = '';
+        this.dataLines = [];
+    }
+
+    /**
+     * Adds decoded text and returns the events it completes
+     * @param {string} text - The next piece of the stream
+     * @returns {Array<Object>} - Events {event, data, id}
+     */
+    push(text) {
+        const events = [];
+        for (const line of this.lines.push(text)) {
+            const event = this.processLine(line);
+            if (event) events.push(event);
+        }
+        return events;
+    }
+
+    /**
+     * Ends the stream and returns an event that wasn't followed by a blank line
+     * The format says to drop it, but some servers close the stream right after the last data line
+     * @returns {Array<Object>} - Zero or one event
+     */
+    flush() {
+        const events = [];
+        for (const line of this.lines.flush()) {
+            const event = this.processLine(line);
+            if (event) events.push(event);
+        }
+        const event = this.dispatchEvent();
+        if (event) events.push(event);
+        return events;
+    }
+
+    /**
+     * Handles one line of the stream
+     * @param {string} line - The line without its line ending
+     * @returns {Object|null} - The completed event, if the line ended one
+     */
+    processLine(line) {
+        if (line === '') {
+            return this.dispatchEvent();
+        }
+
+        // Lines starting with a colon are comments (often used as keep-alives)
+        if (line.startsWith(':')) {
+            return null;
+        }
+
+        const colonIndex = line.indexOf(':');
+        const field = colonIndex === -1 ? line : line.substring(0, colonIndex);
+        let value = colonIndex === -1 ? '' : line.substring(colonIndex + 1);
+        if (value.startsWith(' ')) {
+            value = value.substring(1);
+        }
+
+        switch (field) {
+            case 'data':
+                this.dataLines.push(value);
+                break;
+            case 'event':
+                this.eventType = value;
+                break;
+            case 'id':
+                if (!value.includes('\0')) this.lastEventId = value;
+                break;
+            case 'retry':
+                if (/^\d+$/.test(value)) this.retry = parseInt(value, 10);
+                break;
+            default:
+                // Unknown fields are ignored
+                break;
+        }
+        return null;
+    }
+
+    /**
+     * Finishes the event being built
+     * @returns {Object|null} - The event, or null if it had no data
+     */
+    dispatchEvent() {
+        if (this.dataLines.length === 0) {
+            this.resetEvent();
+            return null;
+        }
+
+        const event = {
+            event: this.eventType || 'message',
+            data: this.dataLines.join('\n'),
+            id: this.lastEventId
+        };
+        this.resetEvent();
+        return event;
+    }
+}
+
+/**
+ * Incremental parser for newline-delimited JSON streams (as sent by Ollama)
+ */
+export class JSONLinesParser {
+    constructor() {
+        this.lines = new LineBuffer();
+    }
+
+    /**
+     * Adds decoded text and returns the lines it completes
+     * @param {string} text - The next piece of the stream
+     * @returns {Array<Object>} - Events {event, data, id}, one per non-empty line
+     */
+    push(text) {
+        return this.toEvents(this.lines.push(text));
+    }
+
+    /**
+     * Ends the stream and returns a last line that had no line ending
+     * @returns {Array<Object>} - Zero or one event
+     */
+    flush() {
+        return this.toEvents(this.lines.flush());
+    }
+
+    /**
+     * Wraps lines as events, skipping blank ones
+     * @param {Array<string>} lines - Complete lines
+     * @returns {Array<Object>} - Events {event, data, id}
+     */
+    toEvents(lines) {
+        return lines
+            .filter(line => line.trim())
+            .map(line => ({ event: 'message', data: line.trim(), id: '' }));
+    }
+}
+
+/**
+ * Turns the raw bytes of a streamed chat completion into normalized deltas
+ * using the backend adapter's stream format
+ */
+export class StreamDecoder {
+    /**
+     * @param {Object} backend - Backend adapter with streamFormat and parseStreamData()
+     */
+    constructor(backend) {
+        this.backend = backend;
+        this.textDecoder = new TextDecoder('utf-8');
+        this.parser = backend.streamFormat === 'jsonl' ? new JSONLinesParser() : new SSEParser();
+        this.done = false;
+    }
+
+    /**
+     * Adds bytes from a network read and returns the deltas they complete
+     * @param {Uint8Array} bytes - The bytes read
+     * @returns {Array<Object>} - Deltas {content, reasoning, finishReason, usage, done}
+     */
+    push(bytes) {
+        // stream: true keeps a multi-byte character that was cut off until the next read
+        return this.toDeltas(this.parser.push(this.textDecoder.decode(bytes, { stream: true })));
+    }
+
+    /**
+     * Ends the stream and returns any deltas still buffered
+     * @returns {Array<Object>} - Deltas {content, reasoning, finishReason, usage, done}
+     */
+    flush() {
+        const events = this.parser.push(this.textDecoder.decode());
+        return this.toDeltas([...events, ...this.parser.flush()]);
+    }
+
+    /**
+     * Converts parsed events into deltas, skipping events that can't be read
+     * @param {Array<Object>} events - Parsed events
+     * @returns {Array<Object>} - Deltas
+     */
+    toDeltas(events) {
+        const deltas = [];
+        for (const event of events) {
+            // Nothing after the end marker belongs to this response
+            if (this.done) break;
+
+            let delta;
+            try {
+                delta = this.backend.parseStreamData(event.data, event.event);
+            } catch (error) {
+                debugLog('Error parsing stream event:', error, event.data);
+                continue;
+            }
+
+            if (!delta) continue;
+            if (delta.done) this.done = true;
+            deltas.push(delta);
+        }
+        return deltas;
+    }
+}
+
+/**
+ * Merges the separate reasoning channel of streamed deltas (reasoning_content, Ollama's thinking)
+ * into the response text as a <think> block, so it is shown the same way as inline reasoning
+ */
+export class ReasoningMerger {
+    constructor() {
+        this.inReasoning = false;
+    }
+
+    /**
+     * Converts a delta into the text to append to the response
+     * @param {Object} delta - Delta {content, reasoning, finishReason, done}
+     * @returns {string} - Text to append, empty if the delta adds nothing
+     */
+    push(delta) {
+        let text = '';
+
+        if (delta.reasoning) {
+            if (!this.inReasoning) {
+                this.inReasoning = true;
+                text += '<think>';
+            }
+            text += delta.reasoning;
+        }
+
+        // The reasoning block ends when the answer starts or the stream ends
+        if (this.inReasoning && (delta.content || delta.done)) {
+            this.inReasoning = false;
+            text += '</think>\n\n';
+        }
+
+        return text + (delta.content || '');
+    }
+}
+
+/**
+ * Reassembles the tool calls of a streamed response
+ * OpenAI-compatible servers send each call in fragments identified by an index - the id and
+ * name first, then the arguments JSON in pieces - while Ollama sends complete calls without one
+ */
+export class ToolCallCollector {
+    constructor() {
+        this.calls = [];
+        this.callsByIndex = new Map();
+    }
+
+    /**
+     * Adds the tool call fragments of a delta
+     * @param {Object} delta - Delta {toolCalls: [{index, id, name, arguments}]}
+     */
+    push(delta) {
+        if (!Array.isArray(delta.toolCalls)) return;
+
+        delta.toolCalls.forEach(fragment => {
+            const hasIndex = typeof fragment.index === 'number';
+            let call = hasIndex ? this.callsByIndex.get(fragment.index) : undefined;
+            if (!call) {
+                call = { id: null, name: '', arguments: '' };
+                this.calls.push(call);
+                if (hasIndex) {
+                    this.callsByIndex.set(fragment.index, call);
+                }
+            }
+
+            if (fragment.id) call.id = fragment.id;
+            if (fragment.name && !call.name) call.name = fragment.name;
+            if (fragment.arguments) call.arguments += fragment.arguments;
+        });
+    }
+
+    /**
+     * Gets the complete tool calls
+     * @returns {Array} - Calls {id, name, arguments (JSON string)}, with an id made up where the server sent none
+     */
+    getCalls() {
+        return this.calls
+            .filter(call => call.name)
+            .map(call => ({
+                id: call.id || `call_${Math.random().toString(36).slice(2, 10)}`,
+                name: call.name,
+                arguments: call.arguments || '{}'
+            }));
+    }
+}
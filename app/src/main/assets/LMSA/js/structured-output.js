@@ -0,0 +1,611 @@
+// Structured Output Manager
+// Lets a chat require replies that follow a JSON Schema, sent as response_format, and shows
+// those replies as a JSON tree with the result of validating them against the schema
+
+import { debugLog, debugError, removeThinkTags, copyToClipboard, isAndroidWebView, isMobileDevice } from './utils.js';
+
+// Local storage key for the schemas saved for reuse
+const SAVED_SCHEMAS_KEY = 'savedJsonSchemas';
+
+// Most validation errors kept with a reply
+const MAX_VALIDATION_ERRORS = 20;
+
+// Settings for a chat that hasn't been started yet, applied with its first message
+let pendingStructuredOutput = null;
+
+// Settings elements
+let enabledCheckbox = null;
+let schemaSelect = null;
+let schemaInput = null;
+let schemaNameInput = null;
+let hint = null;
+
+/**
+ * Gets the schemas saved for reuse
+ * @returns {Array} - Saved schemas {id, name, schema}
+ */
+export function getSavedSchemas() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SAVED_SCHEMAS_KEY) || '[]');
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        debugError('Error reading saved JSON schemas:', error);
+        return [];
+    }
+}
+
+/**
+ * Saves a schema for reuse, replacing a saved schema with the same name
+ * @param {string} name - The schema name
+ * @param {Object} schema - The JSON Schema
+ * @returns {Object} - The saved schema {id, name, schema}
+ */
+export function saveSchema(name, schema) {
+    const schemas = getSavedSchemas();
+    const existing = schemas.find(saved => saved.name === name);
+    if (existing) {
+        existing.schema = schema;
+        localStorage.setItem(SAVED_SCHEMAS_KEY, JSON.stringify(schemas));
+        return existing;
+    }
+
+    const saved = { id: Date.now().toString(), name, schema };
+    schemas.push(saved);
+    localStorage.setItem(SAVED_SCHEMAS_KEY, JSON.stringify(schemas));
+    return saved;
+}
+
+/**
+ * Deletes a saved schema
+ * @param {string} id - The ID of the schema to delete
+ */
+export function deleteSchema(id) {
+    const schemas = getSavedSchemas().filter(saved => saved.id !== id);
+    localStorage.setItem(SAVED_SCHEMAS_KEY, JSON.stringify(schemas));
+}
+
+/**
+ * Gets the structured output settings of a chat
+ * Settings made before the chat started are moved to the chat once it has
+ * @param {Object} chatData - The chat, if it has been started
+ * @param {string|number} chatId - The chat ID
+ * @returns {Object|null} - {name, schema} if the chat requires structured output
+ */
+export function getStructuredOutput(chatData, chatId) {
+    if (chatData && !Array.isArray(chatData) && pendingStructuredOutput && String(pendingStructuredOutput.chatId) === String(chatId)) {
+        chatData.structuredOutput = pendingStructuredOutput.settings;
+        pendingStructuredOutput = null;
+    }
+
+    const settings = chatData && !Array.isArray(chatData)
+        ? chatData.structuredOutput
+        : (pendingStructuredOutput && String(pendingStructuredOutput.chatId) === String(chatId) ? pendingStructuredOutput.settings : null);
+    if (!settings || !settings.enabled || !settings.schema || typeof settings.schema !== 'object') return null;
+    return { name: settings.name || 'response', schema: settings.schema };
+}
+
+/**
+ * Builds the response_format of a chat completion request
+ * @param {Object} structuredOutput - Settings from getStructuredOutput
+ * @returns {Object} - The OpenAI-style json_schema response format
+ */
+export function buildResponseFormat(structuredOutput) {
+    return {
+        type: 'json_schema',
+        json_schema: {
+            // Servers only accept letters, digits, underscores and dashes here
+            name: structuredOutput.name.replace(/[^a-zA-Z0-9_-]+/g, '_').slice(0, 64) || 'response',
+            strict: true,
+            schema: structuredOutput.schema
+        }
+    };
+}
+
+/**
+ * Resolves a local $ref such as "#/$defs/address"
+ * @param {string} ref - The reference
+ * @param {Object} root - The root schema
+ * @returns {Object|null} - The referenced schema
+ */
+function resolveRef(ref, root) {
+    if (typeof ref !== 'string' || !ref.startsWith('#')) return null;
+    return ref.slice(1).split('/').filter(Boolean).reduce((node, part) => {
+        const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+        return node && typeof node === 'object' ? node[key] : undefined;
+    }, root) || null;
+}
+
+/**
+ * Gets the JSON Schema type of a value
+ * @param {*} value - A parsed JSON value
+ * @returns {string} - null, array, integer, number, string, boolean or object
+ */
+function getJsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Validates a value against a JSON Schema
+ * Covers the keywords used for structured output: type, enum, const, properties, required,
+ * additionalProperties, items, length, range and pattern limits, anyOf/oneOf/allOf and local $refs
+ * @param {*} value - The parsed JSON value
+ * @param {Object} schema - The schema
+ * @param {string} [path] - Location of the value, used in error messages
+ * @param {Object} [root] - The root schema, for $refs
+ * @returns {Array} - Error messages, empty if the value is valid
+ */
+export function validateJson(value, schema, path = '$', root = schema) {
+    if (schema === false) return [`${path}: no value is allowed here`];
+    if (!schema || typeof schema !== 'object') return [];
+
+    if (schema.$ref) {
+        const target = resolveRef(schema.$ref, root);
+        return target ? validateJson(value, target, path, root) : [`${path}: can't resolve ${schema.$ref}`];
+    }
+
+    const errors = [];
+    const type = getJsonType(value);
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const matches = types.some(expected => expected === type || (expected === 'number' && type === 'integer'));
+        if (!matches) {
+            return [`${path}: expected ${types.join(' or ')}, got ${type}`];
+        }
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (type === 'string') {
+        if (typeof schema.minLength === 'number' && value.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength} characters`);
+        if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength} characters`);
+        if (typeof schema.pattern === 'string') {
+            try {
+                if (!new RegExp(schema.pattern, 'u').test(value)) errors.push(`${path}: doesn't match ${schema.pattern}`);
+            } catch (error) {
+                debugLog('Skipping invalid schema pattern:', schema.pattern);
+            }
+        }
+    }
+
+    if (type === 'number' || type === 'integer') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) errors.push(`${path}: less than ${schema.minimum}`);
+        if (typeof schema.maximum === 'number' && value > schema.maximum) errors.push(`${path}: greater than ${schema.maximum}`);
+        if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) errors.push(`${path}: must be greater than ${schema.exclusiveMinimum}`);
+        if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) errors.push(`${path}: must be less than ${schema.exclusiveMaximum}`);
+    }
+
+    if (type === 'array') {
+        if (typeof schema.minItems === 'number' && value.length < schema.minItems) errors.push(`${path}: fewer than ${schema.minItems} items`);
+        if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) errors.push(`${path}: more than ${schema.maxItems} items`);
+        if (schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+            value.forEach((item, i) => errors.push(...validateJson(item, schema.items, `${path}[${i}]`, root)));
+        }
+    }
+
+    if (type === 'object') {
+        const properties = schema.properties || {};
+        (Array.isArray(schema.required) ? schema.required : []).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(value, key)) errors.push(`${path}: missing required property "${key}"`);
+        });
+        Object.keys(value).forEach(key => {
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                errors.push(...validateJson(value[key], properties[key], `${path}.${key}`, root));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}: unexpected property "${key}"`);
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                errors.push(...validateJson(value[key], schema.additionalProperties, `${path}.${key}`, root));
+            }
+        });
+    }
+
+    if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach(part => errors.push(...validateJson(value, part, path, root)));
+    }
+    if (Array.isArray(schema.anyOf) && !schema.anyOf.some(part => validateJson(value, part, path, root).length === 0)) {
+        errors.push(`${path}: doesn't match any of the allowed schemas`);
+    }
+    if (Array.isArray(schema.oneOf)) {
+        const matching = schema.oneOf.filter(part => validateJson(value, part, path, root).length === 0).length;
+        if (matching !== 1) errors.push(`${path}: must match exactly one of the allowed schemas, matches ${matching}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Reads the JSON of a reply, ignoring reasoning and a surrounding code fence
+ * @param {string} text - The reply text
+ * @returns {Object} - {value} if the reply is JSON, otherwise {error}
+ */
+export function parseStructuredResponse(text) {
+    let json = (removeThinkTags(text || '') || '').trim();
+    const fenced = json.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/i);
+    if (fenced) {
+        json = fenced[1].trim();
+    }
+
+    try {
+        return { value: JSON.parse(json) };
+    } catch (error) {
+        return { error: `Not valid JSON: ${error.message}` };
+    }
+}
+
+/**
+ * Checks a finished reply against the chat's schema
+ * @param {string} text - The reply text
+ * @param {Object} structuredOutput - Settings from getStructuredOutput
+ * @returns {Object} - {valid, errors, schemaName}, stored with the reply
+ */
+export function checkStructuredResponse(text, structuredOutput) {
+    const parsed = parseStructuredResponse(text);
+    const errors = parsed.error ? [parsed.error] : validateJson(parsed.value, structuredOutput.schema);
+    if (errors.length > 0) {
+        debugLog('Structured output does not match the schema:', errors);
+    }
+    return {
+        valid: errors.length === 0,
+        errors: errors.slice(0, MAX_VALIDATION_ERRORS),
+        schemaName: structuredOutput.name
+    };
+}
+
+/**
+ * Builds the element of one JSON value, with a toggle for objects and arrays
+ * @param {*} value - The value
+ * @param {string|null} key - The property name, or null for array items and the root
+ * @param {boolean} isLast - Whether the value is the last of its parent, which decides the comma
+ * @returns {HTMLElement} - The node
+ */
+function createJsonNode(value, key, isLast) {
+    const node = document.createElement('div');
+    node.classList.add('json-node');
+
+    const line = document.createElement('div');
+    line.classList.add('json-line');
+    node.appendChild(line);
+
+    const isContainer = value !== null && typeof value === 'object';
+    if (isContainer) {
+        const toggle = document.createElement('button');
+        toggle.classList.add('json-toggle');
+        toggle.setAttribute('aria-label', 'Collapse');
+        toggle.innerHTML = '<i class="fas fa-chevron-down"></i>';
+        line.appendChild(toggle);
+    }
+
+    if (key !== null) {
+        const keySpan = document.createElement('span');
+        keySpan.classList.add('json-key');
+        keySpan.textContent = JSON.stringify(key);
+        line.appendChild(keySpan);
+        line.appendChild(document.createTextNode(': '));
+    }
+
+    const comma = isLast ? '' : ',';
+    if (!isContainer) {
+        const valueSpan = document.createElement('span');
+        valueSpan.classList.add('json-value', `json-${getJsonType(value)}`);
+        valueSpan.textContent = JSON.stringify(value);
+        line.appendChild(valueSpan);
+        line.appendChild(document.createTextNode(comma));
+        return node;
+    }
+
+    const isArray = Array.isArray(value);
+    const entries = isArray ? value.map((item, i) => [null, item]) : Object.entries(value);
+    const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+
+    line.appendChild(document.createTextNode(open));
+    const summary = document.createElement('span');
+    summary.classList.add('json-summary');
+    summary.textContent = ` ${entries.length} ${isArray ? (entries.length === 1 ? 'item' : 'items') : (entries.length === 1 ? 'key' : 'keys')} ${close}${comma}`;
+    line.appendChild(summary);
+
+    const children = document.createElement('div');
+    children.classList.add('json-children');
+    entries.forEach(([childKey, childValue], i) => {
+        children.appendChild(createJsonNode(childValue, childKey, i === entries.length - 1));
+    });
+    node.appendChild(children);
+
+    const closing = document.createElement('div');
+    closing.classList.add('json-closing');
+    closing.textContent = close + comma;
+    node.appendChild(closing);
+
+    return node;
+}
+
+/**
+ * Saves JSON to a file, using the Android file picker when the app provides one
+ * @param {string} json - The JSON text
+ * @param {string} filename - The suggested file name
+ */
+function saveJsonFile(json, filename) {
+    if (window.AndroidFileOps && typeof window.AndroidFileOps.saveFile === 'function') {
+        window.onFileSaved = function(success) {
+            debugLog(success ? 'Structured output saved' : 'Saving structured output failed or was cancelled');
+            delete window.onFileSaved;
+        };
+        window.AndroidFileOps.saveFile(json, filename);
+        return;
+    }
+
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.style.display = 'none';
+    document.body.appendChild(a);
+    a.click();
+
+    // Android WebViews start the download asynchronously
+    const delay = isAndroidWebView() || isMobileDevice() ? 100 : 0;
+    setTimeout(() => {
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }, delay);
+}
+
+/**
+ * Shows a structured reply as a collapsible JSON tree instead of markdown
+ * Replies that aren't JSON keep their text, with the parse error shown above it
+ * @param {HTMLElement} messageElement - The AI message element
+ * @param {string} text - The reply text
+ * @param {Object} structured - Validation result from checkStructuredResponse
+ */
+export function renderStructuredOutput(messageElement, text, structured) {
+    if (!messageElement || !structured) return;
+
+    const existingHeader = messageElement.querySelector('.structured-output-header');
+    if (existingHeader) {
+        existingHeader.remove();
+    }
+
+    const contentContainer = messageElement.querySelector('.message-content');
+    const parsed = parseStructuredResponse(text);
+
+    const header = document.createElement('div');
+    header.classList.add('structured-output-header', structured.valid ? 'valid' : 'invalid');
+    header.innerHTML = `
+        <span class="structured-output-status">
+            <i class="fas ${structured.valid ? 'fa-check-circle' : 'fa-exclamation-triangle'}"></i>
+            <span></span>
+        </span>
+        <span class="structured-output-actions">
+            <button class="structured-output-copy" title="Copy JSON" aria-label="Copy JSON"><i class="fas fa-copy"></i></button>
+            <button class="structured-output-export" title="Export JSON" aria-label="Export JSON"><i class="fas fa-file-export"></i></button>
+        </span>
+    `;
+
+    const statusText = header.querySelector('.structured-output-status span');
+    statusText.textContent = structured.valid
+        ? `Matches ${structured.schemaName}`
+        : `Doesn't match ${structured.schemaName} (${structured.errors.length} ${structured.errors.length === 1 ? 'problem' : 'problems'})`;
+    if (!structured.valid) {
+        const errorList = document.createElement('ul');
+        errorList.classList.add('structured-output-errors');
+        structured.errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            errorList.appendChild(item);
+        });
+        header.appendChild(errorList);
+    }
+
+    const actions = header.querySelector('.structured-output-actions');
+    if (parsed.error) {
+        actions.remove();
+    } else {
+        const json = JSON.stringify(parsed.value, null, 2);
+        header.querySelector('.structured-output-copy').addEventListener('click', (e) => {
+            e.stopPropagation();
+            copyToClipboard(json);
+        });
+        header.querySelector('.structured-output-export').addEventListener('click', (e) => {
+            e.stopPropagation();
+            const date = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+            saveJsonFile(json, `lmsa-${structured.schemaName}-${date}.json`);
+        });
+    }
+
+    if (contentContainer) {
+        messageElement.insertBefore(header, contentContainer);
+    } else {
+        messageElement.appendChild(header);
+    }
+
+    if (parsed.error || !contentContainer) return;
+
+    const tree = document.createElement('div');
+    tree.classList.add('json-tree');
+    tree.appendChild(createJsonNode(parsed.value, null, true));
+    tree.addEventListener('click', (e) => {
+        const toggle = e.target.closest('.json-toggle');
+        if (!toggle) return;
+        e.stopPropagation();
+        const collapsed = toggle.closest('.json-node').classList.toggle('collapsed');
+        toggle.setAttribute('aria-label', collapsed ? 'Expand' : 'Collapse');
+    });
+
+    contentContainer.innerHTML = '';
+    contentContainer.appendChild(tree);
+    messageElement.classList.add('structured-output');
+}
+
+/**
+ * Gets the chat open in the app
+ * @returns {Promise<Object>} - {chatId, chatData}, chatData is null until the chat has been started
+ */
+async function getCurrentChat() {
+    const chatService = await import('./chat-service.js');
+    const chatId = chatService.getCurrentChatId();
+    const chatData = chatService.getChatHistoryData()[chatId];
+    return { chatId, chatData: chatData && !Array.isArray(chatData) ? chatData : null };
+}
+
+/**
+ * Fills the saved schema list
+ * @param {string} [selectedId] - The saved schema to select
+ */
+function fillSchemaSelect(selectedId = '') {
+    schemaSelect.innerHTML = '<option value="">Custom schema</option>';
+    getSavedSchemas().forEach(saved => {
+        const option = document.createElement('option');
+        option.value = saved.id;
+        option.textContent = saved.name;
+        schemaSelect.appendChild(option);
+    });
+    schemaSelect.value = selectedId;
+}
+
+/**
+ * Shows the structured output settings of the chat that is open
+ * Call when the settings open, since the current chat may have changed
+ */
+export async function refreshStructuredOutputSettings() {
+    if (!enabledCheckbox) return;
+
+    const { chatId, chatData } = await getCurrentChat();
+    const settings = chatData
+        ? chatData.structuredOutput
+        : (pendingStructuredOutput && String(pendingStructuredOutput.chatId) === String(chatId) ? pendingStructuredOutput.settings : null);
+
+    enabledCheckbox.checked = Boolean(settings && settings.enabled);
+    schemaInput.value = settings && settings.schema ? JSON.stringify(settings.schema, null, 2) : '';
+    schemaNameInput.value = settings && settings.name ? settings.name : '';
+
+    const saved = settings ? getSavedSchemas().find(schema => schema.name === settings.name) : null;
+    fillSchemaSelect(saved ? saved.id : '');
+    hint.textContent = 'Only used in this chat. Replies are shown as JSON and checked against the schema.';
+    hint.classList.remove('text-red-400');
+}
+
+/**
+ * Reads the schema entered in the settings
+ * @returns {Object|null} - The schema, or null if it isn't a JSON object
+ */
+function readSchemaInput() {
+    try {
+        const schema = JSON.parse(schemaInput.value);
+        return schema && typeof schema === 'object' && !Array.isArray(schema) ? schema : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Shows a problem with the entered schema
+ * @param {string} message - The message
+ */
+function showSchemaError(message) {
+    hint.textContent = message;
+    hint.classList.add('text-red-400');
+}
+
+/**
+ * Saves the settings entered for the chat that is open
+ */
+async function saveSettings() {
+    const schema = schemaInput.value.trim() ? readSchemaInput() : null;
+    if (schemaInput.value.trim() && !schema) {
+        showSchemaError('The schema is not a valid JSON object.');
+        enabledCheckbox.checked = false;
+    } else if (enabledCheckbox.checked && !schema) {
+        showSchemaError('Paste or pick a schema first.');
+        enabledCheckbox.checked = false;
+    } else {
+        hint.textContent = 'Only used in this chat. Replies are shown as JSON and checked against the schema.';
+        hint.classList.remove('text-red-400');
+    }
+
+    const settings = schema
+        ? { enabled: enabledCheckbox.checked, name: schemaNameInput.value.trim() || 'response', schema }
+        : null;
+
+    const { chatId, chatData } = await getCurrentChat();
+    if (!chatData) {
+        pendingStructuredOutput = settings ? { chatId, settings } : null;
+        return;
+    }
+
+    if (settings) {
+        chatData.structuredOutput = settings;
+    } else {
+        delete chatData.structuredOutput;
+    }
+    const { saveChatHistory } = await import('./chat-service.js');
+    saveChatHistory();
+    debugLog('Structured output settings saved:', settings);
+}
+
+/**
+ * Initializes the structured output settings
+ */
+export function initializeStructuredOutput() {
+    enabledCheckbox = document.getElementById('structured-output-enabled');
+    schemaSelect = document.getElementById('structured-schema-select');
+    schemaInput = document.getElementById('structured-schema');
+    schemaNameInput = document.getElementById('structured-schema-name');
+    hint = document.getElementById('structured-output-hint');
+    const saveButton = document.getElementById('structured-schema-save');
+    const deleteButton = document.getElementById('structured-schema-delete');
+
+    if (!enabledCheckbox || !schemaSelect || !schemaInput || !schemaNameInput || !hint || !saveButton || !deleteButton) {
+        debugError('Structured output settings elements not found');
+        enabledCheckbox = null;
+        return;
+    }
+
+    enabledCheckbox.addEventListener('change', () => saveSettings());
+    schemaInput.addEventListener('change', () => {
+        schemaSelect.value = '';
+        saveSettings();
+    });
+    schemaNameInput.addEventListener('change', () => saveSettings());
+
+    schemaSelect.addEventListener('change', () => {
+        const saved = getSavedSchemas().find(schema => schema.id === schemaSelect.value);
+        if (!saved) return;
+        schemaInput.value = JSON.stringify(saved.schema, null, 2);
+        schemaNameInput.value = saved.name;
+        saveSettings();
+    });
+
+    saveButton.addEventListener('click', () => {
+        const schema = readSchemaInput();
+        const name = schemaNameInput.value.trim();
+        if (!schema) {
+            showSchemaError('The schema is not a valid JSON object.');
+            return;
+        }
+        if (!name) {
+            showSchemaError('Give the schema a name to save it.');
+            schemaNameInput.focus();
+            return;
+        }
+        const saved = saveSchema(name, schema);
+        fillSchemaSelect(saved.id);
+        hint.textContent = `Saved "${name}" for other chats.`;
+        hint.classList.remove('text-red-400');
+    });
+
+    deleteButton.addEventListener('click', () => {
+        if (!schemaSelect.value) return;
+        deleteSchema(schemaSelect.value);
+        fillSchemaSelect('');
+    });
+
+    refreshStructuredOutputSettings();
+    debugLog('Structured output initialized');
+}
@@ -0,0 +1,201 @@
+// Topic Boundaries
+// A "New Topic" marker splits a chat into topics. Only the messages after the last marker
+// are sent to the model; the markers can be moved by a turn or removed, and the sidebar
+// lists the topics of the open chat
+
+import { escapeHtml } from './utils.js';
+
+// Longest topic title shown in the sidebar outline
+const TOPIC_TITLE_LENGTH = 40;
+
+/**
+ * Creates the history entry that marks the start of a new topic
+ * @returns {Object} - The marker message
+ */
+export function createTopicBoundary() {
+    return {
+        role: 'system',
+        content: '--- New Topic ---',
+        isTopicBoundary: true
+    };
+}
+
+/**
+ * Splits messages at the last topic boundary
+ * @param {Array} messages - Chat messages, oldest first
+ * @returns {Object} - {earlier, current}: messages of the earlier topics without their markers,
+ *                     and the messages of the current topic
+ */
+export function splitAtLastTopic(messages) {
+    let lastBoundary = -1;
+    messages.forEach((message, index) => {
+        if (message.isTopicBoundary) {
+            lastBoundary = index;
+        }
+    });
+
+    return {
+        earlier: messages.slice(0, Math.max(lastBoundary, 0)).filter(message => !message.isTopicBoundary),
+        current: messages.slice(lastBoundary + 1)
+    };
+}
+
+/**
+ * Lists the topics of a chat
+ * @param {Array} messages - Chat messages, oldest first
+ * @returns {Array} - Topics as {boundaryIndex, title, messageCount}, boundaryIndex being -1 for the first topic
+ */
+export function getTopics(messages) {
+    const topics = [{ boundaryIndex: -1, title: null, messageCount: 0 }];
+
+    messages.forEach((message, index) => {
+        if (message.isTopicBoundary) {
+            topics.push({ boundaryIndex: index, title: null, messageCount: 0 });
+            return;
+        }
+        if (message.isCompactionSummary) return;
+
+        const topic = topics[topics.length - 1];
+        topic.messageCount++;
+        if (!topic.title && message.role === 'user' && typeof message.content === 'string' && message.content.trim()) {
+            const text = message.content.trim().replace(/\s+/g, ' ');
+            topic.title = text.length > TOPIC_TITLE_LENGTH ? `${text.substring(0, TOPIC_TITLE_LENGTH)}…` : text;
+        }
+    });
+
+    return topics;
+}
+
+/**
+ * Finds the user message a turn starts with, without crossing another topic boundary or a compaction summary
+ * @param {Array} messages - Chat messages
+ * @param {number} from - Index to start searching at
+ * @param {number} step - -1 to search backwards, 1 to search forwards
+ * @returns {number} - Index of the user message, or -1 if there is none
+ */
+function findTurnStart(messages, from, step) {
+    for (let i = from; i >= 0 && i < messages.length; i += step) {
+        if (messages[i].isTopicBoundary || messages[i].isCompactionSummary) return -1;
+        if (messages[i].role === 'user') return i;
+    }
+    return -1;
+}
+
+/**
+ * Moves a topic boundary by one turn
+ * Moving it up takes the turn before it into the topic, moving it down leaves the topic's first turn to the previous one
+ * @param {Array} messages - Chat messages, modified in place
+ * @param {number} index - Position of the boundary
+ * @param {number} direction - -1 to move up, 1 to move down
+ * @returns {boolean} - True if the boundary moved
+ */
+export function moveTopicBoundary(messages, index, direction) {
+    const boundary = messages[index];
+    // A boundary that starts versions of the chat can't leave its place
+    if (!boundary || !boundary.isTopicBoundary || boundary.branches) return false;
+
+    let target;
+    if (direction < 0) {
+        target = findTurnStart(messages, index - 1, -1);
+        // Keep at least one turn before the boundary
+        if (target <= 0) return false;
+    } else {
+        const firstTurn = findTurnStart(messages, index + 1, 1);
+        if (firstTurn === -1) return false;
+
+        target = findTurnStart(messages, firstTurn + 1, 1);
+        if (target === -1) {
+            // The topic has only one turn: the boundary goes to the end, unless another one follows
+            if (messages.slice(firstTurn + 1).some(message => message.isTopicBoundary || message.isCompactionSummary)) return false;
+            target = messages.length;
+        }
+        // The boundary itself is removed before the turn, which shifts the target
+        target--;
+    }
+
+    messages.splice(index, 1);
+    messages.splice(target, 0, boundary);
+    return true;
+}
+
+/**
+ * Removes a topic boundary, joining its topic with the previous one
+ * @param {Array} messages - Chat messages, modified in place
+ * @param {number} index - Position of the boundary
+ * @returns {boolean} - True if the boundary was removed
+ */
+export function removeTopicBoundary(messages, index) {
+    const boundary = messages[index];
+    if (!boundary || !boundary.isTopicBoundary || boundary.branches) return false;
+
+    messages.splice(index, 1);
+    return true;
+}
+
+/**
+ * Creates the "New Topic" divider shown between messages
+ * @param {number} index - Position of the boundary in the chat
+ * @param {Object} [actions] - {onMove, onRemove}, called with the direction and without arguments
+ * @returns {HTMLElement} - The divider
+ */
+export function createTopicBoundaryElement(index, actions = {}) {
+    const boundaryElement = document.createElement('div');
+    boundaryElement.classList.add('topic-boundary');
+    boundaryElement.dataset.messageIndex = index;
+    boundaryElement.innerHTML = `
+        <span class="topic-boundary-text"><i class="fas fa-exchange-alt mr-2"></i>New Topic</span>
+        <span class="topic-boundary-actions">
+            <button class="topic-boundary-action" data-action="up" title="Start the topic one turn earlier" aria-label="Move topic start up">
+                <i class="fas fa-arrow-up"></i>
+            </button>
+            <button class="topic-boundary-action" data-action="down" title="Start the topic one turn later" aria-label="Move topic start down">
+                <i class="fas fa-arrow-down"></i>
+            </button>
+            <button class="topic-boundary-action" data-action="remove" title="Join this topic with the previous one" aria-label="Remove topic boundary">
+                <i class="fas fa-times"></i>
+            </button>
+        </span>
+    `;
+
+    boundaryElement.querySelectorAll('.topic-boundary-action').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (button.dataset.action === 'remove') {
+                if (actions.onRemove) actions.onRemove();
+            } else if (actions.onMove) {
+                actions.onMove(button.dataset.action === 'up' ? -1 : 1);
+            }
+        });
+    });
+
+    return boundaryElement;
+}
+
+/**
+ * Creates the sidebar outline of a chat's topics
+ * @param {Array} messages - Chat messages
+ * @param {Function} onSelect - Called with the topic to show
+ * @returns {HTMLElement|null} - The outline, or null if the chat has a single topic
+ */
+export function renderTopicOutline(messages, onSelect) {
+    const topics = getTopics(messages);
+    if (topics.length < 2) return null;
+
+    const outline = document.createElement('div');
+    outline.classList.add('topic-outline');
+    outline.innerHTML = topics.map((topic, number) => `
+        <button class="topic-outline-item" data-topic="${number}" title="${escapeHtml(topic.title || 'New topic')}">
+            <span class="topic-outline-number">${number + 1}</span>
+            <span class="topic-outline-title">${escapeHtml(topic.title || 'New topic')}</span>
+        </button>
+    `).join('');
+
+    outline.querySelectorAll('.topic-outline-item').forEach(item => {
+        item.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onSelect(topics[Number(item.dataset.topic)]);
+        });
+    });
+
+    return outline;
+}
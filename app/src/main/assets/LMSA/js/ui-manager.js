@@ -5,6 +5,7 @@ import {
 } from './dom-elements.js';
 import { basicSanitizeInput, sanitizeInput, initializeCodeMirror, scrollToBottom, copyToClipboard, debugLog, debugError, processCodeBlocks, decodeHtmlEntities, htmlToFormattedText } from './utils.js';
 import { getHideThinking } from './settings-manager.js';
+import { renderStatsFooter } from './response-stats.js';
 import { domBatcher, performanceMonitor, rafThrottle } from './performance-optimizer.js';
 
 
@@ -517,8 +518,9 @@ export function toggleSendStopButton() {
  * @param {string} message - The message content
  * @param {Array} files - Optional array of file objects
  * @param {boolean} isStreaming - Whether the message is being streamed
+ * @param {Object} stats - Optional response statistics shown under AI messages
  */
-export function appendMessage(sender, message, files = null, isStreaming = false) {
+export function appendMessage(sender, message, files = null, isStreaming = false, stats = null) {
     // If this is a streaming update to an existing message, find and update that message
     if (isStreaming) {
         const existingMessages = messagesContainer.querySelectorAll(`.${sender}`);
@@ -938,6 +940,11 @@ export function appendMessage(sender, message, files = null, isStreaming = false
 
             messageElement.appendChild(controlsContainer);
         }
+
+        // Add the token usage and speed footer
+        if (sender === 'ai' && stats) {
+            renderStatsFooter(messageElement, stats);
+        }
     } else if (sender === 'system' || sender === 'error' || sender === 'warning') {
         // System messages get simpler formatting
         messageElement.innerHTML = `<div class="message-content">${message}</div>`;
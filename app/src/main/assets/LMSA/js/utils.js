@@ -65,6 +65,39 @@ export function removeThinkTags(text) {
     return cleanedText.trim();
 }
 
+/**
+ * Separates the <think> reasoning of a response from its answer
+ * @param {string} text - The response text
+ * @returns {Object} - {content, reasoning}, reasoning is an empty string if there was none
+ */
+export function splitReasoning(text) {
+    if (!text || !text.includes('<think>')) {
+        return { content: text || '', reasoning: '' };
+    }
+
+    const reasoningParts = [];
+    // A block left open (the stream ended while thinking) runs to the end of the text
+    const content = text.replace(/<think>([\s\S]*?)(?:<\/think>|$)/g, (match, reasoning) => {
+        if (reasoning.trim()) reasoningParts.push(reasoning.trim());
+        return '';
+    });
+
+    return {
+        content: content.replace(/<\/think>/g, '').replace(/^\s+/, ''),
+        reasoning: reasoningParts.join('\n\n')
+    };
+}
+
+/**
+ * Puts stored reasoning back in front of an answer as a <think> block for display
+ * @param {string} content - The answer
+ * @param {string} [reasoning] - The reasoning stored with the message
+ * @returns {string} - The text with its <think> block
+ */
+export function joinReasoning(content, reasoning) {
+    return reasoning ? `<think>${reasoning}</think>\n\n${content}` : content;
+}
+
 // Utility functions
 
 /**
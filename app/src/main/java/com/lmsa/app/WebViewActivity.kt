@@ -20,6 +20,8 @@ import android.webkit.WebSettings
 import android.webkit.WebView
 import android.webkit.WebViewClient
 import java.io.IOException
+import java.net.Inet4Address
+import java.net.NetworkInterface
 import android.util.Base64
 import android.speech.tts.TextToSpeech
 import android.speech.tts.UtteranceProgressListener
@@ -268,6 +270,8 @@ class WebViewActivity : AppCompatActivity() {
         webView.addJavascriptInterface(ReviewInterface(), "AndroidReview")
         // Add JavaScript interface for TTS
         webView.addJavascriptInterface(TTSInterface(), "AndroidTTS")
+        // Add JavaScript interface for LAN server discovery
+        webView.addJavascriptInterface(NetworkInfoInterface(), "AndroidNetwork")
 
         webView.webViewClient = object : WebViewClient() {
             override fun onPageFinished(view: WebView?, url: String?) {
@@ -706,6 +710,26 @@ class WebViewActivity : AppCompatActivity() {
         }
     }
 
+    inner class NetworkInfoInterface {
+        @JavascriptInterface
+        fun getLocalIpAddress(): String {
+            try {
+                val interfaces = NetworkInterface.getNetworkInterfaces() ?: return ""
+                for (networkInterface in interfaces) {
+                    if (!networkInterface.isUp || networkInterface.isLoopback) continue
+                    for (address in networkInterface.inetAddresses) {
+                        if (address is Inet4Address && address.isSiteLocalAddress) {
+                            return address.hostAddress ?: ""
+                        }
+                    }
+                }
+            } catch (e: Exception) {
+                Log.e(TAG, "Error reading local IP address", e)
+            }
+            return ""
+        }
+    }
+
     inner class TTSInterface {
         @JavascriptInterface
         fun initializeTTS() {
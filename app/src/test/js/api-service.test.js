@@ -0,0 +1,147 @@
+// Tests for model discovery, loading and server checks in api-service.js
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockLMStudioServer } from './mock-lmstudio-server.js';
+import { setupAppEnvironment, importAppModule } from './helpers/app-environment.js';
+
+const mock = createMockLMStudioServer();
+let api;
+
+before(async () => {
+    const { url } = await mock.start();
+    setupAppEnvironment({ serverUrl: url });
+    api = await importAppModule('api-service.js');
+});
+
+after(() => mock.stop());
+
+beforeEach(() => {
+    mock.setModels([
+        { id: 'qwen2.5-7b-instruct', type: 'llm', state: 'loaded', quantization: 'Q4_K_M', max_context_length: 32768, loaded_context_length: 8192 },
+        { id: 'llava-v1.5-7b', type: 'vlm', state: 'not-loaded', quantization: 'Q4_0', max_context_length: 4096 },
+        { id: 'text-embedding-nomic-embed-text-v1.5', type: 'embeddings', state: 'not-loaded' }
+    ]);
+    mock.setRestApi(true);
+    mock.setCompletion({});
+    mock.clearRequests();
+    localStorage.removeItem('serverApiKey');
+    document.getElementById('server-api-key').value = '';
+    api.invalidateModelInfoCache();
+    window.currentLoadedModel = null;
+});
+
+test('fetchAvailableModels lists chat models from the REST API without embeddings', async () => {
+    const models = await api.fetchAvailableModels();
+
+    assert.deepEqual(models.map(model => model.id), ['qwen2.5-7b-instruct', 'llava-v1.5-7b']);
+    assert.deepEqual(api.getAvailableModels(), ['qwen2.5-7b-instruct']);
+    assert.equal(window.currentLoadedModel, 'qwen2.5-7b-instruct');
+});
+
+test('fetchAvailableModels stores REST API metadata for each model', async () => {
+    await api.fetchAvailableModels();
+
+    const metadata = api.getModelMetadata('qwen2.5-7b-instruct');
+    assert.equal(metadata.type, 'llm');
+    assert.equal(metadata.quantization, 'Q4_K_M');
+    assert.equal(metadata.loadedContextLength, 8192);
+    assert.equal(api.getModelMetadata('llava-v1.5-7b').type, 'vlm');
+});
+
+test('fetchAvailableModels reports no model when nothing is loaded', async () => {
+    mock.setModels([{ id: 'qwen2.5-7b-instruct', type: 'llm', state: 'not-loaded' }]);
+
+    const models = await api.fetchAvailableModels();
+
+    assert.equal(models.length, 1);
+    assert.deepEqual(api.getAvailableModels(), []);
+});
+
+test('fetchAvailableModels falls back to a completion probe without the REST API', async () => {
+    mock.setRestApi(false);
+
+    await api.fetchAvailableModels();
+
+    const paths = mock.requests.map(request => request.path);
+    assert.ok(paths.includes('/v1/models'));
+    assert.ok(paths.includes('/v1/chat/completions'), 'probes the loaded model with a completion');
+    assert.deepEqual(api.getAvailableModels(), ['qwen2.5-7b-instruct']);
+});
+
+test('fetchAvailableModels returns an empty list when the server is unreachable', async () => {
+    const offline = createMockLMStudioServer();
+    const { port } = await offline.start();
+    await offline.stop();
+
+    const portInput = document.getElementById('server-port');
+    const originalPort = portInput.value;
+    portInput.value = String(port);
+    try {
+        assert.deepEqual(await api.fetchAvailableModels(), []);
+        assert.deepEqual(api.getAvailableModels(), []);
+    } finally {
+        portInput.value = originalPort;
+    }
+});
+
+test('loadModel asks the server to load the model and waits for it', async () => {
+    const loaded = await api.loadModel('llava-v1.5-7b');
+
+    assert.equal(loaded, true);
+    const loadRequest = mock.requests.find(request => request.path === '/v1/internal/model/load');
+    assert.ok(loadRequest, 'calls the load endpoint');
+    assert.equal(loadRequest.body.model_id, 'llava-v1.5-7b');
+    assert.equal(mock.getModels().find(model => model.id === 'llava-v1.5-7b').state, 'loaded');
+});
+
+test('loadModel sends the load options remembered for the model', async () => {
+    const { saveModelLoadOptions } = await importAppModule('model-load-options.js');
+    saveModelLoadOptions('llava-v1.5-7b', { contextLength: 4096, gpuOffload: 0.5, ttl: 600, draftModel: null });
+
+    try {
+        assert.equal(await api.loadModel('llava-v1.5-7b'), true);
+    } finally {
+        localStorage.removeItem('modelLoadOptions');
+    }
+
+    const loadRequest = mock.requests.find(request => request.path === '/v1/internal/model/load');
+    assert.deepEqual(loadRequest.body, { model_id: 'llava-v1.5-7b', context_length: 4096, gpu_offload_ratio: 0.5, ttl: 600 });
+    const verifyRequest = mock.requests.find(request => request.path === '/v1/chat/completions');
+    assert.equal(verifyRequest.body.ttl, 600, 'a just-in-time load would use the same TTL');
+});
+
+test('load and unload routes keep a namespaced model id in one path segment', async () => {
+    const { getBackendAdapters } = await importAppModule('backend-adapters.js');
+    const lmstudio = getBackendAdapters().find(adapter => adapter.id === 'lmstudio');
+    const modelId = 'lmstudio-community/Qwen2.5-7B-Instruct-GGUF';
+
+    const load = lmstudio.getLoadRequest(modelId);
+    assert.equal(load.endpoints.at(-1).path, '/v1/models/lmstudio-community%2FQwen2.5-7B-Instruct-GGUF/load');
+    assert.equal(load.body.model_id, modelId);
+    assert.equal(lmstudio.getUnloadRequest(modelId).endpoints.at(-1).path, '/v1/models/lmstudio-community%2FQwen2.5-7B-Instruct-GGUF/unload');
+});
+
+test('isServerRunning reflects whether the server answers', async () => {
+    assert.equal(await api.isServerRunning(), true);
+
+    const portInput = document.getElementById('server-port');
+    const originalPort = portInput.value;
+    portInput.value = '1';
+    try {
+        assert.equal(await api.isServerRunning(), false);
+    } finally {
+        portInput.value = originalPort;
+    }
+});
+
+test('requests carry the API key as a bearer token', async () => {
+    document.getElementById('server-api-key').value = 'secret-key';
+
+    await api.fetchAvailableModels();
+
+    assert.ok(mock.requests.length > 0);
+    mock.requests.forEach(request => {
+        assert.equal(request.headers.authorization, 'Bearer secret-key');
+    });
+});
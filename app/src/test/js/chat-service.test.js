@@ -0,0 +1,703 @@
+// Tests for streaming responses in chat-service.js
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockLMStudioServer } from './mock-lmstudio-server.js';
+import { setupAppEnvironment, importAppModule } from './helpers/app-environment.js';
+
+const mock = createMockLMStudioServer();
+let api;
+let chat;
+let settings;
+let branches;
+let compare;
+
+before(async () => {
+    const { url } = await mock.start();
+    setupAppEnvironment({ serverUrl: url, localStorage: { autoGenerateTitles: 'false' } });
+    api = await importAppModule('api-service.js');
+    chat = await importAppModule('chat-service.js');
+    settings = await importAppModule('settings-manager.js');
+    branches = await importAppModule('chat-branches.js');
+    compare = await importAppModule('model-compare.js');
+    await api.fetchAvailableModels();
+});
+
+after(() => mock.stop());
+
+beforeEach(() => {
+    mock.setCompletion({});
+    mock.clearRequests();
+    chat.createNewChat();
+});
+
+/**
+ * Sends a message the way the chat form does and waits for the reply
+ */
+async function sendMessage(text) {
+    await chat.addUserMessageToHistory(text);
+    await chat.generateAIResponse(text);
+    return chat.getChatHistoryData()[chat.getCurrentChatId()];
+}
+
+/**
+ * Waits for the deferred cleanup the stop button runs after a reply, as happens between clicks
+ */
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 10));
+}
+
+function getLastAssistantMessage(chatData) {
+    return [...chatData.messages].reverse().find(message => message.role === 'assistant');
+}
+
+test('streams a reply into the chat history', async () => {
+    const chatData = await sendMessage('Hi there');
+
+    assert.equal(getLastAssistantMessage(chatData).content, 'Hello from the mock server.');
+});
+
+test('sends the conversation and streaming flag to the chat endpoint', async () => {
+    await sendMessage('What is 2 + 2?');
+
+    const request = mock.requests.find(r => r.path === '/v1/chat/completions' && r.body.stream);
+    assert.ok(request);
+    assert.equal(request.body.model, 'qwen2.5-7b-instruct');
+    assert.deepEqual(request.body.messages.at(-1), { role: 'user', content: 'What is 2 + 2?' });
+});
+
+test('stores inline <think> reasoning apart from the reply', async () => {
+    mock.setCompletion({ think: 'The user greets me.', chunks: ['Hello!'] });
+
+    const chatData = await sendMessage('Hi');
+
+    const reply = getLastAssistantMessage(chatData);
+    assert.equal(reply.content, 'Hello!');
+    assert.equal(reply.reasoning, 'The user greets me.');
+});
+
+test('stores reasoning streamed in reasoning_content apart from the reply', async () => {
+    mock.setCompletion({ reasoning: ['The user ', 'greets me.'], chunks: ['Hello', '!'], splitBytes: 9 });
+
+    const chatData = await sendMessage('Hi');
+
+    const reply = getLastAssistantMessage(chatData);
+    assert.equal(reply.content, 'Hello!');
+    assert.equal(reply.reasoning, 'The user greets me.');
+    assert.match(document.querySelector('#messages .ai:last-child').textContent, /The user greets me\./);
+});
+
+test('leaves earlier reasoning out of the next request unless enabled', async () => {
+    mock.setCompletion({ reasoning: ['Thinking hard.'], chunks: ['Four.'] });
+    await sendMessage('What is 2 + 2?');
+    mock.setCompletion({ think: 'Old style reasoning.', chunks: ['Six.'] });
+    await sendMessage('And 3 + 3?');
+    mock.clearRequests();
+
+    await sendMessage('Thanks');
+
+    const sent = mock.requests.find(r => r.path === '/v1/chat/completions' && r.body.stream).body.messages;
+    assert.deepEqual(sent.filter(message => message.role === 'assistant'), [
+        { role: 'assistant', content: 'Four.' },
+        { role: 'assistant', content: 'Six.' }
+    ]);
+
+    settings.loadSendReasoningSetting();
+    const checkbox = document.getElementById('send-reasoning');
+    checkbox.checked = true;
+    checkbox.dispatchEvent(new window.Event('change'));
+    mock.clearRequests();
+
+    await chat.regenerateLastResponse();
+
+    const resent = mock.requests.find(r => r.path === '/v1/chat/completions' && r.body.stream).body.messages;
+    assert.equal(resent.find(message => message.role === 'assistant').content, '<think>Thinking hard.</think>\n\nFour.');
+
+    checkbox.checked = false;
+    checkbox.dispatchEvent(new window.Event('change'));
+});
+
+test('handles events arriving in separate, delayed writes', async () => {
+    mock.setCompletion({ chunks: ['One', ', two', ', three.'], delayMs: 20 });
+
+    const chatData = await sendMessage('Count');
+
+    assert.equal(getLastAssistantMessage(chatData).content, 'One, two, three.');
+});
+
+test('handles CRLF line endings', async () => {
+    mock.setCompletion({ chunks: ['Windows', ' style'], lineEnding: '\r\n' });
+
+    const chatData = await sendMessage('Line endings');
+
+    assert.equal(getLastAssistantMessage(chatData).content, 'Windows style');
+});
+
+test('reassembles events and multi-byte characters split across network reads', async () => {
+    mock.setCompletion({ chunks: ['Grüße ', '👋'], splitBytes: 7, delayMs: 2 });
+
+    const chatData = await sendMessage('Unicode');
+
+    assert.equal(getLastAssistantMessage(chatData).content, 'Grüße 👋');
+});
+
+test('regenerates correctly when events are split across network reads', async () => {
+    await sendMessage('Split me');
+    mock.setCompletion({ chunks: ['Ça ', 'marche ', '✓'], splitBytes: 5, delayMs: 1 });
+
+    await chat.regenerateLastResponse();
+
+    const reply = getLastAssistantMessage(chat.getChatHistoryData()[chat.getCurrentChatId()]);
+    assert.equal(reply.content, 'Ça marche ✓');
+});
+
+test('shows the server error message when the request fails', async () => {
+    mock.setCompletion({ error: { status: 500, message: 'Model crashed' } });
+
+    await sendMessage('Break please');
+
+    const errors = [...document.querySelectorAll('#messages .error')];
+    assert.ok(errors.some(element => element.textContent.includes('Model crashed')));
+});
+
+test('stores no reply when the stream is dropped before any content', async () => {
+    mock.setCompletion({ dropAfterEvents: 1 });
+
+    const chatData = await sendMessage('Drop');
+
+    assert.equal(chatData ? getLastAssistantMessage(chatData) : undefined, undefined);
+});
+
+test('records the model that wrote each reply', async () => {
+    const chatData = await sendMessage('Which model are you?');
+
+    assert.equal(getLastAssistantMessage(chatData).model, 'qwen2.5-7b-instruct');
+    assert.equal(chat.getChatModel(), 'qwen2.5-7b-instruct');
+});
+
+test('records the model of a regenerated reply', async () => {
+    await sendMessage('Tell me a joke');
+    mock.setCompletion({ chunks: ['Another', ' joke.'] });
+
+    await chat.regenerateLastResponse();
+
+    const reply = getLastAssistantMessage(chat.getChatHistoryData()[chat.getCurrentChatId()]);
+    assert.equal(reply.content, 'Another joke.');
+    assert.equal(reply.model, 'qwen2.5-7b-instruct');
+});
+
+test('keeps earlier replies as alternatives when regenerating', async () => {
+    mock.setCompletion({ chunks: ['First answer.'] });
+    await sendMessage('Name a color');
+    mock.setCompletion({ chunks: ['Second answer.'] });
+    await settle();
+    await chat.regenerateLastResponse();
+    mock.setCompletion({ chunks: ['Third answer.'] });
+    await settle();
+    await chat.regenerateLastResponse();
+
+    const chatData = chat.getChatHistoryData()[chat.getCurrentChatId()];
+    assert.equal(chatData.messages.length, 2);
+    assert.deepEqual(branches.getBranchInfo(chatData.messages[1]), { current: 3, count: 3 });
+    assert.equal(document.querySelector('#messages .ai:last-child .branch-nav-position').textContent, '3/3');
+
+    chat.switchChatBranch(1, 0);
+
+    assert.equal(chatData.messages[1].content, 'First answer.');
+    assert.deepEqual(branches.getBranchInfo(chatData.messages[1]), { current: 1, count: 3 });
+    assert.equal(document.querySelectorAll('#messages .ai').length, 1);
+    assert.match(document.querySelector('#messages .ai').textContent, /First answer\./);
+
+    // Only the active path is sent with the next message
+    mock.clearRequests();
+    await settle();
+    await sendMessage('Another one');
+    const request = mock.requests.find(r => r.path === '/v1/chat/completions' && r.body.stream);
+    assert.deepEqual(request.body.messages.map(message => message.content), ['Name a color', 'First answer.', 'Another one']);
+    assert.ok(request.body.messages.every(message => !('branches' in message)));
+});
+
+test('keeps the original conversation when an earlier message is edited', async () => {
+    await sendMessage('Plan a trip');
+    mock.setCompletion({ chunks: ['Revised plan.'] });
+    await settle();
+    await chat.regenerateLastResponse();
+    await settle();
+    await sendMessage('Add a museum');
+
+    // Editing the first message forks the chat there, as the edit button does
+    const chatData = chat.getChatHistoryData()[chat.getCurrentChatId()];
+    branches.forkAt(chatData.messages, 0, [{ role: 'user', content: 'Plan a beach trip' }]);
+    await settle();
+    await chat.generateAIResponse('Plan a beach trip');
+
+    assert.deepEqual(chatData.messages.map(message => message.content), ['Plan a beach trip', 'Revised plan.']);
+
+    // The saved history keeps both versions, including the regenerated reply of the original
+    chat.saveChatHistory();
+    chat.loadChatHistory();
+    const reloaded = chat.getChatHistoryData()[chat.getCurrentChatId()];
+    chat.switchChatBranch(0, 0);
+
+    assert.deepEqual(reloaded.messages.map(message => message.content), ['Plan a trip', 'Revised plan.', 'Add a museum', 'Revised plan.']);
+    assert.deepEqual(branches.getBranchInfo(reloaded.messages[0]), { current: 1, count: 2 });
+    assert.deepEqual(branches.getBranchInfo(reloaded.messages[1]), { current: 2, count: 2 });
+    assert.equal(branches.hasValidBranches(reloaded.messages), true);
+});
+
+test('sends changed sampling parameters, with per-chat overrides, on generation and regeneration', async () => {
+    await sendMessage('Use the defaults');
+    let request = mock.requests.find(r => r.path === '/v1/chat/completions' && r.body.stream);
+    assert.equal(['top_p', 'top_k', 'min_p', 'repeat_penalty', 'seed', 'stop'].some(field => field in request.body), false);
+
+    localStorage.setItem('samplingParams', JSON.stringify({ top_p: 0.9, repeat_penalty: 1.1, stop: ['###'], top_k: 'many' }));
+    mock.clearRequests();
+    await settle();
+    await sendMessage('Use mine');
+    request = mock.requests.find(r => r.path === '/v1/chat/completions' && r.body.stream);
+    assert.equal(request.body.top_p, 0.9);
+    assert.equal(request.body.repeat_penalty, 1.1);
+    assert.deepEqual(request.body.stop, ['###']);
+    assert.equal('top_k' in request.body, false);
+
+    chat.getChatHistoryData()[chat.getCurrentChatId()].samplingParams = { top_p: 0.5, seed: 42 };
+    mock.clearRequests();
+    await settle();
+    await chat.regenerateLastResponse();
+    request = mock.requests.find(r => r.path === '/v1/chat/completions' && r.body.stream);
+    assert.equal(request.body.top_p, 0.5);
+    assert.equal(request.body.seed, 42);
+    assert.equal(request.body.repeat_penalty, 1.1);
+
+    localStorage.removeItem('samplingParams');
+});
+
+test('records token usage, speed and finish reason with each reply', async () => {
+    mock.setCompletion({ chunks: ['One', ' two', ' three'], delayMs: 5, finishReason: 'length' });
+
+    const chatData = await sendMessage('Count slowly');
+
+    const request = mock.requests.find(r => r.path === '/v1/chat/completions' && r.body.stream);
+    assert.deepEqual(request.body.stream_options, { include_usage: true });
+
+    const { stats } = getLastAssistantMessage(chatData);
+    assert.equal(stats.promptTokens, 10);
+    assert.equal(stats.completionTokens, 3);
+    assert.equal(stats.estimated, false);
+    assert.equal(stats.finishReason, 'length');
+    assert.ok(stats.timeToFirstToken >= 0);
+    assert.ok(stats.tokensPerSecond > 0);
+
+    const footer = document.querySelector('#messages .ai:last-child .message-stats');
+    assert.ok(footer);
+    assert.match(footer.textContent, /3 tokens/);
+    assert.match(footer.textContent, /Token limit reached/);
+});
+
+test('runs the built-in tools the model calls and continues the reply with their results', async () => {
+    localStorage.setItem('localToolsEnabled', 'true');
+    (await importAppModule('local-tools.js')).initializeLocalTools();
+    mock.queueCompletions(
+        { chunks: ['Let me check.'], toolCalls: [{ name: 'calculator', arguments: { expression: '12 * (3 + 4)' } }, { name: 'convert_units', arguments: { value: 10, from: 'miles', to: 'km' } }], finishReason: 'tool_calls' },
+        { chunks: ['It is 84, and 10 miles is 16.09 km.'] }
+    );
+
+    const chatData = await sendMessage('What is 12 * 7, and 10 miles in km?');
+
+    const requests = mock.requests.filter(r => r.path === '/v1/chat/completions' && r.body.stream);
+    assert.equal(requests.length, 2);
+    assert.deepEqual(requests[0].body.tools.map(tool => tool.function.name), ['calculator', 'get_current_datetime', 'convert_units', 'search_chat_history']);
+
+    const followUp = requests[1].body.messages.slice(-3);
+    assert.equal(followUp[0].role, 'assistant');
+    assert.equal(followUp[0].content, 'Let me check.');
+    assert.deepEqual(followUp[0].tool_calls.map(call => call.id), ['call_0', 'call_1']);
+    assert.deepEqual(followUp.slice(1).map(message => [message.role, message.tool_call_id]), [['tool', 'call_0'], ['tool', 'call_1']]);
+    assert.equal(JSON.parse(followUp[1].content).result, 84);
+    assert.equal(JSON.parse(followUp[2].content).result, 16.09344);
+
+    const reply = getLastAssistantMessage(chatData);
+    assert.equal(reply.content, 'Let me check.It is 84, and 10 miles is 16.09 km.');
+    assert.deepEqual(reply.toolCalls.map(call => call.name), ['calculator', 'convert_units']);
+    assert.equal(document.querySelectorAll('#messages .ai:last-child .tool-call').length, 2);
+
+    localStorage.removeItem('localToolsEnabled');
+    (await importAppModule('local-tools.js')).initializeLocalTools();
+});
+
+test('returns tool errors to the model and stops after the most tool rounds', async () => {
+    localStorage.setItem('localToolsEnabled', 'true');
+    const tools = await importAppModule('local-tools.js');
+    tools.initializeLocalTools();
+    mock.setCompletion({ chunks: [], toolCalls: [{ name: 'calculator', arguments: { expression: 'alert(1)' } }], finishReason: 'tool_calls' });
+
+    await sendMessage('Keep calculating');
+
+    const requests = mock.requests.filter(r => r.path === '/v1/chat/completions' && r.body.stream);
+    assert.equal(requests.length, tools.MAX_TOOL_ROUNDS + 1);
+    assert.match(requests[1].body.messages.at(-1).content, /^Error: Unknown token "alert"/);
+
+    localStorage.removeItem('localToolsEnabled');
+    tools.initializeLocalTools();
+});
+
+test('asks for the chat\'s JSON schema and checks structured replies against it', async () => {
+    const schema = {
+        type: 'object',
+        properties: { name: { type: 'string' }, age: { type: 'integer', minimum: 0 } },
+        required: ['name', 'age'],
+        additionalProperties: false
+    };
+    await sendMessage('Start');
+    chat.getChatHistoryData()[chat.getCurrentChatId()].structuredOutput = { enabled: true, name: 'person record', schema };
+    mock.setCompletion({ chunks: ['{"name": "Ada", ', '"age": 36}'] });
+    mock.clearRequests();
+    await settle();
+
+    let chatData = await sendMessage('Extract the person');
+
+    const request = mock.requests.find(r => r.path === '/v1/chat/completions' && r.body.stream);
+    assert.deepEqual(request.body.response_format, { type: 'json_schema', json_schema: { name: 'person_record', strict: true, schema } });
+    assert.deepEqual(getLastAssistantMessage(chatData).structured, { valid: true, errors: [], schemaName: 'person record' });
+    assert.ok(document.querySelector('#messages .ai:last-child .json-tree'));
+    assert.match(document.querySelector('#messages .ai:last-child .structured-output-header').textContent, /Matches person record/);
+
+    mock.setCompletion({ chunks: ['{"name": "Ada", "age": -1, "city": "London"}'] });
+    await settle();
+    chatData = await sendMessage('Again');
+
+    assert.deepEqual(getLastAssistantMessage(chatData).structured.errors, ['$.age: less than 0', '$: unexpected property "city"']);
+});
+
+test('continues a reply cut off by the token limit in the same message', async () => {
+    mock.setCompletion({ chunks: ['One', ' two'], finishReason: 'length' });
+    const chatData = await sendMessage('Count to three');
+    const messageCount = chatData.messages.length;
+    assert.ok(document.querySelector('#messages .ai:last-child .continue-btn'));
+
+    mock.setCompletion({ chunks: [' three.'] });
+    mock.clearRequests();
+    await settle();
+    await chat.continueLastResponse();
+
+    const request = mock.requests.find(r => r.path === '/v1/chat/completions' && r.body.stream);
+    assert.deepEqual(request.body.messages.slice(-2), [
+        { role: 'user', content: 'Count to three' },
+        { role: 'assistant', content: 'One two' }
+    ]);
+    const reply = getLastAssistantMessage(chatData);
+    assert.equal(chatData.messages.length, messageCount);
+    assert.equal(reply.content, 'One two three.');
+    assert.equal(reply.stats.completionTokens, 3);
+    assert.equal(reply.stats.finishReason, 'stop');
+    assert.equal(document.querySelector('#messages .continue-btn'), null);
+    assert.match(document.querySelector('#messages .ai:last-child .message-content').textContent, /One two three\./);
+});
+
+test('continues with the chat\'s JSON schema and the built-in tools', async () => {
+    const schema = { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] };
+    localStorage.setItem('localToolsEnabled', 'true');
+    const tools = await importAppModule('local-tools.js');
+    tools.initializeLocalTools();
+    await sendMessage('Start');
+    chat.getChatHistoryData()[chat.getCurrentChatId()].structuredOutput = { enabled: true, name: 'person record', schema };
+    mock.setCompletion({ chunks: ['{"name": '], finishReason: 'length' });
+    await settle();
+    const chatData = await sendMessage('Extract the person');
+
+    mock.setCompletion({ chunks: ['"Ada"}'] });
+    mock.clearRequests();
+    await settle();
+    await chat.continueLastResponse();
+
+    const request = mock.requests.find(r => r.path === '/v1/chat/completions' && r.body.stream);
+    assert.deepEqual(request.body.response_format, { type: 'json_schema', json_schema: { name: 'person_record', strict: true, schema } });
+    assert.ok(request.body.tools.some(tool => tool.function.name === 'calculator'));
+    const reply = getLastAssistantMessage(chatData);
+    assert.equal(reply.content, '{"name": "Ada"}');
+    assert.deepEqual(reply.structured, { valid: true, errors: [], schemaName: 'person record' });
+
+    localStorage.removeItem('localToolsEnabled');
+    tools.initializeLocalTools();
+});
+
+test('sends the reply so far with the tool calls made while continuing it', async () => {
+    mock.setCompletion({ chunks: ['The answer'], finishReason: 'length' });
+    const chatData = await sendMessage('What is 6 * 7?');
+    localStorage.setItem('localToolsEnabled', 'true');
+    const tools = await importAppModule('local-tools.js');
+    tools.initializeLocalTools();
+    mock.queueCompletions(
+        { chunks: [' is'], toolCalls: [{ name: 'calculator', arguments: { expression: '6 * 7' } }], finishReason: 'tool_calls' },
+        { chunks: [' 42.'] }
+    );
+    mock.clearRequests();
+    await settle();
+    await chat.continueLastResponse();
+
+    const requests = mock.requests.filter(r => r.path === '/v1/chat/completions' && r.body.stream);
+    assert.equal(requests.length, 2);
+    const followUp = requests[1].body.messages.slice(-3);
+    assert.deepEqual(followUp.map(message => message.role), ['user', 'assistant', 'tool']);
+    assert.equal(followUp[1].content, 'The answer is');
+    const reply = getLastAssistantMessage(chatData);
+    assert.equal(reply.content, 'The answer is 42.');
+    assert.deepEqual(reply.toolCalls.map(call => call.name), ['calculator']);
+
+    localStorage.removeItem('localToolsEnabled');
+    tools.initializeLocalTools();
+});
+
+test('keeps a stopped reply so it can be continued', async () => {
+    mock.setCompletion({ chunks: ['Part', ' one', ' of', ' a', ' long', ' story'], delayMs: 40 });
+    await chat.addUserMessageToHistory('Tell a story');
+    const generation = chat.generateAIResponse('Tell a story');
+    while (!document.querySelector('#messages .ai:last-child .message-content')?.textContent.includes('Part')) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    chat.abortGeneration();
+    await generation;
+
+    const chatData = chat.getChatHistoryData()[chat.getCurrentChatId()];
+    let reply = getLastAssistantMessage(chatData);
+    assert.equal(reply.incomplete, 'stopped');
+    assert.ok(reply.content.startsWith('Part'));
+    assert.ok(document.querySelector('#messages .continue-btn'));
+
+    const partial = reply.content;
+    mock.setCompletion({ chunks: [' ends here.'] });
+    await settle();
+    await chat.continueLastResponse();
+
+    reply = getLastAssistantMessage(chatData);
+    assert.equal(reply.content, `${partial} ends here.`);
+    assert.equal('incomplete' in reply, false);
+});
+
+/**
+ * Sends a message to several models in compare mode, then restores the mock's models
+ */
+async function compareModels(text, modelIds) {
+    const models = mock.getModels();
+    compare.setCompareModels(modelIds);
+    try {
+        return await sendMessage(text);
+    } finally {
+        compare.setCompareModels([]);
+        mock.setModels(models);
+        api.invalidateModelInfoCache();
+        await api.fetchAvailableModels();
+    }
+}
+
+test('compares loaded models side by side and keeps every answer as a version', async () => {
+    mock.setModels([
+        { id: 'qwen2.5-7b-instruct', type: 'llm', state: 'loaded' },
+        { id: 'llama-3.2-3b-instruct', type: 'llm', state: 'loaded' }
+    ]);
+    mock.setCompletion({ chunks: ['Paris.'] });
+
+    const chatData = await compareModels('Capital of France?', ['qwen2.5-7b-instruct', 'llama-3.2-3b-instruct']);
+
+    const streamed = mock.requests.filter(r => r.path === '/v1/chat/completions' && r.body.stream);
+    assert.deepEqual(streamed.map(r => r.body.model).sort(), ['llama-3.2-3b-instruct', 'qwen2.5-7b-instruct']);
+    assert.equal(mock.requests.some(r => r.path === '/v1/internal/model/load'), false);
+
+    const columns = document.querySelectorAll('#messages .compare-column');
+    assert.equal(columns.length, 2);
+    assert.match(columns[1].querySelector('.compare-content').textContent, /Paris\./);
+
+    // The first model's answer is the reply until another one is chosen
+    const reply = getLastAssistantMessage(chatData);
+    assert.equal(reply.model, 'qwen2.5-7b-instruct');
+    assert.equal(reply.branches.tails.length, 2);
+
+    columns[1].querySelector('.compare-keep-btn').click();
+    assert.equal(getLastAssistantMessage(chatData).model, 'llama-3.2-3b-instruct');
+    assert.equal(document.querySelector('#messages .compare-container'), null);
+});
+
+test('loads models one at a time when they are not all loaded', async () => {
+    mock.setCompletion({ chunks: ['A cat.'] });
+
+    const chatData = await compareModels('Describe a cat', ['qwen2.5-7b-instruct', 'llava-v1.5-7b']);
+
+    const streamed = mock.requests.filter(r => r.path === '/v1/chat/completions' && r.body.stream);
+    assert.deepEqual(streamed.map(r => r.body.model), ['qwen2.5-7b-instruct', 'llava-v1.5-7b']);
+    const load = mock.requests.find(r => r.path === '/v1/internal/model/load');
+    assert.ok(load);
+    assert.ok(mock.requests.indexOf(load) > mock.requests.indexOf(streamed[0]));
+
+    const reply = getLastAssistantMessage(chatData);
+    assert.equal(reply.content, 'A cat.');
+    assert.deepEqual(reply.branches.tails.map(tail => tail ? tail[0].model : reply.model), ['qwen2.5-7b-instruct', 'llava-v1.5-7b']);
+});
+
+test('sends only the messages after the last topic boundary', async () => {
+    await sendMessage('Tell me about cats');
+    await settle();
+    chat.addTopicBoundary();
+    mock.clearRequests();
+
+    await sendMessage('Now about dogs');
+
+    const request = mock.requests.find(r => r.path === '/v1/chat/completions' && r.body.stream);
+    assert.deepEqual(request.body.messages, [{ role: 'user', content: 'Now about dogs' }]);
+    assert.equal(document.querySelectorAll('#chat-history .topic-outline-item').length, 2);
+});
+
+test('carries a summary of earlier topics when enabled', async () => {
+    localStorage.setItem('carryTopicSummary', 'true');
+    try {
+        await sendMessage('Tell me about cats');
+        await settle();
+        chat.addTopicBoundary();
+        mock.clearRequests();
+        mock.queueCompletions({ chunks: ['The user asked about cats.'] }, {});
+
+        const chatData = await sendMessage('Now about dogs');
+
+        const request = mock.requests.find(r => r.path === '/v1/chat/completions' && r.body.stream);
+        assert.equal(request.body.messages.length, 2);
+        assert.equal(request.body.messages[0].role, 'system');
+        assert.match(request.body.messages[0].content, /Summary of earlier topics in this chat:\nThe user asked about cats\./);
+        assert.equal(chatData.topicSummary.text, 'The user asked about cats.');
+    } finally {
+        localStorage.removeItem('carryTopicSummary');
+    }
+});
+
+test('moves and removes topic boundaries a turn at a time', async () => {
+    await sendMessage('First question');
+    await settle();
+    await sendMessage('Second question');
+    await settle();
+    chat.addTopicBoundary();
+    const chatData = chat.getChatHistoryData()[chat.getCurrentChatId()];
+    const boundaryIndex = () => chatData.messages.findIndex(message => message.isTopicBoundary);
+    assert.equal(boundaryIndex(), 4);
+
+    const clickAction = action => document.querySelector(`#messages .topic-boundary .topic-boundary-action[data-action="${action}"]`).click();
+    clickAction('up');
+    assert.equal(boundaryIndex(), 2);
+    // The first turn always stays before the boundary
+    clickAction('up');
+    assert.equal(boundaryIndex(), 2);
+    clickAction('down');
+    assert.equal(boundaryIndex(), 4);
+
+    clickAction('remove');
+    assert.equal(boundaryIndex(), -1);
+    assert.equal(document.querySelector('#messages .topic-boundary'), null);
+});
+
+test('compacts the conversation before a chosen turn into a pinned summary', async () => {
+    await sendMessage('First question');
+    await settle();
+    await sendMessage('Second question');
+    await settle();
+    const chatData = chat.getChatHistoryData()[chat.getCurrentChatId()];
+    mock.setCompletion({ chunks: ['The user asked a first question.'] });
+    mock.clearRequests();
+
+    assert.equal(await chat.compactCurrentChat(2), true);
+
+    const summaryRequest = mock.requests.find(r => r.path === '/v1/chat/completions');
+    assert.match(summaryRequest.body.messages[1].content, /User: First question/);
+    assert.doesNotMatch(summaryRequest.body.messages[1].content, /Second question/);
+    assert.equal(chatData.messages[2].isCompactionSummary, true);
+    assert.equal(chatData.messages[2].compactedCount, 2);
+    // The original messages stay in the chat
+    assert.equal(chatData.messages[0].content, 'First question');
+    assert.ok(document.querySelector('#messages .compaction-summary'));
+
+    mock.setCompletion({});
+    mock.clearRequests();
+    await settle();
+    await sendMessage('Third question');
+
+    const request = mock.requests.find(r => r.path === '/v1/chat/completions' && r.body.stream);
+    assert.equal(request.body.messages[0].role, 'system');
+    assert.match(request.body.messages[0].content, /Summary of the conversation so far:\nThe user asked a first question\./);
+    assert.deepEqual(request.body.messages.slice(1).map(message => message.content), [
+        'Second question', 'Hello from the mock server.', 'Third question'
+    ]);
+});
+
+test('compacts automatically when the prompt passes the threshold', async () => {
+    localStorage.setItem('autoCompact', 'true');
+    localStorage.setItem('autoCompactThreshold', '10');
+    try {
+        await sendMessage(`First ${'long '.repeat(400)}`);
+        await settle();
+        await sendMessage(`Second ${'long '.repeat(400)}`);
+        await settle();
+        mock.clearRequests();
+        mock.queueCompletions({ chunks: ['Two long messages.'] }, {});
+
+        const chatData = await sendMessage('Short question');
+
+        assert.equal(chatData.messages[2].isCompactionSummary, true);
+        const request = mock.requests.find(r => r.path === '/v1/chat/completions' && r.body.stream);
+        assert.match(request.body.messages[0].content, /Two long messages\./);
+        assert.equal(request.body.messages.at(-1).content, 'Short question');
+        assert.ok(!request.body.messages.some(message => message.content.startsWith('First')));
+    } finally {
+        localStorage.removeItem('autoCompact');
+        localStorage.removeItem('autoCompactThreshold');
+    }
+});
+
+test('keeps the streaming reply in storage until it is in the chat history', async () => {
+    mock.setCompletion({ chunks: ['Part', ' one', ' of', ' a', ' story'], delayMs: 40 });
+    await chat.addUserMessageToHistory('Tell a story');
+    const generation = chat.generateAIResponse('Tell a story');
+    while (!localStorage.getItem('partialResponse')) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    const checkpoint = JSON.parse(localStorage.getItem('partialResponse'));
+    assert.equal(checkpoint.chatId, chat.getCurrentChatId());
+    assert.equal(checkpoint.index, 1);
+    assert.equal(checkpoint.mode, 'reply');
+    assert.ok(checkpoint.text.startsWith('Part'));
+
+    await generation;
+    assert.equal(localStorage.getItem('partialResponse'), null);
+});
+
+test('recovers a reply that was streaming when the app was closed', async () => {
+    await sendMessage('First question');
+    await settle();
+    await chat.addUserMessageToHistory('Explain it in detail');
+    const chatId = chat.getCurrentChatId();
+    // What the last checkpoint held when the app was killed
+    localStorage.setItem('partialResponse', JSON.stringify({
+        chatId, index: 3, mode: 'reply', model: 'mock-model', text: '<think>Plan</think>The first half', savedAt: Date.now()
+    }));
+
+    chat.saveChatHistory();
+    chat.loadChatHistory();
+    chat.loadChat(chatId);
+    // Opening a chat waits for the welcome message to fade out
+    await new Promise(resolve => setTimeout(resolve, 400));
+
+    const chatData = chat.getChatHistoryData()[chatId];
+    const reply = chatData.messages[3];
+    assert.equal(reply.content, 'The first half');
+    assert.equal(reply.reasoning, 'Plan');
+    assert.equal(reply.incomplete, 'interrupted');
+    assert.equal(localStorage.getItem('partialResponse'), null);
+
+    const lastReply = [...document.querySelectorAll('#messages .ai')].at(-1);
+    assert.ok(lastReply.querySelector('.interrupted-notice'));
+    assert.ok(lastReply.querySelector('.continue-btn'));
+    assert.ok(lastReply.querySelector('.regenerate-btn'));
+
+    mock.setCompletion({ chunks: [' and the second half.'] });
+    await chat.continueLastResponse();
+
+    assert.equal(reply.content, 'The first half and the second half.');
+    assert.equal(reply.incomplete, undefined);
+    assert.equal(document.querySelector('#messages .interrupted-notice'), null);
+});
@@ -0,0 +1,90 @@
+// Tests for the connection states and heartbeat backoff in connection-monitor.js
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockLMStudioServer } from './mock-lmstudio-server.js';
+import { setupAppEnvironment, importAppModule } from './helpers/app-environment.js';
+
+const mock = createMockLMStudioServer();
+let monitor;
+let port;
+
+// Delays of the heartbeats the monitor schedules, oldest first
+const heartbeatDelays = [];
+const stateChanges = [];
+const originalSetTimeout = globalThis.setTimeout;
+
+before(async () => {
+    const started = await mock.start();
+    port = started.port;
+    setupAppEnvironment({ serverUrl: started.url });
+
+    globalThis.setTimeout = (callback, delay, ...args) => {
+        if (callback && callback.name === 'checkConnectionNow') heartbeatDelays.push(delay);
+        return originalSetTimeout(callback, delay, ...args);
+    };
+    document.addEventListener('connectionStateChanged', event => stateChanges.push(event.detail.state));
+
+    monitor = await importAppModule('connection-monitor.js');
+    monitor.initializeConnectionMonitor();
+    await monitor.checkConnectionNow();
+});
+
+after(async () => {
+    monitor.stopConnectionMonitor();
+    globalThis.setTimeout = originalSetTimeout;
+    await mock.stop();
+});
+
+beforeEach(() => {
+    heartbeatDelays.length = 0;
+    stateChanges.length = 0;
+    mock.clearRequests();
+});
+
+test('reports a server that answers as online and checks again on the regular interval', async () => {
+    assert.equal(await monitor.checkConnectionNow(), monitor.CONNECTION_STATES.ONLINE);
+
+    const info = monitor.getConnectionInfo();
+    assert.equal(typeof info.latency, 'number');
+    assert.equal(info.consecutiveFailures, 0);
+    assert.equal(document.getElementById('connection-status-dot').dataset.state, 'online');
+    assert.deepEqual(heartbeatDelays, [15000]);
+});
+
+test('uses the cached state instead of probing a server known to be online', async () => {
+    assert.equal(await monitor.ensureServerReachable(), true);
+    assert.equal(mock.requests.length, 0);
+});
+
+test('goes degraded on a missed heartbeat, then offline, backing off until the server is back', async () => {
+    await mock.stop();
+
+    assert.equal(await monitor.checkConnectionNow(), monitor.CONNECTION_STATES.DEGRADED);
+    assert.equal(await monitor.checkConnectionNow(), monitor.CONNECTION_STATES.OFFLINE);
+    assert.equal(await monitor.checkConnectionNow(), monitor.CONNECTION_STATES.OFFLINE);
+
+    assert.deepEqual(heartbeatDelays, [2000, 4000, 8000]);
+    assert.equal(monitor.getConnectionInfo().consecutiveFailures, 3);
+    assert.equal(document.getElementById('connection-status-dot').dataset.state, 'offline');
+
+    await mock.start(port);
+    heartbeatDelays.length = 0;
+
+    assert.equal(await monitor.ensureServerReachable(), true);
+    assert.deepEqual(stateChanges, ['degraded', 'offline', 'online']);
+    assert.equal(monitor.getConnectionInfo().consecutiveFailures, 0);
+    assert.deepEqual(heartbeatDelays, [15000]);
+});
+
+test('counts an error status as a failed check', async () => {
+    mock.setApiKey('secret');
+    try {
+        assert.equal(await monitor.checkConnectionNow(), monitor.CONNECTION_STATES.DEGRADED);
+        assert.equal(monitor.getConnectionInfo().error, 'HTTP 401');
+    } finally {
+        mock.setApiKey(null);
+    }
+
+    assert.equal(await monitor.checkConnectionNow(), monitor.CONNECTION_STATES.ONLINE);
+});
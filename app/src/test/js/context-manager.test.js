@@ -0,0 +1,125 @@
+// Tests for context window budgeting in context-manager.js
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockLMStudioServer } from './mock-lmstudio-server.js';
+import { setupAppEnvironment, importAppModule } from './helpers/app-environment.js';
+
+// A model loaded with a small context, so a few long messages overflow it
+const mock = createMockLMStudioServer({
+    models: [{ id: 'small-context-model', type: 'llm', state: 'loaded', max_context_length: 32768, loaded_context_length: 1024 }]
+});
+let context;
+
+before(async () => {
+    const { url } = await mock.start();
+    setupAppEnvironment({ serverUrl: url });
+    const api = await importAppModule('api-service.js');
+    context = await importAppModule('context-manager.js');
+    await api.fetchAvailableModels();
+});
+
+after(() => mock.stop());
+
+beforeEach(() => {
+    localStorage.removeItem('contextStrategy');
+    localStorage.removeItem('contextKeepFirst');
+    localStorage.removeItem('contextKeepLast');
+    mock.setCompletion({});
+    mock.clearRequests();
+});
+
+/**
+ * Builds a request: system prompt, alternating turns of about 100 tokens each, and a new question
+ */
+function buildRequest(turns) {
+    const messages = [{ role: 'system', content: 'Be brief.' }];
+    for (let i = 0; i < turns; i++) {
+        messages.push({ role: i % 2 === 0 ? 'user' : 'assistant', content: `Turn ${i} `.padEnd(400, 'x') });
+    }
+    messages.push({ role: 'user', content: 'Newest question' });
+    return messages;
+}
+
+function turnNames(messages) {
+    return messages.filter(message => message.content.startsWith('Turn')).map(message => message.content.split(' ')[1]);
+}
+
+test('uses the context length the model is loaded with', () => {
+    assert.equal(context.getContextLength('small-context-model'), 1024);
+    assert.equal(context.getContextLength('unknown-model'), 4096);
+});
+
+test('sends short chats unchanged', async () => {
+    const messages = buildRequest(2);
+
+    const result = await context.fitMessagesToContext(messages, { modelId: 'small-context-model' });
+
+    assert.equal(result.messages, messages);
+    assert.equal(result.droppedCount, 0);
+});
+
+test('drops the oldest turns first, keeping the system prompt and the new message', async () => {
+    const result = await context.fitMessagesToContext(buildRequest(12), { modelId: 'small-context-model' });
+
+    assert.equal(result.messages[0].content, 'Be brief.');
+    assert.equal(result.messages.at(-1).content, 'Newest question');
+    assert.deepEqual(turnNames(result.messages), ['6', '7', '8', '9', '10', '11']);
+    assert.equal(result.droppedCount, 6);
+    assert.ok(result.usedTokens <= 1024 - 256);
+});
+
+test('keeps the first and last turns with the keep-first-last strategy', async () => {
+    localStorage.setItem('contextStrategy', 'keep-first-last');
+    localStorage.setItem('contextKeepFirst', '2');
+    localStorage.setItem('contextKeepLast', '4');
+
+    const result = await context.fitMessagesToContext(buildRequest(12), { modelId: 'small-context-model' });
+
+    assert.deepEqual(turnNames(result.messages), ['0', '1', '8', '9', '10', '11']);
+});
+
+test('replaces older turns with a summary from the model, and reuses it', async () => {
+    localStorage.setItem('contextStrategy', 'summarize');
+    mock.setCompletion({ chunks: ['The user counted turns.'] });
+    const chatData = { messages: [] };
+
+    const result = await context.fitMessagesToContext(buildRequest(12), { modelId: 'small-context-model', chatData });
+
+    assert.equal(result.summarized, true);
+    assert.match(result.messages[0].content, /^Be brief\.\n\nSummary of the earlier conversation:\nThe user counted turns\.$/);
+    assert.equal(result.messages.filter(message => message.role === 'system').length, 1);
+    // Room for the summary itself leaves space for fewer recent turns
+    assert.deepEqual(turnNames(result.messages), ['10', '11']);
+    assert.equal(chatData.contextSummary.count, 10);
+
+    mock.clearRequests();
+    await context.fitMessagesToContext(buildRequest(12), { modelId: 'small-context-model', chatData });
+    assert.equal(mock.requests.filter(r => r.path === '/v1/chat/completions').length, 0);
+});
+
+test('drops older turns when the summary request fails', async () => {
+    localStorage.setItem('contextStrategy', 'summarize');
+    mock.setCompletion({ error: { status: 500, message: 'Model crashed' } });
+
+    const result = await context.fitMessagesToContext(buildRequest(12), { modelId: 'small-context-model' });
+
+    assert.equal(result.summarized, false);
+    assert.deepEqual(turnNames(result.messages), ['6', '7', '8', '9', '10', '11']);
+});
+
+test('gives attachments the room the context leaves', () => {
+    const budget = context.getAttachmentCharBudget(buildRequest(0), 'small-context-model');
+
+    assert.ok(budget > 1000 && budget < 1024 * 4);
+});
+
+test('shows how full the context is', () => {
+    context.showContextUsage(900, 1024, 3);
+
+    const indicator = document.getElementById('context-indicator');
+    assert.equal(indicator.classList.contains('hidden'), false);
+    assert.equal(indicator.classList.contains('context-full'), false);
+    assert.equal(indicator.classList.contains('context-warning'), true);
+    assert.match(indicator.textContent, /900 \/ 1\.0k tokens \(88%\) · 3 older messages not sent/);
+});
@@ -0,0 +1,101 @@
+// App Environment for tests
+// Loads index.html into jsdom and exposes the browser globals the app modules expect,
+// so the real modules under app/src/main/assets/LMSA/js can be imported in Node
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import path from 'node:path';
+import { JSDOM } from 'jsdom';
+
+const ASSETS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../../main/assets/LMSA');
+
+// Browser globals copied from the jsdom window (Node already provides fetch, AbortController, streams, etc.)
+const WINDOW_GLOBALS = [
+    'window', 'document', 'navigator', 'location', 'history', 'localStorage', 'sessionStorage',
+    'CustomEvent', 'Event', 'KeyboardEvent', 'MouseEvent', 'HTMLElement', 'HTMLInputElement',
+    'Element', 'Node', 'NodeFilter', 'DocumentFragment', 'MutationObserver', 'DOMParser',
+    'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame', 'matchMedia'
+];
+
+let dom = null;
+
+/**
+ * Creates the DOM from index.html and installs the browser globals
+ * Must run before any app module is imported, because modules look up elements when they load
+ * @param {Object} [options] - {serverUrl, localStorage}
+ * @returns {Object} - The jsdom window
+ */
+export function setupAppEnvironment({ serverUrl = null, localStorage: storage = {} } = {}) {
+    const html = readFileSync(path.join(ASSETS_DIR, 'index.html'), 'utf8');
+    dom = new JSDOM(html, { url: 'http://localhost/', pretendToBeVisual: true });
+    const { window } = dom;
+
+    // jsdom doesn't implement these; the app only uses them for layout and animations
+    window.matchMedia = window.matchMedia || (() => ({
+        matches: false,
+        addListener() {},
+        removeListener() {},
+        addEventListener() {},
+        removeEventListener() {}
+    }));
+    window.scrollTo = () => {};
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+    window.fetch = (...args) => fetch(...args);
+
+    for (const name of WINDOW_GLOBALS) {
+        if (window[name] !== undefined) {
+            Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+        }
+    }
+
+    Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+
+    // The app logs every request; keep test output readable unless asked for the logs
+    if (!process.env.LMSA_TEST_LOGS) {
+        console.log = () => {};
+        console.info = () => {};
+        console.debug = () => {};
+    }
+
+    if (serverUrl) {
+        setServerAddress(serverUrl);
+    }
+
+    return window;
+}
+
+/**
+ * Points the connection settings at a server
+ * @param {string} serverUrl - e.g. http://127.0.0.1:1234
+ */
+export function setServerAddress(serverUrl) {
+    const url = new URL(serverUrl);
+    document.getElementById('server-ip').value = url.hostname;
+    document.getElementById('server-port').value = url.port;
+    document.getElementById('server-scheme').value = url.protocol.replace(':', '');
+}
+
+/**
+ * Imports an app module by file name
+ * @param {string} name - e.g. 'api-service.js'
+ * @returns {Promise<Object>} - The module namespace
+ */
+export function importAppModule(name) {
+    return import(pathToFileURL(path.join(ASSETS_DIR, 'js', name)).href);
+}
+
+/**
+ * Waits until a condition is true
+ * @param {Function} condition - Returns true when done
+ * @param {number} [timeoutMs] - Maximum time to wait
+ * @returns {Promise<void>}
+ */
+export async function waitFor(condition, timeoutMs = 3000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeoutMs) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
@@ -0,0 +1,143 @@
+// Tests for timeouts, retries, cancellation and typed errors in http-client.js
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { getEventListeners } from 'node:events';
+import { setupAppEnvironment, importAppModule } from './helpers/app-environment.js';
+
+let client;
+let baseUrl;
+let flakyHits = 0;
+
+const server = http.createServer((req, res) => {
+    if (req.url === '/ok') {
+        res.setHeader('Content-Type', 'application/json');
+        res.end('{"ok":true}');
+    } else if (req.url === '/flaky') {
+        flakyHits++;
+        if (flakyHits < 3) {
+            res.statusCode = 503;
+            res.end('{"error":{"message":"Server busy"}}');
+        } else {
+            res.end('{"ok":true}');
+        }
+    } else if (req.url === '/slow') {
+        setTimeout(() => res.end('late'), 1000);
+    } else if (req.url === '/stream') {
+        res.write('data: first\n\n');
+        const interval = setInterval(() => res.write('data: more\n\n'), 20);
+        req.on('close', () => clearInterval(interval));
+    } else {
+        res.statusCode = 400;
+        res.end('{"error":"Invalid model"}');
+    }
+});
+
+before(async () => {
+    setupAppEnvironment();
+    client = await importAppModule('http-client.js');
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+/**
+ * Reads a response body until it ends or fails
+ */
+async function drain(response) {
+    const reader = response.body.getReader();
+    while (!(await reader.read()).done) {
+        // Keep reading
+    }
+}
+
+test('requestJson parses the response', async () => {
+    assert.deepEqual(await client.requestJson(`${baseUrl}/ok`), { ok: true });
+});
+
+test('error statuses throw an HttpError with the server message', async () => {
+    await assert.rejects(client.request(`${baseUrl}/bad`), error => {
+        assert.ok(error instanceof client.HttpError);
+        assert.equal(error.status, 400);
+        assert.equal(error.message, 'Invalid model');
+        return true;
+    });
+});
+
+test('throwHttpErrors: false returns error responses', async () => {
+    const response = await client.request(`${baseUrl}/bad`, { throwHttpErrors: false });
+    assert.equal(response.status, 400);
+});
+
+test('retries temporary failures with backoff', async () => {
+    flakyHits = 0;
+    const data = await client.requestJson(`${baseUrl}/flaky`, { retry: { retries: 3, baseDelayMs: 5 } });
+
+    assert.deepEqual(data, { ok: true });
+    assert.equal(flakyHits, 3);
+});
+
+test('gives up after the configured retries', async () => {
+    flakyHits = -10;
+    await assert.rejects(
+        client.request(`${baseUrl}/flaky`, { retry: { retries: 1, baseDelayMs: 5 } }),
+        error => error instanceof client.HttpError && error.status === 503
+    );
+    assert.equal(flakyHits, -8);
+});
+
+test('retries leave no listeners behind on the caller signal', async () => {
+    flakyHits = 0;
+    const controller = new AbortController();
+    const response = await client.request(`${baseUrl}/flaky`, { signal: controller.signal, retry: { retries: 3, baseDelayMs: 5 } });
+    await response.text();
+
+    // Only the listener that lets the caller stop the final response is left
+    assert.equal(getEventListeners(controller.signal, 'abort').length, 1);
+});
+
+test('error responses leave their cancellation group', async () => {
+    await assert.rejects(client.request(`${baseUrl}/bad`, { group: 'chat:error' }), client.HttpError);
+    assert.equal(client.cancelGroup('chat:error'), 0);
+
+    const response = await client.request(`${baseUrl}/bad`, { group: 'chat:error', throwHttpErrors: false });
+    assert.equal(response.status, 400);
+    assert.equal(client.cancelGroup('chat:error'), 0);
+});
+
+test('slow responses throw a TimeoutError', async () => {
+    await assert.rejects(
+        client.request(`${baseUrl}/slow`, { timeoutMs: 100 }),
+        error => error instanceof client.TimeoutError
+    );
+});
+
+test('unreachable servers throw a NetworkError', async () => {
+    await assert.rejects(
+        client.request('http://127.0.0.1:1/', { timeoutMs: 2000 }),
+        error => error instanceof client.NetworkError
+    );
+});
+
+test('cancelGroup stops a response that is still streaming', async () => {
+    const response = await client.request(`${baseUrl}/stream`, { group: 'chat:test' });
+    setTimeout(() => client.cancelGroup('chat:test'), 50);
+
+    await assert.rejects(drain(response), error => error.name === 'AbortError');
+    assert.equal(client.cancelGroup('chat:test'), 0, 'the group is empty afterwards');
+});
+
+test('the caller signal cancels requests with an AbortError', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+
+    await assert.rejects(
+        client.request(`${baseUrl}/slow`, { signal: controller.signal }),
+        error => error instanceof client.CancelledError && error.name === 'AbortError'
+    );
+});
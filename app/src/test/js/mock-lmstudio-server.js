@@ -0,0 +1,432 @@
+// Mock LM Studio Server
+// A scriptable local stand-in for LM Studio used by the tests, and runnable on its own
+// (node mock-lmstudio-server.js --port 1234) to point the app at during manual testing
+
+import http from 'node:http';
+import { readFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+
+const DEFAULT_MODELS = [
+    {
+        id: 'qwen2.5-7b-instruct',
+        type: 'llm',
+        state: 'loaded',
+        arch: 'qwen2',
+        publisher: 'qwen',
+        quantization: 'Q4_K_M',
+        compatibility_type: 'gguf',
+        max_context_length: 32768,
+        loaded_context_length: 8192
+    },
+    {
+        id: 'llava-v1.5-7b',
+        type: 'vlm',
+        state: 'not-loaded',
+        arch: 'llama',
+        publisher: 'liuhaotian',
+        quantization: 'Q4_0',
+        compatibility_type: 'gguf',
+        max_context_length: 4096
+    },
+    {
+        id: 'text-embedding-nomic-embed-text-v1.5',
+        type: 'embeddings',
+        state: 'not-loaded',
+        arch: 'nomic-bert',
+        publisher: 'nomic-ai',
+        quantization: 'Q4_K_M',
+        compatibility_type: 'gguf',
+        max_context_length: 2048
+    }
+];
+
+const DEFAULT_COMPLETION = {
+    // Text pieces sent as separate deltas
+    chunks: ['Hello', ' from', ' the', ' mock', ' server.'],
+    // Optional reasoning sent first, wrapped in <think> tags
+    think: null,
+    // Optional reasoning pieces sent first in the separate reasoning_content field
+    reasoning: null,
+    // Delay before each network write, in milliseconds
+    delayMs: 0,
+    // Re-split the encoded stream into writes of this many bytes (0 keeps one write per event)
+    splitBytes: 0,
+    // Line ending between events ('\n' or '\r\n')
+    lineEnding: '\n',
+    // Optional tool calls {name, arguments} streamed after the text, each arguments JSON in two fragments
+    toolCalls: null,
+    finishReason: 'stop',
+    // Answer with this HTTP status and message instead of completing
+    error: null,
+    // Close the connection after this many events without finishing
+    dropAfterEvents: null,
+    // Delay before sending the response headers, in milliseconds
+    headerDelayMs: 0
+};
+
+/**
+ * Creates a mock LM Studio server
+ * @param {Object} [options] - Initial configuration
+ * @param {Array} [options.models] - Models in LM Studio's REST API format
+ * @param {boolean} [options.restApi] - Serve /api/v0/models (LM Studio 0.3.6+), default true
+ * @param {Object} [options.completion] - Initial completion script, see DEFAULT_COMPLETION
+ * @param {string} [options.apiKey] - Require this key as a bearer token, as LM Studio does with authentication on
+ * @returns {Object} - The server controller
+ */
+export function createMockLMStudioServer(options = {}) {
+    let models = structuredClone(options.models || DEFAULT_MODELS);
+    let restApi = options.restApi !== false;
+    let completion = { ...DEFAULT_COMPLETION, ...options.completion };
+    let apiKey = options.apiKey || null;
+    // Scripts for the next completions, used once each before the current script
+    const queuedCompletions = [];
+    const requests = [];
+    const sockets = new Set();
+
+    const server = http.createServer(async (req, res) => {
+        const body = await readBody(req);
+        const url = new URL(req.url, 'http://localhost');
+        requests.push({ method: req.method, path: url.pathname, headers: req.headers, body });
+
+        // LM Studio has to be started with CORS enabled for the app to reach it
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        if (apiKey && req.headers.authorization !== `Bearer ${apiKey}`) {
+            sendJson(res, 401, { error: 'Invalid or missing API key' });
+            return;
+        }
+
+        try {
+            await route(req.method, url.pathname, body, res);
+        } catch (error) {
+            sendJson(res, 500, { error: error.message });
+        }
+    });
+
+    server.on('connection', socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+
+    /**
+     * Handles one request
+     */
+    async function route(method, path, body, res) {
+        if (method === 'GET' && path === '/v1/models') {
+            sendJson(res, 200, {
+                object: 'list',
+                data: models.map(model => ({ id: model.id, object: 'model', owned_by: model.publisher || 'organization_owner' }))
+            });
+            return;
+        }
+
+        if (method === 'GET' && path === '/api/v0/models') {
+            if (!restApi) {
+                sendJson(res, 404, { error: 'Unexpected endpoint or method. (GET /api/v0/models)' });
+                return;
+            }
+            sendJson(res, 200, { object: 'list', data: models.map(model => ({ object: 'model', ...model })) });
+            return;
+        }
+
+        // LM Studio answers this with 400, which keeps it from auto-loading a model
+        if (path === '/v1/internal/model/info' || path === '/v1/model/info') {
+            sendJson(res, 400, { error: 'Unexpected endpoint or method.' });
+            return;
+        }
+
+        if (method === 'POST' && path === '/v1/internal/model/load') {
+            const model = models.find(m => m.id === (body && (body.model_id || body.model)));
+            if (!model) {
+                sendJson(res, 404, { error: 'Model not found' });
+                return;
+            }
+            models.forEach(m => {
+                if (m.type !== 'embeddings') m.state = 'not-loaded';
+            });
+            model.state = 'loaded';
+            sendJson(res, 200, { status: 'loaded', model_id: model.id });
+            return;
+        }
+
+        if (method === 'POST' && path === '/v1/internal/model/unload') {
+            models.forEach(m => {
+                m.state = 'not-loaded';
+            });
+            sendJson(res, 200, { status: 'unloaded' });
+            return;
+        }
+
+        if (method === 'POST' && path === '/v1/chat/completions') {
+            await handleChatCompletion(body || {}, res);
+            return;
+        }
+
+        sendJson(res, 404, { error: `Unexpected endpoint or method. (${method} ${path})` });
+    }
+
+    /**
+     * Answers a chat completion request, streaming it when asked to
+     */
+    async function handleChatCompletion(body, res) {
+        const script = queuedCompletions.length > 0 ? queuedCompletions.shift() : completion;
+        if (script.headerDelayMs) await sleep(script.headerDelayMs);
+
+        if (script.error) {
+            sendJson(res, script.error.status || 500, { error: script.error.message || 'Mock server error' });
+            return;
+        }
+
+        const loadedModel = models.find(model => model.state === 'loaded');
+        const modelId = body.model && body.model !== 'unknown_model' ? body.model : (loadedModel && loadedModel.id);
+        if (!modelId) {
+            sendJson(res, 404, { error: 'No models loaded. Please load a model in the developer page or use the `lms load` command.' });
+            return;
+        }
+
+        const pieces = [...(script.think ? ['<think>', script.think, '</think>\n\n'] : []), ...script.chunks];
+        const id = `chatcmpl-${Date.now()}`;
+        const created = Math.floor(Date.now() / 1000);
+
+        if (!body.stream) {
+            sendJson(res, 200, {
+                id,
+                object: 'chat.completion',
+                created,
+                model: modelId,
+                choices: [{
+                    index: 0,
+                    message: {
+                        role: 'assistant',
+                        content: pieces.join(''),
+                        ...(script.reasoning ? { reasoning_content: script.reasoning.join('') } : {})
+                    },
+                    finish_reason: script.finishReason
+                }],
+                usage: { prompt_tokens: 10, completion_tokens: pieces.length, total_tokens: 10 + pieces.length }
+            });
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+
+        const chunk = (delta, finishReason = null) => ({
+            id,
+            object: 'chat.completion.chunk',
+            created,
+            model: modelId,
+            choices: [{ index: 0, delta, finish_reason: finishReason }]
+        });
+
+        const chunks = [
+            chunk({ role: 'assistant', content: '' }),
+            ...(script.reasoning || []).map(reasoning => chunk({ reasoning_content: reasoning })),
+            ...pieces.map(content => chunk({ content })),
+            ...(script.toolCalls || []).flatMap((call, index) => {
+                const args = JSON.stringify(call.arguments || {});
+                const half = Math.ceil(args.length / 2);
+                return [
+                    chunk({ tool_calls: [{ index, id: `call_${index}`, type: 'function', function: { name: call.name, arguments: '' } }] }),
+                    chunk({ tool_calls: [{ index, function: { arguments: args.slice(0, half) } }] }),
+                    chunk({ tool_calls: [{ index, function: { arguments: args.slice(half) } }] })
+                ];
+            }),
+            chunk({}, script.finishReason)
+        ];
+
+        // Like OpenAI, report token counts in a last event without choices when asked to
+        if (body.stream_options && body.stream_options.include_usage) {
+            const completionTokens = (script.reasoning || []).length + pieces.length;
+            chunks.push({
+                id,
+                object: 'chat.completion.chunk',
+                created,
+                model: modelId,
+                choices: [],
+                usage: { prompt_tokens: 10, completion_tokens: completionTokens, total_tokens: 10 + completionTokens }
+            });
+        }
+
+        const events = chunks.map(data => `data: ${JSON.stringify(data)}${script.lineEnding}${script.lineEnding}`);
+        events.push(`data: [DONE]${script.lineEnding}${script.lineEnding}`);
+
+        const sendCount = script.dropAfterEvents === null ? events.length : Math.min(script.dropAfterEvents, events.length);
+        const encoded = Buffer.from(events.slice(0, sendCount).join(''), 'utf8');
+        const writes = script.splitBytes > 0
+            ? splitBuffer(encoded, script.splitBytes)
+            : events.slice(0, sendCount).map(event => Buffer.from(event, 'utf8'));
+
+        for (const data of writes) {
+            if (res.destroyed) return;
+            if (script.delayMs) await sleep(script.delayMs);
+            res.write(data);
+        }
+
+        if (script.dropAfterEvents !== null) {
+            res.destroy();
+            return;
+        }
+        res.end();
+    }
+
+    return {
+        /**
+         * Starts listening
+         * @param {number} [port] - Port to listen on, 0 picks a free one
+         * @param {string} [host] - Interface to listen on
+         * @returns {Promise<Object>} - {port, url}
+         */
+        start(port = 0, host = '127.0.0.1') {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => {
+                    const address = server.address();
+                    resolve({ port: address.port, url: `http://${host}:${address.port}` });
+                });
+            });
+        },
+
+        /**
+         * Stops the server and closes open connections
+         * @returns {Promise<void>}
+         */
+        stop() {
+            sockets.forEach(socket => socket.destroy());
+            return new Promise(resolve => server.close(() => resolve()));
+        },
+
+        /**
+         * Changes how the next chat completions are answered
+         * @param {Object} script - Completion script, merged over the defaults
+         */
+        setCompletion(script) {
+            completion = { ...DEFAULT_COMPLETION, ...script };
+            queuedCompletions.length = 0;
+        },
+
+        /**
+         * Answers the next chat completions with these scripts, one each, then with the current script
+         * @param {...Object} scripts - Completion scripts, merged over the defaults
+         */
+        queueCompletions(...scripts) {
+            queuedCompletions.push(...scripts.map(script => ({ ...DEFAULT_COMPLETION, ...script })));
+        },
+
+        /**
+         * Replaces the model list
+         * @param {Array} newModels - Models in LM Studio's REST API format
+         */
+        setModels(newModels) {
+            models = structuredClone(newModels);
+        },
+
+        /**
+         * Turns the REST model API on or off, as in LM Studio versions before 0.3.6
+         * @param {boolean} enabled - Whether /api/v0/models is served
+         */
+        setRestApi(enabled) {
+            restApi = enabled;
+        },
+
+        /**
+         * Requires an API key on every request, or no key when null
+         * @param {string|null} key - The bearer token to require
+         */
+        setApiKey(key) {
+            apiKey = key || null;
+        },
+
+        /**
+         * Gets the current models
+         * @returns {Array} - Models in LM Studio's REST API format
+         */
+        getModels() {
+            return structuredClone(models);
+        },
+
+        /**
+         * Requests received so far, oldest first
+         */
+        requests,
+
+        /**
+         * Forgets the recorded requests
+         */
+        clearRequests() {
+            requests.length = 0;
+        }
+    };
+}
+
+/**
+ * Reads and parses a JSON request body
+ */
+function readBody(req) {
+    return new Promise(resolve => {
+        let data = '';
+        req.on('data', chunk => {
+            data += chunk;
+        });
+        req.on('end', () => {
+            if (!data) {
+                resolve(null);
+                return;
+            }
+            try {
+                resolve(JSON.parse(data));
+            } catch (error) {
+                resolve(data);
+            }
+        });
+    });
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+function splitBuffer(buffer, size) {
+    const parts = [];
+    for (let i = 0; i < buffer.length; i += size) {
+        parts.push(buffer.subarray(i, i + size));
+    }
+    return parts;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Run standalone: node mock-lmstudio-server.js [--port 1234] [--host 0.0.0.0] [--scenario scenario.json]
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const args = process.argv.slice(2);
+    const getArg = (name, fallback) => {
+        const index = args.indexOf(`--${name}`);
+        return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+    };
+
+    const scenarioPath = getArg('scenario', null);
+    const scenario = scenarioPath ? JSON.parse(readFileSync(scenarioPath, 'utf8')) : {};
+    const mock = createMockLMStudioServer(scenario);
+
+    mock.start(parseInt(getArg('port', '1234'), 10), getArg('host', '0.0.0.0')).then(({ port }) => {
+        console.log(`Mock LM Studio server listening on port ${port}`);
+    });
+
+    process.on('SIGINT', () => {
+        mock.stop().then(() => process.exit(0));
+    });
+}
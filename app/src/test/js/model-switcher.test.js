@@ -0,0 +1,105 @@
+// Tests for the per-chat model and the header model switcher in model-switcher.js
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockLMStudioServer } from './mock-lmstudio-server.js';
+import { setupAppEnvironment, importAppModule, waitFor } from './helpers/app-environment.js';
+
+const mock = createMockLMStudioServer();
+let api;
+let chat;
+let switcher;
+
+before(async () => {
+    const { url } = await mock.start();
+    setupAppEnvironment({ serverUrl: url, localStorage: { autoGenerateTitles: 'false' } });
+    api = await importAppModule('api-service.js');
+    chat = await importAppModule('chat-service.js');
+    switcher = await importAppModule('model-switcher.js');
+    await api.fetchAvailableModels();
+    switcher.initializeModelSwitcher();
+});
+
+after(() => mock.stop());
+
+beforeEach(async () => {
+    mock.clearRequests();
+    chat.createNewChat();
+    document.getElementById('confirmation-modal').classList.add('hidden');
+});
+
+/**
+ * Marks a model as the loaded one on the mock server and in the app
+ */
+async function useModel(modelId) {
+    mock.setModels(mock.getModels().map(model => ({
+        ...model,
+        state: model.id === modelId ? 'loaded' : 'not-loaded'
+    })));
+    api.invalidateModelInfoCache();
+    await api.fetchAvailableModels();
+    assert.equal(window.currentLoadedModel, modelId);
+}
+
+test('records the model on each reply', async () => {
+    await useModel('qwen2.5-7b-instruct');
+    await chat.addUserMessageToHistory('Hello');
+    await chat.generateAIResponse('Hello');
+
+    const reply = chat.getChatHistoryData()[chat.getCurrentChatId()].messages.at(-1);
+    assert.equal(reply.model, 'qwen2.5-7b-instruct');
+    assert.equal(chat.getChatModel(), 'qwen2.5-7b-instruct');
+});
+
+test('offers to switch back to the chat model when an old chat is reopened', async () => {
+    await useModel('qwen2.5-7b-instruct');
+    await chat.addUserMessageToHistory('Hello');
+    await chat.generateAIResponse('Hello');
+    const chatId = chat.getCurrentChatId();
+
+    await useModel('llava-v1.5-7b');
+    chat.loadChat(chatId);
+    // Opening a chat waits for the welcome message to fade out
+    await new Promise(resolve => setTimeout(resolve, 400));
+
+    assert.equal(document.getElementById('confirmation-modal').classList.contains('hidden'), false);
+    assert.match(document.getElementById('confirmation-message').textContent,
+        /This chat was using "qwen2\.5-7b-instruct"\. Currently loaded: llava-v1\.5-7b\./);
+
+    await switcher.confirmPendingModelSwitch();
+    const loadRequest = mock.requests.find(request => request.path === '/v1/internal/model/load');
+    assert.equal(loadRequest.body.model_id, 'qwen2.5-7b-instruct');
+});
+
+test('does not offer a switch when the chat model is already loaded', async () => {
+    await useModel('qwen2.5-7b-instruct');
+    await chat.addUserMessageToHistory('Hello');
+    await chat.generateAIResponse('Hello');
+
+    chat.loadChat(chat.getCurrentChatId());
+    await new Promise(resolve => setTimeout(resolve, 400));
+
+    assert.ok(document.getElementById('confirmation-modal').classList.contains('hidden'));
+});
+
+test('the header menu marks the loaded and the chat model and switches on a tap', async () => {
+    await useModel('qwen2.5-7b-instruct');
+    await chat.addUserMessageToHistory('Hello');
+    await chat.generateAIResponse('Hello');
+    await useModel('llava-v1.5-7b');
+    mock.clearRequests();
+
+    document.getElementById('model-switcher-button').click();
+    const menu = document.getElementById('model-switcher-menu');
+    await waitFor(() => menu.querySelectorAll('[data-model-id]').length > 0);
+
+    const itemFor = modelId => menu.querySelector(`[data-model-id="${modelId}"]`);
+    assert.ok(itemFor('llava-v1.5-7b').classList.contains('active'));
+    assert.match(itemFor('qwen2.5-7b-instruct').textContent, /Used earlier in this chat/);
+
+    itemFor('qwen2.5-7b-instruct').click();
+    assert.ok(menu.classList.contains('hidden'));
+    await waitFor(() => mock.requests.some(request => request.path === '/v1/internal/model/load'));
+    const loadRequest = mock.requests.find(request => request.path === '/v1/internal/model/load');
+    assert.equal(loadRequest.body.model_id, 'qwen2.5-7b-instruct');
+});
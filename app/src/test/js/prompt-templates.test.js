@@ -0,0 +1,87 @@
+// Tests for the prompt template library in prompt-templates.js
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockLMStudioServer } from './mock-lmstudio-server.js';
+import { setupAppEnvironment, importAppModule } from './helpers/app-environment.js';
+
+const mock = createMockLMStudioServer();
+let chat;
+let templates;
+
+before(async () => {
+    const { url } = await mock.start();
+    setupAppEnvironment({ serverUrl: url, localStorage: { autoGenerateTitles: 'false' } });
+    const api = await importAppModule('api-service.js');
+    chat = await importAppModule('chat-service.js');
+    templates = await importAppModule('prompt-templates.js');
+    await api.fetchAvailableModels();
+    templates.initializePromptTemplates();
+});
+
+after(() => mock.stop());
+
+beforeEach(() => {
+    localStorage.removeItem('promptTemplates');
+    document.getElementById('user-input').value = '';
+    mock.setCompletion({});
+    chat.createNewChat();
+});
+
+test('lists the variables of a template with their defaults', () => {
+    const variables = templates.getTemplateVariables('Review {{ language:JavaScript }} code: {{clipboard}} in {{language}} for {{goal}}');
+
+    assert.deepEqual(variables, [
+        { name: 'language', defaultValue: 'JavaScript', builtIn: false },
+        { name: 'clipboard', defaultValue: '', builtIn: true },
+        { name: 'goal', defaultValue: '', builtIn: false }
+    ]);
+});
+
+test('fills in variables, falling back to their defaults', () => {
+    const content = 'Review {{language:JavaScript}} code for {{goal}}. Use {{language}} idioms.';
+
+    assert.equal(templates.renderTemplate(content, { goal: 'style' }), 'Review JavaScript code for style. Use JavaScript idioms.');
+    assert.equal(templates.renderTemplate(content, { language: 'Go', goal: 'bugs' }), 'Review Go code for bugs. Use Go idioms.');
+});
+
+test('inserts a template filled in through its form into the chat input', async () => {
+    await chat.addUserMessageToHistory('Write a haiku');
+    await chat.generateAIResponse('Write a haiku');
+    templates.savePromptTemplate('Improve', 'Make this {{tone:shorter}} ({{date}}):\n{{last_response}}');
+
+    templates.showPromptTemplates();
+    document.querySelector('#prompt-templates-list .prompt-template-use').click();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const fields = [...document.querySelectorAll('#prompt-template-fields .prompt-template-field')];
+    assert.deepEqual(fields.map(field => field.dataset.variable), ['tone', 'date', 'last_response']);
+    const controls = fields.map(field => field.querySelector('input, textarea'));
+    assert.equal(controls[0].value, 'shorter');
+    assert.equal(controls[1].value, new Date().toLocaleDateString());
+    assert.equal(controls[2].value, 'Hello from the mock server.');
+
+    controls[0].value = 'funnier';
+    document.getElementById('prompt-template-insert').click();
+
+    assert.equal(document.getElementById('user-input').value,
+        `Make this funnier (${new Date().toLocaleDateString()}):\nHello from the mock server.`);
+    assert.ok(document.getElementById('prompt-templates-modal').classList.contains('hidden'));
+});
+
+test('adds imported templates to the library, replacing those with the same ID', () => {
+    const kept = templates.savePromptTemplate('Kept', 'Kept {{x}}');
+    const changed = templates.savePromptTemplate('Old name', 'Old');
+
+    templates.restorePromptTemplates([
+        { id: changed.id, name: 'New name', content: 'New' },
+        { id: 'imported', name: 'Imported', content: 'Imported {{y}}' },
+        { id: 'broken', name: 'Broken' }
+    ]);
+
+    assert.deepEqual(templates.getPromptTemplates().map(template => template.name), ['Kept', 'New name', 'Imported']);
+    assert.equal(templates.getPromptTemplates()[0].id, kept.id);
+
+    templates.restorePromptTemplates([{ id: 'only', name: 'Only', content: 'Only' }], true);
+    assert.deepEqual(templates.getPromptTemplates().map(template => template.name), ['Only']);
+});
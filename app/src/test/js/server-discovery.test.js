@@ -0,0 +1,135 @@
+// Tests for scanning for servers in server-discovery.js
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createMockLMStudioServer } from './mock-lmstudio-server.js';
+import { setupAppEnvironment, importAppModule, waitFor } from './helpers/app-environment.js';
+
+const mock = createMockLMStudioServer();
+let discovery;
+let mockPort;
+let closedPort;
+let errorPort;
+
+// Answers every request with an error, like a web server that is not LM Studio
+const errorServer = http.createServer((req, res) => {
+    res.statusCode = 500;
+    res.end('Internal Server Error');
+});
+
+/**
+ * Finds a port nothing listens on
+ */
+function findClosedPort() {
+    return new Promise(resolve => {
+        const server = http.createServer();
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+before(async () => {
+    ({ port: mockPort } = await mock.start());
+    await new Promise(resolve => errorServer.listen(0, '127.0.0.1', resolve));
+    errorPort = errorServer.address().port;
+    closedPort = await findClosedPort();
+
+    setupAppEnvironment();
+    discovery = await importAppModule('server-discovery.js');
+});
+
+after(async () => {
+    await mock.stop();
+    await new Promise(resolve => errorServer.close(resolve));
+});
+
+beforeEach(() => {
+    mock.setApiKey(null);
+    mock.clearRequests();
+    document.getElementById('server-api-key').value = '';
+});
+
+test('finds the server and reports its models, skipping closed ports and error statuses', async () => {
+    const progress = [];
+    const found = [];
+
+    const servers = await discovery.scanForServers({
+        hosts: ['127.0.0.1'],
+        ports: [closedPort, mockPort, errorPort],
+        onProgress: (done, total) => progress.push([done, total]),
+        onFound: server => found.push(server)
+    });
+
+    assert.deepEqual(servers, [{
+        ip: '127.0.0.1',
+        port: String(mockPort),
+        modelCount: 3,
+        models: ['qwen2.5-7b-instruct', 'llava-v1.5-7b', 'text-embedding-nomic-embed-text-v1.5'],
+        needsApiKey: false
+    }]);
+    assert.deepEqual(found, servers);
+    assert.deepEqual(progress.at(-1), [3, 3]);
+});
+
+test('probes without the saved API key and lists a server that wants one', async () => {
+    mock.setApiKey('secret');
+    document.getElementById('server-api-key').value = 'secret';
+
+    const [server] = await discovery.scanForServers({ hosts: ['127.0.0.1'], ports: [mockPort] });
+
+    assert.equal(server.needsApiKey, true);
+    assert.equal(server.modelCount, 0);
+    assert.equal(mock.requests.at(-1).headers.authorization, undefined);
+});
+
+test('connects to a picked server over plain HTTP at the root, sending the key only to it', async () => {
+    mock.setApiKey('secret');
+    document.getElementById('server-api-key').value = 'secret';
+    document.getElementById('server-ip').value = '127.0.0.1';
+    document.getElementById('server-scheme').value = 'https';
+    document.getElementById('server-base-path').value = '/lmstudio';
+    localStorage.setItem('serverScheme', 'https');
+    localStorage.setItem('serverBasePath', '/lmstudio');
+    document.getElementById('server-url-scheme').textContent = 'https';
+    document.getElementById('server-url-base-path').textContent = '/lmstudio';
+    localStorage.setItem('discoveryPorts', String(mockPort));
+
+    discovery.initializeServerDiscovery();
+    discovery.showServerDiscoveryModal();
+    await waitFor(() => document.getElementById('discovery-progress-text').textContent.startsWith('Found'));
+    assert.equal(mock.requests.filter(req => req.headers.authorization).length, 0);
+
+    document.querySelector('#discovery-results .discovered-server').click();
+    await waitFor(() => mock.requests.some(req => req.headers.authorization === 'Bearer secret'));
+
+    assert.equal(document.getElementById('server-scheme').value, 'http');
+    assert.equal(document.getElementById('server-base-path').value, '');
+    assert.equal(localStorage.getItem('serverScheme'), 'http');
+    assert.equal(localStorage.getItem('serverBasePath'), null);
+    assert.equal(document.getElementById('server-url-scheme').textContent, 'http');
+    assert.equal(document.getElementById('server-url-base-path').textContent, '');
+    assert.ok(mock.requests.filter(req => req.headers.authorization).every(req => !req.path.startsWith('/lmstudio')));
+});
+
+test('stops scanning when the signal is aborted', async () => {
+    const controller = new AbortController();
+    let probes = 0;
+
+    const servers = await discovery.scanForServers({
+        hosts: ['127.0.0.1'],
+        ports: [closedPort, mockPort, mockPort, mockPort],
+        concurrency: 1,
+        signal: controller.signal,
+        onProgress: () => {
+            probes++;
+            controller.abort();
+        }
+    });
+
+    assert.equal(probes, 1);
+    assert.deepEqual(servers, []);
+    assert.equal(mock.requests.length, 0);
+});
@@ -0,0 +1,73 @@
+// Tests for switching between saved server profiles in server-profiles.js
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockLMStudioServer } from './mock-lmstudio-server.js';
+import { setupAppEnvironment, importAppModule } from './helpers/app-environment.js';
+
+const home = createMockLMStudioServer();
+const office = createMockLMStudioServer({
+    apiKey: 'office-key',
+    models: [{ id: 'mistral-7b-instruct', type: 'llm', state: 'loaded', max_context_length: 32768 }]
+});
+let api;
+let profiles;
+let homeProfile;
+let officeProfile;
+
+before(async () => {
+    const { url, port: homePort } = await home.start();
+    const { port: officePort } = await office.start();
+    setupAppEnvironment({ serverUrl: url });
+    api = await importAppModule('api-service.js');
+    profiles = await importAppModule('server-profiles.js');
+
+    homeProfile = profiles.saveServerProfile({ id: 'home', name: 'Home', ip: '127.0.0.1', port: String(homePort) });
+    // Profile IDs come from the clock, so keep the two saves apart
+    await new Promise(resolve => setTimeout(resolve, 5));
+    officeProfile = profiles.saveServerProfile({ name: 'Office', ip: '127.0.0.1', port: String(officePort), apiKey: 'office-key', notes: 'Needs VPN' });
+});
+
+after(async () => {
+    await home.stop();
+    await office.stop();
+});
+
+test('switching applies the profile connection and lists its models once', async () => {
+    let changedTo = null;
+    document.addEventListener('serverProfileChanged', event => {
+        changedTo = event.detail.profile.id;
+    }, { once: true });
+    office.clearRequests();
+
+    assert.equal(await profiles.switchServerProfile(officeProfile.id), true);
+
+    assert.equal(document.getElementById('server-port').value, officeProfile.port);
+    assert.equal(document.getElementById('server-api-key').value, 'office-key');
+    assert.equal(localStorage.getItem('serverPort'), officeProfile.port);
+    assert.equal(profiles.getActiveServerProfileId(), officeProfile.id);
+    assert.equal(changedTo, officeProfile.id);
+    assert.deepEqual(api.getAvailableModels(), ['mistral-7b-instruct']);
+    assert.equal(window.currentLoadedModel, 'mistral-7b-instruct');
+
+    const modelListRequests = office.requests.filter(request => request.path === '/api/v0/models');
+    assert.equal(modelListRequests.length, 1, 'the server is asked for its models once');
+    assert.equal(modelListRequests[0].headers.authorization, 'Bearer office-key');
+});
+
+test('switching back drops the previous server models and API key', async () => {
+    home.clearRequests();
+
+    assert.equal(await profiles.switchServerProfile(homeProfile.id), true);
+
+    assert.equal(document.getElementById('server-api-key').value, '');
+    assert.equal(localStorage.getItem('serverApiKey'), null);
+    assert.deepEqual(api.getAvailableModels(), ['qwen2.5-7b-instruct']);
+    assert.equal(window.currentLoadedModel, 'qwen2.5-7b-instruct');
+    assert.ok(home.requests.every(request => !request.headers.authorization));
+});
+
+test('switching to a missing profile changes nothing', async () => {
+    assert.equal(await profiles.switchServerProfile('deleted'), false);
+    assert.equal(profiles.getActiveServerProfileId(), homeProfile.id);
+});
@@ -0,0 +1,126 @@
+// Tests for the slash commands of the chat input in slash-commands.js
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockLMStudioServer } from './mock-lmstudio-server.js';
+import { setupAppEnvironment, importAppModule } from './helpers/app-environment.js';
+
+const mock = createMockLMStudioServer();
+let chat;
+let settings;
+let commands;
+
+before(async () => {
+    const { url } = await mock.start();
+    setupAppEnvironment({ serverUrl: url, localStorage: { autoGenerateTitles: 'false' } });
+    const api = await importAppModule('api-service.js');
+    chat = await importAppModule('chat-service.js');
+    settings = await importAppModule('settings-manager.js');
+    commands = await importAppModule('slash-commands.js');
+    await api.fetchAvailableModels();
+    commands.initializeSlashCommands();
+});
+
+after(() => mock.stop());
+
+beforeEach(() => {
+    mock.setCompletion({});
+    chat.createNewChat();
+    document.getElementById('messages').innerHTML = '';
+});
+
+/**
+ * Types into the chat input and waits for the suggestions
+ */
+async function type(text) {
+    const input = document.getElementById('user-input');
+    input.value = text;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    await new Promise(resolve => setTimeout(resolve, 20));
+}
+
+function pressKey(key) {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+    document.getElementById('user-input').dispatchEvent(event);
+    return event;
+}
+
+function getSuggestionLabels() {
+    return [...document.querySelectorAll('#slash-command-menu .slash-command-label')].map(label => label.textContent);
+}
+
+test('suggests the commands that match what is typed and completes the selected one', async () => {
+    await type('/');
+    assert.equal(getSuggestionLabels().length, 8);
+
+    await type('/t');
+    assert.deepEqual(getSuggestionLabels(), ['/temp <0-2>', '/topic']);
+
+    await type('/re');
+    assert.deepEqual(getSuggestionLabels(), ['/regen']);
+
+    await type('/c');
+    assert.deepEqual(getSuggestionLabels(), ['/clear', '/continue']);
+    pressKey('ArrowDown');
+    const event = pressKey('Tab');
+
+    assert.equal(event.defaultPrevented, true);
+    assert.equal(document.getElementById('user-input').value, '/continue');
+});
+
+test('completes model names after /model', async () => {
+    await type('/model llava');
+
+    assert.deepEqual(getSuggestionLabels(), ['llava-v1.5-7b']);
+    pressKey('Enter');
+    assert.equal(document.getElementById('user-input').value, '/model llava-v1.5-7b');
+
+    // A complete command is left for Enter to send
+    await type('/new');
+    assert.equal(pressKey('Enter').defaultPrevented, false);
+    assert.ok(document.getElementById('slash-command-menu').classList.contains('hidden'));
+});
+
+test('sets the temperature and rejects values out of range', async () => {
+    assert.equal(await commands.runSlashCommand('/temp 0.7'), true);
+    assert.equal(settings.getTemperature(), 0.7);
+    assert.equal(localStorage.getItem('temperature'), '0.7');
+
+    await commands.runSlashCommand('/temp 5');
+    assert.equal(settings.getTemperature(), 0.7);
+    assert.match(document.querySelector('#messages .error').textContent, /from 0 to 2/);
+});
+
+test('sets the system prompt without reading it as HTML', async () => {
+    await commands.runSlashCommand('/system Answer in <b>French</b>.');
+    assert.equal(settings.getSystemPrompt(), 'Answer in <b>French</b>.');
+
+    await commands.runSlashCommand('/system');
+    const result = [...document.querySelectorAll('#messages .system')].at(-1);
+    assert.equal(result.querySelector('b'), null);
+    assert.match(result.textContent, /Answer in <b>French<\/b>\./);
+});
+
+test('starts a new topic and reports a model name that matches nothing', async () => {
+    await chat.addUserMessageToHistory('Hello');
+    await chat.generateAIResponse('Hello');
+
+    await commands.runSlashCommand('/topic');
+    const chatData = chat.getChatHistoryData()[chat.getCurrentChatId()];
+    assert.equal(chatData.messages.at(-1).isTopicBoundary, true);
+
+    await commands.runSlashCommand('/model gpt-9');
+    assert.match(document.querySelector('#messages .error').textContent, /No model matches "gpt-9"/);
+});
+
+test('leaves text that only looks like a command to be sent, and runs registered commands', async () => {
+    assert.equal(await commands.runSlashCommand('/etc/hosts is empty, why?'), false);
+
+    let received = null;
+    commands.registerSlashCommand({ name: 'echo', usage: '<text>', description: 'Repeat the text', run: args => { received = args; } });
+
+    assert.equal(await commands.runSlashCommand('/echo  hello there '), true);
+    assert.equal(received, 'hello there');
+    await type('/ech');
+    assert.deepEqual(getSuggestionLabels(), ['/echo <text>']);
+});
@@ -0,0 +1,213 @@
+// Tests for the incremental stream parsers in stream-parser.js
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupAppEnvironment, importAppModule } from './helpers/app-environment.js';
+
+let parsers;
+let adapters;
+
+before(async () => {
+    setupAppEnvironment();
+    parsers = await importAppModule('stream-parser.js');
+    adapters = await importAppModule('backend-adapters.js');
+});
+
+/**
+ * Feeds text to a parser in pieces and collects every event, including those left at the end
+ */
+function parseInPieces(parser, pieces) {
+    const events = [];
+    pieces.forEach(piece => events.push(...parser.push(piece)));
+    events.push(...parser.flush());
+    return events;
+}
+
+/**
+ * Splits a string into pieces of the given size
+ */
+function splitText(text, size) {
+    const pieces = [];
+    for (let i = 0; i < text.length; i += size) {
+        pieces.push(text.slice(i, i + size));
+    }
+    return pieces;
+}
+
+const SSE_STREAM = [
+    ': keep-alive',
+    '',
+    'event: delta',
+    'id: 1',
+    'data: {"text":"Hello"}',
+    '',
+    'data: first line',
+    'data: second line',
+    '',
+    'retry: 3000',
+    'data: [DONE]',
+    '',
+    ''
+].join('\n');
+
+const EXPECTED_EVENTS = [
+    { event: 'delta', data: '{"text":"Hello"}', id: '1' },
+    { event: 'message', data: 'first line\nsecond line', id: '1' },
+    { event: 'message', data: '[DONE]', id: '1' }
+];
+
+test('SSEParser reads event, id and multi-line data fields and skips comments', () => {
+    const parser = new parsers.SSEParser();
+
+    assert.deepEqual(parseInPieces(parser, [SSE_STREAM]), EXPECTED_EVENTS);
+    assert.equal(parser.retry, 3000);
+});
+
+test('SSEParser gives the same events for every chunk size', () => {
+    for (let size = 1; size <= SSE_STREAM.length; size++) {
+        const events = parseInPieces(new parsers.SSEParser(), splitText(SSE_STREAM, size));
+        assert.deepEqual(events, EXPECTED_EVENTS, `chunk size ${size}`);
+    }
+});
+
+test('SSEParser handles CRLF and CR line endings, even with CRLF split between reads', () => {
+    const crlf = SSE_STREAM.replace(/\n/g, '\r\n');
+    const cr = SSE_STREAM.replace(/\n/g, '\r');
+
+    assert.deepEqual(parseInPieces(new parsers.SSEParser(), [crlf]), EXPECTED_EVENTS);
+    assert.deepEqual(parseInPieces(new parsers.SSEParser(), [cr]), EXPECTED_EVENTS);
+
+    // Cut every read right between \r and \n
+    const pieces = crlf.split(/(?<=\r)/);
+    assert.deepEqual(parseInPieces(new parsers.SSEParser(), pieces), EXPECTED_EVENTS);
+});
+
+test('SSEParser only returns an event once its blank line arrives', () => {
+    const parser = new parsers.SSEParser();
+
+    assert.deepEqual(parser.push('data: partial'), []);
+    assert.deepEqual(parser.push(' event\n'), []);
+    assert.deepEqual(parser.push('\n'), [{ event: 'message', data: 'partial event', id: '' }]);
+});
+
+test('SSEParser flushes a last event the server did not end with a blank line', () => {
+    const parser = new parsers.SSEParser();
+
+    assert.deepEqual(parser.push('data: tail'), []);
+    assert.deepEqual(parser.flush(), [{ event: 'message', data: 'tail', id: '' }]);
+});
+
+test('JSONLinesParser reassembles lines split across reads', () => {
+    const stream = '{"a":1}\n\n{"b":"two"}\r\n{"c":3}';
+
+    for (let size = 1; size <= stream.length; size++) {
+        const events = parseInPieces(new parsers.JSONLinesParser(), splitText(stream, size));
+        assert.deepEqual(events.map(event => event.data), ['{"a":1}', '{"b":"two"}', '{"c":3}'], `chunk size ${size}`);
+    }
+});
+
+test('StreamDecoder reassembles OpenAI deltas and multi-byte characters from single-byte reads', () => {
+    const chunk = content => `data: ${JSON.stringify({ choices: [{ delta: { content }, finish_reason: null }] })}\n\n`;
+    const bytes = new TextEncoder().encode(chunk('Grüße ') + chunk('👋') + 'data: [DONE]\n\n');
+    const decoder = new parsers.StreamDecoder(adapters.getBackendAdapters().find(adapter => adapter.id === 'lmstudio'));
+
+    const deltas = [];
+    for (const byte of bytes) {
+        deltas.push(...decoder.push(Uint8Array.of(byte)));
+    }
+    deltas.push(...decoder.flush());
+
+    assert.equal(deltas.map(delta => delta.content).join(''), 'Grüße 👋');
+    assert.equal(deltas.at(-1).done, true);
+});
+
+test('StreamDecoder skips malformed events and ignores data after the end marker', () => {
+    const decoder = new parsers.StreamDecoder(adapters.getBackendAdapters().find(adapter => adapter.id === 'lmstudio'));
+    const text = 'data: {not json\n\n'
+        + 'data: {"choices":[{"delta":{"content":"ok"}}]}\n\n'
+        + 'data: [DONE]\n\n'
+        + 'data: {"choices":[{"delta":{"content":"late"}}]}\n\n';
+
+    const deltas = [...decoder.push(new TextEncoder().encode(text)), ...decoder.flush()];
+
+    assert.deepEqual(deltas.map(delta => delta.content), ['ok', '']);
+});
+
+test('StreamDecoder reads Ollama JSON lines', () => {
+    const decoder = new parsers.StreamDecoder(adapters.getBackendAdapters().find(adapter => adapter.id === 'ollama'));
+    const text = '{"message":{"content":"Hi"},"done":false}\n{"message":{"content":"!"},"done":true,"done_reason":"stop"}';
+    const bytes = new TextEncoder().encode(text);
+
+    const deltas = [...decoder.push(bytes.subarray(0, 10)), ...decoder.push(bytes.subarray(10)), ...decoder.flush()];
+
+    assert.deepEqual(deltas.map(delta => delta.content), ['Hi', '!']);
+    assert.equal(deltas.at(-1).finishReason, 'stop');
+});
+
+test('ReasoningMerger wraps Ollama thinking in a <think> block ahead of the answer', () => {
+    const decoder = new parsers.StreamDecoder(adapters.getBackendAdapters().find(adapter => adapter.id === 'ollama'));
+    const merger = new parsers.ReasoningMerger();
+    const text = '{"message":{"content":"","thinking":"Let me "},"done":false}\n'
+        + '{"message":{"content":"","thinking":"think."},"done":false}\n'
+        + '{"message":{"content":"Done."},"done":true}\n';
+
+    const deltas = [...decoder.push(new TextEncoder().encode(text)), ...decoder.flush()];
+
+    assert.equal(deltas.map(delta => merger.push(delta)).join(''), '<think>Let me think.</think>\n\nDone.');
+});
+
+test('ReasoningMerger closes the <think> block when the stream ends during reasoning', () => {
+    const merger = new parsers.ReasoningMerger();
+
+    const text = merger.push({ content: '', reasoning: 'Only thinking', done: false })
+        + merger.push({ content: '', reasoning: '', done: true });
+
+    assert.equal(text, '<think>Only thinking</think>\n\n');
+});
+
+test('StreamDecoder reads the usage event sent after the last choice', () => {
+    const decoder = new parsers.StreamDecoder(adapters.getBackendAdapters().find(adapter => adapter.id === 'lmstudio'));
+    const text = 'data: {"choices":[{"delta":{"content":"Hi"},"finish_reason":"stop"}]}\n\n'
+        + 'data: {"choices":[],"usage":{"prompt_tokens":12,"completion_tokens":1,"total_tokens":13}}\n\n'
+        + 'data: [DONE]\n\n';
+
+    const deltas = [...decoder.push(new TextEncoder().encode(text)), ...decoder.flush()];
+
+    assert.deepEqual(deltas[1].usage, { promptTokens: 12, completionTokens: 1 });
+    assert.equal(deltas[0].finishReason, 'stop');
+});
+
+test('ToolCallCollector joins OpenAI tool call fragments by index', () => {
+    const decoder = new parsers.StreamDecoder(adapters.getBackendAdapters().find(adapter => adapter.id === 'lmstudio'));
+    const collector = new parsers.ToolCallCollector();
+    const event = toolCalls => `data: ${JSON.stringify({ choices: [{ delta: { tool_calls: toolCalls }, finish_reason: null }] })}\n\n`;
+    const text = event([{ index: 0, id: 'call_a', function: { name: 'calculator', arguments: '' } }])
+        + event([{ index: 1, id: 'call_b', function: { name: 'get_current_datetime', arguments: '{}' } }])
+        + event([{ index: 0, function: { arguments: '{"expression":' } }])
+        + event([{ index: 0, function: { arguments: '"2+2"}' } }])
+        + 'data: [DONE]\n\n';
+
+    const deltas = [...decoder.push(new TextEncoder().encode(text)), ...decoder.flush()];
+    deltas.forEach(delta => collector.push(delta));
+
+    assert.deepEqual(collector.getCalls(), [
+        { id: 'call_a', name: 'calculator', arguments: '{"expression":"2+2"}' },
+        { id: 'call_b', name: 'get_current_datetime', arguments: '{}' }
+    ]);
+});
+
+test('ToolCallCollector reads complete Ollama tool calls', () => {
+    const decoder = new parsers.StreamDecoder(adapters.getBackendAdapters().find(adapter => adapter.id === 'ollama'));
+    const collector = new parsers.ToolCallCollector();
+    const text = '{"message":{"content":"","tool_calls":[{"function":{"name":"convert_units","arguments":{"value":5,"from":"mi","to":"km"}}}]},"done":false}\n'
+        + '{"message":{"content":""},"done":true,"done_reason":"stop"}\n';
+
+    const deltas = [...decoder.push(new TextEncoder().encode(text)), ...decoder.flush()];
+    deltas.forEach(delta => collector.push(delta));
+
+    const calls = collector.getCalls();
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].name, 'convert_units');
+    assert.deepEqual(JSON.parse(calls[0].arguments), { value: 5, from: 'mi', to: 'km' });
+    assert.match(calls[0].id, /^call_/);
+});